@@ -0,0 +1,49 @@
+/**
+ * JWT Configuration File
+ * Settings for access tokens and refresh tokens (see services/sessions.js).
+ *
+ * Access token: Short-lived JWT sent as "Authorization: Bearer ..." on every request
+ * Refresh token: Long-lived random secret, stored HASHED in MongoDB (Session model),
+ *                exchanged for a new access token via POST /api/auth/refresh
+ *
+ * Why refuse to start without JWT_SECRET?
+ * Anyone who knows the secret can sign tokens for ANY user. A default
+ * like "changeme" is public knowledge, so outside development the
+ * server stops instead of running with it.
+ */
+
+const dotenv = require("dotenv");
+
+// Load environment variables from .env file
+dotenv.config();
+
+// Only an explicit NODE_ENV=development allows the insecure fallback secret
+const isDevelopment = process.env.NODE_ENV === "development";
+const DEVELOPMENT_SECRET = "doc-talk-development-secret";
+
+const resolveSecret = () => {
+    const secret = process.env.JWT_SECRET;
+
+    if (secret && secret !== "changeme") return secret;
+
+    if (!isDevelopment) {
+        throw new Error(
+            "JWT_SECRET is missing (or still \"changeme\"). Set a long random JWT_SECRET in backend/.env, "
+            + "or run with NODE_ENV=development to use an insecure development secret."
+        );
+    }
+
+    console.warn("[JWT] JWT_SECRET is not set - using an insecure development secret");
+    return DEVELOPMENT_SECRET;
+};
+
+module.exports = {
+    // Secret used to sign and verify access tokens
+    secret: resolveSecret(),
+
+    // Access token lifetime in jsonwebtoken format ("15m", "1h", ...)
+    accessTokenTtl: process.env.JWT_ACCESS_TTL || "15m",
+
+    // Refresh token (session) lifetime in days
+    refreshTokenTtlDays: parseInt(process.env.JWT_REFRESH_TTL_DAYS, 10) || 30
+};
@@ -0,0 +1,212 @@
+/**
+ * Account Controller
+ * This file handles the logged-in user's own account:
+ * - Reading and updating the profile (name, email)
+ * - Changing the password
+ * - Deleting the account with all its documents, chunks and chats
+ *
+ * All functions require user authentication (via auth middleware)
+ */
+
+const bcrypt = require("bcryptjs");
+const User = require("../models/User");
+const { revokeUserSessions } = require("../services/sessions");
+const { getUsage } = require("../services/quotas");
+const {
+    validatePassword,
+    sendVerificationEmail,
+    deleteAccount
+} = require("../services/accounts");
+
+/**
+ * Helper Function: profile
+ * Purpose: The account fields returned to the client (never the password hash)
+ */
+const profile = (user) => ({
+    id: user._id,
+    name: user.name,
+    email: user.email,
+    emailVerified: Boolean(user.emailVerified),
+    passwordChangedAt: user.passwordChangedAt || null,
+    createdAt: user.createdAt
+});
+
+/**
+ * Helper Function: checkPassword
+ * Purpose: Sensitive changes require the current password again
+ * (a stolen access token alone must not be enough)
+ */
+const checkPassword = async (user, password) =>
+    Boolean(password) && bcrypt.compare(String(password), user.password);
+
+/**
+ * Get Account Function
+ *
+ * Request: GET /api/account
+ * Returns: { user: { id, name, email, emailVerified, ... } }
+ */
+exports.getAccount = async (req, res, next) => {
+    try {
+        const user = await User.findById(req.user.id);
+        if (!user) {
+            return res.status(404).json({ message: "Account not found" });
+        }
+
+        res.status(200).json({ user: profile(user) });
+    } catch (err) {
+        next(err);
+    }
+};
+
+/**
+ * Get Usage Function
+ * Purpose: Show the user how much of each quota they have used
+ *
+ * Request: GET /api/account/usage
+ * Returns: { usage: { period, documents, storageBytes, pagesPerMonth, llmTokensPerMonth } }
+ * Each entry is { used, limit } (limit 0 = unlimited)
+ */
+exports.getUsage = async (req, res, next) => {
+    try {
+        res.status(200).json({ usage: await getUsage(req.user.id) });
+    } catch (err) {
+        next(err);
+    }
+};
+
+/**
+ * Update Account Function
+ * Purpose: Change the name and/or the email address
+ *
+ * Request: PATCH /api/account
+ * Body: { name?, email?, currentPassword? } (currentPassword is required to change the email)
+ *
+ * A new email must be verified again: emailVerified is reset
+ * and a verification link is sent to the NEW address.
+ *
+ * Returns: { user }
+ */
+exports.updateAccount = async (req, res, next) => {
+    try {
+        const user = await User.findById(req.user.id);
+        if (!user) {
+            return res.status(404).json({ message: "Account not found" });
+        }
+
+        // --- Name ---
+        if (req.body.name !== undefined) {
+            const name = String(req.body.name).trim();
+            if (!name) {
+                return res.status(400).json({ message: "Name cannot be empty" });
+            }
+            user.name = name;
+        }
+
+        // --- Email ---
+        let emailChanged = false;
+        if (req.body.email !== undefined) {
+            const email = String(req.body.email).trim().toLowerCase();
+            if (!email) {
+                return res.status(400).json({ message: "Email cannot be empty" });
+            }
+
+            if (email !== user.email) {
+                if (!(await checkPassword(user, req.body.currentPassword))) {
+                    return res.status(401).json({ message: "Current password is incorrect" });
+                }
+                if (await User.exists({ email })) {
+                    return res.status(409).json({ message: "This email is already in use" });
+                }
+
+                user.email = email;
+                user.emailVerified = false;
+                user.emailVerifiedAt = undefined;
+                emailChanged = true;
+            }
+        }
+
+        await user.save();
+
+        if (emailChanged) {
+            await sendVerificationEmail(user);
+        }
+
+        res.status(200).json({ user: profile(user) });
+    } catch (err) {
+        // 11000 = unique index on email (someone took it at the same moment)
+        if (err && err.code === 11000) {
+            return res.status(409).json({ message: "This email is already in use" });
+        }
+        next(err);
+    }
+};
+
+/**
+ * Change Password Function
+ *
+ * Request: POST /api/account/password
+ * Body: { currentPassword, newPassword }
+ *
+ * Every OTHER session is logged out; this device stays logged in.
+ * Returns: { message, revokedSessions }
+ */
+exports.changePassword = async (req, res, next) => {
+    try {
+        const { currentPassword, newPassword } = req.body;
+
+        const passwordError = validatePassword(newPassword);
+        if (passwordError) {
+            return res.status(400).json({ message: passwordError });
+        }
+
+        const user = await User.findById(req.user.id);
+        if (!user) {
+            return res.status(404).json({ message: "Account not found" });
+        }
+        if (!(await checkPassword(user, currentPassword))) {
+            return res.status(401).json({ message: "Current password is incorrect" });
+        }
+
+        user.password = await bcrypt.hash(newPassword, 10);
+        user.passwordChangedAt = new Date();
+        await user.save();
+
+        const revokedSessions = await revokeUserSessions(user._id, "password-change", { except: req.user.sid });
+
+        res.status(200).json({ message: "Password changed", revokedSessions });
+    } catch (err) {
+        next(err);
+    }
+};
+
+/**
+ * Delete Account Function
+ * Purpose: Permanently delete the account and everything it owns
+ *
+ * Request: DELETE /api/account
+ * Body: { password }
+ *
+ * See services/accounts.js (deleteAccount) for exactly what is removed.
+ * Returns: { message, deletedDocuments }
+ * Or: 409 if the user is the last admin of a team workspace
+ */
+exports.deleteAccount = async (req, res, next) => {
+    try {
+        const user = await User.findById(req.user.id);
+        if (!user) {
+            return res.status(404).json({ message: "Account not found" });
+        }
+        if (!(await checkPassword(user, req.body.password))) {
+            return res.status(401).json({ message: "Password is incorrect" });
+        }
+
+        const result = await deleteAccount(user);
+
+        res.status(200).json({ message: "Account deleted", deletedDocuments: result.documents });
+    } catch (err) {
+        if (err.code === "LAST_WORKSPACE_ADMIN") {
+            return res.status(409).json({ message: err.message, workspaces: err.workspaces });
+        }
+        next(err);
+    }
+};
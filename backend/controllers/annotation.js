@@ -0,0 +1,220 @@
+/**
+ * Annotation Controller
+ * This file handles a user's notes and highlights on documents:
+ * - Creating, listing, updating and deleting them (per document)
+ * - Searching them across all documents
+ *
+ * Annotations are OWNER-SCOPED: every query includes `owner: req.user.id`,
+ * so users only ever see their own, also on shared documents.
+ * Per-document routes check the viewer role first (requireDocumentRole
+ * in middlewares/access.js), which sets req.document.
+ */
+
+const mongoose = require("mongoose");
+const Annotation = require("../models/Annotation");
+const Document = require("../models/Document");
+const { parseAnnotation, parseAnnotationUpdate } = require("../services/annotations");
+const { accessibleDocumentsFilter } = require("../middlewares/access");
+
+const DEFAULT_SEARCH_LIMIT = 50;
+const MAX_SEARCH_LIMIT = 100;
+const MAX_SEARCH_LENGTH = 200;
+
+const ANNOTATION_TYPES = Annotation.schema.path("type").enumValues;
+
+/**
+ * Helper Function: findOwnAnnotation
+ * Purpose: The annotation in :annotationId, if it is the user's and on this document
+ */
+const findOwnAnnotation = (req) => (mongoose.isValidObjectId(req.params.annotationId)
+    ? Annotation.findOne({ _id: req.params.annotationId, document: req.document._id, owner: req.user.id })
+    : null);
+
+/**
+ * Create Annotation Function
+ * Purpose: Add a note or a highlight to a document
+ *
+ * Request: POST /api/documents/:id/annotations
+ * Auth: Required (viewer role or better)
+ * Body:
+ * - Note about the document: { comment: "Check with legal" }
+ * - Note about a page: { page: 3, comment: "..." }
+ * - Highlight: { page: 3, range: { start: 120, end: 164 }, comment?, color?: "#ffeb3b" }
+ *   (range: characters of the page's extracted text, GET /api/documents/:id/pages/:page)
+ *
+ * Returns: 201 { annotation } (highlights include the marked text as `quote`)
+ * Or: 400 for invalid input (e.g. a range outside the page)
+ */
+exports.createAnnotation = async (req, res, next) => {
+    try {
+        const { error, annotation } = parseAnnotation(req.document, req.body);
+        if (error) {
+            return res.status(400).json({ message: error });
+        }
+
+        const created = await Annotation.create({
+            ...annotation,
+            owner: req.user.id,
+            document: req.document._id,
+            documentVersion: req.document.version
+        });
+
+        res.status(201).json({ annotation: created });
+    } catch (err) {
+        next(err);
+    }
+};
+
+/**
+ * Get Annotations Function
+ * Purpose: The user's annotations on a document, in page order
+ * (document notes first, then by page and position)
+ *
+ * Request: GET /api/documents/:id/annotations
+ * Auth: Required (viewer role or better)
+ * Query: ?page=N (optional) - only that page, ?type=note|highlight (optional)
+ * Returns: { annotations: [...] }
+ */
+exports.getAnnotations = async (req, res, next) => {
+    try {
+        const filter = { document: req.document._id, owner: req.user.id };
+
+        if (req.query.page !== undefined) {
+            const page = Number(req.query.page);
+            if (!Number.isInteger(page) || page < 1) {
+                return res.status(400).json({ message: "page must be a page number" });
+            }
+            filter.page = page;
+        }
+        if (req.query.type !== undefined) {
+            if (!ANNOTATION_TYPES.includes(req.query.type)) {
+                return res.status(400).json({ message: `type must be one of: ${ANNOTATION_TYPES.join(", ")}` });
+            }
+            filter.type = req.query.type;
+        }
+
+        const annotations = await Annotation.find(filter)
+            .sort({ page: 1, "range.start": 1, createdAt: 1 });
+
+        res.status(200).json({ annotations });
+    } catch (err) {
+        next(err);
+    }
+};
+
+/**
+ * Update Annotation Function
+ * Purpose: Change the comment or color of one of the user's annotations
+ * (the marked range is fixed: delete the highlight and create a new one)
+ *
+ * Request: PATCH /api/documents/:id/annotations/:annotationId
+ * Auth: Required (viewer role or better, and only the annotation's owner)
+ * Body: { comment?, color? } (color: null removes it)
+ * Returns: { annotation }
+ */
+exports.updateAnnotation = async (req, res, next) => {
+    try {
+        const annotation = await findOwnAnnotation(req);
+        if (!annotation) {
+            return res.status(404).json({ message: "Annotation not found" });
+        }
+
+        const { error, update } = parseAnnotationUpdate(annotation, req.body);
+        if (error) {
+            return res.status(400).json({ message: error });
+        }
+
+        annotation.set(update);
+        await annotation.save();
+
+        res.status(200).json({ annotation });
+    } catch (err) {
+        next(err);
+    }
+};
+
+/**
+ * Delete Annotation Function
+ *
+ * Request: DELETE /api/documents/:id/annotations/:annotationId
+ * Auth: Required (viewer role or better, and only the annotation's owner)
+ */
+exports.deleteAnnotation = async (req, res, next) => {
+    try {
+        const annotation = await findOwnAnnotation(req);
+        if (!annotation) {
+            return res.status(404).json({ message: "Annotation not found" });
+        }
+
+        await Annotation.deleteOne({ _id: annotation._id });
+
+        res.status(200).json({ message: "Annotation deleted successfully" });
+    } catch (err) {
+        next(err);
+    }
+};
+
+/**
+ * Search Annotations Function
+ * Purpose: Find the user's annotations across every document they can open
+ *
+ * Request: GET /api/annotations
+ * Auth: Required (documents of the active workspace and shared with the user)
+ * Query (all optional):
+ * - q: Words to find in comments and highlighted text (best matches first)
+ * - documentId: Only this document
+ * - type: note | highlight
+ * - limit: Annotations returned (default 50, at most 100)
+ *
+ * Without q, the newest annotations come first.
+ * Annotations on documents the user can no longer open are left out.
+ *
+ * Returns: { annotations: [{ ..., document: { _id, originalName }, score? }] }
+ */
+exports.searchAnnotations = async (req, res, next) => {
+    try {
+        // --- Step 1: Validate Query ---
+        const limit = req.query.limit !== undefined ? Number(req.query.limit) : DEFAULT_SEARCH_LIMIT;
+        if (!Number.isInteger(limit) || limit < 1 || limit > MAX_SEARCH_LIMIT) {
+            return res.status(400).json({ message: `limit must be a whole number from 1 to ${MAX_SEARCH_LIMIT}` });
+        }
+        if (req.query.type !== undefined && !ANNOTATION_TYPES.includes(req.query.type)) {
+            return res.status(400).json({ message: `type must be one of: ${ANNOTATION_TYPES.join(", ")}` });
+        }
+        if (req.query.documentId !== undefined && !mongoose.isValidObjectId(req.query.documentId)) {
+            return res.status(400).json({ message: "Invalid documentId" });
+        }
+        const search = req.query.q !== undefined ? String(req.query.q).trim() : null;
+        if (search !== null && (!search || search.length > MAX_SEARCH_LENGTH)) {
+            return res.status(400).json({ message: `q must be 1-${MAX_SEARCH_LENGTH} characters` });
+        }
+
+        // --- Step 2: Documents the User Can Open ---
+        const documentIds = await Document.find({
+            ...(req.query.documentId !== undefined ? { _id: req.query.documentId } : {}),
+            ...accessibleDocumentsFilter(req.user.id, req.workspace._id)
+        }).distinct("_id");
+
+        // --- Step 3: Find Annotations (owner-scoped) ---
+        const filter = { owner: req.user.id, document: { $in: documentIds } };
+        if (req.query.type !== undefined) filter.type = req.query.type;
+
+        let query;
+        if (search) {
+            filter.$text = { $search: search };
+            query = Annotation.find(filter)
+                .select({ score: { $meta: "textScore" } })
+                .sort({ score: { $meta: "textScore" } });
+        } else {
+            query = Annotation.find(filter).sort({ updatedAt: -1 });
+        }
+
+        const annotations = await query
+            .limit(limit)
+            .populate("document", "originalName");
+
+        res.status(200).json({ annotations });
+    } catch (err) {
+        next(err);
+    }
+};
@@ -0,0 +1,139 @@
+/**
+ * API Key Controller
+ * This file handles API keys for scripts and internal tools:
+ * - Creating a key (shown ONCE) with a name and scopes
+ * - Listing keys (your own, or all keys of a workspace for admins)
+ * - Revoking keys
+ *
+ * Keys act as their creator inside one workspace (see models/ApiKey.js).
+ * Managing keys always needs a logged-in user: a key can't create keys.
+ */
+
+const mongoose = require("mongoose");
+const ApiKey = require("../models/ApiKey");
+const { createApiKey, formatApiKey } = require("../services/apiKeys");
+const { findMembership } = require("../services/workspaces");
+
+// Longest allowed key lifetime: 1 year (omit expiresInDays for a key without end date)
+const MAX_API_KEY_DAYS = 365;
+
+/**
+ * Create API Key Function
+ *
+ * Request: POST /api/api-keys
+ * Auth: Required (JWT), key is created in the active workspace
+ * Body: { name, scopes: ["read", "upload", "ask"], expiresInDays? }
+ *
+ * Returns: 201 { apiKey, key }
+ * IMPORTANT: `key` is only returned here. Only its hash is stored,
+ * so a lost key cannot be recovered - create a new one instead.
+ */
+exports.createApiKey = async (req, res, next) => {
+    try {
+        // --- Step 1: Validate Input ---
+        const name = String(req.body.name || "").trim();
+        if (!name) {
+            return res.status(400).json({ message: "Name is required" });
+        }
+
+        const { scopes } = req.body;
+        if (!Array.isArray(scopes) || scopes.length === 0
+            || !scopes.every((scope) => ApiKey.SCOPES.includes(scope))) {
+            return res.status(400).json({ message: `scopes must be a non-empty list of: ${ApiKey.SCOPES.join(", ")}` });
+        }
+
+        let expiresAt;
+        if (req.body.expiresInDays !== undefined && req.body.expiresInDays !== null) {
+            const days = Number(req.body.expiresInDays);
+            if (!Number.isFinite(days) || days <= 0 || days > MAX_API_KEY_DAYS) {
+                return res.status(400).json({ message: `expiresInDays must be a number between 0 and ${MAX_API_KEY_DAYS}` });
+            }
+            expiresAt = new Date(Date.now() + days * 24 * 60 * 60 * 1000);
+        }
+
+        // --- Step 2: Create Key + Store Its Hash ---
+        const { apiKey, key } = await createApiKey({
+            name,
+            user: req.user.id,
+            workspace: req.workspace._id,
+            scopes,
+            expiresAt
+        });
+
+        res.status(201).json({ apiKey: formatApiKey(apiKey), key });
+    } catch (err) {
+        next(err);
+    }
+};
+
+/**
+ * Get API Keys Function
+ * Purpose: Your keys, in every workspace
+ *
+ * Request: GET /api/api-keys
+ * Returns: { apiKeys: [{ _id, name, prefix, scopes, workspace, lastUsedAt, active, ... }] }
+ */
+exports.getApiKeys = async (req, res, next) => {
+    try {
+        const apiKeys = await ApiKey.find({ user: req.user.id }).sort({ createdAt: -1 });
+        res.status(200).json({ apiKeys: apiKeys.map(formatApiKey) });
+    } catch (err) {
+        next(err);
+    }
+};
+
+/**
+ * Get Workspace API Keys Function
+ * Purpose: Every key of a workspace, so admins can see which tools have access
+ *
+ * Request: GET /api/workspaces/:id/api-keys
+ * Auth: Required (workspace admin, checked by requireWorkspaceRole)
+ */
+exports.getWorkspaceApiKeys = async (req, res, next) => {
+    try {
+        const apiKeys = await ApiKey.find({ workspace: req.workspace._id }).sort({ createdAt: -1 });
+        res.status(200).json({ apiKeys: apiKeys.map(formatApiKey) });
+    } catch (err) {
+        next(err);
+    }
+};
+
+/**
+ * Revoke API Key Function
+ * Purpose: Make a key stop working immediately
+ *
+ * Request: DELETE /api/api-keys/:id
+ * Auth: Required - the key's creator, or an admin of the key's workspace
+ * Returns: { apiKey }
+ */
+exports.revokeApiKey = async (req, res, next) => {
+    try {
+        if (!mongoose.isValidObjectId(req.params.id)) {
+            return res.status(404).json({ message: "API key not found" });
+        }
+
+        const apiKey = await ApiKey.findById(req.params.id);
+        if (!apiKey) {
+            return res.status(404).json({ message: "API key not found" });
+        }
+
+        if (String(apiKey.user) !== String(req.user.id)) {
+            const membership = await findMembership(apiKey.workspace, req.user.id);
+            if (!membership) {
+                return res.status(404).json({ message: "API key not found" });
+            }
+            if (membership.role !== "admin") {
+                return res.status(403).json({ message: "Only the key's creator or a workspace admin can revoke it" });
+            }
+        }
+
+        if (!apiKey.revokedAt) {
+            apiKey.revokedAt = new Date();
+            await apiKey.save();
+        }
+
+        res.status(200).json({ apiKey: formatApiKey(apiKey) });
+    } catch (err) {
+        next(err);
+    }
+};
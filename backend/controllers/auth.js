@@ -4,31 +4,103 @@
  * It handles:
  * - Creating new user accounts
  * - Validating credentials
- * - Generating JWT tokens
+ * - Generating JWT access tokens + rotating refresh tokens (sessions)
+ * - Logging out one session, or every session of the user
+ * - Email verification and "forgot password" resets (single-use emailed tokens)
+ * - Switching the active workspace (a new token for another workspace)
  */
 
 const bcrypt = require("bcryptjs");
 const jwt = require("jsonwebtoken");
+const mongoose = require("mongoose");
 const User = require("../models/User");
+const Session = require("../models/Session");
+const { secret, accessTokenTtl } = require("../config/jwt");
+const {
+    createSession,
+    rotateRefreshToken,
+    findSessionByRefreshToken,
+    revokeSession,
+    revokeUserSessions
+} = require("../services/sessions");
+const { consumeUserToken } = require("../services/userTokens");
+const {
+    validatePassword,
+    sendVerificationEmail,
+    sendPasswordResetEmail
+} = require("../services/accounts");
+const {
+    findMembership,
+    ensurePersonalWorkspace,
+    resolveActiveWorkspace
+} = require("../services/workspaces");
 
 /**
  * Helper Function: signToken
- * Purpose: Generate a JWT token for a user
+ * Purpose: Generate a short-lived JWT access token for a user
  * 
  * How it works:
- * 1. Takes a user object
- * 2. Encodes user ID and email into the token
+ * 1. Takes a user object, the active workspace and the session
+ * 2. Encodes user ID, email, workspace ID and session ID (sid) into the token
  * 3. Signs it with JWT_SECRET (so only the server can create/verify it)
- * 4. Sets expiration to 7 days
+ * 4. Sets expiration to JWT_ACCESS_TTL (default 15 minutes)
+ * 
+ * Why short-lived? A stolen access token is only useful for minutes.
+ * The client gets new ones with its refresh token (POST /api/auth/refresh).
  * 
  * Returns: A string token that the client stores and sends in Authorization header
  */
-const signToken = (user) => jwt.sign(
-    { id: user._id, email: user.email },              // Data to encode
-    process.env.JWT_SECRET || "changeme",            // Secret key
-    { expiresIn: "7d" }                               // Token expires in 7 days
+const signToken = (user, workspace, session) => jwt.sign(
+    { id: user._id, email: user.email, workspace: workspace._id, sid: session._id },  // Data to encode
+    secret,                                           // Secret key (config/jwt.js)
+    { expiresIn: accessTokenTtl }                     // Access token lifetime
 );
 
+/**
+ * Helper Function: tokenResponse
+ * Purpose: The token fields of every login-like response
+ */
+const tokenResponse = (user, workspace, session, refreshToken) => ({
+    token: signToken(user, workspace, session),  // Access token: "Authorization: Bearer <token>"
+    refreshToken,                                // Keep it safe: exchanged at POST /api/auth/refresh
+    expiresIn: accessTokenTtl
+});
+
+/**
+ * Helper Function: publicUser
+ * Purpose: The user fields returned to the client (never the password hash)
+ */
+const publicUser = (user) => ({
+    id: user._id,
+    name: user.name,
+    email: user.email,
+    emailVerified: Boolean(user.emailVerified)
+});
+
+/**
+ * Helper Function: sendEmailSafely
+ * Purpose: Send an email without failing the request if delivery breaks
+ * (the user can ask for the email again)
+ */
+const sendEmailSafely = async (send, user) => {
+    try {
+        await send(user);
+    } catch (err) {
+        console.error(`[MAIL] Sending to user ${user._id} failed:`, err.message);
+    }
+};
+
+/**
+ * Helper Function: workspaceSummary
+ * Purpose: The active workspace as returned next to every token
+ */
+const workspaceSummary = (workspace, userId) => ({
+    id: workspace._id,
+    name: workspace.name,
+    personal: workspace.personal,
+    role: workspace.roleOf(userId)
+});
+
 /**
  * Register Function
  * Purpose: Create a new user account
@@ -40,9 +112,9 @@ const signToken = (user) => jwt.sign(
  * 1. Validate input (all fields provided?)
  * 2. Check if email already exists (prevent duplicates)
  * 3. Hash password with bcryptjs
- * 4. Save user to MongoDB
- * 5. Generate JWT token
- * 6. Return token to client
+ * 4. Save user to MongoDB (plus their personal workspace), email a verification link
+ * 5. Start a session (access token + refresh token)
+ * 6. Return tokens to client
  */
 exports.register = async (req, res) => {
     try {
@@ -53,6 +125,10 @@ exports.register = async (req, res) => {
         if (!name || !email || !password) {
             return res.status(400).json({ message: "Name, email, and password are required" });
         }
+        const passwordError = validatePassword(password);
+        if (passwordError) {
+            return res.status(400).json({ message: passwordError });
+        }
 
         // --- Step 2: Check for Existing User ---
         // 409 = Conflict (resource already exists)
@@ -71,16 +147,24 @@ exports.register = async (req, res) => {
         // Password is NEVER stored in plain text
         const user = await User.create({ name, email, password: hashed });
 
-        // --- Step 5: Generate JWT Token ---
-        // Token will be used by client for future authenticated requests
-        const token = signToken(user);
+        // Every user starts in their own personal workspace
+        const workspace = await ensurePersonalWorkspace(user);
+        await User.updateOne({ _id: user._id }, { $set: { activeWorkspace: workspace._id } });
+
+        // Ask the user to confirm their email address (link valid for 48h by default)
+        await sendEmailSafely(sendVerificationEmail, user);
+
+        // --- Step 5: Start a Session + Generate Tokens ---
+        // Tokens will be used by client for future authenticated requests
+        const { session, refreshToken } = await createSession({ user, workspace, req });
 
         // --- Step 6: Return Success Response ---
         // 201 = Created (new resource was created)
         res.status(201).json({
             message: "User registered",
-            token,  // Client stores this
-            user: { id: user._id, name: user.name, email: user.email }
+            ...tokenResponse(user, workspace, session, refreshToken),  // Client stores these
+            user: publicUser(user),
+            workspace: workspaceSummary(workspace, user._id)
         });
     } catch (err) {
         res.status(500).json({ message: err.message || "Internal server error" });
@@ -98,8 +182,8 @@ exports.register = async (req, res) => {
  * 1. Validate input
  * 2. Find user by email
  * 3. Compare provided password with stored hash
- * 4. If match, generate token
- * 5. Return token to client
+ * 4. If match, start a session and generate tokens
+ * 5. Return tokens to client
  */
 exports.login = async (req, res) => {
     try {
@@ -129,16 +213,19 @@ exports.login = async (req, res) => {
             return res.status(401).json({ message: "Invalid credentials" });
         }
 
-        // --- Step 4: Generate JWT Token ---
-        // Password is correct, so generate token for this user
-        const token = signToken(user);
+        // --- Step 4: Start a Session + Generate Tokens ---
+        // Password is correct, so generate tokens for this user
+        // in the workspace they used last (or their personal one)
+        const workspace = await resolveActiveWorkspace(user);
+        const { session, refreshToken } = await createSession({ user, workspace, req });
 
         // --- Step 5: Return Success Response ---
         // 200 = OK (request succeeded)
         res.status(200).json({
             message: "Login successful",
-            token,  // Client stores this and uses it for authenticated requests
-            user: { id: user._id, name: user.name, email: user.email }
+            ...tokenResponse(user, workspace, session, refreshToken),  // Client stores these
+            user: publicUser(user),
+            workspace: workspaceSummary(workspace, user._id)
         });
     } catch (err) {
         res.status(500).json({ message: err.message || "Internal server error" });
@@ -146,17 +233,340 @@ exports.login = async (req, res) => {
 };
 
 
+/**
+ * Refresh Function
+ * Purpose: Trade a refresh token for a new access token
+ * 
+ * Request: POST /api/auth/refresh
+ * Body: { refreshToken }
+ * 
+ * Refresh tokens are ONE-TIME: the response contains a new refresh token
+ * and the old one stops working. Replaying an old one revokes the session
+ * (someone may have stolen it), see services/sessions.js.
+ * 
+ * Returns: { token, refreshToken, expiresIn, workspace }
+ */
+exports.refresh = async (req, res, next) => {
+    try {
+        const { refreshToken } = req.body;
+        if (!refreshToken) {
+            return res.status(400).json({ message: "refreshToken is required" });
+        }
+
+        // --- Step 1: Rotate the Refresh Token ---
+        const { error, session, refreshToken: nextRefreshToken } = await rotateRefreshToken(String(refreshToken));
+        if (error) {
+            return res.status(401).json({ message: error });
+        }
+
+        const user = await User.findById(session.user);
+        if (!user) {
+            await revokeSession({ _id: session._id }, "user-deleted");
+            return res.status(401).json({ message: "Invalid or expired refresh token" });
+        }
+
+        // --- Step 2: Keep the Session's Workspace (if still a member) ---
+        const membership = await findMembership(session.workspace, user._id);
+        const workspace = membership ? membership.workspace : await resolveActiveWorkspace(user);
+        if (!membership) {
+            await Session.updateOne({ _id: session._id }, { $set: { workspace: workspace._id } });
+        }
+
+        res.status(200).json({
+            ...tokenResponse(user, workspace, session, nextRefreshToken),
+            workspace: workspaceSummary(workspace, user._id)
+        });
+    } catch (err) {
+        next(err);
+    }
+};
+
 /**
  * Logout Function
- * Purpose: Inform client that logout is successful
- * 
- * Why is logout simple?
- * - JWTs are STATELESS: The server doesn't store token lists
- * - To logout, client just deletes the token from localStorage
- * - Without the token, client can't make authenticated requests
- * - Server will reject requests without valid token via auth middleware
- */
-exports.logout = async (req, res) => {
-    // Client responsibility: Delete token from localStorage/sessionStorage
-    res.status(200).json({ message: "Logout successful. Please delete the token on client side." });
-}
+ * Purpose: End the session of this device
+ * 
+ * Request: POST /api/auth/logout
+ * Body: { refreshToken }
+ * 
+ * Works without a valid access token (it may already have expired).
+ * The session is revoked on the server: its refresh token and every
+ * access token issued for it stop working immediately.
+ * The client should still delete both tokens.
+ */
+exports.logout = async (req, res, next) => {
+    try {
+        const { refreshToken } = req.body;
+        if (!refreshToken) {
+            return res.status(400).json({ message: "refreshToken is required" });
+        }
+
+        // Unknown or already ended sessions: logging out is still "successful"
+        const session = await findSessionByRefreshToken(String(refreshToken));
+        if (session) {
+            await revokeSession({ _id: session._id });
+        }
+
+        res.status(200).json({ message: "Logout successful" });
+    } catch (err) {
+        next(err);
+    }
+};
+
+/**
+ * Logout All Function
+ * Purpose: "Log out of all devices"
+ * 
+ * Request: POST /api/auth/logout-all
+ * Auth: Required
+ * Body: { keepCurrent?: true } - stay logged in on this device
+ * 
+ * Returns: { message, revoked: <number of sessions ended> }
+ */
+exports.logoutAll = async (req, res, next) => {
+    try {
+        const except = req.body && req.body.keepCurrent ? req.user.sid : undefined;
+        const revoked = await revokeUserSessions(req.user.id, "logout-all", { except });
+
+        res.status(200).json({ message: "Logged out of all devices", revoked });
+    } catch (err) {
+        next(err);
+    }
+};
+
+/**
+ * Get Sessions Function
+ * Purpose: The devices the user is logged in on
+ * 
+ * Request: GET /api/auth/sessions
+ * Auth: Required
+ * Returns: { sessions: [{ _id, userAgent, ip, createdAt, lastUsedAt, expiresAt, current }] }
+ */
+exports.getSessions = async (req, res, next) => {
+    try {
+        const sessions = await Session.find({
+            user: req.user.id,
+            revokedAt: null,
+            expiresAt: { $gt: new Date() }
+        })
+            .select("userAgent ip createdAt lastUsedAt expiresAt")
+            .sort({ lastUsedAt: -1 });
+
+        res.status(200).json({
+            sessions: sessions.map((s) => ({
+                ...s.toObject(),
+                current: String(s._id) === String(req.user.sid)
+            }))
+        });
+    } catch (err) {
+        next(err);
+    }
+};
+
+/**
+ * Delete Session Function
+ * Purpose: Log out one specific device from the session list
+ * 
+ * Request: DELETE /api/auth/sessions/:id
+ * Auth: Required
+ */
+exports.deleteSession = async (req, res, next) => {
+    try {
+        if (!mongoose.isValidObjectId(req.params.id)) {
+            return res.status(404).json({ message: "Session not found" });
+        }
+
+        // user filter: people can only end their own sessions
+        const revoked = await revokeSession({ _id: req.params.id, user: req.user.id });
+        if (!revoked) {
+            return res.status(404).json({ message: "Session not found" });
+        }
+
+        res.status(200).json({ message: "Session revoked" });
+    } catch (err) {
+        next(err);
+    }
+};
+
+/**
+ * Verify Email Function
+ * Purpose: Confirm the email address with the emailed token
+ * 
+ * Request: POST /api/auth/verify-email
+ * Body: { token }
+ * 
+ * The token only verifies the address it was sent to: if the user changed
+ * their email since, the old link does nothing.
+ * 
+ * Returns: { message, user }
+ */
+exports.verifyEmail = async (req, res, next) => {
+    try {
+        const record = await consumeUserToken(req.body.token, "email-verification");
+        if (!record) {
+            return res.status(400).json({ message: "Invalid or expired verification link" });
+        }
+
+        const user = await User.findOneAndUpdate(
+            { _id: record.user, email: record.email },
+            { $set: { emailVerified: true, emailVerifiedAt: new Date() } },
+            { new: true }
+        );
+        if (!user) {
+            return res.status(400).json({ message: "Invalid or expired verification link" });
+        }
+
+        res.status(200).json({ message: "Email verified", user: publicUser(user) });
+    } catch (err) {
+        next(err);
+    }
+};
+
+/**
+ * Resend Verification Function
+ * Purpose: Send a new verification email (older links stop working)
+ * 
+ * Request: POST /api/auth/resend-verification
+ * Auth: Required
+ */
+exports.resendVerification = async (req, res, next) => {
+    try {
+        const user = await User.findById(req.user.id);
+        if (!user) {
+            return res.status(401).json({ message: "Invalid or expired token" });
+        }
+        if (user.emailVerified) {
+            return res.status(400).json({ message: "Email is already verified" });
+        }
+
+        await sendVerificationEmail(user);
+        res.status(200).json({ message: "Verification email sent" });
+    } catch (err) {
+        next(err);
+    }
+};
+
+/**
+ * Forgot Password Function
+ * Purpose: Email a password reset link
+ * 
+ * Request: POST /api/auth/forgot-password
+ * Body: { email }
+ * 
+ * Security: The answer is the SAME whether or not the email has an account,
+ * so this endpoint can't be used to find out who is registered.
+ */
+exports.forgotPassword = async (req, res, next) => {
+    try {
+        const email = String(req.body.email || "").trim().toLowerCase();
+        if (!email) {
+            return res.status(400).json({ message: "Email is required" });
+        }
+
+        const user = await User.findOne({ email });
+        if (user) {
+            await sendEmailSafely(sendPasswordResetEmail, user);
+        }
+
+        res.status(200).json({ message: "If an account exists for this email, a reset link has been sent" });
+    } catch (err) {
+        next(err);
+    }
+};
+
+/**
+ * Reset Password Function
+ * Purpose: Choose a new password with the emailed token
+ * 
+ * Request: POST /api/auth/reset-password
+ * Body: { token, password }
+ * 
+ * Steps:
+ * 1. Validate the new password
+ * 2. Use the token (single use, expires after PASSWORD_RESET_TTL_MINUTES)
+ * 3. Save the new password hash
+ * 4. Log out every session (whoever knew the old password is locked out)
+ * 
+ * Returns: { message } - the user logs in again with the new password
+ */
+exports.resetPassword = async (req, res, next) => {
+    try {
+        // --- Step 1: Validate Password ---
+        const { token, password } = req.body;
+        const passwordError = validatePassword(password);
+        if (passwordError) {
+            return res.status(400).json({ message: passwordError });
+        }
+
+        // --- Step 2: Use the Token ---
+        const record = await consumeUserToken(token, "password-reset");
+        if (!record) {
+            return res.status(400).json({ message: "Invalid or expired reset link" });
+        }
+
+        // --- Step 3: Save New Password ---
+        const user = await User.findByIdAndUpdate(record.user, {
+            $set: { password: await bcrypt.hash(password, 10), passwordChangedAt: new Date() }
+        });
+        if (!user) {
+            return res.status(400).json({ message: "Invalid or expired reset link" });
+        }
+
+        // --- Step 4: End All Sessions ---
+        await revokeUserSessions(user._id, "password-reset");
+
+        res.status(200).json({ message: "Password has been reset. Please log in with your new password." });
+    } catch (err) {
+        next(err);
+    }
+};
+
+/**
+ * Switch Workspace Function
+ * Purpose: Continue working in another workspace
+ * 
+ * Request: POST /api/auth/switch-workspace
+ * Auth: Required
+ * Body: { workspaceId }
+ * 
+ * The active workspace lives in the JWT, so switching = a NEW access token.
+ * The choice is also stored on the session (used by refresh) and on the
+ * user, so the next login starts there.
+ * 
+ * Returns: { token, workspace: { id, name, personal, role } } (the refresh token stays the same)
+ * Or: 404 if the workspace doesn't exist or the user isn't a member
+ */
+exports.switchWorkspace = async (req, res, next) => {
+    try {
+        const { workspaceId } = req.body;
+        if (!mongoose.isValidObjectId(workspaceId)) {
+            return res.status(400).json({ message: "A valid workspaceId is required" });
+        }
+
+        const membership = await findMembership(workspaceId, req.user.id);
+        if (!membership) {
+            return res.status(404).json({ message: "Workspace not found" });
+        }
+
+        const user = await User.findByIdAndUpdate(
+            req.user.id,
+            { $set: { activeWorkspace: membership.workspace._id } },
+            { new: true }
+        );
+        if (!user) {
+            return res.status(401).json({ message: "Invalid or expired token" });
+        }
+
+        const session = await Session.findByIdAndUpdate(
+            req.user.sid,
+            { $set: { workspace: membership.workspace._id } },
+            { new: true }
+        );
+
+        res.status(200).json({
+            token: signToken(user, membership.workspace, session),
+            workspace: workspaceSummary(membership.workspace, user._id)
+        });
+    } catch (err) {
+        next(err);
+    }
+};
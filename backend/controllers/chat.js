@@ -0,0 +1,210 @@
+/**
+ * Chat Controller
+ * This file handles question answering over documents (RAG):
+ * - Validating the question
+ * - Retrieving relevant chunks and generating an answer
+ * - Saving the question/answer pair to the Chat collection
+ * - Streaming answers token by token (Server-Sent Events)
+ *
+ * The document is loaded and access-checked before these functions run:
+ * - requireDocumentRole("viewer") for logged-in users (middlewares/access.js)
+ * - requireShareLink for read-only share links (no login)
+ */
+
+const Chat = require("../models/Chat");
+const { answerQuestion, parseAskOptions, citationLinks } = require("../services/rag");
+const { isDocumentReady } = require("../services/ingest");
+const { openEventStream } = require("../services/sse");
+const { recordLlmUsage } = require("../services/quotas");
+
+/**
+ * Helper Function: prepareAsk
+ * Purpose: Validation shared by the normal and the streaming ask endpoints
+ *
+ * Steps:
+ * 1. Validate the question and retrieval options
+ * 2. Take the document loaded by the access middleware
+ * 3. Make sure the document has finished processing
+ *
+ * Returns: { document, question, topK, retrieval, annotationOwner } or { error: { status, message } }
+ */
+const prepareAsk = async (req) => {
+    // --- Step 1: Validate Input ---
+    const { error, question, topK, retrieval, includeAnnotations } = parseAskOptions(req.body);
+    if (error) {
+        return { error: { status: 400, message: error } };
+    }
+
+    // --- Step 2: Document ---
+    // Loaded and access-checked by requireDocumentRole("viewer") or requireShareLink
+    const document = req.document;
+
+    // --- Step 3: Check Processing Status ---
+    // Questions need chunks + embeddings, which exist once processing is done
+    // 409 = Conflict (the document is not in a state that allows this yet)
+    if (!isDocumentReady(document)) {
+        return {
+            error: {
+                status: 409,
+                message: `Document is not ready yet (status: ${document.status})`,
+                documentStatus: document.status
+            }
+        };
+    }
+
+    // Annotations belong to a user: share link readers have none
+    const annotationOwner = includeAnnotations && req.user ? req.user.id : undefined;
+
+    return { document, question, topK, retrieval, annotationOwner };
+};
+
+/**
+ * Helper Function: saveChat
+ * Purpose: Store the question/answer pair (citations without their text)
+ */
+const saveChat = (req, document, question, result) => Chat.create({
+    documentId: document._id,
+    documentVersion: document.version,                // The version the question was asked against
+    owner: req.user ? req.user.id : undefined,        // No user when asked via a share link
+    workspace: document.workspace,
+    shareLinkId: req.shareLink ? req.shareLink._id : undefined,
+    question,
+    answer: result.answer,
+    sources: result.sources.map(({ text, ...source }) => source),
+    llm: result.model
+});
+
+/**
+ * Helper Function: recordUsage
+ * Purpose: Count the answer's LLM tokens against the monthly quota
+ * Questions asked through a share link are charged to the document's owner
+ */
+const recordUsage = (req, document, result) =>
+    recordLlmUsage(req.user ? req.user.id : document.owner, result.usage);
+
+/**
+ * Helper Function: responseSources
+ * Purpose: Citations for the response. Share link readers can't open
+ * /api/documents/..., so their links point to the share link routes.
+ */
+const responseSources = (req, result) => (req.shareLink
+    ? result.sources.map((source) => ({
+        ...source,
+        links: citationLinks(`/api/shared/${req.params.token}`, source.pageStart, source.documentVersion)
+    }))
+    : result.sources);
+
+/**
+ * Ask Document Function
+ * Purpose: Answer a question using the content of one document
+ *
+ * Request: POST /api/documents/:id/ask (or POST /api/shared/:token/ask)
+ * Auth: Required (viewer role) or a valid share link
+ * Body: {
+ *   question: "What is the notice period?",
+ *   topK: 5,
+ *   retrieval: { mode: "hybrid" | "vector" | "keyword", vectorWeight: 1, keywordWeight: 1 },
+ *   includeAnnotations: true   // Add your notes and highlights to the context (not via share links)
+ * }
+ *
+ * Steps:
+ * 1. Validate the request and find the document (prepareAsk)
+ * 2. Retrieve chunks + generate the answer (services/rag.js)
+ * 3. Save question/answer to Chat
+ * 4. Return the answer with cited chunks (page numbers, links that open
+ *    the cited page, scores and which search method found each chunk, for debugging)
+ *
+ * Returns: { chatId, question, answer, sources: [...], annotations? }
+ * annotations: The notes and highlights that were used ([{ annotationId, documentId, type, page }])
+ */
+exports.askDocument = async (req, res, next) => {
+    try {
+        // --- Step 1: Validate + Find Document ---
+        const { error, document, question, topK, retrieval, annotationOwner } = await prepareAsk(req);
+        if (error) {
+            const { status, message, documentStatus } = error;
+            return res.status(status).json({ message, status: documentStatus });
+        }
+
+        // --- Step 2: Retrieve + Generate ---
+        const result = await answerQuestion({ documents: [document], question, topK, retrieval, annotationOwner });
+        await recordUsage(req, document, result);
+
+        // --- Step 3: Save Conversation Row ---
+        const chat = await saveChat(req, document, question, result);
+
+        // --- Step 4: Return Answer + Citations ---
+        res.status(200).json({
+            chatId: chat._id,
+            question,
+            answer: result.answer,
+            sources: responseSources(req, result),
+            annotations: result.annotations
+        });
+    } catch (err) {
+        next(err);
+    }
+};
+
+/**
+ * Ask Document (Streaming) Function
+ * Purpose: Same as askDocument, but streams the answer as it is generated
+ *
+ * Request: POST /api/documents/:id/ask/stream
+ * Auth: Required
+ * Body: Same as POST /api/documents/:id/ask
+ *
+ * Response: Server-Sent Events (text/event-stream)
+ *   event: token   data: { "text": "The notice " }        (many times)
+ *   event: done    data: { chatId, question, answer, sources: [...] }
+ *   event: error   data: { "message": "..." }             (if generation fails)
+ *
+ * Validation errors (400/404/409) are returned as normal JSON before the stream starts.
+ */
+exports.askDocumentStream = async (req, res, next) => {
+    let stream = null;
+
+    try {
+        // --- Step 1: Validate + Find Document ---
+        const { error, document, question, topK, retrieval, annotationOwner } = await prepareAsk(req);
+        if (error) {
+            const { status, message, documentStatus } = error;
+            return res.status(status).json({ message, status: documentStatus });
+        }
+
+        // --- Step 2: Open the Event Stream ---
+        stream = openEventStream(req, res);
+
+        // --- Step 3: Retrieve + Generate, forwarding tokens as they arrive ---
+        const result = await answerQuestion({
+            documents: [document],
+            question,
+            topK,
+            retrieval,
+            annotationOwner,
+            onToken: (text) => stream.send("token", { text })
+        });
+        await recordUsage(req, document, result);
+
+        // --- Step 4: Save Conversation Row ---
+        const chat = await saveChat(req, document, question, result);
+
+        // --- Step 5: Final Event with Citations ---
+        stream.send("done", {
+            chatId: chat._id,
+            question,
+            answer: result.answer,
+            sources: responseSources(req, result),
+            annotations: result.annotations
+        });
+        stream.close();
+    } catch (err) {
+        // Once streaming started, headers are sent: report the error as an event
+        if (stream) {
+            console.error('[ERROR]', err);
+            stream.send("error", { message: err.message || "Internal server error" });
+            return stream.close();
+        }
+        next(err);
+    }
+};
@@ -0,0 +1,359 @@
+/**
+ * Collection Controller
+ * This file handles collections (folders) of documents:
+ * - Creating, listing, updating and deleting collections
+ * - Adding/removing documents
+ * - Asking questions across every document of a collection
+ *
+ * Every query is scoped to the active workspace (req.workspace, see
+ * middlewares/workspace.js): all members see and use its collections.
+ * Renaming and deleting is left to the creator and workspace admins.
+ */
+
+const mongoose = require("mongoose");
+const Collection = require("../models/Collection");
+const Document = require("../models/Document");
+const Chat = require("../models/Chat");
+const { answerQuestion, parseAskOptions } = require("../services/rag");
+const { isDocumentReady } = require("../services/ingest");
+const { recordLlmUsage } = require("../services/quotas");
+const { getDocumentRole, hasRole } = require("../middlewares/access");
+
+// Fields shown when listing documents (page text is left out: it can be huge)
+const DOCUMENT_SUMMARY_FIELDS = "originalName fileType status createdAt";
+
+/**
+ * Helper Function: isDuplicateKeyError
+ * MongoDB error 11000 = unique index violation (same collection name twice)
+ */
+const isDuplicateKeyError = (err) => err && err.code === 11000;
+
+/**
+ * Helper Function: canManage
+ * The creator of a collection and workspace admins may change or delete it
+ */
+const canManage = (collection, req) =>
+    String(collection.owner) === String(req.user.id) || req.workspaceRole === "admin";
+
+/**
+ * Helper Function: canEditDocument
+ * Filing a document changes it (Document.collections): the editor role is needed
+ */
+const canEditDocument = (document, req) => hasRole(
+    getDocumentRole(document, req.user.id, { id: req.workspace._id, role: req.workspaceRole }),
+    "editor"
+);
+
+/**
+ * Helper Function: findCollection
+ * Purpose: The collection in :id, if it belongs to the active workspace
+ */
+const findCollection = (req) => (mongoose.isValidObjectId(req.params.id)
+    ? Collection.findOne({ _id: req.params.id, workspace: req.workspace._id })
+    : null);
+
+/**
+ * Create Collection Function
+ *
+ * Request: POST /api/collections
+ * Body: { name: "Supplier contracts", description? }
+ * Returns: 201 { collection }
+ */
+exports.createCollection = async (req, res, next) => {
+    try {
+        const name = (req.body.name || "").trim();
+        if (!name) {
+            return res.status(400).json({ message: "Name is required" });
+        }
+
+        const collection = await Collection.create({
+            owner: req.user.id,
+            workspace: req.workspace._id,
+            name,
+            description: req.body.description || ""
+        });
+
+        res.status(201).json({ collection });
+    } catch (err) {
+        if (isDuplicateKeyError(err)) {
+            return res.status(409).json({ message: "A collection with this name already exists" });
+        }
+        next(err);
+    }
+};
+
+/**
+ * Get Collections Function
+ * Purpose: List the workspace's collections with the number of documents in each
+ *
+ * Request: GET /api/collections
+ * Returns: { collections: [{ _id, name, description, documentCount, ... }] }
+ */
+exports.getCollections = async (req, res, next) => {
+    try {
+        const collections = await Collection.find({ workspace: req.workspace._id }).sort({ name: 1 }).lean();
+
+        // Count documents per collection in one aggregation
+        const counts = await Document.aggregate([
+            { $match: { workspace: req.workspace._id, collections: { $ne: [] } } },
+            { $unwind: "$collections" },
+            { $group: { _id: "$collections", count: { $sum: 1 } } }
+        ]);
+        const countById = new Map(counts.map((c) => [String(c._id), c.count]));
+
+        res.status(200).json({
+            collections: collections.map((c) => ({ ...c, documentCount: countById.get(String(c._id)) || 0 }))
+        });
+    } catch (err) {
+        next(err);
+    }
+};
+
+/**
+ * Get Collection By ID Function
+ *
+ * Request: GET /api/collections/:id
+ * Returns: { collection, documents: [{ _id, originalName, fileType, status, createdAt }] }
+ */
+exports.getCollectionById = async (req, res, next) => {
+    try {
+        const collection = await findCollection(req);
+        if (!collection) {
+            return res.status(404).json({ message: "Collection not found" });
+        }
+
+        const documents = await Document.find({ workspace: req.workspace._id, collections: collection._id })
+            .select(DOCUMENT_SUMMARY_FIELDS)
+            .sort({ createdAt: -1 });
+
+        res.status(200).json({ collection, documents });
+    } catch (err) {
+        next(err);
+    }
+};
+
+/**
+ * Update Collection Function
+ * Purpose: Rename a collection or change its description
+ *
+ * Request: PATCH /api/collections/:id
+ * Body: { name?, description? }
+ * Returns: { collection }
+ */
+exports.updateCollection = async (req, res, next) => {
+    try {
+        const update = {};
+        if (req.body.name !== undefined) {
+            const name = String(req.body.name).trim();
+            if (!name) {
+                return res.status(400).json({ message: "Name cannot be empty" });
+            }
+            update.name = name;
+        }
+        if (req.body.description !== undefined) {
+            update.description = String(req.body.description);
+        }
+
+        const collection = await findCollection(req);
+        if (!collection) {
+            return res.status(404).json({ message: "Collection not found" });
+        }
+        if (!canManage(collection, req)) {
+            return res.status(403).json({ message: "Only the creator or a workspace admin can change this collection" });
+        }
+
+        collection.set(update);
+        await collection.save();
+
+        res.status(200).json({ collection });
+    } catch (err) {
+        if (isDuplicateKeyError(err)) {
+            return res.status(409).json({ message: "A collection with this name already exists" });
+        }
+        next(err);
+    }
+};
+
+/**
+ * Delete Collection Function
+ * Purpose: Delete the folder. The documents themselves are kept.
+ *
+ * Request: DELETE /api/collections/:id
+ */
+exports.deleteCollection = async (req, res, next) => {
+    try {
+        const collection = await findCollection(req);
+        if (!collection) {
+            return res.status(404).json({ message: "Collection not found" });
+        }
+        if (!canManage(collection, req)) {
+            return res.status(403).json({ message: "Only the creator or a workspace admin can delete this collection" });
+        }
+
+        await Collection.deleteOne({ _id: collection._id });
+        await Document.updateMany(
+            { workspace: req.workspace._id, collections: collection._id },
+            { $pull: { collections: collection._id } }
+        );
+
+        res.status(200).json({ message: "Collection deleted successfully" });
+    } catch (err) {
+        next(err);
+    }
+};
+
+/**
+ * Add Documents Function
+ * Purpose: Put documents into a collection
+ *
+ * Request: POST /api/collections/:id/documents
+ * Auth: The collection's creator or a workspace admin, with the editor role on every document
+ * Body: { documentIds: ["...", "..."] }
+ * Returns: { added: 2 }
+ */
+exports.addDocuments = async (req, res, next) => {
+    try {
+        const { documentIds } = req.body;
+        if (!Array.isArray(documentIds) || documentIds.length === 0
+            || !documentIds.every((id) => mongoose.isValidObjectId(id))) {
+            return res.status(400).json({ message: "documentIds must be a non-empty array of ids" });
+        }
+
+        const collection = await findCollection(req);
+        if (!collection) {
+            return res.status(404).json({ message: "Collection not found" });
+        }
+        if (!canManage(collection, req)) {
+            return res.status(403).json({ message: "Only the creator or a workspace admin can change this collection" });
+        }
+
+        // workspace filter: documents of other workspaces are silently not matched
+        const documents = await Document.find({ _id: { $in: documentIds }, workspace: req.workspace._id })
+            .select("owner workspace members");
+        if (!documents.every((document) => canEditDocument(document, req))) {
+            return res.status(403).json({ message: "This action requires the editor role on every document" });
+        }
+
+        const result = await Document.updateMany(
+            { _id: { $in: documents.map((d) => d._id) } },
+            { $addToSet: { collections: collection._id } }
+        );
+
+        res.status(200).json({ added: result.modifiedCount });
+    } catch (err) {
+        next(err);
+    }
+};
+
+/**
+ * Remove Document Function
+ *
+ * Request: DELETE /api/collections/:id/documents/:documentId
+ * Auth: The collection's creator or a workspace admin, with the editor role on the document
+ */
+exports.removeDocument = async (req, res, next) => {
+    try {
+        if (!mongoose.isValidObjectId(req.params.documentId)) {
+            return res.status(404).json({ message: "Document not found in this collection" });
+        }
+
+        const collection = await findCollection(req);
+        if (!collection) {
+            return res.status(404).json({ message: "Collection not found" });
+        }
+        if (!canManage(collection, req)) {
+            return res.status(403).json({ message: "Only the creator or a workspace admin can change this collection" });
+        }
+
+        const document = await Document.findOne({
+            _id: req.params.documentId,
+            workspace: req.workspace._id,
+            collections: collection._id
+        }).select("owner workspace members");
+        if (!document) {
+            return res.status(404).json({ message: "Document not found in this collection" });
+        }
+        if (!canEditDocument(document, req)) {
+            return res.status(403).json({ message: "This action requires the editor role on the document" });
+        }
+
+        await Document.updateOne(
+            { _id: document._id },
+            { $pull: { collections: collection._id } }
+        );
+
+        res.status(200).json({ message: "Document removed from collection" });
+    } catch (err) {
+        next(err);
+    }
+};
+
+/**
+ * Ask Collection Function
+ * Purpose: Answer a question using ALL processed documents of a collection
+ *
+ * Request: POST /api/collections/:id/ask
+ * Body: { question, topK?, retrieval?, includeAnnotations? } (same as POST /api/documents/:id/ask)
+ *
+ * Documents that are still processing (or failed) are skipped and listed
+ * in `skippedDocuments`, so the UI can explain why they weren't used.
+ *
+ * Returns: { chatId, question, answer, sources: [{ documentId, documentName, pageStart, ... }], annotations?, skippedDocuments }
+ */
+exports.askCollection = async (req, res, next) => {
+    try {
+        const { error, question, topK, retrieval, includeAnnotations } = parseAskOptions(req.body);
+        if (error) {
+            return res.status(400).json({ message: error });
+        }
+
+        const collection = await findCollection(req);
+        if (!collection) {
+            return res.status(404).json({ message: "Collection not found" });
+        }
+
+        const documents = await Document.find({ workspace: req.workspace._id, collections: collection._id })
+            .select("-extractedText");
+        const ready = documents.filter(isDocumentReady);
+        const skippedDocuments = documents
+            .filter((d) => !isDocumentReady(d))
+            .map((d) => ({ _id: d._id, originalName: d.originalName, status: d.status }));
+
+        if (ready.length === 0) {
+            return res.status(409).json({
+                message: "This collection has no processed documents yet",
+                skippedDocuments
+            });
+        }
+
+        const result = await answerQuestion({
+            documents: ready,
+            question,
+            topK,
+            retrieval,
+            annotationOwner: includeAnnotations ? req.user.id : undefined
+        });
+        await recordLlmUsage(req.user.id, result.usage);
+
+        const chat = await Chat.create({
+            collectionId: collection._id,
+            owner: req.user.id,
+            workspace: req.workspace._id,
+            question,
+            answer: result.answer,
+            sources: result.sources.map(({ text, ...source }) => source),
+            llm: result.model
+        });
+
+        res.status(200).json({
+            chatId: chat._id,
+            question,
+            answer: result.answer,
+            sources: result.sources,
+            annotations: result.annotations,
+            skippedDocuments
+        });
+    } catch (err) {
+        next(err);
+    }
+};
@@ -0,0 +1,314 @@
+/**
+ * Conversation Controller
+ * This file handles multi-turn chat sessions:
+ * - Creating, listing, renaming and deleting conversations
+ * - Continuing a conversation: follow-up questions are rewritten into
+ *   standalone questions (services/rewriter.js) before retrieval
+ *
+ * Conversations belong to one user (owner: req.user.id) inside the active
+ * workspace (req.workspace, see middlewares/workspace.js). Their documents may
+ * be the user's own, shared with them, or documents of that workspace.
+ */
+
+const mongoose = require("mongoose");
+const Conversation = require("../models/Conversation");
+const Document = require("../models/Document");
+const Chat = require("../models/Chat");
+const { answerQuestion, parseAskOptions } = require("../services/rag");
+const { rewriteQuestion, HISTORY_TURNS } = require("../services/rewriter");
+const { recordLlmUsage } = require("../services/quotas");
+const { isDocumentReady } = require("../services/ingest");
+const { accessibleDocumentsFilter } = require("../middlewares/access");
+
+const MAX_TITLE_LENGTH = 120;
+
+/**
+ * Helper Function: ownConversationFilter
+ * Purpose: "The conversation in :id, if it is the user's, in the active workspace"
+ * (handlers answer 404 for a malformed :id before querying)
+ */
+const ownConversationFilter = (req) => ({
+    _id: req.params.id,
+    owner: req.user.id,
+    workspace: req.workspace._id
+});
+
+/**
+ * Helper Function: findAccessibleDocuments
+ * Purpose: Load the requested documents, making sure the user can view ALL of them
+ * (owned or shared with them, see middlewares/access.js)
+ * Returns: The documents, or null if any id is invalid or not accessible
+ */
+const findAccessibleDocuments = async (ids, userId, workspaceId) => {
+    const uniqueIds = [...new Set(ids.map(String))];
+    if (!uniqueIds.every((id) => mongoose.isValidObjectId(id))) return null;
+
+    const documents = await Document.find({ _id: { $in: uniqueIds }, ...accessibleDocumentsFilter(userId, workspaceId) });
+    return documents.length === uniqueIds.length ? documents : null;
+};
+
+/**
+ * Create Conversation Function
+ * Purpose: Start a new conversation about one or more documents
+ *
+ * Request: POST /api/conversations
+ * Body: { documentIds: ["..."], title?: "Contract questions" }
+ *
+ * Returns: 201 { conversation }
+ */
+exports.createConversation = async (req, res, next) => {
+    try {
+        const { documentIds, title } = req.body;
+
+        if (!Array.isArray(documentIds) || documentIds.length === 0) {
+            return res.status(400).json({ message: "documentIds must be a non-empty array" });
+        }
+        if (title !== undefined && typeof title !== "string") {
+            return res.status(400).json({ message: "title must be a string" });
+        }
+
+        const documents = await findAccessibleDocuments(documentIds, req.user.id, req.workspace._id);
+        if (!documents) {
+            return res.status(404).json({ message: "Document not found" });
+        }
+
+        const conversation = await Conversation.create({
+            owner: req.user.id,
+            workspace: req.workspace._id,
+            documents: documents.map((d) => d._id),
+            ...(title && title.trim() ? { title: title.trim().slice(0, MAX_TITLE_LENGTH) } : {})
+        });
+
+        res.status(201).json({ conversation });
+    } catch (err) {
+        next(err);
+    }
+};
+
+/**
+ * Get Conversations Function
+ * Purpose: List the user's conversations, most recently active first
+ *
+ * Request: GET /api/conversations
+ * Returns: { conversations: [...] }
+ */
+exports.getConversations = async (req, res, next) => {
+    try {
+        const conversations = await Conversation.find({ owner: req.user.id, workspace: req.workspace._id })
+            .sort({ updatedAt: -1 });
+
+        res.status(200).json({ conversations });
+    } catch (err) {
+        next(err);
+    }
+};
+
+/**
+ * Get Conversation By ID Function
+ * Purpose: One conversation with all its messages, in order
+ *
+ * Request: GET /api/conversations/:id
+ * Returns: { conversation, messages: [...] }
+ */
+exports.getConversationById = async (req, res, next) => {
+    try {
+        if (!mongoose.isValidObjectId(req.params.id)) {
+            return res.status(404).json({ message: "Conversation not found" });
+        }
+        const conversation = await Conversation.findOne(ownConversationFilter(req))
+            .populate("documents", "originalName status");
+
+        if (!conversation) {
+            return res.status(404).json({ message: "Conversation not found" });
+        }
+
+        const messages = await Chat.find({ conversationId: conversation._id })
+            .sort({ sequence: 1 });
+
+        res.status(200).json({ conversation, messages });
+    } catch (err) {
+        next(err);
+    }
+};
+
+/**
+ * Rename Conversation Function
+ *
+ * Request: PATCH /api/conversations/:id
+ * Body: { title: "New name" }
+ * Returns: { conversation }
+ */
+exports.renameConversation = async (req, res, next) => {
+    try {
+        if (!mongoose.isValidObjectId(req.params.id)) {
+            return res.status(404).json({ message: "Conversation not found" });
+        }
+        if (req.body.title !== undefined && typeof req.body.title !== "string") {
+            return res.status(400).json({ message: "title must be a string" });
+        }
+        const title = (req.body.title || "").trim();
+        if (!title) {
+            return res.status(400).json({ message: "Title is required" });
+        }
+
+        const conversation = await Conversation.findOneAndUpdate(
+            ownConversationFilter(req),
+            { $set: { title: title.slice(0, MAX_TITLE_LENGTH) } },
+            { new: true }
+        );
+
+        if (!conversation) {
+            return res.status(404).json({ message: "Conversation not found" });
+        }
+
+        res.status(200).json({ conversation });
+    } catch (err) {
+        next(err);
+    }
+};
+
+/**
+ * Continue Conversation Function
+ * Purpose: Ask the next question in a conversation
+ *
+ * Request: POST /api/conversations/:id/messages
+ * Body: { question, topK?, retrieval?, includeAnnotations? } (same as POST /api/documents/:id/ask)
+ *
+ * Steps:
+ * 1. Validate the question and find the conversation (owner-scoped)
+ * 2. Check that all of its documents are processed
+ * 3. Load the recent history and rewrite the question to stand alone
+ * 4. Retrieve + generate over all documents of the conversation
+ * 5. Save the message with the next sequence number
+ *
+ * Returns: 201 { message: { _id, sequence, question, standaloneQuestion, answer, sources, annotations? } }
+ */
+exports.addMessage = async (req, res, next) => {
+    try {
+        // --- Step 1: Validate + Find Conversation ---
+        if (!mongoose.isValidObjectId(req.params.id)) {
+            return res.status(404).json({ message: "Conversation not found" });
+        }
+        const { error, question, topK, retrieval, includeAnnotations } = parseAskOptions(req.body);
+        if (error) {
+            return res.status(400).json({ message: error });
+        }
+
+        const conversation = await Conversation.findOne(ownConversationFilter(req));
+        if (!conversation) {
+            return res.status(404).json({ message: "Conversation not found" });
+        }
+
+        // --- Step 2: Documents Must Be Processed ---
+        // Documents unshared since the conversation started are left out
+        const documents = await Document.find({
+            _id: { $in: conversation.documents },
+            ...accessibleDocumentsFilter(req.user.id, req.workspace._id)
+        });
+        if (documents.length === 0) {
+            return res.status(409).json({ message: "The documents of this conversation no longer exist" });
+        }
+        const pending = documents.find((d) => !isDocumentReady(d));
+        if (pending) {
+            return res.status(409).json({
+                message: `Document "${pending.originalName}" is not ready yet (status: ${pending.status})`,
+                status: pending.status
+            });
+        }
+
+        // --- Step 3: History-Aware Question Rewriting ---
+        const history = (await Chat.find({ conversationId: conversation._id })
+            .sort({ sequence: -1 })
+            .limit(HISTORY_TURNS)
+            .select("question standaloneQuestion answer"))
+            .reverse();
+
+        const rewrite = await rewriteQuestion({ question, history });
+        const { standaloneQuestion } = rewrite;
+
+        // --- Step 4: Retrieve + Generate ---
+        const result = await answerQuestion({
+            documents,
+            question: standaloneQuestion,
+            history,
+            topK,
+            retrieval,
+            annotationOwner: includeAnnotations ? req.user.id : undefined
+        });
+
+        // Count the tokens of the rewrite AND the answer against the monthly quota
+        await recordLlmUsage(req.user.id, {
+            promptTokens: rewrite.usage.promptTokens + result.usage.promptTokens,
+            completionTokens: rewrite.usage.completionTokens + result.usage.completionTokens
+        });
+
+        // --- Step 5: Save Message in Order ---
+        // $inc is atomic, so two questions sent at once still get different numbers
+        const updated = await Conversation.findOneAndUpdate(
+            { _id: conversation._id },
+            {
+                $inc: { messageCount: 1 },
+                $set: {
+                    lastMessageAt: new Date(),
+                    // Name new conversations after their first question
+                    ...(conversation.messageCount === 0 && conversation.title === "New conversation"
+                        ? { title: question.slice(0, MAX_TITLE_LENGTH) }
+                        : {})
+                }
+            },
+            { new: true }
+        );
+
+        const message = await Chat.create({
+            conversationId: conversation._id,
+            sequence: updated.messageCount - 1,
+            documentId: documents.length === 1 ? documents[0]._id : undefined,
+            owner: req.user.id,
+            workspace: conversation.workspace,
+            question,
+            standaloneQuestion,
+            answer: result.answer,
+            sources: result.sources.map(({ text, ...source }) => source),
+            llm: result.model
+        });
+
+        res.status(201).json({
+            message: {
+                _id: message._id,
+                sequence: message.sequence,
+                question,
+                standaloneQuestion,
+                answer: result.answer,
+                sources: result.sources,
+                annotations: result.annotations
+            }
+        });
+    } catch (err) {
+        next(err);
+    }
+};
+
+/**
+ * Delete Conversation Function
+ * Purpose: Delete a conversation and all of its messages
+ *
+ * Request: DELETE /api/conversations/:id
+ * Returns: { message: "Conversation deleted successfully" }
+ */
+exports.deleteConversation = async (req, res, next) => {
+    try {
+        if (!mongoose.isValidObjectId(req.params.id)) {
+            return res.status(404).json({ message: "Conversation not found" });
+        }
+        const conversation = await Conversation.findOneAndDelete(ownConversationFilter(req));
+        if (!conversation) {
+            return res.status(404).json({ message: "Conversation not found" });
+        }
+
+        await Chat.deleteMany({ conversationId: conversation._id });
+
+        res.status(200).json({ message: "Conversation deleted successfully" });
+    } catch (err) {
+        next(err);
+    }
+};
@@ -1,59 +1,71 @@
 /**
  * Document Controller
  * This file handles all document-related business logic:
- * - PDF upload and validation
- * - Text extraction from PDFs
- * - Storage to Cloudinary
+ * - Document upload (PDF, DOCX, TXT, Markdown, HTML)
+ * - Storage of the original file (Cloudinary, local disk or S3, see services/storage)
+ * - Queueing documents for background processing (text extraction, chunking, embedding)
+ * - Serving the original file and the extracted text of single pages
+ * - Reprocessing (rebuilding text, chunks and embeddings from the stored file)
+ * - Listing, filtering and searching documents, and tagging them
  * - Database operations (create, read, delete)
  * 
- * All functions require user authentication (via auth middleware)
+ * All functions require user authentication (via auth middleware).
+ * Per-document permissions are checked BEFORE these functions run, by
+ * requireDocumentRole in middlewares/access.js, which sets req.document.
  */
 
+const mongoose = require("mongoose");
 const Document = require("../models/Document");
-const pdf = require("pdf-parse");
-const axios = require("axios");
-const cloudinary = require("../config/cloudinary");
-const streamifier = require("streamifier");
+const { storeDocumentFile, readDocumentFile, documentFileUrl } = require("../services/storage");
+const { isInlineType } = require("../services/storage/inline");
+const { deleteDocument } = require("../services/deletion");
+const { enqueueIngestion, isDocumentProcessing } = require("../services/ingest");
+const { loadDocumentVersion } = require("../services/versions");
+const { hashContent } = require("../services/documentInfo");
+const { listDocuments, normalizeTag } = require("../services/documentList");
+const { subscribeToDocument } = require("../services/events");
+const { openEventStream } = require("../services/sse");
+
+// How often the event stream re-reads the status from MongoDB
+// (catches changes made by a worker running in another process)
+const EVENTS_POLL_MS = parseInt(process.env.DOCUMENT_EVENTS_POLL_MS, 10) || 3000;
+
+// Tags per document, and characters per tag
+const MAX_TAGS = 20;
+const MAX_TAG_LENGTH = 50;
 
 /**
- * Helper Function: cleanText
- * Purpose: Remove junk characters from extracted PDF text
- * 
- * Why clean?
- * - PDFs often contain encoding artifacts, special characters, form feeds
- * - Cleaning improves text quality for AI processing
- * 
- * Operations:
- * 1. /[^\x20-\x7E\n]/g: Remove non-ASCII characters (keep space, A-Z, 0-9, newline)
- * 2. /\s+/g: Replace multiple spaces with single space
- * 3. trim(): Remove leading/trailing whitespace
- * 
- * Example:
- * Input: "Hello  world\x00\x01"  (with null bytes and extra spaces)
- * Output: "Hello world"
+ * Helper Function: requestedVersion
+ * Purpose: The revision a request asks for with ?version=N (default: the current one)
+ * Returns: The Document, a DocumentVersion for older revisions, or null if there is no such version
  */
-const cleanText = (text) => {
-    return text
-        .replace(/[^\x20-\x7E\n]/g, "")  // Remove non-ASCII characters
-        .replace(/\s+/g, " ")             // Collapse multiple spaces to one
-        .trim();                          // Remove leading/trailing spaces
-};
+const requestedVersion = (req) => (req.query.version !== undefined
+    ? loadDocumentVersion(req.document, req.query.version)
+    : req.document);
 
 /**
  * Upload Document Function
- * Purpose: Upload PDF file(s), extract text, store on Cloudinary, save metadata to MongoDB
+ * Purpose: Store uploaded file(s) and queue them for background processing
  * 
  * Request: POST /api/documents/upload (form-data with file field)
  * Auth: Required (via auth middleware)
  * 
- * Complete Pipeline:
+ * Pipeline:
  * 1. Validate file(s) received (multer middleware already validated type/size)
- * 2. Extract text page-by-page from PDF
- * 3. Upload file buffer to Cloudinary
- * 4. Save document metadata + extracted text to MongoDB
- * 5. Return document details to client
+ * 2. Skip files the user already uploaded (same content hash, see below)
+ * 3. Store the file buffer with the configured storage driver
+ * 4. Save document metadata to MongoDB (status: "queued")
+ * 5. Enqueue an ingestion job (parse -> chunk -> embed happens in services/ingest.js)
+ * 6. Return 202 Accepted right away; clients follow `status` until "ready"
+ *
+ * Duplicates: a file identical to one of the user's documents in the active
+ * workspace (byte for byte, whatever its name) is not stored again. The existing document is returned
+ * instead, marked `duplicate: true`. Documents whose processing failed don't
+ * count, so uploading the file again retries it.
+ * Query: ?allowDuplicates=true stores a separate copy anyway.
  * 
- * Returns: { message, count, documents: [...] }
+ * Returns: { message, count, duplicates, documents: [...] }
+ * (200 instead of 202 when every file was a duplicate: nothing new to process)
  */
 exports.uploadDocument = async (req, res, next) => {
     try {
@@ -70,95 +82,68 @@ exports.uploadDocument = async (req, res, next) => {
 
         // Array to store processed documents
         const processedDocuments = [];
+        let duplicates = 0;
 
         // --- Step 2: Process Each File ---
         for (const file of files) {
-            // --- Step 2a: Extract Text Page-by-Page ---
-            // pdf-parse library provides pagerender callback for each page
-            const pages = [];
-            
-            const options = {
-                // pagerender: Called for each page in the PDF
-                pagerender: async (pageData) => {
-                    // Get all text items on this page
-                    const textContent = await pageData.getTextContent();
-                    
-                    // Track Y position to detect line breaks
-                    // (Items with same Y = same line)
-                    let lastY, text = '';
-                    
-                    // Loop through each text item
-                    for (let item of textContent.items) {
-                        // If on same line (or first item), append to current line
-                        if (lastY == item.transform[5] || !lastY) {
-                            text += item.str;
-                        } else {
-                            // Different Y position = new line
-                            text += '\n' + item.str;
-                        }
-                        // Remember Y position for next item
-                        lastY = item.transform[5];
-                    }
-                    
-                    // Store cleaned page content
-                    pages.push({ 
-                        page: pages.length + 1,           // 1-indexed page number
-                        content: cleanText(text)          // Remove junk characters
-                    });
-                    return text;
-                }
-            };
-
-            // Parse PDF and extract text via pagerender callback
-            await pdf(file.buffer, options);
-
-            // --- Step 2b: Upload File Buffer to Cloudinary ---
-            // Cloudinary uploader.upload_stream expects a stream, not a buffer
-            // We use upload_stream to avoid disk I/O (files stay in memory)
-            const uploadPromise = () => {
-                return new Promise((resolve, reject) => {
-                    const stream = cloudinary.uploader.upload_stream(
-                        { 
-                            folder: "doctalk/documents",    // Folder in Cloudinary
-                            resource_type: "raw"           // Type: raw file (not image/video)
-                        },
-                        (error, result) => {
-                            if (result) resolve(result);
-                            else reject(error);
-                        }
-                    );
-                    // Send file buffer to stream
-                    stream.end(file.buffer);
+            // --- Step 2a: Already Uploaded? ---
+            const contentHash = hashContent(file.buffer);
+            if (req.query.allowDuplicates !== "true") {
+                // Same workspace only: a copy in another workspace isn't listed here
+                const existing = await Document.findOne({
+                    owner: req.user.id,
+                    workspace: req.workspace._id,
+                    contentHash,
+                    status: { $ne: "failed" }
                 });
-            };
+                if (existing) {
+                    processedDocuments.push({ ...existing.toJSON(), duplicate: true });
+                    duplicates++;
+                    continue;
+                }
+            }
 
-            const cloudinaryResult = await uploadPromise();
+            // --- Step 2b: Store the File ---
+            // STORAGE_DRIVER decides where it goes (services/storage);
+            // we get back an adapter-neutral key, not a URL
+            const { storageDriver, storagePath } = await storeDocumentFile(file, { workspace: req.workspace._id });
 
             // --- Step 2c: Save Document to MongoDB ---
             // Create document record with:
             // - owner: User ID (for user scoping)
-            // - metadata: filename, type, storage URL
-            // - status: "processed" (text extraction completed)
-            // - extractedText: Array of pages with cleaned content
+            // - metadata: filename, type, storage key
+            // - status: "queued" (text is extracted later by the worker)
             const doc = await Document.create({
                 owner: req.user.id,                      // User who owns this document
+                workspace: req.workspace._id,            // Active workspace (requireWorkspace)
                 originalName: file.originalname,         // Original filename
-                fileType: "pdf",
-                storagePath: cloudinaryResult.secure_url,  // HTTPS URL from Cloudinary
-                status: "processed",                     // Text successfully extracted
-                extractedText: { pages }                 // Page-by-page text content
+                fileType: file.parserType,               // "pdf", "docx", "txt", "md" or "html"
+                mimeType: file.mimetype,
+                size: file.size,                         // Bytes (storage quota)
+                storageDriver,                           // "cloudinary", "local" or "s3"
+                storagePath,                             // Key inside that storage
+                contentHash,                             // SHA-256 of the file (duplicate uploads)
+                status: "queued"
             });
 
+            // --- Step 2d: Queue Background Processing ---
+            // Parsing, chunking and embedding happen in services/ingest.js
+            await enqueueIngestion(doc);
+
             processedDocuments.push(doc);
         }
 
-        // --- Step 3: Return Success Response ---
-        res.status(201).json({
-            message: "Document(s) uploaded and processed successfully",
+        // --- Step 3: Return Accepted Response ---
+        // 202 = Accepted (processing continues in the background)
+        const allDuplicates = duplicates === processedDocuments.length;
+        res.status(allDuplicates ? 200 : 202).json({
+            message: allDuplicates
+                ? "Document(s) already uploaded"
+                : "Document(s) uploaded and queued for processing",
             count: processedDocuments.length,
+            duplicates,
             documents: processedDocuments
         });
-        console.log("Processed Documents:", processedDocuments);
     } catch (err) {
         // Pass error to global error handler middleware
         next(err);
@@ -168,28 +153,49 @@ exports.uploadDocument = async (req, res, next) => {
 
 /**
  * Get Documents Function
- * Purpose: Retrieve all documents owned by the authenticated user
+ * Purpose: Retrieve the documents of the active workspace
  * 
  * Request: GET /api/documents/
- * Auth: Required (user ID from req.user)
+ * Auth: Required (user ID from req.user, workspace from requireWorkspace)
  * 
- * Security: USER SCOPING
- * Only returns documents where owner === req.user.id
+ * Security: WORKSPACE SCOPING
+ * Only returns documents of the user's active workspace
+ * plus documents shared with the user directly (Document.members)
  * This ensures User A cannot see User B's documents
  * 
- * Returns: { documents: [...] }
+ * Query (all optional, see services/documentList.js):
+ * - q: Full-text search in names, PDF titles, tags and page text
+ * - status, fileType, tag: Comma-separated, e.g. ?status=ready,failed (tag: must have ALL)
+ * - collection: Collection id
+ * - createdFrom, createdTo: Upload date range, e.g. ?createdFrom=2024-01-01&createdTo=2024-03-31
+ * - sort: createdAt | updatedAt | name | size | relevance; "-" for descending
+ *   (default: -createdAt, or relevance when searching)
+ * - limit: Documents per page (default 20, at most 100)
+ * - cursor: `nextCursor` of the previous response
+ *
+ * Returns: { documents: [...], nextCursor }
+ * nextCursor: Pass it as ?cursor= for the next page (null on the last page)
+ * Listed documents leave out the page text and the outline
+ * (GET /api/documents/:id has them); they include metadata, stats,
+ * language and tags, and a search `score` when searching.
+ * Or: 400 for invalid query parameters
  */
-exports.getDocuments = async (req, res) => {
+exports.getDocuments = async (req, res, next) => {
     try {
-        // --- Query with User Scoping ---
-        // Key security feature: filter by owner
-        // This is why we added owner field to Document schema
-        const documents = await Document.find({ owner: req.user.id })
-            .sort({ createdAt: -1 });  // Most recent first
-        
-        res.status(200).json({ documents });
+        // --- Query with Workspace Scoping ---
+        // Key security feature: in this workspace OR shared with this user
+        const { documents, nextCursor } = await listDocuments({
+            workspaceId: req.workspace._id,
+            userId: req.user.id,
+            query: req.query
+        });
+
+        res.status(200).json({ documents, nextCursor });
     } catch (err) {
-        res.status(500).json({ message: err.message || "Internal server error" });
+        if (err.code === "INVALID_LIST_QUERY") {
+            return res.status(400).json({ message: err.message });
+        }
+        next(err);
     }
 };
 
@@ -202,37 +208,329 @@ exports.getDocuments = async (req, res) => {
  * Auth: Required
  * Params: :id = MongoDB document _id
  * 
- * Security: USER SCOPING + ID CHECK
- * Query checks BOTH:
- * 1. _id matches the requested ID
- * 2. owner matches the current user
- * 
+ * Security: requireDocumentRole("viewer") ran before this function
+ * It loaded the document and checked that the user is its owner or a member.
  * This prevents User A from accessing User B's documents
  * Even if User A knows the document ID
  * 
- * Returns: { document: {...} }
- * Or: 404 if document not found or not owned by user
+ * Returns: { document: {...}, role: "owner" | "editor" | "viewer", fileUrl }
+ * document: Includes metadata (PDF title, author, dates), outline, stats
+ * ({ pageCount, wordCount, characterCount }), language and contentHash
+ * fileUrl: Temporary link to the original file (expires after 1 hour)
+ * Or: 404 if document not found or not accessible (sent by the middleware)
  */
 exports.getDocumentById = async (req, res) => {
     try {
-        // --- Query with Security Checks ---
-        // _id: Matches requested document
-        // owner: Matches authenticated user
-        // If either fails, findOne returns null
-        const document = await Document.findOne({ 
-            _id: req.params.id, 
-            owner: req.user.id 
-        });
-        
+        const fileUrl = await documentFileUrl(req.document);
+        res.status(200).json({ document: req.document, role: req.documentRole, fileUrl });
+    } catch (err) {
+        res.status(500).json({ message: err.message || "Internal server error" });
+    }
+};
+
+
+/**
+ * Get Document File Function
+ * Purpose: Send the original file (e.g. for an inline PDF viewer)
+ *
+ * Request: GET /api/documents/:id/file (or GET /api/shared/:token/file)
+ * Auth: Required (viewer role) or a valid share link
+ * Query: ?version=N (optional) - an older revision (default: the current one)
+ * Headers: Range: bytes=0-65535 (optional)
+ *
+ * Steps:
+ * 1. Find the file size (Document.size; older documents: read the file once)
+ * 2. Parse the Range header (req.range)
+ * 3. Read only the requested bytes from storage and send them
+ *
+ * Returns:
+ * - 200 with the whole file
+ * - 206 Partial Content with the requested byte range
+ * - 416 Range Not Satisfiable when the range lies outside the file
+ * - 404 if the document has no such version
+ *
+ * PDFs and plain text open in the browser ("inline"); other types are
+ * downloaded, so uploaded HTML never runs on the API's origin.
+ * Citation links add "#page=N" to open the cited page in the PDF viewer.
+ */
+exports.getDocumentFile = async (req, res, next) => {
+    try {
+        const document = await requestedVersion(req);
         if (!document) {
-            // 404 = Not Found
-            // Don't reveal whether document exists but user can't access it
-            return res.status(404).json({ message: "Document not found" });
+            return res.status(404).json({ message: "Version not found" });
         }
-        
-        res.status(200).json({ document });
+        const contentType = document.mimeType || "application/octet-stream";
+
+        // --- Step 1: File Size ---
+        let size = document.size;
+        let whole = null;
+        if (!size) {
+            whole = await readDocumentFile(document);
+            size = whole.length;
+        }
+
+        // --- Step 2: Parse Range ---
+        // undefined = no Range header, -1 = unsatisfiable, -2 = malformed (ignored: send everything)
+        const ranges = req.range(size, { combine: true });
+
+        res.set("Accept-Ranges", "bytes");
+
+        if (ranges === -1) {
+            res.set("Content-Range", `bytes */${size}`);
+            return res.status(416).json({ message: "Requested range not satisfiable" });
+        }
+
+        // --- Step 3: Send the Bytes ---
+        res.set("X-Content-Type-Options", "nosniff");
+        // A numbered version never changes; the current one does when a revision is uploaded
+        res.set("Cache-Control", req.query.version !== undefined ? "private, max-age=86400" : "private, no-cache");
+        res.attachment(document.originalName);
+        res.type(contentType);   // After attachment(), which guesses the type from the file name
+        if (isInlineType(contentType)) {
+            // "inline": show it in the browser instead of forcing a download
+            res.set("Content-Disposition", res.get("Content-Disposition").replace(/^attachment/, "inline"));
+        }
+
+        // Several ranges (multipart/byteranges) are rare: answer those with the whole file
+        if (Array.isArray(ranges) && ranges.length === 1 && ranges.type === "bytes") {
+            const { start, end } = ranges[0];
+            const data = whole ? whole.subarray(start, end + 1) : await readDocumentFile(document, { start, end });
+
+            res.set("Content-Range", `bytes ${start}-${end}/${size}`);
+            return res.status(206).send(data);
+        }
+
+        res.status(200).send(whole || await readDocumentFile(document));
     } catch (err) {
-        res.status(500).json({ message: err.message || "Internal server error" });
+        next(err);
+    }
+};
+
+
+/**
+ * Get Document Page Function
+ * Purpose: The extracted text of one page (the text a citation points to)
+ *
+ * Request: GET /api/documents/:id/pages/:page (or GET /api/shared/:token/pages/:page)
+ * Auth: Required (viewer role) or a valid share link
+ * Params: :page = Page number, starting at 1 (pageStart/pageEnd in answer sources)
+ * Query: ?version=N (optional) - an older revision (default: the current one)
+ *
+ * Returns: { documentId, version, page: { page, title?, content, blocks?, ocr? }, pageCount }
+ * (blocks: headings, paragraphs and tables of PDF pages, see models/Document.js)
+ * Or: 400 for an invalid page number, 409 while the document is still
+ *     being processed, 404 if the document has no such page or version
+ */
+exports.getDocumentPage = async (req, res, next) => {
+    try {
+        const number = Number(req.params.page);
+        if (!Number.isInteger(number) || number < 1) {
+            return res.status(400).json({ message: "Page must be a positive whole number" });
+        }
+
+        const document = await requestedVersion(req);
+        if (!document) {
+            return res.status(404).json({ message: "Version not found" });
+        }
+
+        const pages = document.extractedText ? document.extractedText.pages : [];
+        if (!pages || pages.length === 0) {
+            // 409 = Conflict: text is extracted in the background after upload
+            // (older versions have no status: their text is final)
+            if (isDocumentProcessing(document)) {
+                return res.status(409).json({ message: `Document is not ready yet (status: ${document.status})`, status: document.status });
+            }
+            return res.status(404).json({ message: "Page not found" });
+        }
+
+        const page = pages.find((p) => p.page === number);
+        if (!page) {
+            return res.status(404).json({ message: "Page not found", pageCount: pages.length });
+        }
+
+        res.status(200).json({
+            documentId: req.document._id,
+            version: document.version,
+            page,
+            pageCount: pages.length
+        });
+    } catch (err) {
+        next(err);
+    }
+};
+
+
+/**
+ * Reprocess Document Function
+ * Purpose: Rebuild text, chunks and embeddings from the stored original file
+ * (e.g. after the parser, chunking or embedding settings changed)
+ *
+ * Request: POST /api/documents/:id/reprocess
+ * Auth: Required (editor role or better)
+ *
+ * The same ingestion job as after an upload runs again (services/ingest.js):
+ * the document goes back to "queued" and follows the usual statuses.
+ * Chats keep their answers; new questions use the new chunks.
+ *
+ * Returns: 202 { message, document: { _id, status, version } }
+ * Or: 409 if the document is already being processed
+ */
+exports.reprocessDocument = async (req, res, next) => {
+    try {
+        const document = req.document;
+
+        // 409 = Conflict: a job for this document is already queued or running
+        if (isDocumentProcessing(document)) {
+            return res.status(409).json({ message: `Document is already being processed (status: ${document.status})`, status: document.status });
+        }
+
+        await enqueueIngestion(document);
+
+        // 202 = Accepted (processing continues in the background)
+        res.status(202).json({
+            message: "Document queued for reprocessing",
+            document: { _id: document._id, status: "queued", version: document.version }
+        });
+    } catch (err) {
+        next(err);
+    }
+};
+
+
+/**
+ * Stream Document Events Function
+ * Purpose: Push live processing status changes of a document to the client
+ * 
+ * Request: GET /api/documents/:id/events
+ * Auth: Required (Bearer header, or ?access_token= for the browser's EventSource)
+ * 
+ * Response: Server-Sent Events (text/event-stream)
+ *   event: status   data: { documentId, status: "chunking", ... }
+ * 
+ * The current status is sent right away, then every transition after it.
+ * The stream stays open until the client disconnects.
+ */
+exports.streamDocumentEvents = async (req, res, next) => {
+    try {
+        // Loaded and access-checked by requireDocumentRole("viewer")
+        const document = req.document;
+
+        const stream = openEventStream(req, res);
+        let lastStatus = document.status;
+
+        // --- Send Current Status ---
+        stream.send("status", {
+            documentId: String(document._id),
+            status: document.status,
+            processingError: document.processingError,
+            retryCount: document.retryCount
+        });
+
+        // --- Live Updates from This Process (services/events.js) ---
+        const unsubscribe = subscribeToDocument(document._id, (event) => {
+            lastStatus = event.status;
+            stream.send(event.type, event);
+        });
+
+        // --- Fallback: Poll MongoDB for Changes Made by Other Processes ---
+        const poll = setInterval(async () => {
+            try {
+                const current = await Document.findById(document._id).select("status processingError retryCount");
+                if (!current) {
+                    stream.send("deleted", { documentId: String(document._id) });
+                    return stream.close();
+                }
+                if (current.status !== lastStatus) {
+                    lastStatus = current.status;
+                    stream.send("status", {
+                        documentId: String(document._id),
+                        status: current.status,
+                        processingError: current.processingError,
+                        retryCount: current.retryCount
+                    });
+                }
+            } catch (err) {
+                console.error("[EVENTS] Poll failed:", err.message);
+            }
+        }, EVENTS_POLL_MS);
+
+        // --- Clean Up When the Client Disconnects ---
+        stream.onClose(() => {
+            unsubscribe();
+            clearInterval(poll);
+        });
+    } catch (err) {
+        next(err);
+    }
+};
+
+
+/**
+ * Get Tags Function
+ * Purpose: The tags in use, for filter menus and tag suggestions
+ *
+ * Request: GET /api/documents/tags
+ * Auth: Required (same documents as GET /api/documents/)
+ * Returns: { tags: [{ tag: "finance", count: 12 }, ...] } (most used first)
+ */
+exports.getTags = async (req, res, next) => {
+    try {
+        const tags = await Document.aggregate([
+            {
+                $match: {
+                    $or: [
+                        { workspace: req.workspace._id },
+                        { "members.user": new mongoose.Types.ObjectId(String(req.user.id)) }
+                    ],
+                    tags: { $ne: [] }
+                }
+            },
+            { $unwind: "$tags" },
+            { $group: { _id: "$tags", count: { $sum: 1 } } },
+            { $sort: { count: -1, _id: 1 } }
+        ]);
+
+        res.status(200).json({ tags: tags.map((t) => ({ tag: t._id, count: t.count })) });
+    } catch (err) {
+        next(err);
+    }
+};
+
+
+/**
+ * Update Tags Function
+ * Purpose: Replace a document's tags
+ *
+ * Request: PUT /api/documents/:id/tags
+ * Auth: Required (editor role or better)
+ * Body: { tags: ["Finance", "Q3 reports"] } ([] removes all tags)
+ *
+ * Tags are stored lowercase with single spaces ("q3 reports"), duplicates
+ * are dropped. Tags are shared: everyone who can see the document sees them.
+ *
+ * Returns: { documentId, tags }
+ * Or: 400 if tags is not a list of short strings
+ */
+exports.updateTags = async (req, res, next) => {
+    try {
+        const { tags } = req.body;
+        if (!Array.isArray(tags) || !tags.every((t) => typeof t === "string")) {
+            return res.status(400).json({ message: "tags must be an array of strings" });
+        }
+
+        const normalized = [...new Set(tags.map(normalizeTag).filter(Boolean))];
+        if (normalized.length > MAX_TAGS) {
+            return res.status(400).json({ message: `A document can have at most ${MAX_TAGS} tags` });
+        }
+        if (normalized.some((t) => t.length > MAX_TAG_LENGTH)) {
+            return res.status(400).json({ message: `Tags are limited to ${MAX_TAG_LENGTH} characters` });
+        }
+
+        await Document.updateOne({ _id: req.document._id }, { $set: { tags: normalized } });
+
+        res.status(200).json({ documentId: req.document._id, tags: normalized });
+    } catch (err) {
+        next(err);
     }
 };
 
@@ -245,37 +543,26 @@ exports.getDocumentById = async (req, res) => {
  * Auth: Required
  * Params: :id = MongoDB document _id
  * 
- * Security: USER SCOPING
- * Only the owner can delete a document
- * Query requires BOTH _id AND owner to match
+ * Security: requireDocumentRole("owner") ran before this function
+ * Only the owner can delete a document (editors and viewers get 403)
  * 
- * What happens:
- * 1. Find document by ID and owner
- * 2. If found AND owned by user, delete it
- * 3. Document removed from MongoDB
- * 4. File remains in Cloudinary (can add cleanup later)
+ * What happens (services/deletion.js):
+ * 1. Document removed from MongoDB (gone for everyone right away)
+ * 2. Its file, chunks/embeddings, chats, share links and annotations are removed too,
+ *    and conversations forget it. If that fails half-way, a background
+ *    job retries it, so the request still succeeds.
  * 
- * Returns: { message: "Document deleted successfully" }
- * Or: 404 if document not found or not owned by user
+ * Returns: { message: "Document deleted successfully", purged: true | false }
+ * Or: 404 if document not found or not accessible (sent by the middleware)
  */
 exports.deleteDocument = async (req, res) => {
     try {
-        // --- Find and Delete in One Operation ---
-        // findOneAndDelete queries first, then deletes
-        // Returns the deleted document object (or null if not found)
-        const document = await Document.findOneAndDelete({ 
-            _id: req.params.id, 
-            owner: req.user.id 
-        });
-        
-        if (!document) {
-            // 404 = Not Found
-            // User either doesn't have document or it doesn't exist
-            return res.status(404).json({ message: "Document not found" });
-        }
+        // --- Delete the Access-Checked Document + Everything Derived From It ---
+        // purged: false = part of the cleanup continues in the background
+        const { purged } = await deleteDocument(req.document);
         
         // 200 = OK (request succeeded)
-        res.status(200).json({ message: "Document deleted successfully" });
+        res.status(200).json({ message: "Document deleted successfully", purged });
     } catch (err) {
         res.status(500).json({ message: err.message || "Internal server error" });
     }
@@ -0,0 +1,309 @@
+/**
+ * Share Controller
+ * This file handles sharing a document with other people:
+ * - Members: registered users added as "viewer" or "editor"
+ * - Share links: secret, read-only links that work without an account
+ * - Opening a document through a share link
+ *
+ * The document is loaded and role-checked BEFORE these functions run
+ * (requireDocumentRole / requireShareLink in middlewares/access.js),
+ * so every function can use req.document directly.
+ */
+
+const mongoose = require("mongoose");
+const Document = require("../models/Document");
+const User = require("../models/User");
+const ShareLink = require("../models/ShareLink");
+const { generateToken, hashToken } = require("../services/tokens");
+
+// Roles that can be given to members (there is exactly one owner)
+const MEMBER_ROLES = ["viewer", "editor"];
+
+// Longest allowed share link lifetime: 1 year
+const MAX_SHARE_LINK_HOURS = 24 * 365;
+
+/**
+ * Helper Function: formatMembers
+ * Purpose: Members with the user's name and email (never the password hash)
+ */
+const formatMembers = async (document) => {
+    const ids = (document.members || []).map((m) => m.user);
+    const users = await User.find({ _id: { $in: ids } }).select("name email");
+    const userById = new Map(users.map((u) => [String(u._id), u]));
+
+    return (document.members || []).map((m) => {
+        const user = userById.get(String(m.user));
+        return {
+            user: m.user,
+            name: user ? user.name : null,
+            email: user ? user.email : null,
+            role: m.role,
+            addedAt: m.addedAt
+        };
+    });
+};
+
+/**
+ * Helper Function: formatShareLink
+ * Purpose: Public view of a share link (the token hash is never returned)
+ */
+const formatShareLink = (link) => ({
+    _id: link._id,
+    createdBy: link.createdBy,
+    expiresAt: link.expiresAt || null,
+    revokedAt: link.revokedAt || null,
+    lastUsedAt: link.lastUsedAt || null,
+    active: link.isActive(),
+    createdAt: link.createdAt
+});
+
+/**
+ * Get Members Function
+ *
+ * Request: GET /api/documents/:id/members
+ * Auth: Required (viewer role or better)
+ * Returns: { owner, members: [{ user, name, email, role, addedAt }] }
+ */
+exports.getMembers = async (req, res, next) => {
+    try {
+        res.status(200).json({
+            owner: req.document.owner,
+            members: await formatMembers(req.document)
+        });
+    } catch (err) {
+        next(err);
+    }
+};
+
+/**
+ * Add Member Function
+ * Purpose: Share the document with a registered user (or change their role)
+ *
+ * Request: POST /api/documents/:id/members
+ * Auth: Required (owner only)
+ * Body: { email: "jane@example.com", role: "viewer" | "editor" }
+ * Returns: 201 { members }
+ */
+exports.addMember = async (req, res, next) => {
+    try {
+        // --- Step 1: Validate Input ---
+        const email = String(req.body.email || "").trim().toLowerCase();
+        const role = req.body.role || "viewer";
+
+        if (!email) {
+            return res.status(400).json({ message: "Email is required" });
+        }
+        if (!MEMBER_ROLES.includes(role)) {
+            return res.status(400).json({ message: `Role must be one of: ${MEMBER_ROLES.join(", ")}` });
+        }
+
+        // --- Step 2: Find the User ---
+        const user = await User.findOne({ email }).select("_id");
+        if (!user) {
+            return res.status(404).json({ message: "No user with this email" });
+        }
+        if (String(user._id) === String(req.document.owner)) {
+            return res.status(400).json({ message: "The owner already has full access" });
+        }
+
+        // --- Step 3: Add or Update the Member ---
+        const document = req.document;
+        const existing = document.members.find((m) => String(m.user) === String(user._id));
+        if (existing) {
+            existing.role = role;
+        } else {
+            document.members.push({ user: user._id, role });
+        }
+        await document.save();
+
+        res.status(existing ? 200 : 201).json({ members: await formatMembers(document) });
+    } catch (err) {
+        next(err);
+    }
+};
+
+/**
+ * Update Member Function
+ * Purpose: Change a member's role
+ *
+ * Request: PATCH /api/documents/:id/members/:userId
+ * Auth: Required (owner only)
+ * Body: { role: "viewer" | "editor" }
+ * Returns: { members }
+ */
+exports.updateMember = async (req, res, next) => {
+    try {
+        const { role } = req.body;
+        if (!MEMBER_ROLES.includes(role)) {
+            return res.status(400).json({ message: `Role must be one of: ${MEMBER_ROLES.join(", ")}` });
+        }
+
+        const document = req.document;
+        const member = document.members.find((m) => String(m.user) === String(req.params.userId));
+        if (!member) {
+            return res.status(404).json({ message: "Member not found" });
+        }
+
+        member.role = role;
+        await document.save();
+
+        res.status(200).json({ members: await formatMembers(document) });
+    } catch (err) {
+        next(err);
+    }
+};
+
+/**
+ * Remove Member Function
+ * Purpose: Stop sharing the document with a user
+ *
+ * Request: DELETE /api/documents/:id/members/:userId
+ * Auth: Required - the owner can remove anyone,
+ *       a member can remove themselves ("leave" a shared document)
+ * Returns: { message }
+ */
+exports.removeMember = async (req, res, next) => {
+    try {
+        if (!mongoose.isValidObjectId(req.params.userId)) {
+            return res.status(404).json({ message: "Member not found" });
+        }
+
+        const isSelf = String(req.params.userId) === String(req.user.id);
+        if (req.documentRole !== "owner" && !isSelf) {
+            return res.status(403).json({ message: "This action requires the owner role" });
+        }
+
+        const result = await Document.updateOne(
+            { _id: req.document._id },
+            { $pull: { members: { user: req.params.userId } } }
+        );
+        if (result.modifiedCount === 0) {
+            return res.status(404).json({ message: "Member not found" });
+        }
+
+        res.status(200).json({ message: "Member removed" });
+    } catch (err) {
+        next(err);
+    }
+};
+
+/**
+ * Create Share Link Function
+ * Purpose: Create a secret read-only link to the document
+ *
+ * Request: POST /api/documents/:id/share-links
+ * Auth: Required (editor role or better)
+ * Body: { expiresInHours? } (omit for a link that never expires)
+ *
+ * Returns: 201 { shareLink, token, path }
+ * IMPORTANT: `token` is only returned here. Only its hash is stored,
+ * so a lost link cannot be recovered - create a new one instead.
+ */
+exports.createShareLink = async (req, res, next) => {
+    try {
+        // --- Step 1: Validate Expiry ---
+        let expiresAt;
+        if (req.body.expiresInHours !== undefined && req.body.expiresInHours !== null) {
+            const hours = Number(req.body.expiresInHours);
+            if (!Number.isFinite(hours) || hours <= 0 || hours > MAX_SHARE_LINK_HOURS) {
+                return res.status(400).json({
+                    message: `expiresInHours must be a number between 0 and ${MAX_SHARE_LINK_HOURS}`
+                });
+            }
+            expiresAt = new Date(Date.now() + hours * 60 * 60 * 1000);
+        }
+
+        // --- Step 2: Create Token + Store Its Hash ---
+        const token = generateToken();
+        const link = await ShareLink.create({
+            document: req.document._id,
+            createdBy: req.user.id,
+            tokenHash: hashToken(token),
+            expiresAt
+        });
+
+        res.status(201).json({
+            shareLink: formatShareLink(link),
+            token,
+            path: `/api/shared/${token}`
+        });
+    } catch (err) {
+        next(err);
+    }
+};
+
+/**
+ * Get Share Links Function
+ *
+ * Request: GET /api/documents/:id/share-links
+ * Auth: Required (editor role or better)
+ * Returns: { shareLinks: [{ _id, expiresAt, revokedAt, lastUsedAt, active, ... }] }
+ */
+exports.getShareLinks = async (req, res, next) => {
+    try {
+        const links = await ShareLink.find({ document: req.document._id }).sort({ createdAt: -1 });
+        res.status(200).json({ shareLinks: links.map(formatShareLink) });
+    } catch (err) {
+        next(err);
+    }
+};
+
+/**
+ * Revoke Share Link Function
+ * Purpose: Make a share link stop working immediately
+ *
+ * Request: DELETE /api/documents/:id/share-links/:linkId
+ * Auth: Required (editor role or better)
+ * Returns: { shareLink }
+ */
+exports.revokeShareLink = async (req, res, next) => {
+    try {
+        if (!mongoose.isValidObjectId(req.params.linkId)) {
+            return res.status(404).json({ message: "Share link not found" });
+        }
+
+        const link = await ShareLink.findOne({ _id: req.params.linkId, document: req.document._id });
+        if (!link) {
+            return res.status(404).json({ message: "Share link not found" });
+        }
+
+        if (!link.revokedAt) {
+            link.revokedAt = new Date();
+            await link.save();
+        }
+
+        res.status(200).json({ shareLink: formatShareLink(link) });
+    } catch (err) {
+        next(err);
+    }
+};
+
+/**
+ * Get Shared Document Function
+ * Purpose: What a share link opens - the document's name and status
+ *
+ * Request: GET /api/shared/:token
+ * Auth: None (the token is the permission)
+ * Returns: { document: { _id, originalName, fileType, status, pageCount, createdAt }, expiresAt }
+ * The file URL, owner and members are NOT exposed.
+ */
+exports.getSharedDocument = async (req, res, next) => {
+    try {
+        const document = req.document;
+        const pages = document.extractedText ? document.extractedText.pages : [];
+
+        res.status(200).json({
+            document: {
+                _id: document._id,
+                originalName: document.originalName,
+                fileType: document.fileType,
+                status: document.status,
+                pageCount: pages ? pages.length : 0,
+                createdAt: document.createdAt
+            },
+            expiresAt: req.shareLink.expiresAt || null
+        });
+    } catch (err) {
+        next(err);
+    }
+};
@@ -0,0 +1,114 @@
+/**
+ * Version Controller
+ * This file handles revisions of a document:
+ * - Uploading a new revision of the file
+ * - Listing all revisions
+ * - Comparing the text of two revisions
+ *
+ * The file and the pages of an older revision are served by the normal
+ * document routes with ?version=N (GET /api/documents/:id/file, /pages/:page).
+ *
+ * The document is loaded and role-checked BEFORE these functions run
+ * (requireDocumentRole in middlewares/access.js), so every function can
+ * use req.document directly. The logic lives in services/versions.js.
+ */
+
+const {
+    addDocumentVersion,
+    listDocumentVersions,
+    compareDocumentVersions
+} = require("../services/versions");
+
+/**
+ * Upload Version Function
+ * Purpose: Make an uploaded file the new current revision of the document
+ *
+ * Request: POST /api/documents/:id/versions (form-data with ONE file field)
+ * Auth: Required (editor role or better)
+ *
+ * Steps:
+ * 1. Check that exactly one file was sent (multer already validated type/size)
+ * 2. Keep the current revision, switch to the new file (services/versions.js)
+ * 3. Return 202 Accepted: the new revision is processed in the background
+ *    like any upload (follow `status` until "ready")
+ *
+ * Chats keep the version they were asked against (Chat.documentVersion).
+ *
+ * Returns: 202 { message, document }
+ * Or: 409 if another revision was uploaded at the same time
+ */
+exports.uploadVersion = async (req, res, next) => {
+    try {
+        // --- Step 1: Exactly One File ---
+        const files = req.files || (req.file ? [req.file] : []);
+        if (files.length !== 1) {
+            return res.status(400).json({ message: "Upload exactly one file as the new version" });
+        }
+
+        // --- Step 2: Store It as the New Revision ---
+        const document = await addDocumentVersion(req.document, files[0]);
+        if (!document) {
+            return res.status(409).json({ message: "Another version was uploaded at the same time, please try again" });
+        }
+
+        // --- Step 3: Return Accepted Response ---
+        res.status(202).json({
+            message: `Version ${document.version} uploaded and queued for processing`,
+            document
+        });
+    } catch (err) {
+        next(err);
+    }
+};
+
+/**
+ * Get Versions Function
+ *
+ * Request: GET /api/documents/:id/versions
+ * Auth: Required (viewer role or better)
+ * Returns: { currentVersion, versions: [{ version, originalName, fileType, mimeType, size, uploadedAt, pageCount, current }] }
+ *          (newest first)
+ */
+exports.getVersions = async (req, res, next) => {
+    try {
+        res.status(200).json({
+            currentVersion: req.document.version,
+            versions: await listDocumentVersions(req.document)
+        });
+    } catch (err) {
+        next(err);
+    }
+};
+
+/**
+ * Compare Versions Function
+ * Purpose: What changed in the text between two revisions
+ *
+ * Request: GET /api/documents/:id/versions/compare?from=1&to=2
+ * Auth: Required (viewer role or better)
+ * Query: from, to - Revision numbers (default: the previous and the current one)
+ *
+ * Returns: {
+ *   from: { version, originalName }, to: { version, originalName },
+ *   stats: { added, removed, unchanged },
+ *   hunks: [{ fromStart, fromLines, toStart, toLines, lines: [{ type: "context" | "removed" | "added", text }] }],
+ *   approximate
+ * }
+ * Or: 404 if one of the versions doesn't exist
+ */
+exports.compareVersions = async (req, res, next) => {
+    try {
+        const current = req.document.version;
+        const from = req.query.from !== undefined ? req.query.from : current - 1;
+        const to = req.query.to !== undefined ? req.query.to : current;
+
+        const comparison = await compareDocumentVersions(req.document, from, to);
+        if (!comparison) {
+            return res.status(404).json({ message: "Version not found" });
+        }
+
+        res.status(200).json(comparison);
+    } catch (err) {
+        next(err);
+    }
+};
@@ -0,0 +1,450 @@
+/**
+ * Workspace Controller
+ * This file handles team workspaces:
+ * - Creating, listing, renaming and deleting workspaces
+ * - Managing members and their role ("admin" | "member")
+ * - Email invites: an admin invites an address, the invited user accepts
+ *
+ * Routes for one workspace run requireWorkspaceRole first
+ * (middlewares/workspace.js), which sets req.workspace and req.workspaceRole.
+ */
+
+const mongoose = require("mongoose");
+const Workspace = require("../models/Workspace");
+const WorkspaceInvite = require("../models/WorkspaceInvite");
+const ApiKey = require("../models/ApiKey");
+const User = require("../models/User");
+const Document = require("../models/Document");
+const { generateToken, hashToken } = require("../services/tokens");
+const { sendMail } = require("../services/mailer");
+const { workspaceInviteEmail } = require("../services/mailer/templates");
+
+const WORKSPACE_ROLES = ["admin", "member"];
+
+// How long an invite can be accepted (.env: WORKSPACE_INVITE_TTL_HOURS, default 7 days)
+const INVITE_TTL_HOURS = parseInt(process.env.WORKSPACE_INVITE_TTL_HOURS, 10) || 24 * 7;
+
+/**
+ * Helper Function: formatMembers
+ * Purpose: Members with the user's name and email (never the password hash)
+ */
+const formatMembers = async (workspace) => {
+    const users = await User.find({ _id: { $in: workspace.members.map((m) => m.user) } }).select("name email");
+    const userById = new Map(users.map((u) => [String(u._id), u]));
+
+    return workspace.members.map((m) => {
+        const user = userById.get(String(m.user));
+        return {
+            user: m.user,
+            name: user ? user.name : null,
+            email: user ? user.email : null,
+            role: m.role,
+            joinedAt: m.joinedAt
+        };
+    });
+};
+
+/**
+ * Helper Function: formatInvite
+ * Purpose: Public view of an invite (the token hash is never returned)
+ */
+const formatInvite = (invite) => ({
+    _id: invite._id,
+    email: invite.email,
+    role: invite.role,
+    invitedBy: invite.invitedBy,
+    expiresAt: invite.expiresAt,
+    acceptedAt: invite.acceptedAt || null,
+    revokedAt: invite.revokedAt || null,
+    pending: invite.isPending(),
+    createdAt: invite.createdAt
+});
+
+/**
+ * Helper Function: isLastAdmin
+ * A workspace must always keep at least one admin
+ */
+const isLastAdmin = (workspace, userId) => {
+    const admins = workspace.members.filter((m) => m.role === "admin");
+    return admins.length === 1 && String(admins[0].user) === String(userId);
+};
+
+/**
+ * Create Workspace Function
+ *
+ * Request: POST /api/workspaces
+ * Body: { name: "Acme Legal Team" }
+ * Returns: 201 { workspace } (the creator is its first admin)
+ */
+exports.createWorkspace = async (req, res, next) => {
+    try {
+        const name = String(req.body.name || "").trim();
+        if (!name) {
+            return res.status(400).json({ message: "Name is required" });
+        }
+
+        const workspace = await Workspace.create({
+            name,
+            createdBy: req.user.id,
+            members: [{ user: req.user.id, role: "admin" }]
+        });
+
+        res.status(201).json({ workspace });
+    } catch (err) {
+        next(err);
+    }
+};
+
+/**
+ * Get Workspaces Function
+ * Purpose: Every workspace the user belongs to, for the workspace switcher
+ *
+ * Request: GET /api/workspaces
+ * Returns: { workspaces: [{ _id, name, personal, role, memberCount, active }] }
+ */
+exports.getWorkspaces = async (req, res, next) => {
+    try {
+        const workspaces = await Workspace.find({ "members.user": req.user.id }).sort({ personal: -1, name: 1 });
+
+        res.status(200).json({
+            workspaces: workspaces.map((w) => ({
+                _id: w._id,
+                name: w.name,
+                personal: w.personal,
+                role: w.roleOf(req.user.id),
+                memberCount: w.members.length,
+                active: String(w._id) === String(req.user.workspace)
+            }))
+        });
+    } catch (err) {
+        next(err);
+    }
+};
+
+/**
+ * Get Workspace By ID Function
+ *
+ * Request: GET /api/workspaces/:id
+ * Auth: Required (member)
+ * Returns: { workspace, role, members: [{ user, name, email, role, joinedAt }] }
+ */
+exports.getWorkspaceById = async (req, res, next) => {
+    try {
+        const { members, ...workspace } = req.workspace.toObject();
+        res.status(200).json({
+            workspace,
+            role: req.workspaceRole,
+            members: await formatMembers(req.workspace)
+        });
+    } catch (err) {
+        next(err);
+    }
+};
+
+/**
+ * Rename Workspace Function
+ *
+ * Request: PATCH /api/workspaces/:id
+ * Auth: Required (admin)
+ * Body: { name }
+ * Returns: { workspace }
+ */
+exports.renameWorkspace = async (req, res, next) => {
+    try {
+        const name = String(req.body.name || "").trim();
+        if (!name) {
+            return res.status(400).json({ message: "Name cannot be empty" });
+        }
+
+        req.workspace.name = name;
+        await req.workspace.save();
+
+        res.status(200).json({ workspace: req.workspace });
+    } catch (err) {
+        next(err);
+    }
+};
+
+/**
+ * Delete Workspace Function
+ * Purpose: Remove an EMPTY team workspace
+ *
+ * Request: DELETE /api/workspaces/:id
+ * Auth: Required (admin)
+ *
+ * Workspaces that still contain documents are refused (409):
+ * documents are never deleted as a side effect.
+ * Personal workspaces cannot be deleted.
+ */
+exports.deleteWorkspace = async (req, res, next) => {
+    try {
+        if (req.workspace.personal) {
+            return res.status(400).json({ message: "Personal workspaces cannot be deleted" });
+        }
+
+        const documentCount = await Document.countDocuments({ workspace: req.workspace._id });
+        if (documentCount > 0) {
+            return res.status(409).json({
+                message: "Move or delete the documents of this workspace first",
+                documentCount
+            });
+        }
+
+        await Workspace.deleteOne({ _id: req.workspace._id });
+        await WorkspaceInvite.deleteMany({ workspace: req.workspace._id });
+        await ApiKey.deleteMany({ workspace: req.workspace._id });
+
+        res.status(200).json({ message: "Workspace deleted successfully" });
+    } catch (err) {
+        next(err);
+    }
+};
+
+/**
+ * Update Member Function
+ * Purpose: Change a member's role
+ *
+ * Request: PATCH /api/workspaces/:id/members/:userId
+ * Auth: Required (admin)
+ * Body: { role: "admin" | "member" }
+ * Returns: { members }
+ */
+exports.updateMember = async (req, res, next) => {
+    try {
+        const { role } = req.body;
+        if (!WORKSPACE_ROLES.includes(role)) {
+            return res.status(400).json({ message: `Role must be one of: ${WORKSPACE_ROLES.join(", ")}` });
+        }
+
+        const workspace = req.workspace;
+        const member = workspace.members.find((m) => String(m.user) === String(req.params.userId));
+        if (!member) {
+            return res.status(404).json({ message: "Member not found" });
+        }
+        if (role !== "admin" && isLastAdmin(workspace, member.user)) {
+            return res.status(409).json({ message: "A workspace needs at least one admin" });
+        }
+
+        member.role = role;
+        await workspace.save();
+
+        res.status(200).json({ members: await formatMembers(workspace) });
+    } catch (err) {
+        next(err);
+    }
+};
+
+/**
+ * Remove Member Function
+ * Purpose: Remove someone from the workspace
+ *
+ * Request: DELETE /api/workspaces/:id/members/:userId
+ * Auth: Required - admins can remove anyone,
+ *       members can remove themselves ("leave" the workspace)
+ *
+ * The documents they uploaded stay in the workspace.
+ * Returns: { message }
+ */
+exports.removeMember = async (req, res, next) => {
+    try {
+        const workspace = req.workspace;
+        const isSelf = String(req.params.userId) === String(req.user.id);
+
+        if (req.workspaceRole !== "admin" && !isSelf) {
+            return res.status(403).json({ message: "This action requires the admin role" });
+        }
+        if (workspace.personal) {
+            return res.status(400).json({ message: "You cannot leave your personal workspace" });
+        }
+
+        const member = workspace.members.find((m) => String(m.user) === String(req.params.userId));
+        if (!member) {
+            return res.status(404).json({ message: "Member not found" });
+        }
+        if (isLastAdmin(workspace, member.user)) {
+            return res.status(409).json({ message: "A workspace needs at least one admin" });
+        }
+
+        workspace.members = workspace.members.filter((m) => m !== member);
+        await workspace.save();
+
+        res.status(200).json({ message: "Member removed" });
+    } catch (err) {
+        next(err);
+    }
+};
+
+/**
+ * Create Invite Function
+ * Purpose: Invite an email address to the workspace
+ *
+ * Request: POST /api/workspaces/:id/invites
+ * Auth: Required (admin)
+ * Body: { email, role?: "admin" | "member" }
+ *
+ * The secret token is EMAILED to the invited address (services/mailer),
+ * never returned here: only the owner of that inbox can accept.
+ * They accept with POST /api/workspaces/invites/:token/accept
+ *
+ * Returns: 201 { invite }
+ */
+exports.createInvite = async (req, res, next) => {
+    try {
+        // --- Step 1: Validate Input ---
+        const email = String(req.body.email || "").trim().toLowerCase();
+        const role = req.body.role || "member";
+
+        if (!email) {
+            return res.status(400).json({ message: "Email is required" });
+        }
+        if (!WORKSPACE_ROLES.includes(role)) {
+            return res.status(400).json({ message: `Role must be one of: ${WORKSPACE_ROLES.join(", ")}` });
+        }
+        if (req.workspace.personal) {
+            return res.status(400).json({ message: "Personal workspaces cannot have other members" });
+        }
+
+        // --- Step 2: Already a Member? ---
+        const existingUser = await User.findOne({ email }).select("_id");
+        if (existingUser && req.workspace.roleOf(existingUser._id)) {
+            return res.status(409).json({ message: "This user is already a member" });
+        }
+
+        // --- Step 3: Create Invite (a new invite replaces older pending ones) ---
+        await WorkspaceInvite.updateMany(
+            { workspace: req.workspace._id, email, acceptedAt: null, revokedAt: null },
+            { $set: { revokedAt: new Date() } }
+        );
+
+        const token = generateToken();
+        const invite = await WorkspaceInvite.create({
+            workspace: req.workspace._id,
+            email,
+            role,
+            invitedBy: req.user.id,
+            tokenHash: hashToken(token),
+            expiresAt: new Date(Date.now() + INVITE_TTL_HOURS * 60 * 60 * 1000)
+        });
+
+        // --- Step 4: Email the Invite ---
+        const inviter = await User.findById(req.user.id).select("name");
+        await sendMail({
+            to: email,
+            ...workspaceInviteEmail({
+                workspaceName: req.workspace.name,
+                inviterName: inviter ? inviter.name : null,
+                token,
+                role
+            })
+        });
+
+        res.status(201).json({ invite: formatInvite(invite) });
+    } catch (err) {
+        next(err);
+    }
+};
+
+/**
+ * Get Invites Function
+ *
+ * Request: GET /api/workspaces/:id/invites
+ * Auth: Required (admin)
+ * Returns: { invites: [{ _id, email, role, expiresAt, pending, ... }] }
+ */
+exports.getInvites = async (req, res, next) => {
+    try {
+        const invites = await WorkspaceInvite.find({ workspace: req.workspace._id }).sort({ createdAt: -1 });
+        res.status(200).json({ invites: invites.map(formatInvite) });
+    } catch (err) {
+        next(err);
+    }
+};
+
+/**
+ * Revoke Invite Function
+ *
+ * Request: DELETE /api/workspaces/:id/invites/:inviteId
+ * Auth: Required (admin)
+ * Returns: { invite }
+ */
+exports.revokeInvite = async (req, res, next) => {
+    try {
+        if (!mongoose.isValidObjectId(req.params.inviteId)) {
+            return res.status(404).json({ message: "Invite not found" });
+        }
+
+        const invite = await WorkspaceInvite.findOne({ _id: req.params.inviteId, workspace: req.workspace._id });
+        if (!invite) {
+            return res.status(404).json({ message: "Invite not found" });
+        }
+
+        if (invite.isPending()) {
+            invite.revokedAt = new Date();
+            await invite.save();
+        }
+
+        res.status(200).json({ invite: formatInvite(invite) });
+    } catch (err) {
+        next(err);
+    }
+};
+
+/**
+ * Accept Invite Function
+ * Purpose: Join a workspace with an invite token
+ *
+ * Request: POST /api/workspaces/invites/:token/accept
+ * Auth: Required - logged in with the INVITED, VERIFIED email address
+ *
+ * Steps:
+ * 1. Find the invite by token hash, make sure it is still pending
+ * 2. Check that the logged-in user is the invited email, and has verified it
+ *    (otherwise anyone could register with that address and take the invite)
+ * 3. Add the user as a member and mark the invite as accepted
+ *
+ * Returns: { workspace: { _id, name, role } }
+ * Use POST /api/auth/switch-workspace to start working in it.
+ */
+exports.acceptInvite = async (req, res, next) => {
+    try {
+        // --- Step 1: Find Pending Invite ---
+        const invite = await WorkspaceInvite.findOne({ tokenHash: hashToken(req.params.token) });
+        if (!invite || !invite.isPending()) {
+            return res.status(404).json({ message: "Invite not found or expired" });
+        }
+
+        // --- Step 2: Right Person? ---
+        const user = await User.findById(req.user.id).select("email emailVerified");
+        if (!user || user.email !== invite.email) {
+            return res.status(403).json({ message: "This invite was sent to a different email address" });
+        }
+        if (!user.emailVerified) {
+            return res.status(403).json({
+                message: "Please verify your email address before accepting invites",
+                code: "EMAIL_NOT_VERIFIED"
+            });
+        }
+
+        // --- Step 3: Join ---
+        // $ne guard: accepting twice (or being added meanwhile) doesn't duplicate the member
+        const workspace = await Workspace.findOneAndUpdate(
+            { _id: invite.workspace, "members.user": { $ne: req.user.id } },
+            { $push: { members: { user: req.user.id, role: invite.role } } },
+            { new: true }
+        ) || await Workspace.findById(invite.workspace);
+
+        if (!workspace) {
+            return res.status(404).json({ message: "Invite not found or expired" });
+        }
+
+        invite.acceptedAt = new Date();
+        invite.acceptedBy = req.user.id;
+        await invite.save();
+
+        res.status(200).json({
+            workspace: { _id: workspace._id, name: workspace.name, role: workspace.roleOf(req.user.id) }
+        });
+    } catch (err) {
+        next(err);
+    }
+};
@@ -3,9 +3,21 @@ const bodyParser = require('body-parser');
 const cors = require('cors');
 const mongoose = require('mongoose');
 const dotenv = require('dotenv');
+dotenv.config(); // Load .env before any module reads process.env
+require('./config/jwt'); // Refuses to start without JWT_SECRET (outside NODE_ENV=development)
 const documentRoutes = require('./routes/document');
 const authRoutes = require('./routes/auth');
-dotenv.config();
+const conversationRoutes = require('./routes/conversation');
+const collectionRoutes = require('./routes/collection');
+const annotationRoutes = require('./routes/annotation');
+const sharedRoutes = require('./routes/shared');
+const storageRoutes = require('./routes/storage');
+const workspaceRoutes = require('./routes/workspace');
+const accountRoutes = require('./routes/account');
+const apiKeyRoutes = require('./routes/apiKey');
+const { startWorker } = require('./services/queue');
+require('./services/ingest'); // Registers the "ingest-document" job handler
+require('./services/deletion'); // Registers the "purge-document" job handler
 
 const app = express();
 const port = 3000;
@@ -17,8 +29,13 @@ app.use(express.static('public'));
 app.use(express.urlencoded({ extended: true }));
 
 // Database connection
+// The background job worker (document ingestion) starts once MongoDB is reachable.
+// Set RUN_WORKER=false to run workers separately with `npm run worker`.
 mongoose.connect(process.env.MONGODB_URL)
-    .then(() => console.log('MongoDB connected'))
+    .then(() => {
+        console.log('MongoDB connected');
+        if (process.env.RUN_WORKER !== 'false') startWorker();
+    })
     .catch(err => console.log(err));
 
 // Sample route
@@ -28,6 +45,14 @@ app.get("/api/health", (req, res) => {
 
 app.use('/api/documents', documentRoutes);
 app.use('/api/auth', authRoutes);
+app.use('/api/conversations', conversationRoutes);
+app.use('/api/collections', collectionRoutes);
+app.use('/api/annotations', annotationRoutes);
+app.use('/api/account', accountRoutes);
+app.use('/api/workspaces', workspaceRoutes);
+app.use('/api/api-keys', apiKeyRoutes);
+app.use('/api/shared', sharedRoutes); // Public: share link token instead of login
+app.use('/api/storage', storageRoutes); // Public: signed URLs of the local storage driver
 
 // Centralized error handler (including Multer/file upload errors)
 app.use((err, req, res, next) => {
@@ -43,8 +68,26 @@ app.use((err, req, res, next) => {
     }
 
     // Custom invalid file type error (from fileFilter)
-    if (err.code === 'INVALID_FILE_TYPE' || err.message === 'Only PDF files are allowed') {
-        return res.status(400).json({ message: 'Only PDF files are allowed' });
+    // The message lists the formats of the parser registry (services/parsers)
+    if (err.code === 'INVALID_FILE_TYPE') {
+        return res.status(400).json({ message: err.message });
+    }
+
+    // Too many requests in the current window (middlewares/rateLimit.js)
+    if (err.code === 'RATE_LIMITED') {
+        res.set('Retry-After', String(err.retryAfter));
+        return res.status(429).json({ message: err.message, code: err.code, retryAfter: err.retryAfter });
+    }
+
+    // Storage or monthly quota used up (services/quotas.js)
+    if (err.code === 'QUOTA_EXCEEDED') {
+        return res.status(403).json({
+            message: err.message,
+            code: err.code,
+            quota: err.quota,
+            used: err.used,
+            limit: err.limit
+        });
     }
 
     return res.status(500).json({ message: err.message || 'Internal server error' });
@@ -0,0 +1,163 @@
+/**
+ * Access Control Middleware
+ * Central place for "who may do what with a document".
+ * Routes declare the role they need instead of each controller
+ * repeating `owner: req.user.id` filters.
+ *
+ * Roles (weakest to strongest):
+ * - "viewer": Read the document, ask questions, follow its events
+ * - "editor": Viewer rights + manage share links
+ * - "owner": Everything, including deleting and managing members
+ *
+ * Where a role comes from:
+ * - The uploader is the "owner"
+ * - Document.members gives single users "viewer" or "editor"
+ * - Members of the document's workspace get "viewer" (workspace admins: "editor")
+ *   when they act in that workspace (req.workspace, see middlewares/workspace.js)
+ *
+ * Usage:
+ * router.get("/:id", auth, requireDocumentRole("viewer"), getDocumentById);
+ * // In the controller: req.document and req.documentRole are ready to use
+ */
+
+const mongoose = require("mongoose");
+const Document = require("../models/Document");
+const ShareLink = require("../models/ShareLink");
+const { hashToken } = require("../services/tokens");
+
+const ROLE_RANK = { viewer: 1, editor: 2, owner: 3 };
+
+// Document role given by a workspace role
+const WORKSPACE_DOCUMENT_ROLE = { admin: "editor", member: "viewer" };
+
+/**
+ * Has Role Function
+ * Example: hasRole("editor", "viewer") -> true (editor is at least viewer)
+ */
+const hasRole = (role, minRole) => Boolean(role) && ROLE_RANK[role] >= ROLE_RANK[minRole];
+
+/**
+ * Get Document Role Function
+ * Purpose: Which role a user has on a document (or null for no access)
+ *
+ * Params:
+ * - workspace: { id, role } of the workspace the user acts in (optional)
+ *
+ * The strongest of the member role and the workspace role wins.
+ */
+const getDocumentRole = (document, userId, workspace) => {
+    if (!document || !userId) return null;
+    if (String(document.owner) === String(userId)) return "owner";
+
+    const member = (document.members || []).find((m) => String(m.user) === String(userId));
+    const memberRole = member ? member.role : null;
+
+    const workspaceRole = workspace && document.workspace
+        && String(document.workspace) === String(workspace.id)
+        ? WORKSPACE_DOCUMENT_ROLE[workspace.role]
+        : null;
+
+    if (hasRole(workspaceRole, memberRole || "viewer")) return workspaceRole;
+    return memberRole;
+};
+
+/**
+ * Accessible Documents Filter Function
+ * Purpose: MongoDB filter for "documents this user can at least view"
+ * Used where there is no single :id to check
+ *
+ * Pass workspaceId to include every document of that workspace
+ * (only after requireWorkspace confirmed the membership).
+ */
+const accessibleDocumentsFilter = (userId, workspaceId) => ({
+    $or: [
+        { owner: userId },
+        { "members.user": userId },
+        ...(workspaceId ? [{ workspace: workspaceId }] : [])
+    ]
+});
+
+/**
+ * Require Document Role Middleware Factory
+ * Purpose: Load the document in req.params[param] and check the user's role
+ *
+ * Params:
+ * - minRole: "viewer" | "editor" | "owner"
+ * - options.select: Mongoose projection (e.g. "-extractedText" to skip page text)
+ * - options.param: Route parameter holding the document id (default "id")
+ *
+ * Responses:
+ * - 404 if the document doesn't exist OR the user has no access at all
+ *   (never reveal that a document exists to someone who can't see it)
+ * - 403 if the user can see it but their role is too weak
+ */
+const requireDocumentRole = (minRole, options = {}) => async (req, res, next) => {
+    try {
+        const id = req.params[options.param || "id"];
+        if (!mongoose.isValidObjectId(id)) {
+            return res.status(404).json({ message: "Document not found" });
+        }
+
+        let query = Document.findById(id);
+        if (options.select) query = query.select(options.select);
+        const document = await query;
+
+        const workspace = req.workspace ? { id: req.workspace._id, role: req.workspaceRole } : null;
+        const role = getDocumentRole(document, req.user && req.user.id, workspace);
+        if (!role) {
+            return res.status(404).json({ message: "Document not found" });
+        }
+        if (!hasRole(role, minRole)) {
+            return res.status(403).json({ message: `This action requires the ${minRole} role` });
+        }
+
+        req.document = document;
+        req.documentRole = role;
+        next();
+    } catch (err) {
+        next(err);
+    }
+};
+
+/**
+ * Require Share Link Middleware
+ * Purpose: Open a document through a share link token (no login needed)
+ *
+ * Route example: /api/shared/:token/ask
+ * Share links are always read-only: req.documentRole is "viewer".
+ */
+const requireShareLink = async (req, res, next) => {
+    try {
+        const link = await ShareLink.findOne({ tokenHash: hashToken(req.params.token) });
+
+        // Same answer for unknown, expired and revoked links
+        if (!link || !link.isActive()) {
+            return res.status(404).json({ message: "Share link not found or expired" });
+        }
+
+        const document = await Document.findById(link.document).select("-members");
+        if (!document) {
+            return res.status(404).json({ message: "Share link not found or expired" });
+        }
+
+        // Not awaited: a failed timestamp update must not block the reader
+        ShareLink.updateOne({ _id: link._id }, { $set: { lastUsedAt: new Date() } })
+            .catch((err) => console.error("[SHARE] lastUsedAt update failed:", err.message));
+
+        req.shareLink = link;
+        req.document = document;
+        req.documentRole = "viewer";
+        next();
+    } catch (err) {
+        next(err);
+    }
+};
+
+module.exports = {
+    ROLE_RANK,
+    getDocumentRole,
+    hasRole,
+    accessibleDocumentsFilter,
+    requireDocumentRole,
+    requireShareLink
+};
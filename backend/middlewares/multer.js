@@ -3,11 +3,12 @@
  * Multer is a library that handles file uploads in Express.
  * This file configures HOW files are handled:
  * - WHERE they are stored (memory, disk, or cloud)
- * - WHAT TYPE of files are allowed (only PDFs in our case)
+ * - WHAT TYPE of files are allowed (PDF, DOCX, TXT, Markdown, HTML - see services/parsers)
  * - HOW BIG they can be (max 10MB)
  */
 
 const multer = require("multer");
+const { findParser, supportedFormatsLabel } = require("../services/parsers");
 
 // --- Storage Configuration ---
 // memoryStorage() keeps the file in RAM instead of writing to disk.
@@ -18,32 +19,22 @@ const storage = multer.memoryStorage();
 // --- File Filter Function ---
 // This function runs for EVERY file upload.
 // It decides whether to accept or reject the file based on type.
+// The list of formats lives in the parser registry (services/parsers/index.js),
+// so adding a parser there is enough to allow a new format here.
 const fileFilter = (req, file, cb) => {
-    // Get the file's MIME type (e.g., "application/pdf") and convert to lowercase
-    const mime = (file.mimetype || "").toLowerCase();
-    
-    // Get the original filename and convert to lowercase
-    const name = (file.originalname || "").toLowerCase();
+    // Check: Is there a parser for this MIME type or file extension?
+    // (The extension wins, because browsers often send generic MIME types
+    // like "application/octet-stream")
+    const parser = findParser(file);
 
-    // Check 1: Does the MIME type indicate a PDF?
-    // Some systems send "application/pdf", others send "application/x-pdf"
-    const isPdfMime = mime === "application/pdf" || mime === "application/x-pdf";
-    
-    // Check 2: Does the filename end with .pdf extension?
-    const isPdfByName = name.endsWith(".pdf");
-    
-    // Check 3: Edge case for some browsers that send PDFs as generic binary
-    // If MIME is unknown BUT filename ends in .pdf, it's probably a PDF
-    const isGenericButPdf = mime === "application/octet-stream" && isPdfByName;
-
-    // Accept file if ANY of the checks pass
-    if (isPdfMime || isGenericButPdf || isPdfByName) {
+    if (parser) {
+        file.parserType = parser.type; // Remember the detected format for the controller
         cb(null, true); // cb(null, true) = "Accept this file"
         return;
     }
 
     // Reject file with a custom error
-    const err = new Error("Only PDF files are allowed");
+    const err = new Error(`Only ${supportedFormatsLabel()} files are allowed`);
     err.code = "INVALID_FILE_TYPE"; // Custom error code for our error handler
     cb(err, false); // cb(err, false) = "Reject this file with an error"
 };
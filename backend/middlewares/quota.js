@@ -0,0 +1,63 @@
+/**
+ * Quota Middleware
+ * Stops uploads and questions once the user's quota is used up
+ * (limits and counting live in services/quotas.js).
+ *
+ * Errors are passed to the centralized error handler in index.js,
+ * which answers 403 with the quota name, usage and limit.
+ */
+
+const { assertUploadAllowed, assertLlmAllowed } = require("../services/quotas");
+
+/**
+ * Helper Function: quotaUser
+ * Purpose: Who pays for a request
+ * Logged-in users pay for themselves; questions asked through a
+ * share link (no login) are charged to the document's owner.
+ */
+const quotaUser = (req) => {
+    if (req.user) return req.user.id;
+    return req.document ? req.document.owner : null;
+};
+
+/**
+ * Check Upload Quota Middleware
+ * Runs AFTER multer (file sizes are known), BEFORE anything is stored
+ *
+ * New revisions and reprocessing of an existing document (req.document is
+ * set) add no document and are charged to the document's owner, whose
+ * storage and pages they use.
+ */
+const checkUploadQuota = async (req, res, next) => {
+    try {
+        const files = req.files || (req.file ? [req.file] : []);
+        if (req.document) {
+            await assertUploadAllowed(req.document.owner, files, { documents: 0 });
+        } else {
+            await assertUploadAllowed(req.user.id, files);
+        }
+        next();
+    } catch (err) {
+        next(err);
+    }
+};
+
+/**
+ * Check LLM Quota Middleware
+ * Runs before every route that asks the LLM
+ * (after the access middleware, so share links know the document's owner)
+ */
+const checkLlmQuota = async (req, res, next) => {
+    try {
+        const userId = quotaUser(req);
+        if (userId) await assertLlmAllowed(userId);
+        next();
+    } catch (err) {
+        next(err);
+    }
+};
+
+module.exports = {
+    checkUploadQuota,
+    checkLlmQuota
+};
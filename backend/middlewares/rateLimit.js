@@ -0,0 +1,142 @@
+/**
+ * Rate Limit Middleware
+ * Limits how often one client may call a route, to stop brute force
+ * (password guessing) and runaway scripts.
+ *
+ * How it works (fixed window):
+ * 1. Every request increments a counter in MongoDB (models/RateLimit.js),
+ *    e.g. "login:ip:203.0.113.7"
+ * 2. The first request starts a window (e.g. 15 minutes)
+ * 3. More than `max` requests in the window -> 429 Too Many Requests
+ *    (via the centralized error handler in index.js, code "RATE_LIMITED")
+ * 4. When the window ends, the counter starts again at 0
+ *
+ * Counters live in MongoDB, so all server processes share them.
+ *
+ * Configuration (.env):
+ * - RATE_LIMIT_ENABLED: "false" turns every limiter off (e.g. for load tests)
+ */
+
+const RateLimit = require("../models/RateLimit");
+
+const MINUTE = 60 * 1000;
+
+/**
+ * Helper Function: hit
+ * Purpose: Count one request for `key` and return the window state
+ *
+ * One atomic update (aggregation pipeline): if the window is still open,
+ * add 1; otherwise start a new window at 1. Parallel requests can't both
+ * "reset" the counter.
+ *
+ * Returns: { count, resetAt }
+ */
+const hit = async (key, windowMs) => {
+    const now = new Date();
+    const open = { $gt: ["$resetAt", now] };
+
+    return RateLimit.findOneAndUpdate(
+        { key },
+        [{
+            $set: {
+                count: { $cond: [open, { $add: ["$count", 1] }, 1] },
+                resetAt: { $cond: [open, "$resetAt", new Date(now.getTime() + windowMs)] }
+            }
+        }],
+        { upsert: true, new: true, updatePipeline: true }
+    );
+};
+
+/**
+ * Rate Limit Middleware Factory
+ *
+ * Options:
+ * - name: Limit name, part of the counter key ("login", "upload", ...)
+ * - windowMs: Window length in milliseconds
+ * - max: Requests allowed per window
+ * - key: (req) => string | null - who is counted (IP, user id, email, ...);
+ *        null skips the limit for this request
+ * - message: Error message for the 429 response
+ *
+ * Usage:
+ * router.post("/export", auth, rateLimit({ name: "export", windowMs: 60 * MINUTE, max: 5, key: byUser }), exportData)
+ *
+ * Sets RateLimit-Limit / RateLimit-Remaining / RateLimit-Reset headers,
+ * and Retry-After when the limit is exceeded.
+ */
+const rateLimit = ({ name, windowMs, max, key, message = "Too many requests, please try again later" }) =>
+    async function rateLimitMiddleware(req, res, next) {
+        if (process.env.RATE_LIMIT_ENABLED === "false") return next();
+
+        const client = key(req);
+        if (!client) return next();
+
+        let state;
+        try {
+            state = await hit(`${name}:${client}`, windowMs);
+        } catch (err) {
+            // Fail open: a broken counter must not lock everybody out
+            console.error(`[RATE LIMIT] ${name} counter failed:`, err.message);
+            return next();
+        }
+
+        const resetSeconds = Math.max(1, Math.ceil((state.resetAt.getTime() - Date.now()) / 1000));
+        res.set("RateLimit-Limit", String(max));
+        res.set("RateLimit-Remaining", String(Math.max(0, max - state.count)));
+        res.set("RateLimit-Reset", String(resetSeconds));
+
+        if (state.count > max) {
+            const err = new Error(message);
+            err.code = "RATE_LIMITED";      // -> 429 in the error handler (index.js)
+            err.retryAfter = resetSeconds;
+            return next(err);
+        }
+
+        next();
+    };
+
+// --- Client Keys ---
+const byIp = (req) => `ip:${req.ip}`;
+const byEmail = (req) => (req.body && req.body.email ? `email:${String(req.body.email).trim().toLowerCase()}` : null);
+const byUser = (req) => (req.user ? `user:${req.user.id}` : byIp(req));
+
+/**
+ * Preconfigured Limiters
+ *
+ * Login is limited twice: per IP (one attacker, many accounts)
+ * and per email (many IPs, one account).
+ */
+const limiters = {
+    limitLoginByIp: rateLimit({
+        name: "login",
+        windowMs: 15 * MINUTE,
+        max: 20,
+        key: byIp,
+        message: "Too many login attempts, please try again later"
+    }),
+    limitLoginByEmail: rateLimit({
+        name: "login",
+        windowMs: 15 * MINUTE,
+        max: 5,
+        key: byEmail,
+        message: "Too many login attempts for this account, please try again later"
+    }),
+
+    // Register, password reset, verification emails (each one may send an email)
+    limitAccountEmails: rateLimit({ name: "account", windowMs: 60 * MINUTE, max: 10, key: byIp }),
+
+    // Uploads cost storage and ingestion work
+    limitUploads: rateLimit({ name: "upload", windowMs: 60 * MINUTE, max: 30, key: byUser }),
+
+    // Every question is an LLM call (share links are counted per IP)
+    limitQuestions: rateLimit({ name: "ask", windowMs: MINUTE, max: 20, key: byUser })
+};
+
+module.exports = {
+    MINUTE,
+    rateLimit,
+    byIp,
+    byEmail,
+    byUser,
+    ...limiters
+};
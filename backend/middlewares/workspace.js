@@ -0,0 +1,92 @@
+/**
+ * Workspace Middleware
+ * Makes sure the user is (still) a member of the workspace they act in.
+ * Runs AFTER auth, which put the token's workspace in req.user.workspace.
+ *
+ * Why check the database? A JWT lives for days. If an admin removes someone
+ * from a workspace, their token still names it - membership is the truth.
+ *
+ * Sets:
+ * - req.workspace: The Workspace document
+ * - req.workspaceRole: "admin" | "member"
+ */
+
+const mongoose = require("mongoose");
+const User = require("../models/User");
+const {
+    findMembership,
+    hasWorkspaceRole,
+    resolveActiveWorkspace
+} = require("../services/workspaces");
+
+/**
+ * Require Workspace Middleware
+ * Purpose: Load the active workspace of the token
+ *
+ * Tokens issued before workspaces existed have no `workspace`:
+ * they fall back to the user's active (or personal) workspace.
+ */
+const requireWorkspace = async (req, res, next) => {
+    try {
+        let workspaceId = req.user.workspace;
+
+        if (!workspaceId) {
+            const user = await User.findById(req.user.id).select("name activeWorkspace");
+            if (!user) {
+                return res.status(401).json({ message: "Invalid or expired token" });
+            }
+            workspaceId = (await resolveActiveWorkspace(user))._id;
+        }
+
+        const membership = await findMembership(workspaceId, req.user.id);
+        if (!membership) {
+            // 403 + code: the client should switch workspace (POST /api/auth/switch-workspace)
+            return res.status(403).json({
+                message: "You are not a member of this workspace",
+                code: "WORKSPACE_ACCESS_REVOKED"
+            });
+        }
+
+        req.workspace = membership.workspace;
+        req.workspaceRole = membership.role;
+        next();
+    } catch (err) {
+        next(err);
+    }
+};
+
+/**
+ * Require Workspace Role Middleware Factory
+ * Purpose: For /api/workspaces/:id routes - load that workspace and check the role
+ *
+ * Responses:
+ * - 404 if the workspace doesn't exist or the user isn't a member
+ * - 403 if the user is a member but not e.g. an admin
+ */
+const requireWorkspaceRole = (minRole, options = {}) => async (req, res, next) => {
+    try {
+        const id = req.params[options.param || "id"];
+        if (!mongoose.isValidObjectId(id)) {
+            return res.status(404).json({ message: "Workspace not found" });
+        }
+
+        const membership = await findMembership(id, req.user.id);
+        if (!membership) {
+            return res.status(404).json({ message: "Workspace not found" });
+        }
+        if (!hasWorkspaceRole(membership.role, minRole)) {
+            return res.status(403).json({ message: `This action requires the ${minRole} role` });
+        }
+
+        req.workspace = membership.workspace;
+        req.workspaceRole = membership.role;
+        next();
+    } catch (err) {
+        next(err);
+    }
+};
+
+module.exports = {
+    requireWorkspace,
+    requireWorkspaceRole
+};
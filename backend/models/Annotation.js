@@ -0,0 +1,102 @@
+/**
+ * Annotation Model
+ * A user's own note or highlight on a document:
+ * - "note": Free text about the whole document, or about one page
+ * - "highlight": A marked text range on a page, optionally with a comment
+ *
+ * Annotations are private: only their owner lists, searches, changes or
+ * deletes them, even on documents shared with others. Creating one needs
+ * at least the viewer role on the document (middlewares/access.js).
+ *
+ * Questions can include the asker's annotations as extra context
+ * ({ includeAnnotations: true }, see services/annotations.js).
+ */
+
+const mongoose = require("mongoose");
+
+const AnnotationSchema = new mongoose.Schema({
+    /**
+     * owner: The User who wrote this annotation (the only one who sees it)
+     */
+    owner: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "User",
+        required: true
+    },
+
+    /**
+     * document: The annotated Document
+     * documentVersion: The revision the page and range refer to
+     * (a new revision can move text; `quote` keeps what was marked)
+     */
+    document: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "Document",
+        required: true
+    },
+    documentVersion: Number,
+
+    /**
+     * type: "note" or "highlight" (see above)
+     */
+    type: {
+        type: String,
+        enum: ["note", "highlight"],
+        required: true
+    },
+
+    /**
+     * page: Page number (1-based) of extractedText.pages; not set for document notes
+     */
+    page: Number,
+
+    /**
+     * range: Highlights only - characters [start, end) of the page's `content`
+     * quote: The highlighted text itself
+     * Example: { page: 3, range: { start: 120, end: 164 }, quote: "The notice period is three months" }
+     */
+    range: {
+        start: Number,
+        end: Number
+    },
+    quote: String,
+
+    /**
+     * comment: The user's text (required for notes, optional for highlights)
+     */
+    comment: {
+        type: String,
+        trim: true,
+        default: ""
+    },
+
+    /**
+     * color: Highlight color for the UI, e.g. "#ffeb3b"
+     */
+    color: String
+},
+{
+    // Auto-add createdAt and updatedAt fields
+    timestamps: true
+});
+
+/**
+ * Index: "This user's annotations on this document, by page"
+ */
+AnnotationSchema.index({ owner: 1, document: 1, page: 1 });
+
+/**
+ * Index: "Annotations of this document" (deleting a document)
+ */
+AnnotationSchema.index({ document: 1 });
+
+/**
+ * Text Index: Searching annotations (GET /api/annotations?q=...)
+ * default_language "none": the same search for every language (see models/Document.js)
+ */
+AnnotationSchema.index(
+    { comment: "text", quote: "text" },
+    { name: "annotation_search", weights: { comment: 2, quote: 1 }, default_language: "none" }
+);
+
+module.exports = mongoose.model("Annotation", AnnotationSchema);
@@ -0,0 +1,104 @@
+/**
+ * ApiKey Model
+ * Lets scripts and internal tools call the API without a user password.
+ *
+ * A key acts AS the user who created it, inside ONE workspace,
+ * and only for the scopes it was given:
+ * - "read": List and read documents, collections and conversations
+ * - "upload": Upload documents
+ * - "ask": Ask questions (documents, collections, conversations)
+ *
+ * Send it as the "X-API-Key: dtk_..." header.
+ * Only a hash of the key is stored (see services/tokens.js).
+ */
+
+const mongoose = require("mongoose");
+
+const API_KEY_SCOPES = ["read", "upload", "ask"];
+
+const ApiKeySchema = new mongoose.Schema({
+    /**
+     * name: What the key is for
+     * Example: "Nightly contract import"
+     */
+    name: {
+        type: String,
+        required: true,
+        trim: true
+    },
+
+    /**
+     * user: The User the key acts as (its creator)
+     * workspace: The Workspace the key works in
+     * If the user leaves the workspace, the key stops working there.
+     */
+    user: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "User",
+        required: true
+    },
+    workspace: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "Workspace",
+        required: true
+    },
+
+    /**
+     * scopes: What the key may do (see the list above)
+     */
+    scopes: {
+        type: [{ type: String, enum: API_KEY_SCOPES }],
+        validate: {
+            validator: (scopes) => scopes.length > 0,
+            message: "An API key needs at least one scope"
+        }
+    },
+
+    /**
+     * prefix: The first characters of the key, shown in lists
+     * so people can recognise a key without seeing it
+     * keyHash: SHA-256 of the full key
+     */
+    prefix: {
+        type: String,
+        required: true
+    },
+    keyHash: {
+        type: String,
+        required: true,
+        unique: true
+    },
+
+    /**
+     * expiresAt: Optional end date (null = until revoked)
+     * revokedAt: Set when the key was revoked
+     * lastUsedAt: When the key last authenticated a request
+     */
+    expiresAt: Date,
+    revokedAt: Date,
+    lastUsedAt: Date
+},
+{
+    // Auto-add createdAt and updatedAt fields
+    timestamps: true
+});
+
+/**
+ * Index: "Keys of this user" and "Keys of this workspace"
+ */
+ApiKeySchema.index({ user: 1, createdAt: -1 });
+ApiKeySchema.index({ workspace: 1, createdAt: -1 });
+
+/**
+ * isActive: Not revoked and not expired
+ */
+ApiKeySchema.methods.isActive = function isActive() {
+    return !this.revokedAt && (!this.expiresAt || this.expiresAt > new Date());
+};
+
+const ApiKey = mongoose.model("ApiKey", ApiKeySchema);
+
+// The allowed scopes, e.g. for validating input: ApiKey.SCOPES
+ApiKey.SCOPES = API_KEY_SCOPES;
+
+module.exports = ApiKey;
@@ -1,7 +1,8 @@
 /**
- * Chat Model (Future Use)
- * This will store conversation history between users and the AI.
- * Currently a placeholder - will be fully implemented during RAG integration.
+ * Chat Model
+ * Stores question/answer pairs between users and the AI.
+ * Created by POST /api/documents/:id/ask (see controllers/chat.js)
+ * and by conversations (see controllers/conversation.js).
  */
 
 const mongoose = require("mongoose");
@@ -10,32 +11,135 @@ const ChatSchema = new mongoose.Schema({
     /**
      * documentId: Which document this conversation is about
      * References the Document model
+     * (Not set when the question covered several documents - see sources)
      */
     documentId: {
         type: mongoose.Schema.Types.ObjectId,
         ref: "Document"
     },
 
+    /**
+     * documentVersion: The version of the document the question was asked
+     * against (Document.version at that time). Its text and file stay
+     * available after new revisions are uploaded (models/DocumentVersion.js).
+     */
+    documentVersion: Number,
+
+    /**
+     * conversationId / sequence: The Conversation this message belongs to,
+     * and its position in it (0, 1, 2, ...)
+     * Not set for one-off questions (POST /api/documents/:id/ask)
+     */
+    conversationId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "Conversation"
+    },
+    sequence: Number,
+
+    /**
+     * collectionId: Set when the question was asked across a whole Collection
+     */
+    collectionId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "Collection"
+    },
+
+    /**
+     * owner: The User who asked the question
+     */
+    owner: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "User"
+    },
+
+    /**
+     * workspace: The Workspace the question was asked in
+     */
+    workspace: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "Workspace"
+    },
+
+    /**
+     * shareLinkId: Set when the question was asked through a share link
+     * (no logged-in user, so `owner` is empty)
+     */
+    shareLinkId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "ShareLink"
+    },
+
     /**
      * question: What the user asked
      * Example: "What is the main topic of this document?"
      */
     question: String,
 
+    /**
+     * standaloneQuestion: The question rewritten using the conversation history
+     * Example: "what about section 4?" -> "What is the notice period in section 4?"
+     * This is what retrieval actually searched for
+     */
+    standaloneQuestion: String,
+
     /**
      * answer: AI's response
      * Example: "This document discusses machine learning fundamentals..."
      */
-    answer: String
+    answer: String,
+
+    /**
+     * sources: The chunks the answer was grounded on (the [1], [2] citations)
+     * - score: Ranking score (cosine, BM25 or fused, depending on retrieval mode)
+     * - pageStart/pageEnd: Where in the document the chunk came from
+     * - section: The section (heading path) the chunk is in, if the document has headings
+     * - documentVersion: Which version of the document those pages belong to
+     */
+    sources: [
+        {
+            _id: false,
+            chunkId: { type: mongoose.Schema.Types.ObjectId, ref: "Chunk" },
+            documentId: { type: mongoose.Schema.Types.ObjectId, ref: "Document" },
+            documentName: String,
+            documentVersion: Number,
+            index: Number,
+            pageStart: Number,
+            pageEnd: Number,
+            section: String,         // Heading path of the chunk, e.g. "2. Results > 2.1 Revenue"
+            score: Number,
+            similarity: Number,      // Vector (cosine) score, if vector search found it
+            keywordScore: Number,    // BM25 score, if keyword search found it
+            methods: [String]        // "vector" and/or "keyword"
+        }
+    ],
+
+    /**
+     * llm: Which LLM produced the answer
+     * Example: { provider: "huggingface", model: "meta-llama/Llama-3.1-8B-Instruct" }
+     */
+    llm: {
+        provider: String,
+        model: String
+    }
 },
 {
     // Auto-add createdAt and updatedAt fields
     timestamps: true
 });
 
+/**
+ * Index: Messages of a conversation, in order
+ */
+ChatSchema.index({ conversationId: 1, sequence: 1 });
+
+/**
+ * Index: Chats about a document (deleted together with it, services/deletion.js)
+ */
+ChatSchema.index({ documentId: 1 });
+
 /**
  * Export the Chat model
- * Future usage:
+ * Usage:
  * - Chat.create({ documentId, question, answer })
  * - Chat.find({ documentId: id }) // Get all chats for a document
  */
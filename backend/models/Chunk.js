@@ -1,7 +1,7 @@
 /**
- * Chunk Model (Future Use)
- * This will store split text chunks from documents for RAG (Retrieval-Augmented Generation).
- * Currently a placeholder - will be fully implemented when adding AI chat features.
+ * Chunk Model
+ * Stores split text chunks from documents for RAG (Retrieval-Augmented Generation).
+ * Chunks are created by services/chunker.js right after a document is uploaded.
  * 
  * What is a Chunk?
  * When a document is too long, we split it into small pieces:
@@ -23,7 +23,17 @@ const ChunkSchema = new mongoose.Schema({
      */
     documentId: {
         type: mongoose.Schema.Types.ObjectId,
-        ref: "Document"
+        ref: "Document",
+        required: true
+    },
+
+    /**
+     * owner: The User who owns the source document
+     * Copied from the Document so chunk queries can be user-scoped too
+     */
+    owner: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "User"
     },
 
     /**
@@ -40,10 +50,24 @@ const ChunkSchema = new mongoose.Schema({
      */
     text: String,
 
+    /**
+     * pageStart / pageEnd: Page range this chunk was taken from (1-indexed)
+     * A chunk can span two pages when a sentence crosses a page break
+     * Used for citations: "Answer found on pages 4-5"
+     */
+    pageStart: Number,
+    pageEnd: Number,
+
+    /**
+     * section: The heading path the chunk belongs to (chunks never span two sections)
+     * Example: "2. Results > 2.1 Revenue" (PDF headings), or the section title (DOCX, Markdown, ...)
+     */
+    section: String,
+
     /**
      * embedding: Vector representation of the text for semantic search
      * - Type: [Number] (array of numbers, 384-1536 dimensions)
-     * - Generated by: Hugging Face embedding model (future)
+     * - Generated by: The configured embedding provider (services/embeddings)
      * - Used for: Finding similar chunks when user asks a question
      * 
      * Example:
@@ -63,9 +87,15 @@ const ChunkSchema = new mongoose.Schema({
     timestamps: true
 });
 
+/**
+ * Index: One chunk per (documentId, index)
+ * Speeds up "all chunks of a document" queries and prevents duplicate chunks
+ */
+ChunkSchema.index({ documentId: 1, index: 1 }, { unique: true });
+
 /**
  * Export the Chunk model
- * Future usage:
+ * Usage:
  * - Chunk.create({ documentId, index, text, embedding })
  * - Chunk.find({ documentId: id }) // Get all chunks for a document
  * - Vector search: Find chunks similar to user's question
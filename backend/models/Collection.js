@@ -0,0 +1,71 @@
+/**
+ * Collection Model
+ * A user-defined folder that groups documents (e.g. "Supplier contracts").
+ * Questions asked on a collection search across ALL of its documents.
+ * Collections belong to a workspace and are visible to all of its members.
+ *
+ * Membership is stored on the Document (`Document.collections`), so a
+ * document can be in several collections and listing a folder is one query.
+ */
+
+const mongoose = require("mongoose");
+
+const CollectionSchema = new mongoose.Schema({
+    /**
+     * owner: The User who created this collection
+     * (the creator and workspace admins may change or delete it)
+     */
+    owner: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "User",
+        required: true
+    },
+
+    /**
+     * workspace: The Workspace this collection belongs to
+     */
+    workspace: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "Workspace"
+    },
+
+    /**
+     * name: Folder name shown in the UI
+     * Example: "Supplier contracts 2025"
+     */
+    name: {
+        type: String,
+        required: true,
+        trim: true
+    },
+
+    /**
+     * description: Optional notes about what the collection contains
+     */
+    description: {
+        type: String,
+        trim: true,
+        default: ""
+    }
+},
+{
+    // Auto-add createdAt and updatedAt fields
+    timestamps: true
+});
+
+/**
+ * Index: One collection name per workspace
+ * partialFilterExpression: collections created before workspaces existed
+ * (no `workspace` yet) are left out until they are moved into one
+ */
+CollectionSchema.index(
+    { workspace: 1, name: 1 },
+    { unique: true, partialFilterExpression: { workspace: { $exists: true } } }
+);
+
+/**
+ * Index: "Collections of this user" (legacy lookups and migration)
+ */
+CollectionSchema.index({ owner: 1 });
+
+module.exports = mongoose.model("Collection", CollectionSchema);
@@ -0,0 +1,76 @@
+/**
+ * Conversation Model
+ * A multi-turn chat session of a user about one or more documents.
+ *
+ * The messages themselves are Chat records (question + answer) that point
+ * back here with `conversationId` and are ordered by `sequence`.
+ */
+
+const mongoose = require("mongoose");
+
+const ConversationSchema = new mongoose.Schema({
+    /**
+     * owner: The User who owns this conversation
+     * Every conversation query filters by owner (user scoping)
+     */
+    owner: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "User",
+        required: true
+    },
+
+    /**
+     * workspace: The Workspace the conversation was started in
+     * Conversations stay private to their owner inside that workspace
+     */
+    workspace: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "Workspace"
+    },
+
+    /**
+     * title: Name shown in the conversation list
+     * Defaults to the first question; can be renamed
+     */
+    title: {
+        type: String,
+        trim: true,
+        default: "New conversation"
+    },
+
+    /**
+     * documents: The document(s) this conversation asks about
+     * Retrieval searches the chunks of all of them
+     */
+    documents: [
+        {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: "Document"
+        }
+    ],
+
+    /**
+     * messageCount: Number of question/answer turns so far
+     * Also used to hand out the `sequence` of the next Chat (atomic $inc)
+     */
+    messageCount: {
+        type: Number,
+        default: 0
+    },
+
+    /**
+     * lastMessageAt: When the last question was asked (for sorting the list)
+     */
+    lastMessageAt: Date
+},
+{
+    // Auto-add createdAt and updatedAt fields
+    timestamps: true
+});
+
+/**
+ * Index: "My conversations, most recent first"
+ */
+ConversationSchema.index({ owner: 1, workspace: 1, updatedAt: -1 });
+
+module.exports = mongoose.model("Conversation", ConversationSchema);
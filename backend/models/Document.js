@@ -1,7 +1,8 @@
 /**
  * Document Model
  * This defines the structure of a Document in MongoDB.
- * A Document represents an uploaded PDF file with extracted text and metadata.
+ * A Document represents an uploaded file (PDF, DOCX, TXT, Markdown or HTML)
+ * with extracted text and metadata.
  */
 
 const mongoose = require("mongoose");
@@ -23,6 +24,55 @@ const DocumentSchema = new mongoose.Schema({
         required: true
     },
 
+    /**
+     * workspace: The Workspace this document belongs to
+     * Every member of the workspace can find and ask about it
+     */
+    workspace: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "Workspace"
+    },
+
+    /**
+     * members: Other users this document is shared with, and their role
+     * - "viewer": Can read the document and ask questions
+     * - "editor": Viewer rights + can manage share links
+     * The owner is NOT listed here: `owner` always has every right.
+     * Permission checks live in middlewares/access.js.
+     */
+    members: [
+        {
+            _id: false,
+            user: { type: mongoose.Schema.Types.ObjectId, ref: "User", required: true },
+            role: { type: String, enum: ["viewer", "editor"], default: "viewer" },
+            addedAt: { type: Date, default: Date.now }
+        }
+    ],
+
+    /**
+     * collections: The workspace collections (folders) this document belongs to
+     * A document can be in any number of collections
+     */
+    collections: [
+        {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: "Collection"
+        }
+    ],
+
+    /**
+     * tags: Free-form labels for filtering (GET /api/documents?tag=...)
+     * Set with PUT /api/documents/:id/tags (editors), seen by everyone with access.
+     * Stored lowercase and trimmed, so "Finance" and "finance " are the same tag
+     */
+    tags: [
+        {
+            type: String,
+            trim: true,
+            lowercase: true
+        }
+    ],
+
     /**
      * originalName: The filename the user uploaded
      * Example: "contract.pdf", "lecture_notes.pdf"
@@ -33,8 +83,8 @@ const DocumentSchema = new mongoose.Schema({
     },
 
     /**
-     * fileType: Type of file (always "pdf" currently)
-     * Future: Could support "docx", "txt", etc.
+     * fileType: Format of the file, decides which parser extracts its text
+     * One of the types in services/parsers: "pdf", "docx", "txt", "md", "html"
      */
     fileType: {
         type: String,
@@ -42,32 +92,84 @@ const DocumentSchema = new mongoose.Schema({
     },
 
     /**
-     * storagePath: URL where file is stored on Cloudinary
-     * Example: "https://res.cloudinary.com/ddaq3oivq/raw/upload/v1767269012/doctalk/documents/abc123.pdf"
-     * This is a public URL that anyone can download from
+     * mimeType: MIME type sent by the client at upload (e.g. "application/pdf")
+     */
+    mimeType: String,
+
+    /**
+     * size: File size in bytes (counts against the owner's storage quota, services/quotas.js)
+     */
+    size: Number,
+
+    /**
+     * storagePath: Key of the original file inside its storage backend
+     * Example: "documents/65f1c2.../1767269012345-q3Xz9aBc.pdf"
+     * Adapter-neutral: read it through services/storage, never as a URL.
+     * (Documents uploaded before storage adapters hold a full Cloudinary URL here.)
+     *
+     * storageDriver: The backend holding the file: "cloudinary", "local" or "s3"
      */
     storagePath: {
         type: String,
         required: true
     },
+    storageDriver: String,
+
+    /**
+     * version: Revision number of the file above (1 = first upload)
+     * Uploading a new revision (POST /api/documents/:id/versions) replaces
+     * the file fields and the extracted text, and keeps the old ones in a
+     * DocumentVersion (models/DocumentVersion.js).
+     * versionCreatedAt: When the current revision was uploaded (not set for version 1: createdAt)
+     */
+    version: {
+        type: Number,
+        default: 1
+    },
+    versionCreatedAt: Date,
 
     /**
      * status: Processing status of the document
-     * - "uploaded": File uploaded but text not extracted yet
-     * - "processed": Text has been extracted and stored
+     * Documents are processed in the background (services/ingest.js):
+     * - "uploaded": File stored, not queued yet
+     * - "queued": Waiting for the ingestion worker (also while waiting for a retry)
+     * - "parsing": Text is being extracted from the file
+     * - "chunking": Text is being split into chunks
+     * - "embedding": Chunks are being embedded
+     * - "ready": Fully processed, questions can be asked
+     * - "failed": Processing failed on the last retry (see processingError)
+     * - "processed": Legacy value (documents processed before the job queue), same as "ready"
      * 
-     * enum: Only allows these two values (prevents typos like "procesed")
+     * enum: Only allows these values (prevents typos like "procesed")
      * default: "uploaded" (new documents start in this state)
      */
     status: {
         type: String,
-        enum: ["uploaded", "processed"],
+        enum: ["uploaded", "queued", "parsing", "chunking", "embedding", "ready", "failed", "processed"],
         default: "uploaded"
     },
 
+    /**
+     * processingError: Message of the last processing failure (null when fine)
+     * retryCount: How many times processing has been retried
+     * processedAt: When the document became "ready"
+     */
+    processingError: String,
+    retryCount: {
+        type: Number,
+        default: 0
+    },
+    processedAt: Date,
+
     /**
      * extractedText: Cleaned text extracted from the PDF
      * Structure: { pages: [ { page: 1, content: "..." }, ... ] }
+     * Scanned PDF pages are read with OCR: { page: 3, content: "...", ocr: true, ocrConfidence: 91 }
+     * PDF pages also keep their structure (services/parsers/pdfLayout.js):
+     * { page: 1, content: "...", blocks: [{ type: "heading", level: 1, text, bbox }, { type: "table", text: "| A | B |..." }] }
+     * 
+     * PDFs have real pages. For formats without pagination (DOCX, TXT,
+     * Markdown, HTML) each section/heading becomes a "page" with a `title`.
      * 
      * Why page-by-page?
      * For RAG (Retrieval-Augmented Generation):
@@ -87,10 +189,105 @@ const DocumentSchema = new mongoose.Schema({
     extractedText: {
         pages: [
             {
-                page: Number,      // Page number (1-indexed)
-                content: String    // Cleaned text from that page
+                page: Number,         // Page number (1-indexed)
+                title: String,        // Section heading (formats without real pages)
+                content: String,      // Cleaned text from that page
+                ocr: Boolean,         // Text was read with OCR (scanned page without a text layer)
+                ocrConfidence: Number, // Tesseract's confidence for that text, 0-100
+
+                // PDFs: the same text as headings, paragraphs and tables, in reading order
+                blocks: [
+                    {
+                        _id: false,
+                        type: { type: String },            // "heading" | "paragraph" | "table" (Markdown)
+                        level: Number,                     // Headings: 1 = biggest font in the document
+                        text: String,
+                        bbox: { type: [Number], default: undefined } // [left, top, right, bottom] in points from the top-left corner
+                    }
+                ]
             }
         ]
+    },
+
+    /**
+     * needsOcr: The file has scanned pages (no text layer) whose text could
+     * not be read, because OCR is turned off (OCR_ENABLED=false) or the
+     * document has more scanned pages than OCR_MAX_PAGES (services/ocr.js).
+     * Questions only see the pages that have text. Reprocess the document
+     * (POST /api/documents/:id/reprocess) once OCR is available.
+     */
+    needsOcr: {
+        type: Boolean,
+        default: false
+    },
+
+    /**
+     * contentHash: SHA-256 of the file (hex)
+     * Uploading a file the owner already has in the same workspace returns the
+     * existing document instead of a copy (see uploadDocument in controllers/document.js).
+     */
+    contentHash: String,
+
+    /**
+     * The fields below are filled in by the ingestion worker after parsing
+     * (services/documentInfo.js); reprocessing fills them in for older documents.
+     *
+     * metadata: The PDF's document info (empty for other formats)
+     * Example: { title: "Annual Report 2024", author: "Finance Team", createdAt: 2024-01-31T11:00:00Z }
+     */
+    metadata: {
+        title: String,
+        author: String,
+        subject: String,
+        keywords: String,
+        creator: String,      // Application the original was made with, e.g. "Microsoft Word"
+        producer: String,     // Application that wrote the PDF
+        createdAt: Date,
+        modifiedAt: Date
+    },
+
+    /**
+     * outline: Table of contents - the PDF's bookmarks, or else the detected
+     * headings (PDFs) or section titles (other formats)
+     * Example: [{ title: "1. Introduction", page: 1, level: 1 }, { title: "1.1 Scope", page: 2, level: 2 }]
+     */
+    outline: [
+        {
+            _id: false,
+            title: String,
+            page: Number,         // 1-based; null when a bookmark points nowhere
+            level: Number         // 1 = top level
+        }
+    ],
+
+    /**
+     * stats: Size of the extracted text
+     * - characterCount: Characters without whitespace
+     * language: Main language of the text, ISO 639-3 ("eng", "deu", ...); null if unknown
+     */
+    stats: {
+        pageCount: Number,
+        wordCount: Number,
+        characterCount: Number
+    },
+    language: String,
+
+    /**
+     * embedding: Which embedding model produced this document's chunk vectors
+     * - provider: "local" or "huggingface" (see services/embeddings)
+     * - model: Model id, e.g. "sentence-transformers/all-MiniLM-L6-v2"
+     * - dimension: Length of each vector
+     * - embeddedAt: When the chunks were last embedded
+     *
+     * Why store it?
+     * Vectors from different models can't be compared. If the configured model
+     * changes, we can detect documents that need to be re-embedded.
+     */
+    embedding: {
+        provider: String,
+        model: String,
+        dimension: Number,
+        embeddedAt: Date
     }
 },
 {
@@ -103,6 +300,55 @@ const DocumentSchema = new mongoose.Schema({
     timestamps: true
 });
 
+/**
+ * Index: "Documents of this workspace, newest first"
+ */
+DocumentSchema.index({ workspace: 1, createdAt: -1 });
+
+/**
+ * Index: "Does this owner already have this file in this workspace?" (duplicate uploads)
+ */
+DocumentSchema.index({ owner: 1, workspace: 1, contentHash: 1 });
+
+/**
+ * Index: "Documents shared with this user"
+ */
+DocumentSchema.index({ "members.user": 1 });
+
+/**
+ * Index: "Documents of this workspace in this collection"
+ */
+DocumentSchema.index({ workspace: 1, collections: 1 });
+
+/**
+ * Index: "Documents of this workspace with this tag"
+ */
+DocumentSchema.index({ workspace: 1, tags: 1 });
+
+/**
+ * Text Index: Full-text search over names and content (GET /api/documents?q=...)
+ * A name match counts more than a match somewhere in the text.
+ *
+ * default_language "none": No stemming or stop words, so search works the
+ * same for every language. language_override: MongoDB would otherwise read
+ * our `language` field ("eng", "deu") as the text language and reject
+ * codes it doesn't know.
+ */
+DocumentSchema.index(
+    {
+        originalName: "text",
+        "metadata.title": "text",
+        tags: "text",
+        "extractedText.pages.content": "text"
+    },
+    {
+        name: "document_search",
+        weights: { originalName: 10, "metadata.title": 5, tags: 5, "extractedText.pages.content": 1 },
+        default_language: "none",
+        language_override: "textSearchLanguage"
+    }
+);
+
 /**
  * Export the Document model
  * Creates a "documents" collection in MongoDB
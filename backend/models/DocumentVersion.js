@@ -0,0 +1,98 @@
+/**
+ * DocumentVersion Model
+ * An older revision of a document, kept when a new one is uploaded
+ * (POST /api/documents/:id/versions, see services/versions.js).
+ *
+ * The Document itself always holds the CURRENT revision (file, extracted
+ * text, chunks). Each DocumentVersion is a snapshot of one revision it
+ * replaced: its file stays in storage and its text stays here, so the
+ * version can still be downloaded, read and compared, and old chats
+ * (Chat.documentVersion) still point to the pages they cited.
+ */
+
+const mongoose = require("mongoose");
+
+const DocumentVersionSchema = new mongoose.Schema({
+    /**
+     * document: The Document this is an older revision of
+     * version: Its revision number (Document.version when it was current)
+     */
+    document: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "Document",
+        required: true
+    },
+    version: {
+        type: Number,
+        required: true
+    },
+
+    /**
+     * owner: The document's owner (older versions count against their storage quota)
+     */
+    owner: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "User",
+        required: true
+    },
+
+    /**
+     * File of this revision - same meaning as on the Document
+     */
+    originalName: String,
+    fileType: String,
+    mimeType: String,
+    size: Number,
+    storageDriver: String,
+    storagePath: {
+        type: String,
+        required: true
+    },
+    contentHash: String,
+
+    /**
+     * extractedText: The text of this revision, page by page (same structure as Document.extractedText)
+     */
+    extractedText: {
+        pages: [
+            {
+                page: Number,
+                title: String,
+                content: String,
+                ocr: Boolean,
+                ocrConfidence: Number,
+                blocks: [
+                    {
+                        _id: false,
+                        type: { type: String },
+                        level: Number,
+                        text: String,
+                        bbox: { type: [Number], default: undefined }
+                    }
+                ]
+            }
+        ]
+    },
+
+    /**
+     * uploadedAt: When this revision was uploaded
+     * (createdAt is when it was replaced by a newer one)
+     */
+    uploadedAt: Date
+},
+{
+    // Auto-add createdAt and updatedAt fields
+    timestamps: true
+});
+
+/**
+ * Index: "Version N of this document" (one snapshot per revision)
+ */
+DocumentVersionSchema.index({ document: 1, version: 1 }, { unique: true });
+
+/**
+ * Index: "Older versions of this user's documents" (storage quota)
+ */
+DocumentVersionSchema.index({ owner: 1 });
+
+module.exports = mongoose.model("DocumentVersion", DocumentVersionSchema);
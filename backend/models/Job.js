@@ -0,0 +1,80 @@
+/**
+ * Job Model
+ * A unit of background work (e.g. "ingest this document"), stored in MongoDB.
+ * The worker in services/queue.js picks jobs up and runs them outside of HTTP requests.
+ *
+ * Why MongoDB instead of Redis?
+ * - We already run MongoDB, so there is no extra service to deploy
+ * - Jobs survive restarts: a crashed worker's job is picked up again later
+ */
+
+const mongoose = require("mongoose");
+
+const JobSchema = new mongoose.Schema({
+    /**
+     * type: Which handler runs this job
+     * Example: "ingest-document"
+     */
+    type: {
+        type: String,
+        required: true
+    },
+
+    /**
+     * payload: Data the handler needs
+     * Example: { documentId: "..." }
+     */
+    payload: {
+        type: mongoose.Schema.Types.Mixed,
+        default: {}
+    },
+
+    /**
+     * status: Where the job is in its lifecycle
+     * - "pending": Waiting to run (or waiting for a retry)
+     * - "running": Claimed by a worker
+     * - "completed": Finished successfully
+     * - "failed": Gave up after maxAttempts
+     */
+    status: {
+        type: String,
+        enum: ["pending", "running", "completed", "failed"],
+        default: "pending"
+    },
+
+    /**
+     * attempts / maxAttempts: How many times the job has been tried / may be tried
+     */
+    attempts: { type: Number, default: 0 },
+    maxAttempts: { type: Number, default: 3 },
+
+    /**
+     * runAt: Earliest time the job may run (used to delay retries)
+     */
+    runAt: { type: Date, default: Date.now },
+
+    /**
+     * lockedAt / lockedBy: Which worker is running the job, and its last heartbeat
+     * If lockedAt gets too old, the worker is assumed dead and the job is picked up again
+     */
+    lockedAt: Date,
+    lockedBy: String,
+
+    /**
+     * lastError: Message of the most recent failure
+     */
+    lastError: String,
+
+    completedAt: Date
+},
+{
+    // Auto-add createdAt and updatedAt fields
+    timestamps: true
+});
+
+/**
+ * Index: Lets workers quickly find the next job that is due
+ */
+JobSchema.index({ status: 1, runAt: 1 });
+
+module.exports = mongoose.model("Job", JobSchema);
@@ -0,0 +1,44 @@
+/**
+ * RateLimit Model
+ * One counter per client per rate limit window (see middlewares/rateLimit.js).
+ *
+ * Example: key "login:ip:203.0.113.7" -> { count: 4, resetAt: 10:15 }
+ * Stored in MongoDB (not in memory) so every server process
+ * shares the same counters, and restarts don't reset them.
+ */
+
+const mongoose = require("mongoose");
+
+const RateLimitSchema = new mongoose.Schema({
+    /**
+     * key: Limit name + client, e.g. "login:ip:203.0.113.7" or "upload:user:<id>"
+     */
+    key: {
+        type: String,
+        required: true,
+        unique: true
+    },
+
+    /**
+     * count: Requests made in the current window
+     */
+    count: {
+        type: Number,
+        default: 0
+    },
+
+    /**
+     * resetAt: When the current window ends (the counter starts again at 0)
+     */
+    resetAt: {
+        type: Date,
+        required: true
+    }
+});
+
+/**
+ * Index: MongoDB deletes finished windows by itself (TTL index)
+ */
+RateLimitSchema.index({ resetAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model("RateLimit", RateLimitSchema);
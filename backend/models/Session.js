@@ -0,0 +1,89 @@
+/**
+ * Session Model
+ * One login of a user on one device (browser, phone, script, ...).
+ *
+ * The session holds the REFRESH token (hashed, see services/tokens.js).
+ * Access tokens carry the session id (`sid`), so revoking a session
+ * logs that device out immediately - even before its access token expires.
+ *
+ * Refresh tokens ROTATE: every refresh issues a new one and the old one
+ * stops working. If an old one shows up again, the token was probably
+ * stolen, and the whole session is revoked.
+ */
+
+const mongoose = require("mongoose");
+
+const SessionSchema = new mongoose.Schema({
+    /**
+     * user: The User who logged in
+     */
+    user: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "User",
+        required: true
+    },
+
+    /**
+     * workspace: The active workspace, put into every new access token
+     * Updated by POST /api/auth/switch-workspace
+     */
+    workspace: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "Workspace"
+    },
+
+    /**
+     * refreshTokenHash: SHA-256 of the current refresh token
+     * previousTokenHash: Hash of the token it replaced (to detect reuse)
+     */
+    refreshTokenHash: {
+        type: String,
+        required: true,
+        unique: true
+    },
+    previousTokenHash: {
+        type: String,
+        index: true
+    },
+
+    /**
+     * expiresAt: When the refresh token stops working (extended on every refresh)
+     * revokedAt / revokedReason: Set by logout, "log out everywhere" or reuse detection
+     */
+    expiresAt: {
+        type: Date,
+        required: true
+    },
+    revokedAt: Date,
+    revokedReason: String,
+
+    /**
+     * Device information, shown in the session list
+     */
+    userAgent: String,
+    ip: String,
+    lastUsedAt: Date
+},
+{
+    // Auto-add createdAt and updatedAt fields
+    timestamps: true
+});
+
+/**
+ * Index: "Active sessions of this user"
+ */
+SessionSchema.index({ user: 1, revokedAt: 1 });
+
+/**
+ * Index: MongoDB deletes expired sessions by itself (TTL index)
+ */
+SessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+/**
+ * isActive: Not revoked and not expired
+ */
+SessionSchema.methods.isActive = function isActive() {
+    return !this.revokedAt && this.expiresAt > new Date();
+};
+
+module.exports = mongoose.model("Session", SessionSchema);
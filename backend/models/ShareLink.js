@@ -0,0 +1,64 @@
+/**
+ * ShareLink Model
+ * A secret link that gives read-only Q&A access to one document,
+ * without an account. Links can expire and can be revoked at any time.
+ *
+ * Only a hash of the link's token is stored (see services/tokens.js).
+ */
+
+const mongoose = require("mongoose");
+
+const ShareLinkSchema = new mongoose.Schema({
+    /**
+     * document: The Document this link opens
+     */
+    document: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "Document",
+        required: true
+    },
+
+    /**
+     * createdBy: The User (owner or editor) who created the link
+     */
+    createdBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "User",
+        required: true
+    },
+
+    /**
+     * tokenHash: SHA-256 of the secret token in the URL
+     * unique: Lookups by hash must find exactly one link
+     */
+    tokenHash: {
+        type: String,
+        required: true,
+        unique: true
+    },
+
+    /**
+     * expiresAt: After this time the link stops working (null = never expires)
+     * revokedAt: Set when the link was revoked
+     */
+    expiresAt: Date,
+    revokedAt: Date,
+
+    /**
+     * lastUsedAt: When the link was last opened (for "is anyone using this?")
+     */
+    lastUsedAt: Date
+},
+{
+    // Auto-add createdAt and updatedAt fields
+    timestamps: true
+});
+
+/**
+ * isActive: Not revoked and not expired
+ */
+ShareLinkSchema.methods.isActive = function isActive() {
+    return !this.revokedAt && (!this.expiresAt || this.expiresAt > new Date());
+};
+
+module.exports = mongoose.model("ShareLink", ShareLinkSchema);
@@ -0,0 +1,76 @@
+/**
+ * Usage Model
+ * What one user consumed in one calendar month (UTC), for quotas.
+ *
+ * Example: { user, period: "2026-10", pagesIngested: 412, llmTokens: 58210 }
+ *
+ * Documents stored and bytes stored are NOT kept here: they are counted
+ * from the Document collection, so deleting a document frees its space.
+ * See services/quotas.js.
+ */
+
+const mongoose = require("mongoose");
+
+const UsageSchema = new mongoose.Schema({
+    /**
+     * user: The User the usage is charged to
+     * (the uploader for pages; the asker - or the document owner for share links - for LLM tokens)
+     */
+    user: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "User",
+        required: true
+    },
+
+    /**
+     * period: The month, "YYYY-MM" (UTC)
+     */
+    period: {
+        type: String,
+        required: true
+    },
+
+    /**
+     * pagesIngested: Pages (or sections) extracted from uploaded documents
+     */
+    pagesIngested: {
+        type: Number,
+        default: 0
+    },
+
+    /**
+     * LLM tokens used by answers and question rewriting
+     * llmTokens = promptTokens + completionTokens (the number the quota checks)
+     */
+    promptTokens: {
+        type: Number,
+        default: 0
+    },
+    completionTokens: {
+        type: Number,
+        default: 0
+    },
+    llmTokens: {
+        type: Number,
+        default: 0
+    },
+
+    /**
+     * llmRequests: Number of LLM calls
+     */
+    llmRequests: {
+        type: Number,
+        default: 0
+    }
+},
+{
+    // Auto-add createdAt and updatedAt fields
+    timestamps: true
+});
+
+/**
+ * Index: One row per user and month
+ */
+UsageSchema.index({ user: 1, period: 1 }, { unique: true });
+
+module.exports = mongoose.model("Usage", UsageSchema);
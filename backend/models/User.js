@@ -41,6 +41,22 @@ const UserSchema = new mongoose.Schema(
          * - Note: Always hash passwords before saving
          */
         password: { type: String, required: true },
+
+        /**
+         * emailVerified: The user clicked the link sent to `email`
+         * - Changing the email sets it back to false
+         * - Needed to accept workspace invites (they are addressed by email)
+         * passwordChangedAt: Last password change or reset
+         */
+        emailVerified: { type: Boolean, default: false },
+        emailVerifiedAt: Date,
+        passwordChangedAt: Date,
+
+        /**
+         * activeWorkspace: The workspace the user last switched to
+         * Login puts this workspace into the JWT (see controllers/auth.js)
+         */
+        activeWorkspace: { type: mongoose.Schema.Types.ObjectId, ref: "Workspace" },
     },
     {
         /**
@@ -0,0 +1,73 @@
+/**
+ * UserToken Model
+ * Single-use secret tokens sent to a user by email:
+ * - "password-reset": Lets the user choose a new password
+ * - "email-verification": Confirms the user owns their email address
+ *
+ * Only the token's hash is stored (see services/tokens.js).
+ * A token works once (usedAt) and only until expiresAt.
+ */
+
+const mongoose = require("mongoose");
+
+const UserTokenSchema = new mongoose.Schema({
+    /**
+     * user: The User the token belongs to
+     */
+    user: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "User",
+        required: true
+    },
+
+    /**
+     * purpose: What the token may be used for
+     * A reset token can never verify an email, and the other way round
+     */
+    purpose: {
+        type: String,
+        enum: ["password-reset", "email-verification"],
+        required: true
+    },
+
+    /**
+     * tokenHash: SHA-256 of the secret token in the email link
+     */
+    tokenHash: {
+        type: String,
+        required: true,
+        unique: true
+    },
+
+    /**
+     * email: The address the token was sent to
+     * A verification token only verifies THIS address (the user may change it meanwhile)
+     */
+    email: String,
+
+    /**
+     * expiresAt: The token stops working after this time
+     * usedAt: Set when the token was used (single use)
+     */
+    expiresAt: {
+        type: Date,
+        required: true
+    },
+    usedAt: Date
+},
+{
+    // Auto-add createdAt and updatedAt fields
+    timestamps: true
+});
+
+/**
+ * Index: "Open tokens of this user for this purpose"
+ */
+UserTokenSchema.index({ user: 1, purpose: 1 });
+
+/**
+ * Index: MongoDB deletes expired tokens by itself (TTL index)
+ */
+UserTokenSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model("UserToken", UserTokenSchema);
@@ -0,0 +1,85 @@
+/**
+ * Workspace Model
+ * A shared space for a team (an "organization"). Documents, collections
+ * and conversations belong to a workspace, and every member of the
+ * workspace can find and ask questions about its documents.
+ *
+ * Every user gets a personal workspace when they register
+ * (services/workspaces.js), so a solo user never has to think about teams.
+ *
+ * Member roles:
+ * - "admin": Rename the workspace, invite/remove members, change roles
+ * - "member": Upload, read and ask questions
+ */
+
+const mongoose = require("mongoose");
+
+const WorkspaceSchema = new mongoose.Schema({
+    /**
+     * name: Shown in the workspace switcher
+     * Example: "Acme Legal Team"
+     */
+    name: {
+        type: String,
+        required: true,
+        trim: true
+    },
+
+    /**
+     * personal: The automatic one-person workspace of a user
+     * Personal workspaces cannot be deleted and don't accept invites
+     */
+    personal: {
+        type: Boolean,
+        default: false
+    },
+
+    /**
+     * createdBy: The User who created the workspace
+     */
+    createdBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "User",
+        required: true
+    },
+
+    /**
+     * members: Users of this workspace and their role
+     * Stored inside the workspace (teams are small), like Document.members
+     */
+    members: [
+        {
+            _id: false,
+            user: { type: mongoose.Schema.Types.ObjectId, ref: "User", required: true },
+            role: { type: String, enum: ["admin", "member"], default: "member" },
+            joinedAt: { type: Date, default: Date.now }
+        }
+    ]
+},
+{
+    // Auto-add createdAt and updatedAt fields
+    timestamps: true
+});
+
+/**
+ * Index: "Workspaces of this user"
+ */
+WorkspaceSchema.index({ "members.user": 1 });
+
+/**
+ * Index: At most ONE personal workspace per user
+ */
+WorkspaceSchema.index(
+    { createdBy: 1 },
+    { unique: true, partialFilterExpression: { personal: true } }
+);
+
+/**
+ * roleOf: The role of a user in this workspace, or null if not a member
+ */
+WorkspaceSchema.methods.roleOf = function roleOf(userId) {
+    const member = this.members.find((m) => String(m.user) === String(userId));
+    return member ? member.role : null;
+};
+
+module.exports = mongoose.model("Workspace", WorkspaceSchema);
@@ -0,0 +1,89 @@
+/**
+ * WorkspaceInvite Model
+ * An invitation for an email address to join a workspace.
+ *
+ * The invite carries a secret token (sent to the invited person);
+ * only its hash is stored, like ShareLink (see services/tokens.js).
+ * Accepting requires being logged in with the invited email.
+ */
+
+const mongoose = require("mongoose");
+
+const WorkspaceInviteSchema = new mongoose.Schema({
+    /**
+     * workspace: The Workspace the invite is for
+     */
+    workspace: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "Workspace",
+        required: true
+    },
+
+    /**
+     * email: Who is invited (lowercase, like User.email)
+     * role: The role they get when accepting
+     */
+    email: {
+        type: String,
+        required: true,
+        lowercase: true,
+        trim: true
+    },
+    role: {
+        type: String,
+        enum: ["admin", "member"],
+        default: "member"
+    },
+
+    /**
+     * invitedBy: The admin who sent the invite
+     */
+    invitedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "User",
+        required: true
+    },
+
+    /**
+     * tokenHash: SHA-256 of the secret invite token
+     */
+    tokenHash: {
+        type: String,
+        required: true,
+        unique: true
+    },
+
+    /**
+     * expiresAt: Invites stop working after this time
+     * acceptedAt / acceptedBy: Set when the invite was used
+     * revokedAt: Set when an admin cancelled the invite
+     */
+    expiresAt: {
+        type: Date,
+        required: true
+    },
+    acceptedAt: Date,
+    acceptedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "User"
+    },
+    revokedAt: Date
+},
+{
+    // Auto-add createdAt and updatedAt fields
+    timestamps: true
+});
+
+/**
+ * Index: "Open invites of this workspace"
+ */
+WorkspaceInviteSchema.index({ workspace: 1, email: 1 });
+
+/**
+ * isPending: Not accepted, not revoked and not expired
+ */
+WorkspaceInviteSchema.methods.isPending = function isPending() {
+    return !this.acceptedAt && !this.revokedAt && this.expiresAt > new Date();
+};
+
+module.exports = mongoose.model("WorkspaceInvite", WorkspaceInviteSchema);
@@ -0,0 +1,55 @@
+/**
+ * Account Routes
+ * The logged-in user's own profile, password and account deletion.
+ * All routes are PROTECTED with auth middleware.
+ */
+
+const express = require("express");
+const router = express.Router();
+const auth = require("../middlewares/auth");       // Authentication middleware
+
+const {
+    getAccount,
+    getUsage,
+    updateAccount,
+    changePassword,
+    deleteAccount
+} = require("../controllers/account");
+
+/**
+ * GET /api/account
+ * Purpose: Your profile
+ * Returns: { user: { id, name, email, emailVerified, ... } }
+ */
+router.get("/", auth, getAccount);
+
+/**
+ * GET /api/account/usage
+ * Purpose: Quota usage (documents, storage, pages and LLM tokens this month)
+ * Returns: { usage: { period, documents: { used, limit }, ... } }
+ */
+router.get("/usage", auth, getUsage);
+
+/**
+ * PATCH /api/account
+ * Purpose: Change name and/or email
+ * Body: { name?, email?, currentPassword? } (currentPassword needed for a new email)
+ */
+router.patch("/", auth, updateAccount);
+
+/**
+ * POST /api/account/password
+ * Purpose: Change password (other devices are logged out)
+ * Body: { currentPassword, newPassword }
+ */
+router.post("/password", auth, changePassword);
+
+/**
+ * DELETE /api/account
+ * Purpose: Delete the account with its documents, chunks and chats
+ * Body: { password }
+ */
+router.delete("/", auth, deleteAccount);
+
+// Export the router so index.js can mount it at /api/account
+module.exports = router;
@@ -0,0 +1,26 @@
+/**
+ * Annotation Routes
+ * Searching your notes and highlights across documents.
+ * Creating, changing and deleting them happens per document:
+ * /api/documents/:id/annotations (routes/document.js).
+ * PROTECTED with auth middleware and scoped to the active workspace
+ * (requireWorkspace): only annotations on documents you can open are found.
+ */
+
+const express = require("express");
+const router = express.Router();
+const auth = require("../middlewares/auth");       // Authentication middleware
+const { requireWorkspace } = require("../middlewares/workspace"); // Active workspace membership
+
+const { searchAnnotations } = require("../controllers/annotation");
+
+/**
+ * GET /api/annotations
+ * Purpose: Search your annotations
+ * Query: ?q= (words in comments and highlighted text), ?documentId=, ?type=note|highlight, ?limit=
+ * Returns: { annotations: [{ ..., document: { _id, originalName } }] }
+ */
+router.get("/", auth, requireWorkspace, searchAnnotations);
+
+// Export the router so index.js can mount it at /api/annotations
+module.exports = router;
@@ -0,0 +1,39 @@
+/**
+ * API Key Routes
+ * Create, list and revoke API keys for scripts and internal tools.
+ * All routes are PROTECTED with auth middleware (JWT only: keys can't manage keys).
+ */
+
+const express = require("express");
+const router = express.Router();
+const auth = require("../middlewares/auth");       // Authentication middleware
+const { requireWorkspace } = require("../middlewares/workspace"); // Active workspace membership
+
+const {
+    createApiKey,
+    getApiKeys,
+    revokeApiKey
+} = require("../controllers/apiKey");
+
+/**
+ * POST /api/api-keys
+ * Purpose: Create a key for the active workspace
+ * Body: { name, scopes: ["read" | "upload" | "ask"], expiresInDays? }
+ * Returns: { apiKey, key } - the key is shown ONCE
+ */
+router.post("/", auth, requireWorkspace, createApiKey);
+
+/**
+ * GET /api/api-keys
+ * Purpose: Your keys (name, prefix, scopes, last used, ...)
+ */
+router.get("/", auth, getApiKeys);
+
+/**
+ * DELETE /api/api-keys/:id
+ * Purpose: Revoke a key (creator or workspace admin)
+ */
+router.delete("/:id", auth, revokeApiKey);
+
+// Export the router so index.js can mount it at /api/api-keys
+module.exports = router;
@@ -6,7 +6,26 @@
 
 const express = require("express");
 const router = express.Router();
-const { register, login, logout } = require("../controllers/auth");
+const auth = require("../middlewares/auth");       // Authentication middleware
+const {
+    limitLoginByIp,
+    limitLoginByEmail,
+    limitAccountEmails
+} = require("../middlewares/rateLimit");             // Brute force protection (429)
+const {
+    register,
+    login,
+    refresh,
+    logout,
+    logoutAll,
+    getSessions,
+    deleteSession,
+    verifyEmail,
+    resendVerification,
+    forgotPassword,
+    resetPassword,
+    switchWorkspace
+} = require("../controllers/auth");
 
 /**
  * POST /api/auth/register
@@ -14,23 +33,89 @@ const { register, login, logout } = require("../controllers/auth");
  * No auth required (anyone can register)
  * Body: { name, email, password }
  */
-router.post("/register", register);
+router.post("/register", limitAccountEmails, register);
 
 /**
  * POST /api/auth/login
  * Purpose: Login and receive JWT token
  * No auth required (login endpoint is public)
  * Body: { email, password }
- * Returns: { token, user }
+ * Rate limited per IP (20 / 15 min) and per email (5 / 15 min)
+ * Returns: { token, refreshToken, expiresIn, user, workspace }
  */
-router.post("/login", login);
+router.post("/login", limitLoginByIp, limitLoginByEmail, login);
+
+/**
+ * POST /api/auth/refresh
+ * Purpose: Get a new access token (and a new refresh token)
+ * No auth required (the refresh token is the credential)
+ * Body: { refreshToken }
+ */
+router.post("/refresh", refresh);
 
 /**
  * POST /api/auth/logout
- * Purpose: Notify server of logout (client deletes token)
- * No auth required (logout endpoint is public)
+ * Purpose: End this device's session on the server
+ * No auth required (works even after the access token expired)
+ * Body: { refreshToken }
  */
 router.post("/logout", logout);
 
+/**
+ * POST /api/auth/logout-all
+ * Purpose: Log out of all devices
+ * Auth: Required
+ * Body: { keepCurrent? }
+ */
+router.post("/logout-all", auth, logoutAll);
+
+/**
+ * GET /api/auth/sessions          - Devices you are logged in on
+ * DELETE /api/auth/sessions/:id   - Log one of them out
+ * Auth: Required
+ */
+router.get("/sessions", auth, getSessions);
+router.delete("/sessions/:id", auth, deleteSession);
+
+/**
+ * POST /api/auth/verify-email
+ * Purpose: Confirm the email address with the emailed token
+ * No auth required (the token is the credential)
+ * Body: { token }
+ */
+router.post("/verify-email", limitAccountEmails, verifyEmail);
+
+/**
+ * POST /api/auth/resend-verification
+ * Purpose: Send a new verification email
+ * Auth: Required
+ */
+router.post("/resend-verification", auth, limitAccountEmails, resendVerification);
+
+/**
+ * POST /api/auth/forgot-password
+ * Purpose: Email a password reset link
+ * No auth required
+ * Body: { email }
+ */
+router.post("/forgot-password", limitAccountEmails, forgotPassword);
+
+/**
+ * POST /api/auth/reset-password
+ * Purpose: Set a new password with the emailed token (logs out every device)
+ * No auth required (the token is the credential)
+ * Body: { token, password }
+ */
+router.post("/reset-password", limitAccountEmails, resetPassword);
+
+/**
+ * POST /api/auth/switch-workspace
+ * Purpose: Get a token for another workspace the user belongs to
+ * Auth: Required
+ * Body: { workspaceId }
+ * Returns: { token, workspace }
+ */
+router.post("/switch-workspace", auth, switchWorkspace);
+
 // Export the router so index.js can mount it at /api/auth
 module.exports = router;
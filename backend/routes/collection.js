@@ -0,0 +1,81 @@
+/**
+ * Collection Routes
+ * Folders that group documents, and questions across a whole folder.
+ * All routes are PROTECTED with auth middleware and scoped to the
+ * active workspace (requireWorkspace): its members share the collections.
+ * Listing, reading and asking also accept API keys (auth.withScopes).
+ */
+
+const express = require("express");
+const router = express.Router();
+const auth = require("../middlewares/auth");       // Authentication middleware
+const { requireWorkspace } = require("../middlewares/workspace"); // Active workspace membership
+const { limitQuestions } = require("../middlewares/rateLimit");   // Questions per user
+const { checkLlmQuota } = require("../middlewares/quota");        // Monthly LLM token quota
+
+const {
+    createCollection,
+    getCollections,
+    getCollectionById,
+    updateCollection,
+    deleteCollection,
+    addDocuments,
+    removeDocument,
+    askCollection
+} = require("../controllers/collection");
+
+/**
+ * POST /api/collections
+ * Purpose: Create a collection
+ * Body: { name, description? }
+ */
+router.post("/", auth, requireWorkspace, createCollection);
+
+/**
+ * GET /api/collections
+ * Purpose: List your collections (with document counts)
+ */
+router.get("/", auth.withScopes("read"), requireWorkspace, getCollections);
+
+/**
+ * GET /api/collections/:id
+ * Purpose: A collection and the documents in it
+ */
+router.get("/:id", auth.withScopes("read"), requireWorkspace, getCollectionById);
+
+/**
+ * PATCH /api/collections/:id
+ * Purpose: Rename a collection / change its description
+ * Body: { name?, description? }
+ */
+router.patch("/:id", auth, requireWorkspace, updateCollection);
+
+/**
+ * DELETE /api/collections/:id
+ * Purpose: Delete a collection (its documents are kept)
+ */
+router.delete("/:id", auth, requireWorkspace, deleteCollection);
+
+/**
+ * POST /api/collections/:id/documents
+ * Purpose: Add documents to a collection
+ * Body: { documentIds: [...] }
+ */
+router.post("/:id/documents", auth, requireWorkspace, addDocuments);
+
+/**
+ * DELETE /api/collections/:id/documents/:documentId
+ * Purpose: Remove one document from a collection
+ */
+router.delete("/:id/documents/:documentId", auth, requireWorkspace, removeDocument);
+
+/**
+ * POST /api/collections/:id/ask
+ * Purpose: Ask a question across all documents of the collection
+ * Body: { question, topK?, retrieval?, includeAnnotations? }
+ * Returns: { answer, sources: [{ documentId, documentName, pageStart, pageEnd, ... }], skippedDocuments }
+ */
+router.post("/:id/ask", auth.withScopes("ask"), requireWorkspace, limitQuestions, checkLlmQuota, askCollection);
+
+// Export the router so index.js can mount it at /api/collections
+module.exports = router;
@@ -0,0 +1,69 @@
+/**
+ * Conversation Routes
+ * Multi-turn chat sessions about one or more documents.
+ * All routes are PROTECTED with auth middleware and scoped to req.user.id
+ * inside the active workspace (requireWorkspace).
+ * Reading and asking also accept API keys (auth.withScopes).
+ */
+
+const express = require("express");
+const router = express.Router();
+const auth = require("../middlewares/auth");       // Authentication middleware
+const { requireWorkspace } = require("../middlewares/workspace"); // Active workspace membership
+const { limitQuestions } = require("../middlewares/rateLimit");   // Questions per user
+const { checkLlmQuota } = require("../middlewares/quota");        // Monthly LLM token quota
+
+const {
+    createConversation,
+    getConversations,
+    getConversationById,
+    renameConversation,
+    addMessage,
+    deleteConversation
+} = require("../controllers/conversation");
+
+/**
+ * POST /api/conversations
+ * Purpose: Start a conversation
+ * Body: { documentIds: ["..."], title? }
+ * Returns: { conversation }
+ */
+router.post("/", auth.withScopes("ask"), requireWorkspace, createConversation);
+
+/**
+ * GET /api/conversations
+ * Purpose: List your conversations (most recent first)
+ * Returns: { conversations: [...] }
+ */
+router.get("/", auth.withScopes("read"), requireWorkspace, getConversations);
+
+/**
+ * GET /api/conversations/:id
+ * Purpose: A conversation with its ordered messages
+ * Returns: { conversation, messages: [...] }
+ */
+router.get("/:id", auth.withScopes("read"), requireWorkspace, getConversationById);
+
+/**
+ * PATCH /api/conversations/:id
+ * Purpose: Rename a conversation
+ * Body: { title }
+ */
+router.patch("/:id", auth, requireWorkspace, renameConversation);
+
+/**
+ * POST /api/conversations/:id/messages
+ * Purpose: Continue the conversation with a (follow-up) question
+ * Body: { question, topK?, retrieval?, includeAnnotations? }
+ * Returns: { message: { question, standaloneQuestion, answer, sources, ... } }
+ */
+router.post("/:id/messages", auth.withScopes("ask"), requireWorkspace, limitQuestions, checkLlmQuota, addMessage);
+
+/**
+ * DELETE /api/conversations/:id
+ * Purpose: Delete a conversation and its messages
+ */
+router.delete("/:id", auth, requireWorkspace, deleteConversation);
+
+// Export the router so index.js can mount it at /api/conversations
+module.exports = router;
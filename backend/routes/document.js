@@ -1,66 +1,264 @@
 /**
  * Document Routes
  * This file maps URLs to document controller functions.
- * All routes are PROTECTED with auth middleware (must provide valid JWT token).
+ * All routes are PROTECTED with auth middleware (must provide valid JWT token)
+ * and run in the token's active workspace (requireWorkspace).
+ * Listing, reading, uploading and asking also accept API keys with the
+ * matching scope (auth.withScopes, see middlewares/auth.js).
+ * Routes for one document also declare the role they need
+ * (requireDocumentRole: "viewer" < "editor" < "owner", see middlewares/access.js).
  */
 
 const express = require("express");
 const router = express.Router();
 const upload = require("../middlewares/multer");   // File validation middleware
 const auth = require("../middlewares/auth");       // Authentication middleware
+const { requireWorkspace } = require("../middlewares/workspace"); // Active workspace membership
+const { requireDocumentRole } = require("../middlewares/access");  // Per-document permissions
+const { limitUploads, limitQuestions } = require("../middlewares/rateLimit"); // Requests per user
+const { checkUploadQuota, checkLlmQuota } = require("../middlewares/quota");  // Monthly/storage quotas
 
 const {
     uploadDocument,
     getDocuments,
     getDocumentById,
-    deleteDocument
+    getDocumentFile,
+    getDocumentPage,
+    reprocessDocument,
+    deleteDocument,
+    streamDocumentEvents,
+    getTags,
+    updateTags
 } = require("../controllers/document");
+const { askDocument, askDocumentStream } = require("../controllers/chat");
+const { uploadVersion, getVersions, compareVersions } = require("../controllers/version");
+const {
+    getMembers,
+    addMember,
+    updateMember,
+    removeMember,
+    createShareLink,
+    getShareLinks,
+    revokeShareLink
+} = require("../controllers/share");
+const {
+    createAnnotation,
+    getAnnotations,
+    updateAnnotation,
+    deleteAnnotation
+} = require("../controllers/annotation");
+
+// Asking questions doesn't need the stored page text, only chunks
+const ASK_ACCESS = requireDocumentRole("viewer", { select: "-extractedText" });
+
+// Sending the file doesn't need the stored page text either
+const FILE_ACCESS = requireDocumentRole("viewer", { select: "-extractedText" });
+
+// Member and share link routes only need the fields that decide roles
+const sharingRole = (role) => requireDocumentRole(role, { select: "owner members workspace" });
+
+// Annotations are checked against the page text only when they are created
+const ANNOTATION_ACCESS = requireDocumentRole("viewer", { select: "owner members workspace" });
 
 /**
  * POST /api/documents/upload
  * Purpose: Upload PDF file(s)
  * Auth: Required (user must be logged in)
  * Middleware chain:
- *   1. auth → Verify JWT token, attach req.user
- *   2. upload.any() → Validate file(s), store in req.file.buffer
- *   3. uploadDocument → Extract text, upload to Cloudinary, save to DB
+ *   1. auth → Verify JWT token (or API key with "upload" scope), attach req.user
+ *   2. requireWorkspace → Check membership of the active workspace
+ *   3. limitUploads → At most 30 uploads per user per hour (429)
+ *   4. upload.any() → Validate file(s), store in req.file.buffer
+ *   5. checkUploadQuota → Document count, storage and monthly page quotas (403)
+ *   6. uploadDocument → Upload to Cloudinary, save to DB, queue processing
  * Body: form-data with file field
  */
 router.post(
     "/upload",
-    auth,              // Step 1: Check token
-    upload.any(),      // Step 2: Validate and process file
-    uploadDocument     // Step 3: Business logic (extract, upload, save)
+    auth.withScopes("upload"), // Step 1: Check token or API key
+    requireWorkspace,  // Step 2: Active workspace (documents are uploaded into it)
+    limitUploads,      // Step 3: Rate limit
+    upload.any(),      // Step 4: Validate and process file
+    checkUploadQuota,  // Step 5: Quotas (file sizes are known now)
+    uploadDocument     // Step 6: Business logic (upload, save, queue processing)
 );
 
 /**
  * GET /api/documents/
- * Purpose: Get list of all documents uploaded by the authenticated user
+ * Purpose: Documents of the active workspace, plus documents shared with the user
  * Auth: Required
- * Query: Only returns documents where owner === req.user.id
- * Returns: { documents: [...] }
+ * Query: ?q=, ?status=, ?fileType=, ?tag=, ?collection=, ?createdFrom=, ?createdTo=,
+ *        ?sort=, ?limit=, ?cursor= (all optional, see getDocuments)
+ * Returns: { documents: [...], nextCursor } (without page text)
  */
-router.get("/", auth, getDocuments);
+router.get("/", auth.withScopes("read"), requireWorkspace, getDocuments);
+
+/**
+ * GET /api/documents/tags
+ * Purpose: Tags in use on the documents you can see, with how often
+ * Auth: Required
+ * Returns: { tags: [{ tag, count }] }
+ * (Declared before /:id, or "tags" would be taken for a document id)
+ */
+router.get("/tags", auth.withScopes("read"), requireWorkspace, getTags);
 
 /**
  * GET /api/documents/:id
  * Purpose: Get a specific document by ID
  * Auth: Required
  * Params: :id = MongoDB document ID
- * Security: Only returns document if owner === req.user.id
- * Returns: { document: {...} }
+ * Security: Viewer role or better
+ * Returns: { document: {...}, role }
+ */
+router.get("/:id", auth.withScopes("read"), requireWorkspace, requireDocumentRole("viewer"), getDocumentById);
+
+/**
+ * GET /api/documents/:id/file
+ * Purpose: The original file, e.g. for an inline PDF viewer
+ * Auth: Required (viewer role or better, or API key with "read" scope)
+ * Query: ?version=N (optional) - an older revision
+ * Headers: Range (optional) - for viewers that load big PDFs piece by piece
+ * Returns: The file (200), a byte range (206), or 416 for a range outside the file
+ * Citation links open "/api/documents/:id/file#page=N"
+ */
+router.get("/:id/file", auth.withScopes("read"), requireWorkspace, FILE_ACCESS, getDocumentFile);
+
+/**
+ * GET /api/documents/:id/pages/:page
+ * Purpose: The extracted text of one page (1-based), e.g. the page a citation points to
+ * Auth: Required (viewer role or better, or API key with "read" scope)
+ * Query: ?version=N (optional) - an older revision
+ * Returns: { documentId, version, page: { page, title?, content }, pageCount }
+ */
+router.get("/:id/pages/:page", auth.withScopes("read"), requireWorkspace, requireDocumentRole("viewer"), getDocumentPage);
+
+/**
+ * POST /api/documents/:id/reprocess
+ * Purpose: Rebuild text, chunks and embeddings from the stored original
+ *          (e.g. after the chunking or embedding settings changed)
+ * Auth: Required (editor role or better)
+ * Middleware: checkUploadQuota - the pages are ingested (and counted) again
+ * Returns: 202 { message, document: { _id, status, version } }, or 409 while processing
+ */
+router.post("/:id/reprocess", auth, requireWorkspace, requireDocumentRole("editor"), checkUploadQuota, reprocessDocument);
+
+/**
+ * Versions: revisions of the document's file
+ *
+ * POST /api/documents/:id/versions          - Upload a new revision (form-data, one file; editor+)
+ * GET  /api/documents/:id/versions          - List revisions, newest first (viewer+)
+ * GET  /api/documents/:id/versions/compare  - Text diff, ?from=1&to=2 (viewer+)
+ *
+ * Older revisions are opened with ?version=N on /file and /pages/:page.
+ * Uploads go through the same rate limit, validation and quotas as /upload.
+ */
+router.post(
+    "/:id/versions",
+    auth.withScopes("upload"),
+    requireWorkspace,
+    requireDocumentRole("editor"),
+    limitUploads,
+    upload.any(),
+    checkUploadQuota,
+    uploadVersion
+);
+router.get("/:id/versions", auth.withScopes("read"), requireWorkspace, requireDocumentRole("viewer"), getVersions);
+router.get("/:id/versions/compare", auth.withScopes("read"), requireWorkspace, requireDocumentRole("viewer"), compareVersions);
+
+/**
+ * POST /api/documents/:id/ask
+ * Purpose: Ask a question about a document (RAG)
+ * Auth: Required
+ * Params: :id = MongoDB document ID
+ * Body: { question, topK?, retrieval?, includeAnnotations? } (includeAnnotations: use your notes and highlights too)
+ * Security: Viewer role or better
+ * Returns: { chatId, question, answer, sources: [{ pageStart, pageEnd, score, links: { file, page }, text, ... }] }
+ */
+router.post("/:id/ask", auth.withScopes("ask"), requireWorkspace, ASK_ACCESS, limitQuestions, checkLlmQuota, askDocument);
+
+/**
+ * POST /api/documents/:id/ask/stream
+ * Purpose: Same as /ask, but the answer is streamed token by token
+ * Auth: Required (viewer role or better)
+ * Body: { question, topK?, retrieval?, includeAnnotations? }
+ * Returns: Server-Sent Events: "token" events, then one "done" event with citations
+ */
+router.post("/:id/ask/stream", auth.withScopes("ask"), requireWorkspace, ASK_ACCESS, limitQuestions, checkLlmQuota, askDocumentStream);
+
+/**
+ * GET /api/documents/:id/events
+ * Purpose: Live processing status of a document (queued -> ... -> ready)
+ * Auth: Required - Bearer header, or ?access_token=<jwt> because the browser's
+ *       EventSource cannot send headers (auth.sse accepts both)
+ * Returns: Server-Sent Events: "status" events
+ */
+router.get(
+    "/:id/events",
+    auth.sse,
+    requireWorkspace,
+    requireDocumentRole("viewer", { select: "owner members workspace status processingError retryCount" }),
+    streamDocumentEvents
+);
+
+/**
+ * PUT /api/documents/:id/tags
+ * Purpose: Replace the document's tags
+ * Auth: Required (editor role or better)
+ * Body: { tags: ["finance", "q3 reports"] }
+ * Returns: { documentId, tags }
+ */
+router.put("/:id/tags", auth, requireWorkspace, sharingRole("editor"), updateTags);
+
+/**
+ * Annotations: your own notes and highlights (nobody else sees them)
+ *
+ * POST   /api/documents/:id/annotations                 - Create a note { comment, page? }
+ *        or a highlight { page, range: { start, end }, comment?, color? } (viewer+)
+ * GET    /api/documents/:id/annotations                 - List yours, ?page=, ?type= (viewer+)
+ * PATCH  /api/documents/:id/annotations/:annotationId   - Change { comment?, color? } (viewer+, yours only)
+ * DELETE /api/documents/:id/annotations/:annotationId   - Delete (viewer+, yours only)
+ *
+ * Searching across documents: GET /api/annotations (routes/annotation.js)
  */
-router.get("/:id", auth, getDocumentById);
+router.post("/:id/annotations", auth, requireWorkspace, requireDocumentRole("viewer"), createAnnotation);
+router.get("/:id/annotations", auth, requireWorkspace, ANNOTATION_ACCESS, getAnnotations);
+router.patch("/:id/annotations/:annotationId", auth, requireWorkspace, ANNOTATION_ACCESS, updateAnnotation);
+router.delete("/:id/annotations/:annotationId", auth, requireWorkspace, ANNOTATION_ACCESS, deleteAnnotation);
 
 /**
  * DELETE /api/documents/:id
  * Purpose: Delete a document
  * Auth: Required
  * Params: :id = MongoDB document ID
- * Security: Can only delete if owner === req.user.id
+ * Security: Owner only
  * Returns: { message: "Document deleted successfully" }
  */
-router.delete("/:id", auth, deleteDocument);
+router.delete("/:id", auth, requireWorkspace, requireDocumentRole("owner"), deleteDocument);
+
+/**
+ * Members: registered users the document is shared with
+ *
+ * GET    /api/documents/:id/members          - List members (viewer+)
+ * POST   /api/documents/:id/members          - Add member { email, role } (owner)
+ * PATCH  /api/documents/:id/members/:userId  - Change role { role } (owner)
+ * DELETE /api/documents/:id/members/:userId  - Remove member (owner, or the member themselves)
+ */
+router.get("/:id/members", auth, requireWorkspace, sharingRole("viewer"), getMembers);
+router.post("/:id/members", auth, requireWorkspace, sharingRole("owner"), addMember);
+router.patch("/:id/members/:userId", auth, requireWorkspace, sharingRole("owner"), updateMember);
+router.delete("/:id/members/:userId", auth, requireWorkspace, sharingRole("viewer"), removeMember);
+
+/**
+ * Share links: secret read-only links that work without an account
+ *
+ * POST   /api/documents/:id/share-links          - Create { expiresInHours? } (editor+)
+ *        Returns the token ONCE: open it at /api/shared/:token
+ * GET    /api/documents/:id/share-links          - List links (editor+)
+ * DELETE /api/documents/:id/share-links/:linkId  - Revoke a link (editor+)
+ */
+router.post("/:id/share-links", auth, requireWorkspace, sharingRole("editor"), createShareLink);
+router.get("/:id/share-links", auth, requireWorkspace, sharingRole("editor"), getShareLinks);
+router.delete("/:id/share-links/:linkId", auth, requireWorkspace, sharingRole("editor"), revokeShareLink);
 
 // Export the router so index.js can mount it at /api/documents
 module.exports = router;
@@ -0,0 +1,48 @@
+/**
+ * Shared Routes
+ * Public routes for share links: anyone with the link can read the
+ * document's summary, open its file and pages, and ask questions about it,
+ * WITHOUT logging in.
+ * The secret token in the URL is the permission (requireShareLink).
+ */
+
+const express = require("express");
+const router = express.Router();
+const { requireShareLink } = require("../middlewares/access");
+const { limitQuestions } = require("../middlewares/rateLimit"); // No login: counted per IP
+const { checkLlmQuota } = require("../middlewares/quota");      // Charged to the document owner
+
+const { getSharedDocument } = require("../controllers/share");
+const { getDocumentFile, getDocumentPage } = require("../controllers/document");
+const { askDocument } = require("../controllers/chat");
+
+/**
+ * GET /api/shared/:token
+ * Purpose: See which document a share link opens
+ * Auth: None (valid, unexpired, unrevoked share link)
+ * Returns: { document: { _id, originalName, fileType, status, pageCount, createdAt }, expiresAt }
+ */
+router.get("/:token", requireShareLink, getSharedDocument);
+
+/**
+ * GET /api/shared/:token/file
+ * GET /api/shared/:token/pages/:page
+ * Purpose: The original file and the text of one page, like
+ *          GET /api/documents/:id/file and /api/documents/:id/pages/:page
+ * Auth: None (valid share link)
+ * Citations in shared answers link here
+ */
+router.get("/:token/file", requireShareLink, getDocumentFile);
+router.get("/:token/pages/:page", requireShareLink, getDocumentPage);
+
+/**
+ * POST /api/shared/:token/ask
+ * Purpose: Ask a question about the shared document (read-only)
+ * Auth: None (valid share link)
+ * Body: { question, topK?, retrieval? }
+ * Returns: Same as POST /api/documents/:id/ask
+ */
+router.post("/:token/ask", requireShareLink, limitQuestions, checkLlmQuota, askDocument);
+
+// Export the router so index.js can mount it at /api/shared
+module.exports = router;
@@ -0,0 +1,49 @@
+/**
+ * Storage Routes
+ * Serves files of the LOCAL storage driver through signed URLs
+ * (services/storage/local.js). Cloudinary and S3 serve their signed URLs themselves.
+ *
+ * No login: the signature in the URL is the permission, and it expires.
+ */
+
+const express = require("express");
+const router = express.Router();
+const { getStorage } = require("../services/storage");
+const { isInlineType } = require("../services/storage/inline");
+
+/**
+ * GET /api/storage/local/:key?expires=...&signature=...[&filename=...&contentType=...]
+ * Purpose: Download a locally stored file with a signed URL
+ * Supports HTTP Range requests (res.sendFile)
+ * PDFs and plain text open in the browser ("inline"); everything else is
+ * downloaded, so uploaded HTML never runs on the API's origin.
+ * Returns: The file, or 403 if the signature is wrong or expired
+ */
+router.get("/local/:key", (req, res, next) => {
+    let signed;
+    try {
+        signed = getStorage("local").verifySignedUrl({ encodedKey: req.params.key, ...req.query });
+    } catch (err) {
+        return next(err);
+    }
+    if (!signed) {
+        return res.status(403).json({ message: "Invalid or expired link" });
+    }
+
+    res.set("X-Content-Type-Options", "nosniff");
+    res.attachment(signed.filename);
+    if (signed.contentType) res.type(signed.contentType);   // After attachment(), which guesses the type from the file name
+    if (isInlineType(res.get("Content-Type"))) {
+        // "inline": show it in the browser instead of forcing a download
+        res.set("Content-Disposition", res.get("Content-Disposition").replace(/^attachment/, "inline"));
+    }
+
+    res.sendFile(signed.file, (err) => {
+        if (err && !res.headersSent) {
+            res.status(err.code === "ENOENT" ? 404 : 500).json({ message: err.code === "ENOENT" ? "File not found" : "Could not read file" });
+        }
+    });
+});
+
+// Export the router so index.js can mount it at /api/storage
+module.exports = router;
@@ -0,0 +1,84 @@
+/**
+ * Workspace Routes
+ * Team workspaces, their members and email invites.
+ * All routes are PROTECTED with auth middleware.
+ * Routes for one workspace also declare the role they need
+ * (requireWorkspaceRole: "member" < "admin", see middlewares/workspace.js).
+ */
+
+const express = require("express");
+const router = express.Router();
+const auth = require("../middlewares/auth");       // Authentication middleware
+const { requireWorkspaceRole } = require("../middlewares/workspace");
+
+const {
+    createWorkspace,
+    getWorkspaces,
+    getWorkspaceById,
+    renameWorkspace,
+    deleteWorkspace,
+    updateMember,
+    removeMember,
+    createInvite,
+    getInvites,
+    revokeInvite,
+    acceptInvite
+} = require("../controllers/workspace");
+const { getWorkspaceApiKeys } = require("../controllers/apiKey");
+
+/**
+ * POST /api/workspaces
+ * Purpose: Create a team workspace (you become its admin)
+ * Body: { name }
+ */
+router.post("/", auth, createWorkspace);
+
+/**
+ * GET /api/workspaces
+ * Purpose: Workspaces you belong to (for the switcher)
+ * Switch with POST /api/auth/switch-workspace
+ */
+router.get("/", auth, getWorkspaces);
+
+/**
+ * POST /api/workspaces/invites/:token/accept
+ * Purpose: Join a workspace with an invite token
+ * Auth: Required, logged in with the invited email
+ * (Declared before /:id routes so "invites" is never read as an id)
+ */
+router.post("/invites/:token/accept", auth, acceptInvite);
+
+/**
+ * GET /api/workspaces/:id          - Workspace with members (member)
+ * PATCH /api/workspaces/:id        - Rename { name } (admin)
+ * DELETE /api/workspaces/:id       - Delete an empty team workspace (admin)
+ */
+router.get("/:id", auth, requireWorkspaceRole("member"), getWorkspaceById);
+router.patch("/:id", auth, requireWorkspaceRole("admin"), renameWorkspace);
+router.delete("/:id", auth, requireWorkspaceRole("admin"), deleteWorkspace);
+
+/**
+ * PATCH /api/workspaces/:id/members/:userId   - Change role { role } (admin)
+ * DELETE /api/workspaces/:id/members/:userId  - Remove member (admin, or leave yourself)
+ */
+router.patch("/:id/members/:userId", auth, requireWorkspaceRole("admin"), updateMember);
+router.delete("/:id/members/:userId", auth, requireWorkspaceRole("member"), removeMember);
+
+/**
+ * POST /api/workspaces/:id/invites              - Invite { email, role? } (admin)
+ *      The invite token is emailed to the invited address
+ * GET /api/workspaces/:id/invites               - List invites (admin)
+ * DELETE /api/workspaces/:id/invites/:inviteId  - Revoke an invite (admin)
+ */
+router.post("/:id/invites", auth, requireWorkspaceRole("admin"), createInvite);
+router.get("/:id/invites", auth, requireWorkspaceRole("admin"), getInvites);
+router.delete("/:id/invites/:inviteId", auth, requireWorkspaceRole("admin"), revokeInvite);
+
+/**
+ * GET /api/workspaces/:id/api-keys
+ * Purpose: All API keys of the workspace (admin), revoke with DELETE /api/api-keys/:id
+ */
+router.get("/:id/api-keys", auth, requireWorkspaceRole("admin"), getWorkspaceApiKeys);
+
+// Export the router so index.js can mount it at /api/workspaces
+module.exports = router;
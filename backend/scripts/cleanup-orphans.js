@@ -0,0 +1,135 @@
+/**
+ * Cleanup Orphans Script
+ * Finds (and with --apply removes) data left behind by documents that no
+ * longer exist. Before services/deletion.js, deleting a document only
+ * removed the Document row: its chunks, chats, share links and the file
+ * in Cloudinary stayed behind. Older versions (DocumentVersion) of deleted
+ * documents are removed together with their files.
+ *
+ * Usage:
+ *   npm run cleanup-orphans                    # dry run: only report
+ *   npm run cleanup-orphans -- --apply         # delete what was found
+ *   npm run cleanup-orphans -- --files         # also scan Cloudinary for unreferenced legacy files
+ *
+ * Safe to run any time (also while the server runs): only data of
+ * documents that are already gone is touched.
+ */
+
+const mongoose = require('mongoose');
+const dotenv = require('dotenv');
+dotenv.config(); // Load .env before any module reads process.env
+const Document = require('../models/Document');
+const Chunk = require('../models/Chunk');
+const Chat = require('../models/Chat');
+const Conversation = require('../models/Conversation');
+const ShareLink = require('../models/ShareLink');
+const DocumentVersion = require('../models/DocumentVersion');
+const Annotation = require('../models/Annotation');
+const cloudinary = require('../config/cloudinary');
+const { purgeDocumentData } = require('../services/deletion');
+const { isLegacyUrl, legacyCloudinaryPublicId } = require('../services/storage');
+
+const APPLY = process.argv.includes('--apply');
+const SCAN_FILES = process.argv.includes('--files');
+
+// Where files were uploaded before storage adapters (public "raw" assets)
+const LEGACY_CLOUDINARY_FOLDER = 'doctalk/documents';
+
+/**
+ * Helper Function: findOrphanDocumentIds
+ * Purpose: Ids that chunks/chats/share links/annotations/conversations/versions point to, but no Document has
+ */
+const findOrphanDocumentIds = async () => {
+    // References first, documents last: a document uploaded in between (with its
+    // chunks already written) is then in `existing` and never taken for an orphan
+    const referenced = [
+        ...await Chunk.distinct('documentId'),
+        ...await Chat.distinct('documentId'),
+        ...await ShareLink.distinct('document'),
+        ...await Annotation.distinct('document'),
+        ...await Conversation.distinct('documents'),
+        ...await DocumentVersion.distinct('document')
+    ].filter(Boolean).map(String);
+
+    const existing = new Set((await Document.distinct('_id')).map(String));
+
+    return [...new Set(referenced)].filter((id) => !existing.has(id));
+};
+
+/**
+ * Helper Function: findOrphanLegacyFiles
+ * Purpose: Legacy Cloudinary files that no Document (or older version) points to anymore
+ * Returns: [public_id, ...]
+ */
+const findOrphanLegacyFiles = async () => {
+    // Older versions of a legacy document still point to its first file
+    const referenced = new Set(
+        [
+            ...await Document.find({ storagePath: /^https?:\/\//i }).distinct('storagePath'),
+            ...await DocumentVersion.find({ storagePath: /^https?:\/\//i }).distinct('storagePath')
+        ]
+            .filter(isLegacyUrl)
+            .map(legacyCloudinaryPublicId)
+            .filter(Boolean)
+    );
+
+    const orphans = [];
+    let cursor;
+    do {
+        const page = await cloudinary.api.resources({
+            type: 'upload',
+            resource_type: 'raw',
+            prefix: LEGACY_CLOUDINARY_FOLDER,
+            max_results: 500,
+            next_cursor: cursor
+        });
+        for (const resource of page.resources) {
+            if (!referenced.has(resource.public_id)) orphans.push(resource.public_id);
+        }
+        cursor = page.next_cursor;
+    } while (cursor);
+
+    return orphans;
+};
+
+const run = async () => {
+    console.log(APPLY ? 'Mode: APPLY (deleting orphans)' : 'Mode: dry run (use --apply to delete)');
+
+    // --- Step 1: Database Rows of Deleted Documents ---
+    const orphanIds = await findOrphanDocumentIds();
+    console.log(`Deleted documents with leftover data: ${orphanIds.length}`);
+
+    const totals = { versions: 0, chunks: 0, chats: 0, shareLinks: 0, annotations: 0, conversations: 0 };
+    for (const documentId of orphanIds) {
+        if (!APPLY) {
+            console.log(`  ${documentId}: ${await Chunk.countDocuments({ documentId })} chunks, ${await Chat.countDocuments({ documentId })} chats`);
+            continue;
+        }
+        // The file location died with the Document row: files are handled in step 2
+        const removed = await purgeDocumentData({ documentId });
+        for (const key of Object.keys(totals)) totals[key] += removed[key];
+    }
+    if (APPLY) {
+        console.log(`Removed ${totals.versions} older versions, ${totals.chunks} chunks, ${totals.chats} chats, ${totals.shareLinks} share links, ${totals.annotations} annotations, ${totals.conversations} empty conversations`);
+    }
+
+    // --- Step 2: Files in Storage ---
+    if (!SCAN_FILES) return;
+
+    const files = await findOrphanLegacyFiles();
+    console.log(`Unreferenced legacy Cloudinary files: ${files.length}`);
+    for (const publicId of files) {
+        console.log(`  ${publicId}`);
+        if (APPLY) {
+            await cloudinary.uploader.destroy(publicId, { resource_type: 'raw', type: 'upload', invalidate: true });
+        }
+    }
+};
+
+mongoose.connect(process.env.MONGODB_URL)
+    .then(run)
+    .then(() => mongoose.disconnect())
+    .catch(err => {
+        console.log(err);
+        process.exit(1);
+    });
@@ -0,0 +1,136 @@
+/**
+ * Account Service
+ * Account-level helpers used by the auth and account controllers:
+ * - Password rules
+ * - Sending verification / password reset emails
+ * - Deleting an account together with everything it owns
+ */
+
+const Chat = require("../models/Chat");
+const Collection = require("../models/Collection");
+const Conversation = require("../models/Conversation");
+const Document = require("../models/Document");
+const Annotation = require("../models/Annotation");
+const Session = require("../models/Session");
+const User = require("../models/User");
+const UserToken = require("../models/UserToken");
+const ApiKey = require("../models/ApiKey");
+const Usage = require("../models/Usage");
+const Workspace = require("../models/Workspace");
+const WorkspaceInvite = require("../models/WorkspaceInvite");
+const { issueUserToken, PASSWORD_RESET_TTL_MINUTES } = require("./userTokens");
+const { sendMail } = require("./mailer");
+const { deleteDocuments } = require("./deletion");
+const { passwordResetEmail, emailVerificationEmail } = require("./mailer/templates");
+
+const MIN_PASSWORD_LENGTH = 8;
+
+/**
+ * Validate Password Function
+ * Returns: An error message, or null if the password is acceptable
+ */
+const validatePassword = (password) => {
+    if (typeof password !== "string" || password.length < MIN_PASSWORD_LENGTH) {
+        return `Password must be at least ${MIN_PASSWORD_LENGTH} characters long`;
+    }
+    return null;
+};
+
+/**
+ * Send Verification Email Function
+ * Purpose: Email a link that confirms the user's current email address
+ */
+const sendVerificationEmail = async (user) => {
+    const token = await issueUserToken(user, "email-verification");
+    await sendMail({ to: user.email, ...emailVerificationEmail({ name: user.name, token }) });
+};
+
+/**
+ * Send Password Reset Email Function
+ * Purpose: Email a single-use link to choose a new password
+ */
+const sendPasswordResetEmail = async (user) => {
+    const token = await issueUserToken(user, "password-reset");
+    await sendMail({
+        to: user.email,
+        ...passwordResetEmail({ name: user.name, token, expiresInMinutes: PASSWORD_RESET_TTL_MINUTES })
+    });
+};
+
+/**
+ * Delete Account Function
+ * Purpose: Remove a user and everything that only exists because of them
+ *
+ * Steps:
+ * 1. Refuse if the user is the last admin of a team workspace with other members
+ *    (someone must be able to manage it afterwards)
+ * 2. Delete their documents with files, chunks, chats and share links (services/deletion.js)
+ * 3. Delete their own chats and conversations
+ * 4. Delete workspaces where they were the only member (with collections and invites)
+ * 5. Remove them from other workspaces and from shared documents
+ * 6. Delete sessions, email tokens and the user itself
+ *
+ * Returns: { documents: <number deleted> }
+ * Throws: Error with code "LAST_WORKSPACE_ADMIN" (and `workspaces`) for step 1
+ */
+const deleteAccount = async (user) => {
+    const userId = user._id;
+
+    // --- Step 1: Workspaces that would be left without an admin ---
+    const workspaces = await Workspace.find({ "members.user": userId });
+    const blocking = workspaces.filter((w) => {
+        if (w.members.length === 1) return false;
+        const admins = w.members.filter((m) => m.role === "admin");
+        return admins.length === 1 && String(admins[0].user) === String(userId);
+    });
+    if (blocking.length > 0) {
+        const err = new Error("Make someone else an admin of your team workspaces before deleting your account");
+        err.code = "LAST_WORKSPACE_ADMIN";
+        err.workspaces = blocking.map((w) => ({ _id: w._id, name: w.name }));
+        throw err;
+    }
+
+    // --- Step 2: Documents + everything derived from them (files included) ---
+    const documentCount = await deleteDocuments({ owner: userId });
+
+    // --- Step 3: The user's own chats, conversations and annotations ---
+    await Promise.all([
+        Chat.deleteMany({ owner: userId }),
+        Conversation.deleteMany({ owner: userId }),
+        Annotation.deleteMany({ owner: userId })
+    ]);
+
+    // --- Step 4: Workspaces nobody else is in ---
+    const soloWorkspaceIds = workspaces.filter((w) => w.members.length === 1).map((w) => w._id);
+    await Promise.all([
+        Collection.deleteMany({ workspace: { $in: soloWorkspaceIds } }),
+        WorkspaceInvite.deleteMany({ workspace: { $in: soloWorkspaceIds } }),
+        ApiKey.deleteMany({ workspace: { $in: soloWorkspaceIds } }),
+        Workspace.deleteMany({ _id: { $in: soloWorkspaceIds } })
+    ]);
+
+    // --- Step 5: Memberships elsewhere ---
+    await Promise.all([
+        Workspace.updateMany({ "members.user": userId }, { $pull: { members: { user: userId } } }),
+        Document.updateMany({ "members.user": userId }, { $pull: { members: { user: userId } } })
+    ]);
+
+    // --- Step 6: Login state, API keys + the user ---
+    await Promise.all([
+        Session.deleteMany({ user: userId }),
+        UserToken.deleteMany({ user: userId }),
+        ApiKey.deleteMany({ user: userId }),
+        Usage.deleteMany({ user: userId })
+    ]);
+    await User.deleteOne({ _id: userId });
+
+    return { documents: documentCount };
+};
+
+module.exports = {
+    MIN_PASSWORD_LENGTH,
+    validatePassword,
+    sendVerificationEmail,
+    sendPasswordResetEmail,
+    deleteAccount
+};
@@ -0,0 +1,192 @@
+/**
+ * Annotations Service
+ * Validation of notes and highlights (models/Annotation.js), and the
+ * annotations added to a question's context.
+ *
+ * Highlight ranges are character offsets into a page's extracted text
+ * (Document.extractedText.pages[].content, JavaScript string indices), so
+ * they work the same for every file format. The highlighted text is stored
+ * as `quote`, so a highlight still says what was marked after a new
+ * revision moved the text around.
+ */
+
+const Annotation = require("../models/Annotation");
+
+const MAX_COMMENT_LENGTH = 5000;
+const MAX_QUOTE_LENGTH = 5000;
+
+// Annotations added to one question's context at most
+const MAX_CONTEXT_ANNOTATIONS = 8;
+
+// Colors are stored for the UI only: "#rgb" or "#rrggbb"
+const COLOR_PATTERN = /^#(?:[0-9a-f]{3}|[0-9a-f]{6})$/i;
+
+/**
+ * Helper Function: parseComment / parseColor
+ * Returns: { value } or { error: "message" }
+ */
+const parseComment = (comment) => {
+    const value = String(comment ?? "").trim();
+    if (value.length > MAX_COMMENT_LENGTH) {
+        return { error: `comment is limited to ${MAX_COMMENT_LENGTH} characters` };
+    }
+    return { value };
+};
+
+const parseColor = (color) => {
+    if (color === null || color === "") return { value: undefined };
+    if (typeof color !== "string" || !COLOR_PATTERN.test(color)) {
+        return { error: "color must be a hex color like #ffeb3b" };
+    }
+    return { value: color.toLowerCase() };
+};
+
+/**
+ * Parse Annotation Function
+ * Purpose: Validate a new note or highlight against the document's pages
+ *
+ * Body:
+ * - Note: { comment, page? }
+ * - Highlight: { page, range: { start, end }, comment?, color? }
+ *   (start/end: characters of the page's text, end not included)
+ *
+ * Returns: { annotation: { type, page, range, quote, comment, color } } or { error: "message" }
+ */
+const parseAnnotation = (document, body = {}) => {
+    const type = body.range !== undefined ? "highlight" : "note";
+
+    const comment = parseComment(body.comment);
+    if (comment.error) return { error: comment.error };
+    if (type === "note" && !comment.value) {
+        return { error: "comment is required for a note" };
+    }
+
+    const color = body.color !== undefined ? parseColor(body.color) : { value: undefined };
+    if (color.error) return { error: color.error };
+
+    const annotation = { type, comment: comment.value, color: color.value };
+
+    // --- Page ---
+    if (body.page === undefined || body.page === null) {
+        if (type === "highlight") return { error: "page is required for a highlight" };
+        return { annotation };
+    }
+
+    const pageNumber = Number(body.page);
+    const pages = (document.extractedText && document.extractedText.pages) || [];
+    const page = Number.isInteger(pageNumber) ? pages.find((p) => p.page === pageNumber) : null;
+    if (!page) {
+        return { error: pages.length ? `page must be a page of the document (1-${pages.length})` : "The document has no extracted pages yet" };
+    }
+    annotation.page = pageNumber;
+
+    // --- Highlighted Range ---
+    if (type === "highlight") {
+        const content = page.content || "";
+        const start = Number(body.range && body.range.start);
+        const end = Number(body.range && body.range.end);
+        if (!Number.isInteger(start) || !Number.isInteger(end) || start < 0 || end <= start || end > content.length) {
+            return { error: `range must be { start, end } with 0 <= start < end <= ${content.length} (characters of page ${pageNumber})` };
+        }
+        if (end - start > MAX_QUOTE_LENGTH) {
+            return { error: `A highlight is limited to ${MAX_QUOTE_LENGTH} characters` };
+        }
+        annotation.range = { start, end };
+        annotation.quote = content.slice(start, end);
+    }
+
+    return { annotation };
+};
+
+/**
+ * Parse Annotation Update Function
+ * Purpose: Validate a change to an annotation
+ * Only the comment and the color can change; to mark another range,
+ * delete the highlight and create a new one.
+ *
+ * Body: { comment?, color? } (color: null removes it)
+ * Returns: { update } or { error: "message" }
+ */
+const parseAnnotationUpdate = (annotation, body = {}) => {
+    const update = {};
+
+    if (body.comment !== undefined) {
+        const comment = parseComment(body.comment);
+        if (comment.error) return { error: comment.error };
+        if (annotation.type === "note" && !comment.value) {
+            return { error: "A note's comment cannot be empty" };
+        }
+        update.comment = comment.value;
+    }
+
+    if (body.color !== undefined) {
+        const color = parseColor(body.color);
+        if (color.error) return { error: color.error };
+        update.color = color.value;
+    }
+
+    return { update };
+};
+
+/**
+ * Find Context Annotations Function
+ * Purpose: The asker's annotations worth showing the LLM next to the sources
+ *
+ * Params:
+ * - owner: The user asking (annotations are private: only theirs are used)
+ * - documentIds: The documents being asked about
+ * - question: The question (annotations matching its words are included)
+ * - sources: The retrieved chunks (annotations on their pages are included)
+ *
+ * Order (at most MAX_CONTEXT_ANNOTATIONS):
+ * 1. Notes about a whole document
+ * 2. Annotations on the pages of the retrieved chunks
+ * 3. Other annotations matching the question
+ *
+ * Returns: [Annotation] (plain objects)
+ */
+const findContextAnnotations = async ({ owner, documentIds, question, sources }) => {
+    const scope = { owner, document: { $in: documentIds } };
+    const fields = "document type page quote comment";
+
+    const [documentNotes, sourcePageAnnotations, matching] = await Promise.all([
+        Annotation.find({ ...scope, page: null })
+            .sort({ updatedAt: -1 })
+            .limit(MAX_CONTEXT_ANNOTATIONS)
+            .select(fields)
+            .lean(),
+        sources.length
+            ? Annotation.find({
+                ...scope,
+                $or: sources.map((s) => ({ document: s.documentId, page: { $gte: s.pageStart, $lte: s.pageEnd } }))
+            })
+                .sort({ page: 1 })
+                .limit(MAX_CONTEXT_ANNOTATIONS)
+                .select(fields)
+                .lean()
+            : [],
+        Annotation.find({ ...scope, $text: { $search: question } })
+            .select({ score: { $meta: "textScore" } })
+            .select(fields)
+            .sort({ score: { $meta: "textScore" } })
+            .limit(MAX_CONTEXT_ANNOTATIONS)
+            .lean()
+    ]);
+
+    const seen = new Set();
+    return [...documentNotes, ...sourcePageAnnotations, ...matching]
+        .filter((annotation) => {
+            const id = String(annotation._id);
+            if (seen.has(id)) return false;
+            seen.add(id);
+            return true;
+        })
+        .slice(0, MAX_CONTEXT_ANNOTATIONS);
+};
+
+module.exports = {
+    MAX_CONTEXT_ANNOTATIONS,
+    parseAnnotation,
+    parseAnnotationUpdate,
+    findContextAnnotations
+};
@@ -0,0 +1,79 @@
+/**
+ * API Key Service
+ * Creates API keys and finds the key behind an "X-API-Key" header.
+ *
+ * Key format: "dtk_" + 43 random URL-safe characters
+ * The "dtk_" prefix makes leaked keys easy to recognise (e.g. by secret scanners).
+ */
+
+const ApiKey = require("../models/ApiKey");
+const { generateToken, hashToken } = require("./tokens");
+
+const KEY_PREFIX = "dtk_";
+
+// Characters of the key stored in clear text for display ("dtk_AbC123xy...")
+const DISPLAY_PREFIX_LENGTH = KEY_PREFIX.length + 8;
+
+/**
+ * Create API Key Function
+ * Params: { name, user, workspace, scopes, expiresAt? }
+ * Returns: { apiKey, key } - `key` is the only plain copy, show it once
+ */
+const createApiKey = async ({ name, user, workspace, scopes, expiresAt }) => {
+    const key = `${KEY_PREFIX}${generateToken()}`;
+
+    const apiKey = await ApiKey.create({
+        name,
+        user,
+        workspace,
+        scopes: [...new Set(scopes)],
+        prefix: key.slice(0, DISPLAY_PREFIX_LENGTH),
+        keyHash: hashToken(key),
+        expiresAt
+    });
+
+    return { apiKey, key };
+};
+
+/**
+ * Find Active API Key Function
+ * Purpose: The key behind a header value, or null if unknown/revoked/expired
+ *
+ * lastUsedAt is updated in the background (not awaited):
+ * a failed timestamp update must not fail the request.
+ */
+const findActiveApiKey = async (key) => {
+    if (!key || !String(key).startsWith(KEY_PREFIX)) return null;
+
+    const apiKey = await ApiKey.findOne({ keyHash: hashToken(String(key)) });
+    if (!apiKey || !apiKey.isActive()) return null;
+
+    ApiKey.updateOne({ _id: apiKey._id }, { $set: { lastUsedAt: new Date() } })
+        .catch((err) => console.error("[API KEY] lastUsedAt update failed:", err.message));
+
+    return apiKey;
+};
+
+/**
+ * Format API Key Function
+ * Purpose: Public view of a key (never the hash)
+ */
+const formatApiKey = (apiKey) => ({
+    _id: apiKey._id,
+    name: apiKey.name,
+    prefix: apiKey.prefix,
+    scopes: apiKey.scopes,
+    user: apiKey.user,
+    workspace: apiKey.workspace,
+    expiresAt: apiKey.expiresAt || null,
+    revokedAt: apiKey.revokedAt || null,
+    lastUsedAt: apiKey.lastUsedAt || null,
+    active: apiKey.isActive(),
+    createdAt: apiKey.createdAt
+});
+
+module.exports = {
+    createApiKey,
+    findActiveApiKey,
+    formatApiKey
+};
@@ -0,0 +1,296 @@
+/**
+ * Chunking Service
+ * This file splits the page text of a Document into overlapping chunks
+ * and saves them as Chunk records for RAG (Retrieval-Augmented Generation).
+ *
+ * How it works:
+ * 1. Break every page into paragraphs, then sentences (natural boundaries)
+ * 2. Pack sentences into chunks of up to `chunkSize` characters
+ * 3. Start the next chunk with the last few sentences of the previous one (overlap)
+ * 4. Remember which pages each chunk came from (for citations like "page 3-4")
+ * 5. Never mix two sections in one chunk: a new heading starts a new chunk
+ *
+ * Configuration (.env):
+ * - CHUNK_SIZE: Max characters per chunk (default 1000)
+ * - CHUNK_OVERLAP: Characters repeated between neighbouring chunks (default 200)
+ */
+
+const Chunk = require("../models/Chunk");
+
+const DEFAULT_CHUNK_SIZE = parseInt(process.env.CHUNK_SIZE, 10) || 1000;
+const DEFAULT_CHUNK_OVERLAP = parseInt(process.env.CHUNK_OVERLAP, 10) || 200;
+
+/**
+ * Helper Function: splitIntoSentences
+ * Purpose: Split a block of text at sentence endings (. ! ?)
+ *
+ * Example:
+ * Input: "Hello world. How are you? Fine."
+ * Output: ["Hello world.", "How are you?", "Fine."]
+ */
+const splitIntoSentences = (text) => {
+    return text
+        .split(/(?<=[.!?])\s+(?=\S)/)
+        .map((s) => s.trim())
+        .filter(Boolean);
+};
+
+/**
+ * Helper Function: splitLongText
+ * Purpose: Hard-split a sentence that is longer than a whole chunk
+ * We cut on word boundaries so words are never broken in half.
+ */
+const splitLongText = (text, maxLength) => {
+    const parts = [];
+    let current = "";
+
+    for (const word of text.split(/\s+/)) {
+        if (current && current.length + 1 + word.length > maxLength) {
+            parts.push(current);
+            current = "";
+        }
+        // A single "word" longer than maxLength (e.g. a URL) is cut as-is
+        if (word.length > maxLength) {
+            for (let i = 0; i < word.length; i += maxLength) {
+                parts.push(word.slice(i, i + maxLength));
+            }
+            continue;
+        }
+        current = current ? `${current} ${word}` : word;
+    }
+
+    if (current) parts.push(current);
+    return parts;
+};
+
+/**
+ * Helper Function: tableUnits
+ * Purpose: Keep a Markdown table in one piece, or cut it between rows
+ * Every piece repeats the header rows, so it still reads as a table.
+ */
+const tableUnits = (text, chunkSize) => {
+    if (text.length <= chunkSize) return [text];
+
+    const [header, separator, ...rows] = text.split("\n");
+    const head = `${header}\n${separator}`;
+    const pieces = [];
+    let current = head;
+
+    for (const row of rows) {
+        if (current !== head && current.length + 1 + row.length > chunkSize) {
+            pieces.push(current);
+            current = head;
+        }
+        // A single row longer than a whole chunk is cut on words
+        if (head.length + 1 + row.length > chunkSize) {
+            pieces.push(...splitLongText(row, chunkSize));
+            continue;
+        }
+        current = `${current}\n${row}`;
+    }
+
+    if (current !== head) pieces.push(current);
+    return pieces;
+};
+
+/**
+ * Helper Function: textUnits
+ * Purpose: Split a paragraph into sentences that fit in a chunk
+ */
+const textUnits = (paragraph, chunkSize) => splitIntoSentences(paragraph.replace(/\s+/g, " "))
+    .flatMap((sentence) => (sentence.length > chunkSize ? splitLongText(sentence, chunkSize) : [sentence]));
+
+/**
+ * Helper Function: pagesToUnits
+ * Purpose: Turn pages into a flat list of small text "units" (sentences)
+ * Each unit remembers its page number and the section it is in.
+ *
+ * Paragraphs (blank lines) are split first, then sentences,
+ * so chunks prefer to end where the author ended a thought.
+ *
+ * Sections:
+ * - Pages with `blocks` (PDFs): headings open a section; the section is the
+ *   heading path, e.g. "2. Results > 2.1 Revenue". Headings and tables are
+ *   units of their own (`block: true`), tables are only cut between rows.
+ * - Pages with a `title` (DOCX, TXT, Markdown, HTML): the title is the section.
+ *
+ * Units that begin a new section are marked `startsSection`.
+ */
+const pagesToUnits = (pages, chunkSize) => {
+    const units = [];
+    const headings = [];   // Open headings: [{ level, text }], outermost first
+    let section = null;
+
+    for (const { page, title, content, blocks } of pages || []) {
+        // --- Pages with a block structure ---
+        if (blocks && blocks.length) {
+            for (const block of blocks) {
+                if (block.type === "heading") {
+                    while (headings.length && headings[headings.length - 1].level >= block.level) headings.pop();
+                    headings.push({ level: block.level, text: block.text });
+                    section = headings.map((h) => h.text).join(" > ");
+
+                    splitLongText(block.text, chunkSize).forEach((text, i) => {
+                        units.push({ text, page, section, block: true, heading: true, startsSection: i === 0 });
+                    });
+                } else if (block.type === "table") {
+                    for (const text of tableUnits(block.text, chunkSize)) {
+                        units.push({ text, page, section, block: true });
+                    }
+                } else {
+                    for (const text of textUnits(block.text, chunkSize)) {
+                        units.push({ text, page, section });
+                    }
+                }
+            }
+            continue;
+        }
+
+        if (!content) continue;
+
+        // --- Plain pages: the title (if any) is the section ---
+        const startsSection = Boolean(title) && title !== section;
+        if (title) section = title;
+
+        const paragraphs = content.split(/\n\s*\n/).map((p) => p.trim()).filter(Boolean);
+        const pageUnits = paragraphs.flatMap((paragraph) => textUnits(paragraph, chunkSize));
+
+        pageUnits.forEach((text, i) => {
+            units.push({ text, page, section: title || null, startsSection: startsSection && i === 0 });
+        });
+    }
+
+    return units;
+};
+
+/**
+ * Helper Function: separator
+ * Purpose: What goes between two units in a chunk
+ * Headings and tables get a line of their own, sentences are joined with a space.
+ * (Both are one character, so chunk lengths can be counted as `text + 1`.)
+ */
+const separator = (previous, unit) => (previous.block || unit.block ? "\n" : " ");
+
+/**
+ * Helper Function: buildChunk
+ * Purpose: Join units into one chunk object with its page range and section
+ */
+const buildChunk = (units, index) => ({
+    index,
+    text: units.map((u, i) => (i === 0 ? u.text : separator(units[i - 1], u) + u.text)).join(""),
+    pageStart: Math.min(...units.map((u) => u.page)),
+    pageEnd: Math.max(...units.map((u) => u.page)),
+    section: units[units.length - 1].section || undefined
+});
+
+/**
+ * Chunk Pages Function
+ * Purpose: Split `extractedText.pages` into overlapping chunks (pure function, no DB)
+ *
+ * Params:
+ * - pages: [{ page: 1, content: "...", title?, blocks? }, ...]
+ * - options: { chunkSize, overlap } (characters)
+ *
+ * A chunk never runs across the start of a new section: the section's
+ * heading starts a new chunk (without overlap from the previous section).
+ *
+ * Returns: [{ index, text, pageStart, pageEnd, section? }, ...]
+ */
+const chunkPages = (pages, options = {}) => {
+    const chunkSize = options.chunkSize || DEFAULT_CHUNK_SIZE;
+    const overlap = options.overlap !== undefined ? options.overlap : DEFAULT_CHUNK_OVERLAP;
+
+    // Overlap must be smaller than the chunk, otherwise we would never move forward
+    if (overlap < 0 || overlap >= chunkSize) {
+        throw new Error("Chunk overlap must be between 0 and the chunk size");
+    }
+
+    const units = pagesToUnits(pages, chunkSize);
+    const chunks = [];
+    let current = [];
+    let length = 0;
+    let carriedCount = 0;   // Units at the start of `current` repeated from the previous chunk
+
+    for (const unit of units) {
+        // --- New section: close the chunk (headings right before it stay with it) ---
+        if (unit.startsSection) {
+            const added = current.slice(carriedCount);
+            if (added.some((u) => !u.heading)) {
+                chunks.push(buildChunk(current, chunks.length));
+                current = [];
+            } else {
+                // Nothing new yet: drop the overlap, it belongs to the previous section
+                current = added;
+            }
+            length = current.reduce((sum, u, i) => sum + u.text.length + (i ? 1 : 0), 0);
+            carriedCount = 0;
+        }
+
+        const extra = current.length ? unit.text.length + 1 : unit.text.length;
+
+        // --- Chunk is full: save it and start the next one with an overlap ---
+        if (current.length && length + extra > chunkSize) {
+            chunks.push(buildChunk(current, chunks.length));
+
+            // Carry over trailing sentences that fit inside the overlap budget
+            const carried = [];
+            let carriedLength = 0;
+            for (let i = current.length - 1; i > 0; i--) {
+                const size = current[i].text.length + 1;
+                if (carriedLength + size > overlap) break;
+                carried.unshift(current[i]);
+                carriedLength += size;
+            }
+
+            // Make sure the new unit still fits next to the carried sentences
+            while (carried.length && carriedLength + unit.text.length + 1 > chunkSize) {
+                carriedLength -= carried.shift().text.length + 1;
+            }
+
+            current = carried;
+            carriedCount = carried.length;
+            length = Math.max(carriedLength - 1, 0);
+        }
+
+        length += current.length ? unit.text.length + 1 : unit.text.length;
+        current.push(unit);
+    }
+
+    if (current.length) {
+        chunks.push(buildChunk(current, chunks.length));
+    }
+
+    return chunks;
+};
+
+/**
+ * Chunk Document Function
+ * Purpose: Build chunks for a Document and save them as Chunk records
+ *
+ * Idempotent: existing chunks of the document are removed first,
+ * so running it twice leaves exactly one set of chunks.
+ *
+ * Returns: Number of chunks saved
+ */
+const chunkDocument = async (document, options = {}) => {
+    const pages = document.extractedText ? document.extractedText.pages : [];
+    const chunks = chunkPages(pages, options);
+
+    // --- Replace any previous chunks for this document ---
+    await Chunk.deleteMany({ documentId: document._id });
+
+    if (chunks.length > 0) {
+        await Chunk.insertMany(chunks.map((chunk) => ({
+            ...chunk,
+            documentId: document._id,
+            owner: document.owner
+        })));
+    }
+
+    return chunks.length;
+};
+
+module.exports = {
+    chunkPages,
+    chunkDocument
+};
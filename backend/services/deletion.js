@@ -0,0 +1,132 @@
+/**
+ * Deletion Service
+ * Deletes a document together with everything derived from it:
+ * - The original file in storage (services/storage), and the files of older versions
+ * - Its chunks, which hold the embeddings (and with them the vector index
+ *   entries: the Atlas vector index is built on the chunks collection)
+ * - Chat history about it, its share links, its users' notes and highlights
+ * - References from conversations (conversations left without documents are deleted)
+ *
+ * Flow:
+ * 1. The Document row is deleted first: the document disappears for everyone right away
+ * 2. purgeDocumentData() removes the rest. Every step can run again safely,
+ *    so after a partial failure (e.g. storage unreachable) a "purge-document"
+ *    job (services/queue.js) retries the whole purge in the background.
+ *
+ * Leftovers of documents deleted before this existed are removed by
+ * `npm run cleanup-orphans` (scripts/cleanup-orphans.js).
+ */
+
+const Document = require("../models/Document");
+const Chunk = require("../models/Chunk");
+const Chat = require("../models/Chat");
+const Conversation = require("../models/Conversation");
+const ShareLink = require("../models/ShareLink");
+const DocumentVersion = require("../models/DocumentVersion");
+const Annotation = require("../models/Annotation");
+const { registerJobHandler, enqueue } = require("./queue");
+const { deleteDocumentFile } = require("./storage");
+
+const PURGE_JOB = "purge-document";
+
+// Storage outages can last a while: retry (with backoff) more often than ingestion
+const PURGE_MAX_ATTEMPTS = 10;
+
+/**
+ * Purge Document Data Function
+ * Purpose: Remove everything that belongs to an already deleted document
+ *
+ * Params: { documentId, storageDriver, storagePath }
+ * (storage fields are missing for orphans whose file location is unknown)
+ *
+ * Returns: { versions, chunks, chats, shareLinks, annotations, conversations } - how many rows were removed
+ */
+const purgeDocumentData = async ({ documentId, storageDriver, storagePath }) => {
+    // --- Step 1: The Files (current and older versions) ---
+    await deleteDocumentFile({ storageDriver, storagePath });
+
+    const versions = await DocumentVersion.find({ document: documentId }).select("storageDriver storagePath");
+    for (const version of versions) {
+        await deleteDocumentFile(version);
+    }
+    await DocumentVersion.deleteMany({ document: documentId });
+
+    // --- Step 2: Chunks (text + embeddings), Chats, Share Links and Annotations ---
+    const [chunks, chats, shareLinks, annotations] = await Promise.all([
+        Chunk.deleteMany({ documentId }),
+        Chat.deleteMany({ documentId }),
+        ShareLink.deleteMany({ document: documentId }),
+        Annotation.deleteMany({ document: documentId })
+    ]);
+
+    // --- Step 3: Conversations ---
+    // Forget the document; conversations about nothing else are deleted with their messages
+    const conversationIds = await Conversation.find({ documents: documentId }).distinct("_id");
+    await Conversation.updateMany({ _id: { $in: conversationIds } }, { $pull: { documents: documentId } });
+
+    const emptyIds = await Conversation.find({ _id: { $in: conversationIds }, documents: { $size: 0 } }).distinct("_id");
+    await Chat.deleteMany({ conversationId: { $in: emptyIds } });
+    await Conversation.deleteMany({ _id: { $in: emptyIds } });
+
+    return {
+        versions: versions.length,
+        chunks: chunks.deletedCount,
+        chats: chats.deletedCount,
+        shareLinks: shareLinks.deletedCount,
+        annotations: annotations.deletedCount,
+        conversations: emptyIds.length
+    };
+};
+
+/**
+ * Delete Document Function
+ * Purpose: Delete a document and (eventually) everything derived from it
+ *
+ * Params: document - The Document (needs _id, storageDriver, storagePath)
+ *
+ * Returns: { purged: true } when everything is gone now,
+ *          { purged: false } when the cleanup was handed to a background job
+ */
+const deleteDocument = async (document) => {
+    const target = {
+        documentId: String(document._id),
+        storageDriver: document.storageDriver,
+        storagePath: document.storagePath
+    };
+
+    // --- Step 1: The Document Itself ---
+    await Document.deleteOne({ _id: document._id });
+
+    // --- Step 2: Everything Else (retried in the background if it fails) ---
+    try {
+        await purgeDocumentData(target);
+        return { purged: true };
+    } catch (err) {
+        console.error(`[DELETE] Cleanup of document ${target.documentId} failed, retrying in the background:`, err.message);
+        await enqueue(PURGE_JOB, target, { maxAttempts: PURGE_MAX_ATTEMPTS });
+        return { purged: false };
+    }
+};
+
+/**
+ * Delete Documents Function
+ * Purpose: deleteDocument for many documents (e.g. when an account is deleted)
+ * Returns: Number of documents deleted
+ */
+const deleteDocuments = async (filter) => {
+    const documents = await Document.find(filter).select("storageDriver storagePath");
+    for (const document of documents) {
+        await deleteDocument(document);
+    }
+    return documents.length;
+};
+
+// The queue retries failed purges (job handler)
+registerJobHandler(PURGE_JOB, (job) => purgeDocumentData(job.payload));
+
+module.exports = {
+    PURGE_JOB,
+    purgeDocumentData,
+    deleteDocument,
+    deleteDocuments
+};
@@ -0,0 +1,193 @@
+/**
+ * Diff Service
+ * Line-by-line comparison of two texts (e.g. two versions of a document),
+ * grouped into hunks like `git diff` shows them.
+ *
+ * Algorithm: Myers' O((N+M)D) diff ("An O(ND) Difference Algorithm and Its
+ * Variations", 1986) - fast when the texts are mostly the same, which is
+ * the normal case for two revisions of one file.
+ */
+
+// Context lines shown around every change
+const DEFAULT_CONTEXT = 3;
+
+// More changed lines than this: stop searching for the shortest diff and
+// report the changed region as removed + added (keeps memory bounded)
+const MAX_EDIT_DISTANCE = 2000;
+
+/**
+ * Helper Function: shortestEdit
+ * Purpose: The shortest edit script turning `a` into `b` (Myers)
+ * Returns: [{ type: "context" | "removed" | "added", text }], or null when
+ *          more than MAX_EDIT_DISTANCE lines differ
+ */
+const shortestEdit = (a, b) => {
+    const n = a.length;
+    const m = b.length;
+    const max = Math.min(n + m, MAX_EDIT_DISTANCE);
+    const offset = max + 1;
+
+    // v[k + offset] = furthest x reached on diagonal k (k = x - y)
+    const v = new Int32Array(2 * max + 3);
+    const trace = [];
+
+    for (let d = 0; d <= max; d++) {
+        // Diagonals -d..d of the previous round, for walking back later
+        trace.push(v.slice(offset - d, offset + d + 1));
+
+        for (let k = -d; k <= d; k += 2) {
+            // Come from the diagonal that got further: down (insert) or right (delete)
+            let x = (k === -d || (k !== d && v[offset + k - 1] < v[offset + k + 1]))
+                ? v[offset + k + 1]
+                : v[offset + k - 1] + 1;
+            let y = x - k;
+
+            // Follow equal lines ("snake")
+            while (x < n && y < m && a[x] === b[y]) {
+                x++;
+                y++;
+            }
+            v[offset + k] = x;
+
+            if (x >= n && y >= m) return backtrack(a, b, trace);
+        }
+    }
+
+    return null;
+};
+
+/**
+ * Helper Function: backtrack
+ * Purpose: Walk the saved rounds back from the end to recover the edits
+ */
+const backtrack = (a, b, trace) => {
+    const edits = [];
+    let x = a.length;
+    let y = b.length;
+
+    for (let d = trace.length - 1; d > 0; d--) {
+        const previous = trace[d];
+        const at = (k) => previous[k + d];
+        const k = x - y;
+
+        const prevK = (k === -d || (k !== d && at(k - 1) < at(k + 1))) ? k + 1 : k - 1;
+        const prevX = at(prevK);
+        const prevY = prevX - prevK;
+
+        while (x > prevX && y > prevY) {
+            edits.push({ type: "context", text: a[--x] });
+            y--;
+        }
+        if (x === prevX) {
+            edits.push({ type: "added", text: b[--y] });
+        } else {
+            edits.push({ type: "removed", text: a[--x] });
+        }
+    }
+    while (x > 0 && y > 0) {
+        edits.push({ type: "context", text: a[--x] });
+        y--;
+    }
+
+    return edits.reverse();
+};
+
+/**
+ * Helper Function: toHunks
+ * Purpose: Keep only the changes plus `context` lines around them
+ *
+ * Returns: [{ fromStart, fromLines, toStart, toLines, lines: [{ type, text }] }]
+ * (line numbers are 1-based, like in `git diff`)
+ */
+const toHunks = (edits, context) => {
+    // Line numbers before each edit
+    const fromLines = [];
+    const toLines = [];
+    let fromLine = 1;
+    let toLine = 1;
+    for (const edit of edits) {
+        fromLines.push(fromLine);
+        toLines.push(toLine);
+        if (edit.type !== "added") fromLine++;
+        if (edit.type !== "removed") toLine++;
+    }
+
+    // Ranges [start, end) around every change; ranges that touch are merged
+    const ranges = [];
+    edits.forEach((edit, i) => {
+        if (edit.type === "context") return;
+        const start = Math.max(0, i - context);
+        const end = Math.min(edits.length, i + context + 1);
+        const last = ranges[ranges.length - 1];
+        if (last && start <= last.end) last.end = end;
+        else ranges.push({ start, end });
+    });
+
+    return ranges.map(({ start, end }) => {
+        const lines = edits.slice(start, end);
+        return {
+            fromStart: fromLines[start],
+            fromLines: lines.filter((line) => line.type !== "added").length,
+            toStart: toLines[start],
+            toLines: lines.filter((line) => line.type !== "removed").length,
+            lines
+        };
+    });
+};
+
+/**
+ * Diff Lines Function
+ * Purpose: Compare two texts line by line
+ *
+ * Params:
+ * - from, to: The old and the new text
+ * - options.context: Unchanged lines shown around changes (default 3)
+ *
+ * Returns: {
+ *   stats: { added, removed, unchanged },
+ *   hunks: [{ fromStart, fromLines, toStart, toLines, lines: [{ type: "context" | "removed" | "added", text }] }],
+ *   approximate: true when the texts differ too much for an exact diff
+ * }
+ */
+const diffLines = (from, to, { context = DEFAULT_CONTEXT } = {}) => {
+    const a = from ? from.split(/\r?\n/) : [];
+    const b = to ? to.split(/\r?\n/) : [];
+
+    // Equal start and end don't need the diff algorithm
+    let prefix = 0;
+    while (prefix < a.length && prefix < b.length && a[prefix] === b[prefix]) prefix++;
+    let suffix = 0;
+    while (suffix < a.length - prefix && suffix < b.length - prefix
+        && a[a.length - 1 - suffix] === b[b.length - 1 - suffix]) suffix++;
+
+    const middleA = a.slice(prefix, a.length - suffix);
+    const middleB = b.slice(prefix, b.length - suffix);
+
+    let middle = shortestEdit(middleA, middleB);
+    const approximate = middle === null;
+    if (approximate) {
+        middle = [
+            ...middleA.map((text) => ({ type: "removed", text })),
+            ...middleB.map((text) => ({ type: "added", text }))
+        ];
+    }
+
+    const edits = [
+        ...a.slice(0, prefix).map((text) => ({ type: "context", text })),
+        ...middle,
+        ...a.slice(a.length - suffix).map((text) => ({ type: "context", text }))
+    ];
+
+    const stats = { added: 0, removed: 0, unchanged: 0 };
+    for (const edit of edits) {
+        if (edit.type === "added") stats.added++;
+        else if (edit.type === "removed") stats.removed++;
+        else stats.unchanged++;
+    }
+
+    return { stats, hunks: toHunks(edits, context), approximate };
+};
+
+module.exports = {
+    diffLines
+};
@@ -0,0 +1,141 @@
+/**
+ * Document Info Service
+ * Facts about a document, worked out from its file and its extracted text:
+ * - contentHash: SHA-256 of the file (finds identical uploads, see uploadDocument)
+ * - stats: Page, word and character counts
+ * - language: The main language of the text
+ * - outline: The table of contents (the PDF's bookmarks, or else the headings)
+ *
+ * Computed by the ingestion worker (services/ingest.js) right after parsing,
+ * so reprocessing a document fills them in for older documents too.
+ *
+ * Language detection uses franc-min (trigram statistics, 80+ languages).
+ * Codes are ISO 639-3 ("eng", "deu", "jpn"), the same codes Tesseract uses
+ * for OCR_LANGUAGES.
+ */
+
+const crypto = require("crypto");
+
+// Table of contents entries kept at most (some generated PDFs have one per paragraph)
+const MAX_OUTLINE_ITEMS = 1000;
+
+// Characters of text looked at to detect the language (taken from every page)
+const LANGUAGE_SAMPLE_CHARS = 20000;
+
+// franc-min is an ES module: loaded once, on first use
+let francPromise = null;
+const loadFranc = () => {
+    if (!francPromise) francPromise = import("franc-min");
+    return francPromise;
+};
+
+// Word boundaries for every script (Chinese and Japanese have no spaces)
+const wordSegmenter = new Intl.Segmenter(undefined, { granularity: "word" });
+
+/**
+ * Hash Content Function
+ * Purpose: Fingerprint of a file; identical files have the same hash
+ * Returns: SHA-256 as 64 hex characters
+ */
+const hashContent = (buffer) => crypto.createHash("sha256").update(buffer).digest("hex");
+
+/**
+ * Helper Function: countWords
+ */
+const countWords = (text) => {
+    let count = 0;
+    for (const segment of wordSegmenter.segment(text)) {
+        if (segment.isWordLike) count++;
+    }
+    return count;
+};
+
+/**
+ * Text Stats Function
+ * Returns: { pageCount, wordCount, characterCount } (characters without whitespace)
+ */
+const textStats = (pages) => {
+    let wordCount = 0;
+    let characterCount = 0;
+
+    for (const { content } of pages) {
+        if (!content) continue;
+        wordCount += countWords(content);
+        characterCount += [...content.replace(/\s/g, "")].length;
+    }
+
+    return { pageCount: pages.length, wordCount, characterCount };
+};
+
+/**
+ * Detect Language Function
+ * Purpose: The main language of the pages
+ * A sample from every page is used, so a long English appendix can't hide a German document.
+ *
+ * Returns: ISO 639-3 code (e.g. "eng"), or null when there is too little text to tell
+ */
+const detectLanguage = async (pages) => {
+    const withText = pages.filter((p) => p.content);
+    if (withText.length === 0) return null;
+
+    const perPage = Math.ceil(LANGUAGE_SAMPLE_CHARS / withText.length);
+    const sample = withText.map((p) => p.content.slice(0, perPage)).join("\n");
+
+    const { franc } = await loadFranc();
+    const language = franc(sample, { minLength: 50 });
+    return language === "und" ? null : language;
+};
+
+/**
+ * Outline From Pages Function
+ * Purpose: A table of contents for documents without bookmarks
+ * PDF pages: their headings (services/parsers/pdfLayout.js).
+ * Other formats: their section titles.
+ *
+ * Returns: [{ title, page, level }]
+ */
+const outlineFromPages = (pages) => {
+    const outline = [];
+    let previousTitle = null;
+
+    for (const page of pages) {
+        if (page.blocks && page.blocks.length) {
+            for (const block of page.blocks) {
+                if (block.type === "heading") outline.push({ title: block.text, page: page.page, level: block.level });
+            }
+        } else if (page.title && page.title !== previousTitle) {
+            // Long sections are split over several "pages" with the same title
+            outline.push({ title: page.title, page: page.page, level: 1 });
+        }
+        previousTitle = page.title;
+    }
+
+    return outline.slice(0, MAX_OUTLINE_ITEMS);
+};
+
+/**
+ * Describe Document Function
+ * Purpose: Everything above for one parsed document
+ *
+ * Params:
+ * - buffer: The original file
+ * - parsed: What the parser returned ({ pages, metadata?, outline? }, see services/parsers)
+ *
+ * Returns: { contentHash, metadata, outline, stats, language }
+ */
+const describeDocument = async (buffer, { pages, metadata, outline }) => ({
+    contentHash: hashContent(buffer),
+    metadata: metadata || {},
+    outline: outline && outline.length ? outline : outlineFromPages(pages),
+    stats: textStats(pages),
+    language: await detectLanguage(pages)
+});
+
+module.exports = {
+    MAX_OUTLINE_ITEMS,
+    hashContent,
+    textStats,
+    detectLanguage,
+    outlineFromPages,
+    describeDocument
+};
@@ -0,0 +1,290 @@
+/**
+ * Document List Service
+ * Filtering, full-text search, sorting and cursor pagination for
+ * GET /api/documents (see getDocuments in controllers/document.js).
+ *
+ * Pages are fetched with a cursor instead of ?page=N: the response's
+ * `nextCursor` is passed back as ?cursor=... for the next page. A cursor
+ * remembers the last document's sort value and _id, so uploads and deletions
+ * between two requests don't shift documents onto the wrong page.
+ *
+ * Listed documents leave out their page text and outline (LIST_PROJECTION):
+ * those can be megabytes per document. GET /api/documents/:id has everything.
+ *
+ * Full-text search uses a MongoDB text index on the file name, the PDF
+ * title, the tags and the page text (models/Document.js).
+ */
+
+const mongoose = require("mongoose");
+const Document = require("../models/Document");
+const { parsers } = require("./parsers");
+
+const DEFAULT_LIMIT = 20;
+const MAX_LIMIT = 100;
+const MAX_SEARCH_LENGTH = 200;
+
+// Fields left out of listed documents
+const LIST_PROJECTION = { extractedText: 0, outline: 0 };
+
+/**
+ * Sort options (?sort=name, ?sort=-createdAt, ...)
+ * - field: Document field sorted on
+ * - caseInsensitive: Compare strings ignoring case ("apple" before "Banana")
+ * relevance: Best search matches first (only with ?q=, always descending)
+ */
+const SORTS = {
+    createdAt: { field: "createdAt" },
+    updatedAt: { field: "updatedAt" },
+    name: { field: "originalName", caseInsensitive: true },
+    size: { field: "size" },
+    relevance: { field: "score" }
+};
+
+// Status filter: "ready" also matches documents processed before the job queue
+const STATUS_ALIASES = { ready: ["ready", "processed"] };
+
+/**
+ * Helper Function: invalidQuery
+ * Purpose: Error for a bad query parameter (the controller answers 400)
+ */
+const invalidQuery = (message) => {
+    const err = new Error(message);
+    err.code = "INVALID_LIST_QUERY";
+    return err;
+};
+
+/**
+ * Helper Function: listParam
+ * Purpose: Read a comma-separated parameter (?status=ready,failed) as an array
+ * (repeated parameters, ?status=ready&status=failed, work too)
+ */
+const listParam = (value) => [].concat(value)
+    .flatMap((v) => String(v).split(","))
+    .map((v) => v.trim())
+    .filter(Boolean);
+
+/**
+ * Normalize Tag Function
+ * Purpose: Tags are compared case-insensitively and without extra spaces
+ * Example: "  Q3 Reports " -> "q3 reports"
+ */
+const normalizeTag = (tag) => String(tag).trim().replace(/\s+/g, " ").toLowerCase();
+
+/**
+ * Helper Function: parseDate
+ * Purpose: Read ?createdFrom / ?createdTo (ISO 8601: "2024-03-01" or "2024-03-01T12:00:00Z")
+ * A date without a time as the END of a range includes that whole day.
+ */
+const parseDate = (value, name, { endOfRange = false } = {}) => {
+    const date = new Date(value);
+    if (typeof value !== "string" || Number.isNaN(date.getTime())) {
+        throw invalidQuery(`${name} must be a date like 2024-03-31`);
+    }
+    if (endOfRange && /^\d{4}-\d{2}-\d{2}$/.test(value)) {
+        date.setUTCDate(date.getUTCDate() + 1);
+        return { $lt: date };
+    }
+    return endOfRange ? { $lte: date } : { $gte: date };
+};
+
+/**
+ * Helper Function: buildFilter
+ * Purpose: The MongoDB filter for the query parameters
+ *
+ * Always limited to what the user may see: documents of the active
+ * workspace plus documents shared with the user directly.
+ * (Aggregation doesn't cast like find(): ids must be ObjectIds here.)
+ */
+const buildFilter = ({ workspaceId, userId, query }) => {
+    const filter = {
+        $or: [
+            { workspace: new mongoose.Types.ObjectId(String(workspaceId)) },
+            { "members.user": new mongoose.Types.ObjectId(String(userId)) }
+        ]
+    };
+
+    // --- Status ---
+    if (query.status !== undefined) {
+        const allowed = Document.schema.path("status").enumValues;
+        const statuses = listParam(query.status);
+        const unknown = statuses.find((s) => !allowed.includes(s));
+        if (unknown) throw invalidQuery(`Unknown status "${unknown}" (one of: ${allowed.join(", ")})`);
+        filter.status = { $in: statuses.flatMap((s) => STATUS_ALIASES[s] || [s]) };
+    }
+
+    // --- File Type ---
+    if (query.fileType !== undefined) {
+        const allowed = parsers.map((p) => p.type);
+        const types = listParam(query.fileType).map((t) => t.toLowerCase());
+        const unknown = types.find((t) => !allowed.includes(t));
+        if (unknown) throw invalidQuery(`Unknown file type "${unknown}" (one of: ${allowed.join(", ")})`);
+        filter.fileType = { $in: types };
+    }
+
+    // --- Upload Date Range ---
+    if (query.createdFrom !== undefined || query.createdTo !== undefined) {
+        filter.createdAt = {
+            ...(query.createdFrom !== undefined ? parseDate(query.createdFrom, "createdFrom") : {}),
+            ...(query.createdTo !== undefined ? parseDate(query.createdTo, "createdTo", { endOfRange: true }) : {})
+        };
+    }
+
+    // --- Collection ---
+    if (query.collection !== undefined) {
+        if (!mongoose.isValidObjectId(query.collection)) throw invalidQuery("Invalid collection id");
+        filter.collections = new mongoose.Types.ObjectId(String(query.collection));
+    }
+
+    // --- Tags (a document must have all of them) ---
+    if (query.tag !== undefined) {
+        const tags = listParam(query.tag).map(normalizeTag);
+        if (tags.length) filter.tags = { $all: tags };
+    }
+
+    // --- Full-Text Search ---
+    if (query.q !== undefined) {
+        const search = String(query.q).trim();
+        if (!search) throw invalidQuery("q must not be empty");
+        if (search.length > MAX_SEARCH_LENGTH) throw invalidQuery(`q is limited to ${MAX_SEARCH_LENGTH} characters`);
+        filter.$text = { $search: search };
+    }
+
+    return filter;
+};
+
+/**
+ * Helper Function: parseSort
+ * Purpose: Read ?sort= ("name" ascending, "-name" descending)
+ * Default: best matches first when searching, otherwise newest first
+ *
+ * Returns: { key, field, direction (1 | -1), caseInsensitive }
+ */
+const parseSort = (query) => {
+    const searching = query.q !== undefined;
+    const value = query.sort !== undefined ? String(query.sort) : (searching ? "relevance" : "-createdAt");
+    const key = value.replace(/^[-+]/, "");
+    const sort = SORTS[key];
+
+    if (!sort) throw invalidQuery(`Unknown sort "${key}" (one of: ${Object.keys(SORTS).join(", ")})`);
+    if (key === "relevance" && !searching) throw invalidQuery("sort=relevance needs a search (q)");
+
+    return { key, ...sort, direction: key === "relevance" || value.startsWith("-") ? -1 : 1 };
+};
+
+/**
+ * Helper Function: encodeCursor / decodeCursor
+ * A cursor is the sort key, the last document's sort value and its _id,
+ * as URL-safe base64. It only works with the sort it was made for.
+ */
+const encodeCursor = (sort, document) => Buffer.from(JSON.stringify({
+    s: sort.key,
+    v: document[sort.field] instanceof Date ? document[sort.field].toISOString() : (document[sort.field] ?? null),
+    id: String(document._id)
+})).toString("base64url");
+
+const decodeCursor = (cursor, sort) => {
+    let decoded;
+    try {
+        decoded = JSON.parse(Buffer.from(String(cursor), "base64url").toString("utf8"));
+    } catch {
+        decoded = null;
+    }
+    if (!decoded || !mongoose.isValidObjectId(decoded.id) || !("v" in decoded)) {
+        throw invalidQuery("Invalid cursor");
+    }
+    if (decoded.s !== sort.key) throw invalidQuery("The cursor belongs to a different sort order");
+
+    const isDate = sort.field === "createdAt" || sort.field === "updatedAt";
+    return {
+        value: isDate && decoded.v !== null ? new Date(decoded.v) : decoded.v,
+        id: new mongoose.Types.ObjectId(decoded.id)
+    };
+};
+
+/**
+ * Helper Function: afterCursor
+ * Purpose: Filter for "documents after the cursor" in the sort order
+ * Ties on the sort value are broken by _id (same direction).
+ *
+ * Documents without the field (e.g. `size` of old uploads) sort as null,
+ * which MongoDB puts before every value.
+ */
+const afterCursor = (field, direction, { value, id }) => {
+    const beyond = direction === 1 ? "$gt" : "$lt";
+    const sameValueLater = { [field]: value, _id: { [beyond]: id } };
+
+    if (value === null) {
+        // Ascending: every non-null value comes after; descending: nothing but ties
+        return direction === 1
+            ? { $or: [sameValueLater, { [field]: { $ne: null } }] }
+            : sameValueLater;
+    }
+
+    const laterValues = [{ [field]: { [beyond]: value } }];
+    // Descending: the nulls come after the smallest value
+    if (direction === -1) laterValues.push({ [field]: null });
+
+    return { $or: [...laterValues, sameValueLater] };
+};
+
+/**
+ * List Documents Function
+ * Purpose: One page of the documents a user can see in a workspace
+ *
+ * Params:
+ * - workspaceId, userId: Who is asking, in which workspace
+ * - query: The request's query parameters:
+ *   - q: Full-text search in names, PDF titles, tags and page text
+ *   - status, fileType, tag: Comma-separated lists (tag: documents with ALL of them)
+ *   - collection: Collection id
+ *   - createdFrom, createdTo: Upload date range (ISO 8601)
+ *   - sort: createdAt | updatedAt | name | size | relevance, "-" in front for descending
+ *   - limit: Documents per page (default 20, at most 100)
+ *   - cursor: `nextCursor` of the previous page
+ *
+ * Returns: { documents, nextCursor } (nextCursor: null on the last page;
+ *          with q, every document has its search `score`)
+ * Throws: Error with code "INVALID_LIST_QUERY" for bad parameters
+ */
+const listDocuments = async ({ workspaceId, userId, query = {} }) => {
+    const filter = buildFilter({ workspaceId, userId, query });
+    const sort = parseSort(query);
+
+    const limit = query.limit !== undefined ? Number(query.limit) : DEFAULT_LIMIT;
+    if (!Number.isInteger(limit) || limit < 1 || limit > MAX_LIMIT) {
+        throw invalidQuery(`limit must be a whole number from 1 to ${MAX_LIMIT}`);
+    }
+
+    // --- Build the Pipeline ---
+    const searching = Boolean(filter.$text);
+    const pipeline = [{ $match: filter }];
+    if (searching) pipeline.push({ $addFields: { score: { $meta: "textScore" } } });
+    if (query.cursor !== undefined) {
+        pipeline.push({ $match: afterCursor(sort.field, sort.direction, decodeCursor(query.cursor, sort)) });
+    }
+    pipeline.push(
+        { $sort: { [sort.field]: sort.direction, _id: sort.direction } },
+        { $limit: limit + 1 },      // One extra: is there a next page?
+        { $project: LIST_PROJECTION }
+    );
+
+    let aggregate = Document.aggregate(pipeline);
+    if (sort.caseInsensitive) aggregate = aggregate.collation({ locale: "en", strength: 2 });
+    const documents = await aggregate;
+
+    // --- Next Page ---
+    const hasMore = documents.length > limit;
+    if (hasMore) documents.pop();
+
+    return {
+        documents,
+        nextCursor: hasMore ? encodeCursor(sort, documents[documents.length - 1]) : null
+    };
+};
+
+module.exports = {
+    DEFAULT_LIMIT,
+    MAX_LIMIT,
+    normalizeTag,
+    listDocuments
+};
@@ -0,0 +1,73 @@
+/**
+ * Hugging Face Embedding Provider
+ * Calls the Hugging Face Inference API "feature-extraction" pipeline.
+ *
+ * Configuration (.env):
+ * - HF_API_KEY: Hugging Face access token (required)
+ * - HF_API_URL: Base URL of the inference API (optional)
+ * - EMBEDDING_MODEL: Model id (default "sentence-transformers/all-MiniLM-L6-v2")
+ * - EMBEDDING_DIMENSION: Vector size of that model (default 384)
+ */
+
+const axios = require("axios");
+
+const DEFAULT_API_URL = "https://router.huggingface.co/hf-inference/models";
+const DEFAULT_MODEL = "sentence-transformers/all-MiniLM-L6-v2";
+const DEFAULT_DIMENSION = 384;
+
+/**
+ * Helper Function: meanPool
+ * Purpose: Some models return one vector PER TOKEN instead of one per text.
+ * In that case we average the token vectors into a single sentence vector.
+ */
+const meanPool = (output) => {
+    if (!Array.isArray(output[0])) return output;          // Already [dim]
+    const size = output[0].length;
+    const sum = new Array(size).fill(0);
+    for (const tokenVector of output) {
+        tokenVector.forEach((v, i) => { sum[i] += v; });
+    }
+    return sum.map((v) => v / output.length);
+};
+
+/**
+ * Create Hugging Face Embedder
+ * Options: { apiKey, apiUrl, model, dimension }
+ * Returns: { name, model, dimension, embed(texts) }
+ */
+module.exports = function createHuggingFaceEmbedder(options = {}) {
+    const apiKey = options.apiKey;
+    const apiUrl = options.apiUrl || DEFAULT_API_URL;
+    const model = options.model || DEFAULT_MODEL;
+    const dimension = options.dimension || DEFAULT_DIMENSION;
+
+    if (!apiKey) {
+        throw new Error("HF_API_KEY is required for the huggingface embedding provider");
+    }
+
+    return {
+        name: "huggingface",
+        model,
+        dimension,
+        embed: async (texts) => {
+            const response = await axios.post(
+                `${apiUrl}/${model}/pipeline/feature-extraction`,
+                { inputs: texts, options: { wait_for_model: true } },
+                { headers: { Authorization: `Bearer ${apiKey}` }, timeout: 60000 }
+            );
+
+            const vectors = response.data.map(meanPool);
+
+            // A wrong EMBEDDING_DIMENSION would silently break similarity search later
+            for (const vector of vectors) {
+                if (vector.length !== dimension) {
+                    throw new Error(
+                        `Embedding model ${model} returned ${vector.length} dimensions, expected ${dimension}`
+                    );
+                }
+            }
+
+            return vectors;
+        }
+    };
+};
@@ -0,0 +1,125 @@
+/**
+ * Embedding Service
+ * This file picks the embedding provider from config and embeds document chunks.
+ *
+ * Provider interface (every provider returns this shape):
+ * {
+ *   name: "local" | "huggingface",
+ *   model: "sentence-transformers/all-MiniLM-L6-v2",
+ *   dimension: 384,
+ *   embed: async (texts) => [[0.12, -0.03, ...], ...]   // one vector per text
+ * }
+ *
+ * Configuration (.env):
+ * - EMBEDDING_PROVIDER: "local" (default, offline) or "huggingface"
+ * - EMBEDDING_BATCH_SIZE: Chunks sent per embed() call (default 32)
+ */
+
+const Chunk = require("../../models/Chunk");
+const Document = require("../../models/Document");
+const createLocalEmbedder = require("./local");
+const createHuggingFaceEmbedder = require("./huggingface");
+
+const DEFAULT_BATCH_SIZE = parseInt(process.env.EMBEDDING_BATCH_SIZE, 10) || 32;
+
+// Registry of available providers: name -> factory
+const providers = {
+    local: () => createLocalEmbedder({
+        dimension: parseInt(process.env.EMBEDDING_DIMENSION, 10) || undefined
+    }),
+    huggingface: () => createHuggingFaceEmbedder({
+        apiKey: process.env.HF_API_KEY,
+        apiUrl: process.env.HF_API_URL,
+        model: process.env.EMBEDDING_MODEL,
+        dimension: parseInt(process.env.EMBEDDING_DIMENSION, 10) || undefined
+    })
+};
+
+// The provider is created once and reused (it holds no per-request state)
+let cachedProvider = null;
+
+/**
+ * Get Embedding Provider Function
+ * Purpose: Return the provider selected by EMBEDDING_PROVIDER
+ */
+const getEmbeddingProvider = () => {
+    if (cachedProvider) return cachedProvider;
+
+    const name = (process.env.EMBEDDING_PROVIDER || "local").toLowerCase();
+    const factory = providers[name];
+    if (!factory) {
+        throw new Error(`Unknown EMBEDDING_PROVIDER "${name}"`);
+    }
+
+    cachedProvider = factory();
+    return cachedProvider;
+};
+
+/**
+ * Helper Function: describeProvider
+ * Purpose: The { provider, model, dimension } info stored on a Document
+ */
+const describeProvider = (provider) => ({
+    provider: provider.name,
+    model: provider.model,
+    dimension: provider.dimension
+});
+
+/**
+ * Is Embedding Outdated Function
+ * Purpose: Detect documents embedded with a different provider/model/dimension
+ * Vectors from different models are NOT comparable, so such documents must be re-embedded.
+ */
+const isEmbeddingOutdated = (document, provider = getEmbeddingProvider()) => {
+    const info = document.embedding || {};
+    return info.provider !== provider.name
+        || info.model !== provider.model
+        || info.dimension !== provider.dimension;
+};
+
+/**
+ * Embed Document Chunks Function
+ * Purpose: Compute embeddings for all chunks of a document, in batches
+ *
+ * Steps:
+ * 1. Load the document's chunks in order
+ * 2. Send them to the provider `batchSize` at a time
+ * 3. Save each vector on its Chunk
+ * 4. Record provider/model/dimension on the Document
+ *
+ * Returns: Number of chunks embedded
+ */
+const embedDocumentChunks = async (document, options = {}) => {
+    const provider = options.provider || getEmbeddingProvider();
+    const batchSize = options.batchSize || DEFAULT_BATCH_SIZE;
+
+    const chunks = await Chunk.find({ documentId: document._id })
+        .select("_id text")
+        .sort({ index: 1 });
+
+    for (let i = 0; i < chunks.length; i += batchSize) {
+        const batch = chunks.slice(i, i + batchSize);
+        const vectors = await provider.embed(batch.map((chunk) => chunk.text));
+
+        await Chunk.bulkWrite(batch.map((chunk, j) => ({
+            updateOne: {
+                filter: { _id: chunk._id },
+                update: { $set: { embedding: vectors[j] } }
+            }
+        })));
+    }
+
+    await Document.updateOne(
+        { _id: document._id },
+        { $set: { embedding: { ...describeProvider(provider), embeddedAt: new Date() } } }
+    );
+
+    return chunks.length;
+};
+
+module.exports = {
+    getEmbeddingProvider,
+    describeProvider,
+    isEmbeddingOutdated,
+    embedDocumentChunks
+};
@@ -0,0 +1,80 @@
+/**
+ * Local Embedding Provider
+ * An offline, deterministic "hashed bag-of-words" embedder.
+ *
+ * How it works:
+ * 1. Lowercase the text and split it into word tokens (plus word pairs)
+ * 2. Hash every token into one of `dimension` buckets (the "hashing trick")
+ * 3. Add a weight of 1 + log(count) to that bucket (sign picked by the hash)
+ * 4. L2-normalize the vector so cosine similarity == dot product
+ *
+ * Why?
+ * - No network or API key needed, so the whole RAG pipeline can run in tests/CI
+ * - Same text always gives the same vector (deterministic)
+ * - Quality is keyword-level only: use Hugging Face for real semantic search
+ */
+
+const DEFAULT_DIMENSION = 384;
+
+/**
+ * Helper Function: hashToken
+ * Purpose: 32-bit FNV-1a hash of a string (fast, stable across runs)
+ */
+const hashToken = (token) => {
+    let hash = 0x811c9dc5;
+    for (let i = 0; i < token.length; i++) {
+        hash ^= token.charCodeAt(i);
+        hash = Math.imul(hash, 0x01000193);
+    }
+    return hash >>> 0;
+};
+
+/**
+ * Helper Function: tokenize
+ * Purpose: Split text into lowercase word tokens (Unicode letters and digits)
+ */
+const tokenize = (text) => (text || "").toLowerCase().match(/[\p{L}\p{N}]+/gu) || [];
+
+/**
+ * Helper Function: embedOne
+ * Purpose: Turn one text into a normalized vector of length `dimension`
+ */
+const embedOne = (text, dimension) => {
+    const words = tokenize(text);
+    const counts = new Map();
+
+    // Unigrams + bigrams (bigrams keep a little word-order information)
+    words.forEach((word, i) => {
+        counts.set(word, (counts.get(word) || 0) + 1);
+        if (i > 0) {
+            const pair = `${words[i - 1]} ${word}`;
+            counts.set(pair, (counts.get(pair) || 0) + 1);
+        }
+    });
+
+    const vector = new Array(dimension).fill(0);
+    for (const [token, count] of counts) {
+        const hash = hashToken(token);
+        const sign = hash & 0x80000000 ? -1 : 1;
+        vector[hash % dimension] += sign * (1 + Math.log(count));
+    }
+
+    const norm = Math.sqrt(vector.reduce((sum, v) => sum + v * v, 0));
+    return norm > 0 ? vector.map((v) => v / norm) : vector;
+};
+
+/**
+ * Create Local Embedder
+ * Options: { dimension } (default 384)
+ * Returns: { name, model, dimension, embed(texts) }
+ */
+module.exports = function createLocalEmbedder(options = {}) {
+    const dimension = options.dimension || DEFAULT_DIMENSION;
+
+    return {
+        name: "local",
+        model: "hashed-bow-v1",
+        dimension,
+        embed: async (texts) => texts.map((text) => embedOne(text, dimension))
+    };
+};
@@ -0,0 +1,40 @@
+/**
+ * Event Bus Service
+ * An in-process publish/subscribe channel for document events
+ * (e.g. status changes during ingestion).
+ *
+ * Used by the Server-Sent Events endpoint to push updates to the browser.
+ * Events only reach subscribers in the SAME process; the SSE endpoint also
+ * polls MongoDB so it still works when the worker runs as a separate process.
+ */
+
+const { EventEmitter } = require("events");
+
+const bus = new EventEmitter();
+// Every open SSE connection adds a listener, so lift the default limit of 10
+bus.setMaxListeners(0);
+
+const channel = (documentId) => `document:${documentId}`;
+
+/**
+ * Publish Document Event Function
+ * Example: publishDocumentEvent(id, { type: "status", status: "chunking" })
+ */
+const publishDocumentEvent = (documentId, event) => {
+    bus.emit(channel(documentId), { ...event, documentId: String(documentId), at: new Date() });
+};
+
+/**
+ * Subscribe To Document Function
+ * Purpose: Listen to events of one document
+ * Returns: unsubscribe() - call it when the client disconnects
+ */
+const subscribeToDocument = (documentId, listener) => {
+    bus.on(channel(documentId), listener);
+    return () => bus.off(channel(documentId), listener);
+};
+
+module.exports = {
+    publishDocumentEvent,
+    subscribeToDocument
+};
@@ -0,0 +1,172 @@
+/**
+ * Ingestion Service
+ * Turns an uploaded document into searchable chunks, in the background.
+ *
+ * Status progression of a Document:
+ *   queued -> parsing -> chunking -> embedding -> ready
+ *                 \________\____________\------> failed (after the last retry)
+ *
+ * The upload request only stores the file and enqueues an "ingest-document" job
+ * (services/queue.js). The worker then runs processDocumentJob below.
+ */
+
+const Document = require("../models/Document");
+const Chunk = require("../models/Chunk");
+const { registerJobHandler, enqueue } = require("./queue");
+const { getParserByType } = require("./parsers");
+const { chunkDocument } = require("./chunker");
+const { describeDocument } = require("./documentInfo");
+const { embedDocumentChunks } = require("./embeddings");
+const { publishDocumentEvent } = require("./events");
+const { readDocumentFile } = require("./storage");
+const { recordPages } = require("./quotas");
+
+const INGEST_JOB = "ingest-document";
+
+// "processed" is the legacy name of "ready" (documents from before the job queue)
+const READY_STATUSES = ["ready", "processed"];
+
+/**
+ * Is Document Ready Function
+ * Purpose: Questions need chunks + embeddings, which exist once processing is done
+ */
+const isDocumentReady = (document) => READY_STATUSES.includes(document.status);
+
+// Waiting for, or inside, an ingestion job
+const PROCESSING_STATUSES = ["queued", "parsing", "chunking", "embedding"];
+
+/**
+ * Is Document Processing Function
+ * Purpose: Text, chunks and embeddings are being (re)built right now
+ */
+const isDocumentProcessing = (document) => PROCESSING_STATUSES.includes(document.status);
+
+/**
+ * Helper Function: setStatus
+ * Purpose: Move a document to the next processing status
+ * All status changes go through here, so they are saved AND pushed to
+ * live listeners (GET /api/documents/:id/events) in one place.
+ */
+const setStatus = async (documentId, status, extra = {}) => {
+    await Document.updateOne({ _id: documentId }, { $set: { status, ...extra } });
+    publishDocumentEvent(documentId, { type: "status", status, ...extra });
+};
+
+/**
+ * Enqueue Ingestion Function
+ * Purpose: Mark a document as queued and create its ingestion job
+ * Used after uploads, new revisions (services/versions.js) and reprocessing
+ */
+const enqueueIngestion = async (document) => {
+    await setStatus(document._id, "queued", { processingError: null });
+    return enqueue(INGEST_JOB, { documentId: String(document._id), version: document.version });
+};
+
+/**
+ * Process Document Job (job handler)
+ * Purpose: Parse -> chunk -> embed one document
+ *
+ * Steps:
+ * 1. Load the document (skip if it was deleted or got a newer revision meanwhile)
+ * 2. parsing: Download the file and extract page text (parser picked by fileType;
+ *    scanned PDF pages are read with OCR), plus metadata, outline, stats,
+ *    language and content hash (services/documentInfo.js)
+ * 3. chunking: Split pages into Chunk records
+ * 4. embedding: Embed the chunks
+ * 5. ready: Done! (the pages are added to the owner's monthly usage)
+ *
+ * On error the document records the error message; `retryCount` tells how
+ * many times processing has been retried.
+ * It only becomes "failed" when the queue has no attempts left.
+ */
+const processDocumentJob = async (job) => {
+    const { documentId } = job.payload;
+
+    const document = await Document.findById(documentId);
+    if (!document) return;
+
+    // A newer revision was uploaded after this job was queued: its own job processes it
+    // (jobs from before versioning have no version)
+    if (job.payload.version && job.payload.version !== document.version) return;
+
+    try {
+        // --- Step 2: Parse ---
+        await setStatus(document._id, "parsing", { retryCount: job.attempts - 1 });
+        const buffer = await readDocumentFile(document);
+        const parser = getParserByType(document.fileType);
+        if (!parser) {
+            throw new Error(`No parser for file type "${document.fileType}"`);
+        }
+        const parsed = await parser.parse(buffer);
+        const { pages, needsOcr = false } = parsed;
+        const info = await describeDocument(buffer, parsed);
+        document.extractedText = { pages };
+        // storagePath identifies the revision: don't overwrite the text of a newer one
+        await Document.updateOne(
+            { _id: document._id, storagePath: document.storagePath },
+            { $set: { extractedText: { pages }, ...info } }
+        );
+
+        // --- Step 3: Chunk ---
+        await setStatus(document._id, "chunking");
+        await chunkDocument(document);
+
+        // --- Step 4: Embed ---
+        await setStatus(document._id, "embedding");
+        await embedDocumentChunks(document);
+
+        // Deleted while it was being processed? Drop the chunks written since
+        // (the deletion purge may have run before they existed)
+        const current = await Document.findById(document._id).select("storagePath");
+        if (!current) {
+            await Chunk.deleteMany({ documentId: document._id });
+            return;
+        }
+        // A newer revision was uploaded meanwhile: its job rebuilds text and chunks
+        if (current.storagePath !== document.storagePath) return;
+
+        // --- Step 5: Ready ---
+        // needsOcr: scanned pages without text (OCR off) - clients should warn the user
+        await setStatus(document._id, "ready", { processingError: null, processedAt: new Date(), needsOcr });
+
+        // Pages count against the uploader's monthly quota once processing succeeded
+        // (a failed counter update must not mark the ready document as failed)
+        await recordPages(document.owner, pages.length)
+            .catch((err) => console.error("[QUOTA] Page usage not recorded:", err.message));
+    } catch (err) {
+        const isLastAttempt = job.attempts >= job.maxAttempts;
+
+        await setStatus(document._id, isLastAttempt ? "failed" : "queued", {
+            processingError: err.message
+        });
+
+        // Re-throw so the queue schedules a retry (or marks the job failed)
+        throw err;
+    }
+};
+
+/**
+ * Helper Function: failAbandonedIngestion
+ * Purpose: The worker stopped during the last attempt (crash, out of memory):
+ * the handler never reached its catch, so mark the document "failed" here
+ * (unless a newer revision's job has taken over meanwhile)
+ */
+const failAbandonedIngestion = async (job) => {
+    const filter = { _id: job.payload.documentId, status: { $in: PROCESSING_STATUSES } };
+    if (job.payload.version) filter.version = job.payload.version;
+
+    const document = await Document.findOne(filter).select("_id");
+    if (!document) return;
+
+    await setStatus(document._id, "failed", { processingError: job.lastError });
+};
+
+registerJobHandler(INGEST_JOB, processDocumentJob, { onAbandoned: failAbandonedIngestion });
+
+module.exports = {
+    INGEST_JOB,
+    isDocumentReady,
+    isDocumentProcessing,
+    enqueueIngestion,
+    processDocumentJob
+};
@@ -0,0 +1,110 @@
+/**
+ * Hugging Face LLM Provider
+ * Calls the OpenAI-compatible chat completions endpoint of Hugging Face Inference.
+ *
+ * Configuration (.env):
+ * - HF_API_KEY: Hugging Face access token (required)
+ * - LLM_API_URL: Chat completions URL (optional)
+ * - LLM_MODEL: Model id (default "meta-llama/Llama-3.1-8B-Instruct")
+ * - LLM_MAX_TOKENS: Max tokens in the answer (default 512)
+ */
+
+const axios = require("axios");
+
+const DEFAULT_API_URL = "https://router.huggingface.co/v1/chat/completions";
+const DEFAULT_MODEL = "meta-llama/Llama-3.1-8B-Instruct";
+
+/**
+ * Create Hugging Face LLM
+ * Options: { apiKey, apiUrl, model, maxTokens }
+ * Returns: { name, model, generate({ system, prompt }), stream({ system, prompt }, onToken) }
+ */
+module.exports = function createHuggingFaceLlm(options = {}) {
+    const apiKey = options.apiKey;
+    const apiUrl = options.apiUrl || DEFAULT_API_URL;
+    const model = options.model || DEFAULT_MODEL;
+    const maxTokens = options.maxTokens || 512;
+
+    if (!apiKey) {
+        throw new Error("HF_API_KEY is required for the huggingface LLM provider");
+    }
+
+    // Request body shared by generate() and stream()
+    const buildBody = ({ system, prompt }) => ({
+        model,
+        messages: [
+            { role: "system", content: system },
+            { role: "user", content: prompt }
+        ],
+        max_tokens: maxTokens,
+        temperature: 0.2      // Low temperature = stick to the context
+    });
+
+    const headers = { Authorization: `Bearer ${apiKey}` };
+
+    return {
+        name: "huggingface",
+        model,
+        generate: async (input) => {
+            const response = await axios.post(apiUrl, buildBody(input), { headers, timeout: 120000 });
+
+            const usage = response.data.usage || {};
+            return {
+                text: (response.data.choices[0].message.content || "").trim(),
+                usage: {
+                    promptTokens: usage.prompt_tokens || 0,
+                    completionTokens: usage.completion_tokens || 0
+                }
+            };
+        },
+
+        /**
+         * stream: Same as generate(), but calls onToken(text) for every piece
+         * of the answer as the model produces it.
+         * The API answers with Server-Sent Events: "data: {json}\n\n" ... "data: [DONE]"
+         */
+        stream: async (input, onToken) => {
+            const response = await axios.post(
+                apiUrl,
+                { ...buildBody(input), stream: true, stream_options: { include_usage: true } },
+                { headers, responseType: "stream", timeout: 120000 }
+            );
+
+            let text = "";
+            let usage = {};
+            let buffered = "";
+
+            for await (const data of response.data) {
+                buffered += data.toString("utf8");
+
+                // Events are separated by newlines; keep an incomplete last line for later
+                const lines = buffered.split("\n");
+                buffered = lines.pop();
+
+                for (const line of lines) {
+                    const payload = line.trim();
+                    if (!payload.startsWith("data:")) continue;
+
+                    const json = payload.slice(5).trim();
+                    if (json === "[DONE]") continue;
+
+                    const event = JSON.parse(json);
+                    const delta = event.choices && event.choices[0] && event.choices[0].delta;
+                    if (delta && delta.content) {
+                        text += delta.content;
+                        onToken(delta.content);
+                    }
+                    if (event.usage) usage = event.usage;
+                }
+            }
+
+            return {
+                text: text.trim(),
+                usage: {
+                    promptTokens: usage.prompt_tokens || 0,
+                    completionTokens: usage.completion_tokens || 0
+                }
+            };
+        }
+    };
+};
@@ -0,0 +1,54 @@
+/**
+ * LLM Service
+ * This file picks the LLM (answer generator) provider from config.
+ *
+ * Provider interface:
+ * {
+ *   name: "local" | "huggingface",
+ *   model: "meta-llama/Llama-3.1-8B-Instruct",
+ *   generate: async ({ system, prompt, question, sources }) => ({
+ *       text: "The contract ends on ... [1]",
+ *       usage: { promptTokens, completionTokens }
+ *   }),
+ *   // Same result, but onToken(text) is called for each piece as it is generated
+ *   stream: async (input, onToken) => ({ text, usage })
+ * }
+ *
+ * Configuration (.env):
+ * - LLM_PROVIDER: "local" (default, offline extractive answers) or "huggingface"
+ */
+
+const createLocalLlm = require("./local");
+const createHuggingFaceLlm = require("./huggingface");
+
+// Registry of available providers: name -> factory
+const providers = {
+    local: () => createLocalLlm(),
+    huggingface: () => createHuggingFaceLlm({
+        apiKey: process.env.HF_API_KEY,
+        apiUrl: process.env.LLM_API_URL,
+        model: process.env.LLM_MODEL,
+        maxTokens: parseInt(process.env.LLM_MAX_TOKENS, 10) || undefined
+    })
+};
+
+let cachedProvider = null;
+
+/**
+ * Get LLM Provider Function
+ * Purpose: Return the provider selected by LLM_PROVIDER
+ */
+const getLlmProvider = () => {
+    if (cachedProvider) return cachedProvider;
+
+    const name = (process.env.LLM_PROVIDER || "local").toLowerCase();
+    const factory = providers[name];
+    if (!factory) {
+        throw new Error(`Unknown LLM_PROVIDER "${name}"`);
+    }
+
+    cachedProvider = factory();
+    return cachedProvider;
+};
+
+module.exports = { getLlmProvider };
@@ -0,0 +1,61 @@
+/**
+ * Local LLM Provider
+ * An offline, deterministic "extractive" answerer used for development and tests.
+ *
+ * It does not generate new text. Instead it returns the context sentences
+ * that share the most words with the question, with their [n] source markers.
+ * This keeps the ask pipeline runnable without any API key or network.
+ */
+
+const STOP_WORDS = new Set([
+    "a", "an", "the", "is", "are", "was", "were", "of", "to", "in", "on", "for",
+    "and", "or", "what", "which", "who", "how", "why", "when", "does", "do", "this", "that"
+]);
+
+const tokenize = (text) => ((text || "").toLowerCase().match(/[\p{L}\p{N}]+/gu) || [])
+    .filter((word) => !STOP_WORDS.has(word));
+
+/**
+ * Create Local LLM
+ * Returns: { name, model, generate({ question, sources }), stream(input, onToken) }
+ */
+module.exports = function createLocalLlm() {
+    const generate = async ({ question, sources }) => {
+        const questionWords = new Set(tokenize(question));
+
+        // Score every sentence of every source by word overlap with the question
+        const candidates = [];
+        sources.forEach((source, i) => {
+            for (const sentence of source.text.split(/(?<=[.!?])\s+/)) {
+                const overlap = tokenize(sentence).filter((w) => questionWords.has(w)).length;
+                if (overlap > 0) candidates.push({ sentence: sentence.trim(), overlap, marker: i + 1 });
+            }
+        });
+
+        if (candidates.length === 0) {
+            return { text: "I could not find the answer in the document.", usage: { promptTokens: 0, completionTokens: 0 } };
+        }
+
+        const text = candidates
+            .sort((a, b) => b.overlap - a.overlap)
+            .slice(0, 3)
+            .map((c) => `${c.sentence} [${c.marker}]`)
+            .join(" ");
+
+        return { text, usage: { promptTokens: 0, completionTokens: 0 } };
+    };
+
+    return {
+        name: "local",
+        model: "extractive-v1",
+        generate,
+        // Streams the extractive answer word by word, like a real model would
+        stream: async (input, onToken) => {
+            const result = await generate(input);
+            for (const piece of result.text.match(/\S+\s*/g) || []) {
+                onToken(piece);
+            }
+            return result;
+        }
+    };
+};
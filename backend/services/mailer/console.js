@@ -0,0 +1,25 @@
+/**
+ * Console Mail Transport
+ * Prints emails to the server log instead of sending them.
+ * Default for local development: reset/verification links show up in the terminal.
+ */
+
+const createConsoleTransport = () => ({
+    name: "console",
+
+    send: async (message) => {
+        console.log([
+            "[MAIL] ----------------------------------------",
+            `[MAIL] From: ${message.from}`,
+            `[MAIL] To: ${message.to}`,
+            `[MAIL] Subject: ${message.subject}`,
+            "[MAIL]",
+            ...message.text.split("\n").map((line) => `[MAIL] ${line}`),
+            "[MAIL] ----------------------------------------"
+        ].join("\n"));
+
+        return { id: null };
+    }
+});
+
+module.exports = createConsoleTransport;
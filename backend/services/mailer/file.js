@@ -0,0 +1,35 @@
+/**
+ * File Mail Transport
+ * Writes every email as a JSON file into a folder (an "outbox").
+ * Handy for local development and for checking emails in scripts.
+ *
+ * Options:
+ * - dir: Folder to write to (default: <system temp>/doc-talk-mail)
+ */
+
+const fs = require("fs/promises");
+const os = require("os");
+const path = require("path");
+const crypto = require("crypto");
+
+const createFileTransport = ({ dir } = {}) => {
+    const outbox = dir || path.join(os.tmpdir(), "doc-talk-mail");
+
+    return {
+        name: "file",
+        outbox,
+
+        send: async (message) => {
+            await fs.mkdir(outbox, { recursive: true });
+
+            // Timestamp first, so files sort in sending order
+            const id = `${Date.now()}-${crypto.randomBytes(4).toString("hex")}`;
+            const file = path.join(outbox, `${id}.json`);
+            await fs.writeFile(file, JSON.stringify({ id, ...message, sentAt: new Date() }, null, 2));
+
+            return { id, file };
+        }
+    };
+};
+
+module.exports = createFileTransport;
@@ -0,0 +1,66 @@
+/**
+ * Mailer Service
+ * Sends emails (password reset, email verification, workspace invites)
+ * through the transport selected in config.
+ *
+ * Transport interface:
+ * {
+ *   name: "console" | "file",
+ *   send: async ({ from, to, subject, text, html }) => ({ id })
+ * }
+ *
+ * Configuration (.env):
+ * - MAIL_TRANSPORT: "console" (default, prints to the log) or "file" (JSON files in MAIL_DIR)
+ * - MAIL_DIR: Outbox folder of the file transport (default: system temp folder)
+ * - MAIL_FROM: Sender address (default "Doc Talk <no-reply@doctalk.local>")
+ *
+ * A real provider (SMTP, an email API, ...) is one more entry in `transports`.
+ */
+
+const createConsoleTransport = require("./console");
+const createFileTransport = require("./file");
+
+// Registry of available transports: name -> factory
+const transports = {
+    console: () => createConsoleTransport(),
+    file: () => createFileTransport({ dir: process.env.MAIL_DIR })
+};
+
+let cachedTransport = null;
+
+/**
+ * Get Mail Transport Function
+ * Purpose: Return the transport selected by MAIL_TRANSPORT
+ */
+const getMailTransport = () => {
+    if (cachedTransport) return cachedTransport;
+
+    const name = (process.env.MAIL_TRANSPORT || "console").toLowerCase();
+    const factory = transports[name];
+    if (!factory) {
+        throw new Error(`Unknown MAIL_TRANSPORT "${name}"`);
+    }
+
+    cachedTransport = factory();
+    return cachedTransport;
+};
+
+/**
+ * Send Mail Function
+ * Params: { to, subject, text, html? }
+ * Returns: Whatever the transport returns ({ id, ... })
+ */
+const sendMail = async ({ to, subject, text, html }) => {
+    return getMailTransport().send({
+        from: process.env.MAIL_FROM || "Doc Talk <no-reply@doctalk.local>",
+        to,
+        subject,
+        text,
+        html
+    });
+};
+
+module.exports = {
+    getMailTransport,
+    sendMail
+};
@@ -0,0 +1,61 @@
+/**
+ * Email Templates
+ * Subject + plain text for every email the app sends.
+ *
+ * Links point to the frontend (APP_URL, default http://localhost:5173),
+ * which reads the token from the URL and calls the matching API endpoint.
+ */
+
+const appUrl = (path) => `${(process.env.APP_URL || "http://localhost:5173").replace(/\/+$/, "")}${path}`;
+
+/**
+ * Password reset: the frontend page calls POST /api/auth/reset-password
+ */
+const passwordResetEmail = ({ name, token, expiresInMinutes }) => ({
+    subject: "Reset your Doc Talk password",
+    text: [
+        `Hi ${name},`,
+        "",
+        "Someone (hopefully you) asked to reset your Doc Talk password.",
+        `Open this link within ${expiresInMinutes} minutes to choose a new one:`,
+        "",
+        appUrl(`/reset-password?token=${encodeURIComponent(token)}`),
+        "",
+        "If you didn't ask for this, you can ignore this email."
+    ].join("\n")
+});
+
+/**
+ * Email verification: the frontend page calls POST /api/auth/verify-email
+ */
+const emailVerificationEmail = ({ name, token }) => ({
+    subject: "Confirm your email address",
+    text: [
+        `Hi ${name},`,
+        "",
+        "Please confirm your email address for Doc Talk:",
+        "",
+        appUrl(`/verify-email?token=${encodeURIComponent(token)}`)
+    ].join("\n")
+});
+
+/**
+ * Workspace invite: the frontend page calls POST /api/workspaces/invites/:token/accept
+ */
+const workspaceInviteEmail = ({ workspaceName, inviterName, token, role }) => ({
+    subject: `You're invited to "${workspaceName}" on Doc Talk`,
+    text: [
+        "Hi,",
+        "",
+        `${inviterName || "A teammate"} invited you to join the workspace "${workspaceName}" as ${role}.`,
+        "Log in (or create an account with this email address) and open:",
+        "",
+        appUrl(`/invites/${encodeURIComponent(token)}`)
+    ].join("\n")
+});
+
+module.exports = {
+    passwordResetEmail,
+    emailVerificationEmail,
+    workspaceInviteEmail
+};
@@ -0,0 +1,123 @@
+/**
+ * OCR Service
+ * Reads the text of scanned PDF pages (pages that are only an image,
+ * without a text layer), so they can be chunked and searched like any other page.
+ *
+ * How it works:
+ * 1. The PDF parser (services/parsers/pdf.js) finds pages with (almost) no text
+ * 2. Each of those pages is rendered to an image (pdfjs-dist + @napi-rs/canvas)
+ * 3. Tesseract reads the image (tesseract.js: a WebAssembly build, so no
+ *    GPU, native install or network is needed)
+ *
+ * The English language data ships with @tesseract.js-data/eng. Other
+ * languages need their `<lang>.traineddata.gz` files in OCR_LANG_PATH.
+ *
+ * Configuration (.env):
+ * - OCR_ENABLED: "false" turns OCR off; documents with scanned pages are then flagged `needsOcr`
+ * - OCR_LANGUAGES: Tesseract languages, e.g. "eng" (default) or "eng+deu"
+ * - OCR_LANG_PATH: Folder with the language data (default: the bundled English data)
+ * - OCR_MIN_TEXT_CHARS: Pages with fewer characters than this are OCR'd (default 20)
+ * - OCR_DPI: Resolution pages are rendered at (default 200)
+ * - OCR_MAX_PAGES: Most pages OCR'd per document (default 100); documents with more are flagged `needsOcr`
+ */
+
+const { openPdf } = require("./parsers/pdfjs");
+
+const intFromEnv = (name, fallback) => parseInt(process.env[name], 10) || fallback;
+
+const OCR_MIN_TEXT_CHARS = intFromEnv("OCR_MIN_TEXT_CHARS", 20);
+const OCR_DPI = intFromEnv("OCR_DPI", 200);
+const OCR_MAX_PAGES = intFromEnv("OCR_MAX_PAGES", 100);
+
+// PDF user space is 72 units per inch
+const PDF_POINTS_PER_INCH = 72;
+
+/**
+ * Is OCR Enabled Function
+ */
+const isOcrEnabled = () => process.env.OCR_ENABLED !== "false";
+
+/**
+ * Has Text Layer Function
+ * Purpose: Does a page have real text, or is it (probably) a scanned image?
+ * Whitespace doesn't count; a lone page number is still "no text".
+ */
+const hasTextLayer = (content) => (content || "").replace(/\s/g, "").length >= OCR_MIN_TEXT_CHARS;
+
+/**
+ * Helper Function: renderPage
+ * Purpose: Draw one PDF page into a PNG image
+ */
+const renderPage = async (pdf, number) => {
+    const page = await pdf.getPage(number);
+    try {
+        const viewport = page.getViewport({ scale: OCR_DPI / PDF_POINTS_PER_INCH });
+        const { canvas, context } = pdf.canvasFactory.create(Math.ceil(viewport.width), Math.ceil(viewport.height));
+
+        await page.render({ canvas, canvasContext: context, viewport }).promise;
+        return canvas.toBuffer("image/png");
+    } finally {
+        page.cleanup();
+    }
+};
+
+/**
+ * Helper Function: createOcrWorker
+ * Purpose: Start Tesseract with the configured languages
+ */
+const createOcrWorker = () => {
+    const { createWorker, OEM } = require("tesseract.js");
+
+    return createWorker(process.env.OCR_LANGUAGES || "eng", OEM.LSTM_ONLY, {
+        langPath: process.env.OCR_LANG_PATH || require("@tesseract.js-data/eng").langPath,
+        gzip: true,
+        cacheMethod: "none"      // Language data is read from langPath, never downloaded or cached
+    });
+};
+
+/**
+ * OCR PDF Pages Function
+ * Purpose: Read the text of some pages of a PDF
+ *
+ * Params:
+ * - buffer: The PDF file
+ * - pageNumbers: The pages to read (1-based); at most OCR_MAX_PAGES are read
+ *
+ * Returns: Map of page number -> { text, confidence }
+ * (confidence: Tesseract's mean word confidence, 0-100)
+ *
+ * Pages are rendered and read one at a time, so only one page image is in
+ * memory. A page that fails is logged and left out of the result.
+ */
+const ocrPdfPages = async (buffer, pageNumbers) => {
+    const results = new Map();
+    const selected = pageNumbers.slice(0, OCR_MAX_PAGES);
+    if (selected.length === 0) return results;
+
+    const pdf = await openPdf(buffer);
+    const worker = await createOcrWorker();
+
+    try {
+        for (const number of selected) {
+            try {
+                const image = await renderPage(pdf, number);
+                const { data } = await worker.recognize(image);
+                results.set(number, { text: data.text, confidence: Math.round(data.confidence) });
+            } catch (err) {
+                console.error(`[OCR] Page ${number} failed:`, err.message);
+            }
+        }
+    } finally {
+        await worker.terminate();
+        await pdf.destroy();
+    }
+
+    return results;
+};
+
+module.exports = {
+    OCR_MAX_PAGES,
+    isOcrEnabled,
+    hasTextLayer,
+    ocrPdfPages
+};
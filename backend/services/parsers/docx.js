@@ -0,0 +1,22 @@
+/**
+ * Word Parser (.docx)
+ * Uses mammoth to convert the document to HTML (keeping headings from Word's
+ * "Heading 1/2/3" styles), then reuses the HTML parser to split it into sections.
+ *
+ * Word files have no fixed pages (page breaks depend on the printer/layout),
+ * so headings are used as "pages" instead.
+ */
+
+const mammoth = require("mammoth");
+const { parseHtmlString } = require("./html");
+
+/**
+ * Parse DOCX Function
+ * Returns: { pages: [{ page, title, content }, ...] }
+ */
+const parseDocx = async (buffer) => {
+    const { value: html } = await mammoth.convertToHtml({ buffer });
+    return parseHtmlString(html);
+};
+
+module.exports = { parseDocx };
@@ -0,0 +1,86 @@
+/**
+ * HTML Parser (.html, .htm)
+ * Turns an HTML page into text and splits it at <h1>-<h3> headings:
+ * each section becomes a "page" titled with its heading.
+ *
+ * Also used by the DOCX parser, which converts Word files to HTML first.
+ */
+
+const { sectionsToPages } = require("./sections");
+
+const NAMED_ENTITIES = {
+    amp: "&", lt: "<", gt: ">", quot: "\"", apos: "'", nbsp: "\u00A0",
+    ndash: "–", mdash: "—", hellip: "…", copy: "©",
+    reg: "®", trade: "™", lsquo: "‘", rsquo: "’",
+    ldquo: "“", rdquo: "”", bull: "•", euro: "€"
+};
+
+/**
+ * Helper Function: decodeEntities
+ * Example: "Fish &amp; Chips &#8211; &euro;5" -> "Fish & Chips – €5"
+ */
+const decodeEntities = (text) => text.replace(/&(#x[0-9a-f]+|#\d+|[a-z]+);/gi, (match, code) => {
+    if (code[0] === "#") {
+        const num = code[1].toLowerCase() === "x" ? parseInt(code.slice(2), 16) : parseInt(code.slice(1), 10);
+        // Like browsers: NUL, surrogates and numbers past U+10FFFF become U+FFFD
+        const valid = num > 0 && num <= 0x10ffff && !(num >= 0xd800 && num <= 0xdfff);
+        return valid ? String.fromCodePoint(num) : "\ufffd";
+    }
+    const named = NAMED_ENTITIES[code.toLowerCase()];
+    return named !== undefined ? named : match;
+});
+
+/**
+ * Helper Function: htmlToText
+ * Purpose: Strip tags, keeping line and paragraph breaks where blocks end
+ */
+const htmlToText = (html) => decodeEntities(html
+    .replace(/<br\s*\/?>/gi, "\n")
+    .replace(/<li[^>]*>/gi, "\n- ")
+    .replace(/<\/(td|th)>/gi, " | ")
+    .replace(/<\/(p|div|li|tr|table|ul|ol|h[1-6]|section|article|blockquote|pre|header|footer)>/gi, "\n\n")
+    .replace(/<[^>]+>/g, ""));
+
+/**
+ * Helper Function: removeNonContent
+ * Purpose: Drop scripts, styles, <head> and comments - they are not document text
+ */
+const removeNonContent = (html) => html
+    .replace(/<!--[\s\S]*?-->/g, "")
+    .replace(/<(script|style|head|noscript|template|svg)\b[\s\S]*?<\/\1>/gi, "");
+
+/**
+ * Parse HTML String Function
+ * Returns: { pages: [{ page, title, content }, ...] }
+ */
+const parseHtmlString = (html) => {
+    const body = removeNonContent(html);
+
+    // The capture group keeps the headings in the split result
+    const parts = body.split(/(<h[1-3]\b[^>]*>[\s\S]*?<\/h[1-3]>)/i);
+    const sections = [];
+    let current = { title: null, text: "" };
+
+    for (const part of parts) {
+        if (/^<h[1-3]\b/i.test(part)) {
+            sections.push(current);
+            current = { title: htmlToText(part).trim(), text: "" };
+        } else {
+            current.text += htmlToText(part);
+        }
+    }
+    sections.push(current);
+
+    return sectionsToPages(sections);
+};
+
+/**
+ * Parse HTML Function (parser entry point)
+ */
+const parseHtml = async (buffer) => parseHtmlString(buffer.toString("utf8"));
+
+module.exports = {
+    decodeEntities,
+    parseHtml,
+    parseHtmlString
+};
@@ -0,0 +1,105 @@
+/**
+ * Parser Registry
+ * One place that knows every supported upload format.
+ *
+ * Each entry:
+ * - type: Stored as Document.fileType ("pdf", "docx", ...)
+ * - label: Human-readable name used in error messages
+ * - mimeTypes / extensions: How an upload is recognized
+ * - parse: async (buffer) => ({ pages: [{ page, content, title?, blocks?, ocr?, ocrConfidence? }, ...], needsOcr? })
+ *   (blocks: headings, paragraphs and tables of a PDF page, see ./pdfLayout.js;
+ *   needsOcr: the file has scanned pages that couldn't be read, see services/ocr.js)
+ *
+ * Every parser returns the SAME `pages` shape, so chunking, embedding and
+ * citations don't care what the original format was.
+ *
+ * Used by:
+ * - middlewares/multer.js: Accept/reject uploads
+ * - services/ingest.js: Extract text in the background worker
+ */
+
+const path = require("path");
+const { parsePdf } = require("./pdf");
+const { parseDocx } = require("./docx");
+const { parseText } = require("./text");
+const { parseMarkdown } = require("./markdown");
+const { parseHtml } = require("./html");
+
+const parsers = [
+    {
+        type: "pdf",
+        label: "PDF",
+        // Some systems send "application/x-pdf" instead of "application/pdf"
+        mimeTypes: ["application/pdf", "application/x-pdf"],
+        extensions: [".pdf"],
+        parse: parsePdf
+    },
+    {
+        type: "docx",
+        label: "DOCX",
+        mimeTypes: ["application/vnd.openxmlformats-officedocument.wordprocessingml.document"],
+        extensions: [".docx"],
+        parse: parseDocx
+    },
+    {
+        type: "txt",
+        label: "TXT",
+        mimeTypes: ["text/plain"],
+        extensions: [".txt"],
+        parse: parseText
+    },
+    {
+        type: "md",
+        label: "Markdown",
+        mimeTypes: ["text/markdown", "text/x-markdown"],
+        extensions: [".md", ".markdown"],
+        parse: parseMarkdown
+    },
+    {
+        type: "html",
+        label: "HTML",
+        mimeTypes: ["text/html", "application/xhtml+xml"],
+        extensions: [".html", ".htm", ".xhtml"],
+        parse: parseHtml
+    }
+];
+
+/**
+ * Find Parser Function
+ * Purpose: Pick the parser for an uploaded file (multer's `file` object)
+ *
+ * The extension is checked first: browsers often send a generic MIME type
+ * (e.g. "application/octet-stream") or "text/plain" for Markdown files.
+ *
+ * Returns: The registry entry, or null if the format is not supported
+ */
+const findParser = ({ mimetype, originalname }) => {
+    const extension = path.extname(originalname || "").toLowerCase();
+    const mime = (mimetype || "").toLowerCase().split(";")[0].trim();
+
+    return parsers.find((p) => p.extensions.includes(extension))
+        || parsers.find((p) => p.mimeTypes.includes(mime))
+        || null;
+};
+
+/**
+ * Get Parser By Type Function
+ * Example: getParserByType("docx")
+ */
+const getParserByType = (type) => parsers.find((p) => p.type === type) || null;
+
+/**
+ * Supported Formats Label
+ * Example: "PDF, DOCX, TXT, Markdown or HTML"
+ */
+const supportedFormatsLabel = () => {
+    const labels = parsers.map((p) => p.label);
+    return `${labels.slice(0, -1).join(", ")} or ${labels[labels.length - 1]}`;
+};
+
+module.exports = {
+    parsers,
+    findParser,
+    getParserByType,
+    supportedFormatsLabel
+};
@@ -0,0 +1,47 @@
+/**
+ * Markdown Parser (.md)
+ * Splits the file at headings (#, ##, ###): each section becomes a "page"
+ * titled with its heading. Headings inside ``` code blocks are ignored.
+ */
+
+const { sectionsToPages } = require("./sections");
+
+const HEADING = /^(#{1,3})\s+(.+?)\s*#*\s*$/;
+
+/**
+ * Helper Function: stripInlineMarkdown
+ * Purpose: Keep the readable text of links/images, drop the URLs
+ * Example: "See [the docs](https://x.y)" -> "See the docs"
+ */
+const stripInlineMarkdown = (line) => line
+    .replace(/!\[([^\]]*)\]\([^)]*\)/g, "$1")
+    .replace(/\[([^\]]+)\]\([^)]*\)/g, "$1");
+
+/**
+ * Parse Markdown Function
+ * Returns: { pages: [{ page, title, content }, ...] }
+ */
+const parseMarkdown = async (buffer) => {
+    const lines = buffer.toString("utf8").replace(/^\uFEFF/, "").split(/\r?\n/);
+    const sections = [];
+    let current = { title: null, text: "" };
+    let inCodeBlock = false;
+
+    for (const line of lines) {
+        if (/^\s*(```|~~~)/.test(line)) inCodeBlock = !inCodeBlock;
+
+        const heading = !inCodeBlock && line.match(HEADING);
+        if (heading) {
+            sections.push(current);
+            current = { title: stripInlineMarkdown(heading[2]), text: "" };
+            continue;
+        }
+
+        current.text += `${stripInlineMarkdown(line)}\n`;
+    }
+    sections.push(current);
+
+    return sectionsToPages(sections);
+};
+
+module.exports = { parseMarkdown };
@@ -0,0 +1,210 @@
+/**
+ * PDF Parser
+ * Extracts structured, page-by-page text from a PDF buffer using pdf.js.
+ * PDFs have real pages, so each PDF page becomes one entry in `pages`.
+ *
+ * Every page gets:
+ * - content: its plain text in reading order (all Unicode kept; tables as Markdown)
+ * - blocks: the same text as headings, paragraphs and tables with their
+ *   position on the page (see services/parsers/pdfLayout.js)
+ *
+ * Scanned pages have no text layer: their text is read with OCR instead
+ * (services/ocr.js) and the page is marked `ocr: true` with Tesseract's
+ * confidence. With OCR turned off, such documents come back with `needsOcr: true`.
+ *
+ * The document info (title, author, dates) and the bookmarks (outline)
+ * are read too, when the PDF has them.
+ */
+
+const { loadPdfjs, openPdf } = require("./pdfjs");
+const { buildLayoutPages, paragraphBlocks, blocksToContent } = require("./pdfLayout");
+const { isOcrEnabled, hasTextLayer, ocrPdfPages } = require("../ocr");
+const { MAX_OUTLINE_ITEMS } = require("../documentInfo");
+
+/**
+ * Helper Function: isBoldFont
+ * Purpose: Is a font of the page bold?
+ * pdf.js knows the font's real name ("Arial-BoldMT") and flags once the
+ * page's operator list has been loaded; text content only has an id ("g_d0_f2").
+ */
+const isBoldFont = (page, fontName) => {
+    if (!page.commonObjs.has(fontName)) return false;
+
+    const font = page.commonObjs.get(fontName);
+    return Boolean(font.bold || font.black || /bold|black|heavy|semibold/i.test(font.name || ""));
+};
+
+/**
+ * Helper Function: readPageItems
+ * Purpose: The text of one page with positions and fonts
+ *
+ * Returns: [{ text, x, y, width, size, bold }]
+ * (x, y: start of the baseline in points from the top-left corner, after page rotation)
+ */
+const readPageItems = async (pdfjs, pdf, number) => {
+    const page = await pdf.getPage(number);
+    try {
+        const viewport = page.getViewport({ scale: 1 });
+        const { items } = await page.getTextContent();
+        const textItems = items.filter((item) => item.str && item.str.trim());
+
+        // Pages without text (scanned) don't need their fonts loaded
+        if (textItems.length) await page.getOperatorList();
+
+        return textItems.map((item) => {
+            const [, , c, d, x, y] = pdfjs.Util.transform(viewport.transform, item.transform);
+            return {
+                text: item.str,
+                x,
+                y,
+                width: item.width,
+                size: Math.hypot(c, d),
+                bold: isBoldFont(page, item.fontName)
+            };
+        });
+    } finally {
+        page.cleanup();
+    }
+};
+
+/**
+ * Helper Function: readMetadata
+ * Purpose: The PDF's document info dictionary (title, author, dates, ...)
+ * Empty fields are left out; dates like "D:20240131120000+01'00'" become Dates.
+ */
+const readMetadata = async (pdfjs, pdf) => {
+    const { info, metadata: xmp } = await pdf.getMetadata();
+    const text = (value) => (typeof value === "string" && value.trim() ? value.trim() : undefined);
+    const date = (value) => (text(value) ? pdfjs.PDFDateString.toDateObject(value) || undefined : undefined);
+
+    return {
+        // XMP metadata is newer than the info dictionary; prefer its title if it has one
+        title: text(xmp && xmp.get("dc:title")) || text(info.Title),
+        author: text(info.Author),
+        subject: text(info.Subject),
+        keywords: text(info.Keywords),
+        creator: text(info.Creator),
+        producer: text(info.Producer),
+        createdAt: date(info.CreationDate),
+        modifiedAt: date(info.ModDate)
+    };
+};
+
+/**
+ * Helper Function: outlinePage
+ * Purpose: The page number (1-based) a bookmark points to, or null
+ * A destination is either a name (looked up in the PDF) or [pageRef, ...].
+ */
+const outlinePage = async (pdf, dest) => {
+    try {
+        const explicit = typeof dest === "string" ? await pdf.getDestination(dest) : dest;
+        if (!Array.isArray(explicit)) return null;
+
+        const target = explicit[0];
+        if (Number.isInteger(target)) return target + 1;
+        return target ? (await pdf.getPageIndex(target)) + 1 : null;
+    } catch {
+        return null;
+    }
+};
+
+/**
+ * Helper Function: readOutline
+ * Purpose: The PDF's bookmarks as a flat list, in order
+ * Returns: [{ title, page, level }] (level 1 = top level; page null if unknown)
+ */
+const readOutline = async (pdf) => {
+    const outline = [];
+
+    const visit = async (items, level) => {
+        for (const item of items || []) {
+            if (outline.length >= MAX_OUTLINE_ITEMS) return;
+
+            const title = (item.title || "").replace(/\s+/g, " ").trim();
+            if (title) {
+                outline.push({ title, page: await outlinePage(pdf, item.dest), level });
+            }
+            await visit(item.items, level + 1);
+        }
+    };
+
+    await visit(await pdf.getOutline(), 1);
+    return outline;
+};
+
+/**
+ * Helper Function: addOcrText
+ * Purpose: OCR the pages without a text layer (in place)
+ * Returns: true if some of those pages are still unread (OCR off, page limit, errors)
+ */
+const addOcrText = async (buffer, pages) => {
+    const scanned = pages.filter((p) => !hasTextLayer(p.content)).map((p) => p.page);
+    if (scanned.length === 0) return false;
+    if (!isOcrEnabled()) return true;
+
+    const results = await ocrPdfPages(buffer, scanned);
+
+    for (const page of pages) {
+        const result = results.get(page.page);
+        if (!result) continue;
+
+        // Keep the text layer if OCR found less (e.g. a page with only a logo)
+        const blocks = paragraphBlocks(result.text);
+        const text = blocksToContent(blocks);
+        if (text.length > page.content.length) {
+            page.content = text;
+            page.blocks = blocks;
+            page.ocr = true;
+            page.ocrConfidence = result.confidence;
+        }
+    }
+
+    return scanned.some((number) => !results.has(number));
+};
+
+/**
+ * Parse PDF Function
+ * Purpose: Extract text page-by-page from a PDF
+ *
+ * Steps:
+ * 1. Read the text layer of every page (pdf.js), with positions and fonts,
+ *    and the document info and bookmarks
+ * 2. Lay it out: reading order, headings, paragraphs, tables
+ * 3. OCR pages with little or no text (scanned pages)
+ *
+ * Returns: {
+ *   pages: [{ page: 1, content: "...", blocks: [...], ocr?: true, ocrConfidence?: 91 }, ...],
+ *   needsOcr: true if scanned pages could not be read (OCR off, too many pages, errors),
+ *   metadata: { title?, author?, subject?, keywords?, creator?, producer?, createdAt?, modifiedAt? },
+ *   outline: [{ title, page, level }]
+ * }
+ */
+const parsePdf = async (buffer) => {
+    // --- Step 1: Text Layer ---
+    const pdfjs = await loadPdfjs();
+    const pdf = await openPdf(buffer);
+    const rawPages = [];
+    let metadata;
+    let outline;
+    try {
+        for (let number = 1; number <= pdf.numPages; number++) {
+            rawPages.push({ page: number, items: await readPageItems(pdfjs, pdf, number) });
+        }
+        metadata = await readMetadata(pdfjs, pdf);
+        outline = await readOutline(pdf);
+    } finally {
+        await pdf.destroy();
+    }
+
+    // --- Step 2: Layout ---
+    const pages = buildLayoutPages(rawPages);
+
+    // --- Step 3: OCR for Scanned Pages ---
+    const needsOcr = await addOcrText(buffer, pages);
+
+    return { pages, needsOcr, metadata, outline };
+};
+
+module.exports = {
+    parsePdf
+};
@@ -0,0 +1,538 @@
+/**
+ * PDF Layout Analysis
+ * Turns the positioned text of PDF pages into structured, readable text:
+ * headings, paragraphs and tables, in reading order.
+ *
+ * Input: what pdf.js reports for every piece of text on a page - the string,
+ * where its baseline starts, its width, its font size and whether the font is bold.
+ * Output: for every page, a list of blocks plus the plain text built from them.
+ *
+ * How it works (per page):
+ * 1. Rows: pieces of text on the same baseline, left to right
+ * 2. Segments: a row is cut where there is a wide horizontal gap (table cells, columns)
+ * 3. Columns: empty vertical gutters with a column of text on both sides
+ * 4. Reading order: full-width rows (titles, footnotes) split the page into
+ *    bands; inside a band, each column is read top to bottom, left column first
+ * 5. Blocks: rows of aligned segments become a table (Markdown), short lines
+ *    in a bigger or bold font become headings, the rest is joined into paragraphs
+ *
+ * The body font size and the heading levels are decided for the whole
+ * document, so "level 2" means the same thing on every page.
+ *
+ * No pdf.js in here: services/parsers/pdf.js reads the text and calls buildLayoutPages.
+ */
+
+// Pieces whose baselines differ by less than this (x font size) are on the same row
+const SAME_ROW = 0.5;
+
+// A horizontal gap wider than this (x font size) cuts a row into segments
+const SEGMENT_GAP = 1;
+
+// A gap wider than this (x font size) between two pieces of text is a space
+const WORD_GAP = 0.15;
+
+// Baselines further apart than this (x font size) start a new paragraph
+const PARAGRAPH_GAP = 1.8;
+
+// Rows further apart than this (x font size) don't belong to the same table
+const TABLE_ROW_GAP = 3;
+
+// Headings are at least this much bigger than the body text (or bold)...
+const HEADING_SIZE_RATIO = 1.15;
+// ...and not longer than this
+const MAX_HEADING_CHARS = 150;
+
+// Font sizes within this ratio of each other are the same heading level
+const SAME_LEVEL_RATIO = 0.95;
+const MAX_HEADING_LEVEL = 6;
+
+// A column needs this many lines, and the gutter next to it this many points
+const MIN_COLUMN_LINES = 4;
+const MIN_GUTTER_WIDTH = 12;
+
+// Lines starting like a list item begin a new paragraph
+const LIST_ITEM = /^([•◦▪▫‣∙·●○■□\-–—*]|\(?\d{1,3}[.)]|\(?[a-zA-Z][.)])\s/;
+
+/**
+ * Helper Function: cleanFragment
+ * Purpose: Normalize one piece of PDF text but KEEP all Unicode letters
+ * - NFKC: ligatures ("ﬁ" -> "fi"), full-width and compatibility characters
+ * - Soft hyphens and zero-width characters are dropped
+ * - Control characters become spaces
+ */
+const cleanFragment = (text) => (text || "")
+    .normalize("NFKC")
+    .replace(/[\u00AD\u200B-\u200D\u2060\uFEFF]/g, "")
+    .replace(/[\u0000-\u001F\u007F]/g, " ");
+
+const round = (value) => Math.round(value * 10) / 10;
+
+// Chinese and Japanese text has no spaces between words (or lines)
+const NO_SPACE_SCRIPT = /[\p{Script=Han}\p{Script=Hiragana}\p{Script=Katakana}\u3000-\u303F\uFF00-\uFFEF]/u;
+
+/**
+ * Helper Function: joinLines
+ * Purpose: Join two lines of a paragraph, undoing hyphenation at the line end
+ *
+ * Example: "a long-term strat-" + "egy for" -> "a long-term strategy for"
+ */
+const joinLines = (text, next) => {
+    if (/\p{L}-$/u.test(text) && /^\p{Ll}/u.test(next)) {
+        return text.slice(0, -1) + next;
+    }
+    if (NO_SPACE_SCRIPT.test(text.slice(-1)) && NO_SPACE_SCRIPT.test(next[0])) {
+        return text + next;
+    }
+    return `${text} ${next}`;
+};
+
+/**
+ * Helper Function: groupRows
+ * Purpose: Group pieces of text that share a baseline
+ * Returns: [{ y, fragments }] from the top of the page down
+ */
+const groupRows = (fragments) => {
+    const rows = [];
+    const sorted = [...fragments].sort((a, b) => a.y - b.y || a.x - b.x);
+
+    for (const fragment of sorted) {
+        const row = rows[rows.length - 1];
+        if (row && fragment.y - row.y <= SAME_ROW * Math.min(fragment.size, row.size)) {
+            row.fragments.push(fragment);
+        } else {
+            rows.push({ y: fragment.y, size: fragment.size, fragments: [fragment] });
+        }
+    }
+
+    return rows;
+};
+
+/**
+ * Helper Function: splitSegments
+ * Purpose: Cut a row into segments at wide horizontal gaps
+ * Returns: [{ text, x0, x1, y, size, bold }] left to right
+ */
+const splitSegments = (row) => {
+    const segments = [];
+    let segment = null;
+
+    for (const fragment of [...row.fragments].sort((a, b) => a.x - b.x)) {
+        const right = fragment.x + fragment.width;
+        const gap = segment ? fragment.x - segment.x1 : Infinity;
+
+        if (!segment || gap > SEGMENT_GAP * Math.max(fragment.size, segment.fragments[0].size)) {
+            segment = { text: fragment.text, x0: fragment.x, x1: right, y: row.y, fragments: [fragment] };
+            segments.push(segment);
+            continue;
+        }
+
+        const space = gap > WORD_GAP * fragment.size && !/\s$/.test(segment.text) && !/^\s/.test(fragment.text);
+        segment.text += (space ? " " : "") + fragment.text;
+        segment.x1 = Math.max(segment.x1, right);
+        segment.fragments.push(fragment);
+    }
+
+    return segments
+        .map(({ fragments, ...rest }) => {
+            // The font of the longest piece (a superscript or a drop cap doesn't count)
+            const main = fragments.reduce((a, b) => (b.text.length > a.text.length ? b : a));
+            return {
+                ...rest,
+                text: rest.text.replace(/\s+/g, " ").trim(),
+                size: main.size,
+                bold: fragments.every((f) => f.bold || !f.text.trim())
+            };
+        })
+        .filter((s) => s.text);
+};
+
+/**
+ * Helper Function: median
+ */
+const median = (values) => {
+    const sorted = [...values].sort((a, b) => a - b);
+    return sorted.length ? sorted[Math.floor(sorted.length / 2)] : 0;
+};
+
+/**
+ * Helper Function: isColumn
+ * Purpose: Do these segments look like a column of running text?
+ * (Enough lines, and most of them fill the space they have - table cells don't)
+ */
+const isColumn = (segments, from, to) => segments.length >= MIN_COLUMN_LINES
+    && median(segments.map((s) => s.x1 - s.x0)) >= 0.5 * (to - from);
+
+/**
+ * Helper Function: findGutters
+ * Purpose: Find the empty vertical strips between columns
+ *
+ * Full-width rows (titles, footnotes) may cross a gutter, so wide segments are
+ * ignored and a few crossings are allowed. A gutter only counts if there is
+ * a column of text on both sides of it, next to each other on the page.
+ *
+ * Returns: [{ start, end }] (x positions, left to right)
+ */
+const findGutters = (segments) => {
+    if (segments.length < 2 * MIN_COLUMN_LINES) return [];
+
+    const left = Math.floor(Math.min(...segments.map((s) => s.x0)));
+    const right = Math.ceil(Math.max(...segments.map((s) => s.x1)));
+    const narrow = segments.filter((s) => s.x1 - s.x0 < 0.6 * (right - left));
+
+    // --- How many segments cover each point across the page ---
+    const coverage = new Int32Array(right - left);
+    for (const s of narrow) {
+        for (let x = Math.floor(s.x0) - left; x < Math.ceil(s.x1) - left; x++) coverage[x]++;
+    }
+    const allowed = Math.max(1, Math.floor(narrow.length * 0.1));
+
+    // --- Strips that (almost) nothing covers, not at the page edges ---
+    const candidates = [];
+    let start = null;
+    for (let x = 0; x <= coverage.length; x++) {
+        const free = x < coverage.length && coverage[x] <= allowed;
+        if (free && start === null) start = x;
+        if (!free && start !== null) {
+            if (start > 0 && x < coverage.length && x - start >= MIN_GUTTER_WIDTH) {
+                candidates.push({ start: left + start, end: left + x });
+            }
+            start = null;
+        }
+    }
+
+    // --- Keep gutters with a column of text on both sides ---
+    return candidates.filter((gutter, i) => {
+        const from = i > 0 ? candidates[i - 1].end : left;
+        const to = i < candidates.length - 1 ? candidates[i + 1].start : right;
+        const before = narrow.filter((s) => s.x0 >= from && s.x1 <= gutter.start);
+        const after = narrow.filter((s) => s.x0 >= gutter.end && s.x1 <= to);
+        if (!isColumn(before, from, gutter.start) || !isColumn(after, gutter.end, to)) return false;
+
+        // Side by side: the two columns share most of their height
+        const top = Math.max(Math.min(...before.map((s) => s.y)), Math.min(...after.map((s) => s.y)));
+        const bottom = Math.min(Math.max(...before.map((s) => s.y)), Math.max(...after.map((s) => s.y)));
+        const shorter = Math.min(
+            Math.max(...before.map((s) => s.y)) - Math.min(...before.map((s) => s.y)),
+            Math.max(...after.map((s) => s.y)) - Math.min(...after.map((s) => s.y))
+        );
+        return bottom - top >= 0.5 * shorter;
+    });
+};
+
+/**
+ * Helper Function: readingOrder
+ * Purpose: Lines of one page in the order a person would read them
+ *
+ * A line is the part of a row inside one column (or the whole row, when it
+ * crosses a gutter). Lines that cross a gutter are read where they are;
+ * between two of them, every column is read top to bottom, left to right.
+ *
+ * Returns: [{ column, y, size, bold, segments }]
+ */
+const readingOrder = (fragments) => {
+    const rows = groupRows(fragments).map((row) => ({ y: row.y, segments: splitSegments(row) }));
+    const gutters = findGutters(rows.flatMap((row) => row.segments));
+
+    const columnOf = (s) => (gutters.some((g) => s.x0 < g.end - 1 && s.x1 > g.start + 1)
+        ? -1
+        : gutters.filter((g) => g.end <= s.x0 + 1).length);
+
+    // --- Rows -> lines (one per column, or one for the whole row) ---
+    const lines = [];
+    for (const row of rows) {
+        if (row.segments.length === 0) continue;
+
+        const columns = row.segments.map(columnOf);
+        const groups = columns.includes(-1)
+            ? [{ column: -1, segments: row.segments }]
+            : [...new Set(columns)].map((column) => ({
+                column,
+                segments: row.segments.filter((s, i) => columns[i] === column)
+            }));
+
+        for (const group of groups) {
+            lines.push({
+                ...group,
+                y: row.y,
+                size: Math.max(...group.segments.map((s) => s.size)),
+                bold: group.segments.every((s) => s.bold)
+            });
+        }
+    }
+
+    if (gutters.length === 0) return lines;
+
+    // --- Bands between full-width lines, columns one after another ---
+    const ordered = [];
+    const separators = lines.filter((line) => line.column === -1);
+    let top = -Infinity;
+    for (const separator of [...separators, null]) {
+        const bottom = separator ? separator.y : Infinity;
+        for (let column = 0; column <= gutters.length; column++) {
+            ordered.push(...lines.filter((line) => line.column === column && line.y > top && line.y < bottom));
+        }
+        if (separator) ordered.push(separator);
+        top = bottom;
+    }
+
+    return ordered;
+};
+
+/**
+ * Helper Function: lineText
+ */
+const lineText = (line) => line.segments.map((s) => s.text).join(" ");
+
+/**
+ * Helper Function: bbox
+ * Purpose: Box around some lines: [left, top, right, bottom] in PDF points,
+ * measured from the top-left corner of the page
+ */
+const bbox = (lines) => {
+    const segments = lines.flatMap((line) => line.segments);
+    return [
+        round(Math.min(...segments.map((s) => s.x0))),
+        round(Math.min(...lines.map((line) => line.y - line.size))),
+        round(Math.max(...segments.map((s) => s.x1))),
+        round(Math.max(...lines.map((line) => line.y)))
+    ];
+};
+
+/**
+ * Helper Function: markdownTable
+ * Purpose: Rows of cells as a Markdown table (the first row is the header)
+ */
+const markdownTable = (rows) => {
+    const cell = (text) => text.replace(/\|/g, "\\|");
+    const line = (cells) => `| ${cells.map(cell).join(" | ")} |`;
+
+    return [
+        line(rows[0]),
+        line(rows[0].map(() => "---")),
+        ...rows.slice(1).map(line)
+    ].join("\n");
+};
+
+/**
+ * Helper Function: readTable
+ * Purpose: Is there a table starting at lines[start]?
+ *
+ * A table is at least 2 lines in a row (same column, close together) that
+ * each have 2 or more segments, where the segments line up in the same
+ * 2 or more vertical "cell columns".
+ *
+ * Returns: { rows: [["cell", ...], ...], end } (end: index after the table), or null
+ */
+const readTable = (lines, start) => {
+    let end = start;
+    while (
+        end < lines.length
+        && lines[end].segments.length >= 2
+        && lines[end].column === lines[start].column
+        && (end === start || lines[end].y - lines[end - 1].y <= TABLE_ROW_GAP * lines[end].size)
+    ) end++;
+    if (end - start < 2) return null;
+
+    // --- Cell columns: segments that overlap horizontally ---
+    const cells = [];
+    const segments = lines.slice(start, end).flatMap((line) => line.segments).sort((a, b) => a.x0 - b.x0);
+    for (const s of segments) {
+        const last = cells[cells.length - 1];
+        if (last && s.x0 <= last.x1) last.x1 = Math.max(last.x1, s.x1);
+        else cells.push({ x0: s.x0, x1: s.x1 });
+    }
+    if (cells.length < 2) return null;
+
+    const rows = lines.slice(start, end).map((line) => cells.map((c) => line.segments
+        .filter((s) => s.x0 >= c.x0 && s.x1 <= c.x1)
+        .map((s) => s.text)
+        .join(" ")));
+
+    return { rows, end };
+};
+
+/**
+ * Helper Function: isHeadingLine
+ * Purpose: Could this line be (part of) a heading?
+ * Bigger than the body text, or bold at body size and not ending like a sentence.
+ */
+const isHeadingLine = (line, bodySize) => {
+    const text = lineText(line);
+    if (text.length > MAX_HEADING_CHARS || !/\p{L}/u.test(text)) return false;
+    if (line.size >= HEADING_SIZE_RATIO * bodySize) return true;
+    return line.bold && line.size >= SAME_LEVEL_RATIO * bodySize && !/[.,;]$/.test(text);
+};
+
+/**
+ * Helper Function: pageBlocks
+ * Purpose: Turn the ordered lines of one page into blocks
+ * Returns: [{ type: "heading" | "paragraph" | "table", text, size?, bbox }]
+ * (headings keep their font `size` until levels are assigned)
+ */
+const pageBlocks = (lines, bodySize) => {
+    const blocks = [];
+    let i = 0;
+
+    while (i < lines.length) {
+        const line = lines[i];
+
+        // --- Table ---
+        const table = readTable(lines, i);
+        if (table) {
+            blocks.push({ type: "table", text: markdownTable(table.rows), bbox: bbox(lines.slice(i, table.end)) });
+            i = table.end;
+            continue;
+        }
+
+        // --- Heading (may wrap over a few lines in the same font) ---
+        if (isHeadingLine(line, bodySize)) {
+            let end = i + 1;
+            while (
+                end < lines.length
+                && lines[end].column === line.column
+                && lines[end].size === line.size
+                && lines[end].bold === line.bold
+                && lines[end].y - lines[end - 1].y <= PARAGRAPH_GAP * line.size
+                && isHeadingLine(lines[end], bodySize)
+            ) end++;
+
+            const text = lines.slice(i, end).map(lineText).reduce(joinLines);
+            if (text.length <= MAX_HEADING_CHARS) {
+                blocks.push({ type: "heading", text, size: line.size, bbox: bbox(lines.slice(i, end)) });
+                i = end;
+                continue;
+            }
+        }
+
+        // --- Paragraph: until a gap, an indent, a column change, a list item or a heading ---
+        let end = i + 1;
+        while (end < lines.length) {
+            const next = lines[end];
+            const previous = lines[end - 1];
+            if (next.column !== previous.column) break;
+            if (next.y - previous.y > PARAGRAPH_GAP * Math.max(next.size, previous.size)) break;
+            // First line of the next paragraph is indented (a hanging indent after the first line is not)
+            if (end - 1 > i && next.segments[0].x0 - previous.segments[0].x0 >= next.size) break;
+            if (Math.abs(next.size - previous.size) > 0.15 * previous.size) break;
+            if (LIST_ITEM.test(lineText(next)) || isHeadingLine(next, bodySize)) break;
+            if (readTable(lines, end)) break;
+            end++;
+        }
+
+        blocks.push({
+            type: "paragraph",
+            text: lines.slice(i, end).map(lineText).reduce(joinLines),
+            bbox: bbox(lines.slice(i, end))
+        });
+        i = end;
+    }
+
+    return blocks;
+};
+
+/**
+ * Helper Function: bodyFontSize
+ * Purpose: The font size most of the document's text is written in
+ */
+const bodyFontSize = (pagesLines) => {
+    const characters = new Map();
+    for (const line of pagesLines.flat()) {
+        const size = Math.round(line.size * 2) / 2;
+        characters.set(size, (characters.get(size) || 0) + lineText(line).length);
+    }
+
+    let body = 0;
+    let most = -1;
+    for (const [size, count] of characters) {
+        if (count > most) {
+            body = size;
+            most = count;
+        }
+    }
+    return body;
+};
+
+/**
+ * Helper Function: assignHeadingLevels
+ * Purpose: Number heading levels by font size for the whole document
+ * (biggest font = level 1; bold headings at body size come last)
+ */
+const assignHeadingLevels = (headings, bodySize) => {
+    const sizes = [...new Set(headings.map((h) => h.size))]
+        .filter((size) => size >= HEADING_SIZE_RATIO * bodySize)
+        .sort((a, b) => b - a);
+
+    // Sizes that are almost equal share a level
+    const levels = new Map();
+    let level = 0;
+    let levelSize = Infinity;
+    for (const size of sizes) {
+        if (size < SAME_LEVEL_RATIO * levelSize) {
+            level++;
+            levelSize = size;
+        }
+        levels.set(size, level);
+    }
+
+    for (const heading of headings) {
+        heading.level = Math.min(levels.get(heading.size) || level + 1, MAX_HEADING_LEVEL);
+        delete heading.size;
+    }
+};
+
+/**
+ * Paragraph Blocks Function
+ * Purpose: Blocks for text without positions (e.g. OCR output):
+ * paragraphs are separated by blank lines, lines inside one are joined.
+ */
+const paragraphBlocks = (text) => (text || "")
+    .replace(/\r\n?/g, "\n")
+    .split(/\n[^\S\n]*\n/)
+    .map((paragraph) => paragraph
+        .split("\n")
+        .map((line) => cleanFragment(line).replace(/\s+/g, " ").trim())
+        .filter(Boolean))
+    .filter((lines) => lines.length)
+    .map((lines) => ({ type: "paragraph", text: lines.reduce(joinLines) }));
+
+/**
+ * Blocks To Content Function
+ * Purpose: The plain text of a page, built from its blocks
+ */
+const blocksToContent = (blocks) => blocks.map((block) => block.text).join("\n\n");
+
+/**
+ * Build Layout Pages Function
+ * Purpose: Structured text for every page of a PDF
+ *
+ * Params:
+ * - pages: [{ page: 1, items: [{ text, x, y, width, size, bold }] }]
+ *   (x, y: start of the baseline in points from the top-left corner of the page)
+ *
+ * Returns: [{
+ *   page: 1,
+ *   content: "Title\n\nFirst paragraph...\n\n| A | B |\n| --- | --- |\n| 1 | 2 |",
+ *   blocks: [{ type: "heading", level: 1, text, bbox }, { type: "paragraph", text, bbox }, { type: "table", text, bbox }]
+ * }]
+ */
+const buildLayoutPages = (pages) => {
+    const pagesLines = pages.map(({ items }) => readingOrder(items
+        .map((item) => ({ ...item, text: cleanFragment(item.text) }))
+        .filter((item) => item.text.trim() && item.size > 0)));
+
+    const bodySize = bodyFontSize(pagesLines);
+    const pagesBlocks = pagesLines.map((lines) => pageBlocks(lines, bodySize));
+    assignHeadingLevels(pagesBlocks.flat().filter((block) => block.type === "heading"), bodySize);
+
+    return pages.map(({ page }, i) => ({
+        page,
+        content: blocksToContent(pagesBlocks[i]),
+        blocks: pagesBlocks[i]
+    }));
+};
+
+module.exports = {
+    buildLayoutPages,
+    paragraphBlocks,
+    blocksToContent
+};
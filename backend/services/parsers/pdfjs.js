@@ -0,0 +1,42 @@
+/**
+ * pdf.js Loader
+ * One place that loads pdfjs-dist and opens PDF files with it.
+ *
+ * Used by:
+ * - services/parsers/pdf.js: Read the text layer (with positions and fonts)
+ * - services/ocr.js: Render scanned pages to images
+ */
+
+const path = require("path");
+
+// pdfjs-dist is an ES module: loaded once, on first use
+let pdfjsPromise = null;
+const loadPdfjs = () => {
+    if (!pdfjsPromise) pdfjsPromise = import("pdfjs-dist/legacy/build/pdf.mjs");
+    return pdfjsPromise;
+};
+
+/**
+ * Open PDF Function
+ * Purpose: Load a PDF for reading or rendering
+ * Fonts and character maps come from the pdfjs-dist package (no network).
+ *
+ * The caller must `await pdf.destroy()` when done.
+ */
+const openPdf = async (buffer) => {
+    const pdfjs = await loadPdfjs();
+    const root = path.dirname(require.resolve("pdfjs-dist/package.json"));
+
+    return pdfjs.getDocument({
+        data: new Uint8Array(buffer),     // A copy: pdf.js takes ownership of the bytes
+        standardFontDataUrl: path.join(root, "standard_fonts/"),
+        cMapUrl: path.join(root, "cmaps/"),
+        cMapPacked: true,
+        verbosity: 0                       // Errors only
+    }).promise;
+};
+
+module.exports = {
+    loadPdfjs,
+    openPdf
+};
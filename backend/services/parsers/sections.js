@@ -0,0 +1,121 @@
+/**
+ * Section Helpers
+ * Shared by parsers of formats WITHOUT real pages (TXT, Markdown, HTML, DOCX).
+ *
+ * Such files are split into sections (usually at headings). Each section becomes
+ * one "page" in `extractedText.pages`, so chunking, citations and the rest of
+ * the pipeline work exactly like for PDFs. Very long sections are split further
+ * so one "page" stays a readable size.
+ */
+
+// Max characters of one section-"page" (about one printed page)
+const MAX_PAGE_CHARS = 3000;
+
+/**
+ * Helper Function: normalizeText
+ * Purpose: Tidy whitespace but KEEP paragraph breaks (the chunker uses them)
+ * and keep all Unicode characters.
+ */
+const normalizeText = (text) => (text || "")
+    .replace(/\r\n?/g, "\n")
+    .replace(/[^\S\n]+/g, " ")            // Collapse spaces/tabs, not newlines
+    .replace(/ *\n */g, "\n")
+    .replace(/\n{3,}/g, "\n\n")           // At most one blank line
+    .trim();
+
+/**
+ * Where a long section is cut, from best to worst:
+ * paragraphs, then lines, then sentences (a part still too long moves on to
+ * the next level; past the last one it is cut hard at maxChars)
+ */
+const SPLIT_LEVELS = [
+    { separator: /\n\n/, joiner: "\n\n" },
+    { separator: /\n/, joiner: "\n" },
+    { separator: /(?<=[.!?])\s+/, joiner: " " }
+];
+
+/**
+ * Helper Function: hardSplit
+ * Purpose: Cut text into maxChars pieces (never between the halves of an emoji)
+ */
+const hardSplit = (text, maxChars) => {
+    const parts = [];
+    let start = 0;
+    while (start < text.length) {
+        let end = Math.min(start + maxChars, text.length);
+        const code = text.charCodeAt(end - 1);
+        if (end < text.length && code >= 0xd800 && code <= 0xdbff && end - start > 1) end -= 1;
+        parts.push(text.slice(start, end));
+        start = end;
+    }
+    return parts;
+};
+
+/**
+ * Helper Function: splitLongSection
+ * Purpose: Cut a section into parts of <= maxChars, at paragraph boundaries
+ * where possible (see SPLIT_LEVELS)
+ */
+const splitLongSection = (text, maxChars, level = 0) => {
+    if (!text) return [];
+    if (text.length <= maxChars) return [text];
+    if (level >= SPLIT_LEVELS.length) return hardSplit(text, maxChars);
+
+    const { separator, joiner } = SPLIT_LEVELS[level];
+    const pieces = text.split(separator)
+        .flatMap((piece) => (piece.length > maxChars ? splitLongSection(piece, maxChars, level + 1) : [piece]));
+
+    // Put as many pieces together as fit
+    const parts = [];
+    let current = "";
+
+    for (const piece of pieces) {
+        if (current && current.length + joiner.length + piece.length > maxChars) {
+            parts.push(current);
+            current = "";
+        }
+        current = current ? `${current}${joiner}${piece}` : piece;
+    }
+
+    if (current) parts.push(current);
+    return parts;
+};
+
+/**
+ * Sections To Pages Function
+ * Params:
+ * - sections: [{ title: "Introduction" | null, text: "..." }, ...]
+ *
+ * Returns: { pages: [{ page: 1, title: "Introduction", content: "Introduction\n\n..." }, ...] }
+ * The heading is repeated at the top of the content so it is searchable.
+ */
+const sectionsToPages = (sections, maxChars = MAX_PAGE_CHARS) => {
+    const pages = [];
+
+    for (const section of sections) {
+        const title = section.title ? normalizeText(section.title) : null;
+        const text = normalizeText(section.text);
+        if (!title && !text) continue;
+
+        for (const part of splitLongSection(text, maxChars)) {
+            pages.push({
+                page: pages.length + 1,
+                title,
+                content: title ? `${title}\n\n${part}` : part
+            });
+        }
+
+        // Heading with no body text still gets its own page
+        if (!text) {
+            pages.push({ page: pages.length + 1, title, content: title });
+        }
+    }
+
+    return { pages };
+};
+
+module.exports = {
+    MAX_PAGE_CHARS,
+    normalizeText,
+    sectionsToPages
+};
@@ -0,0 +1,26 @@
+/**
+ * Plain Text Parser (.txt)
+ *
+ * - If the file contains form feeds (\f, e.g. text exported from a printer
+ *   driver or `pdftotext`), each form feed starts a new page.
+ * - Otherwise the text is grouped into page-sized sections at blank lines.
+ */
+
+const { sectionsToPages } = require("./sections");
+
+/**
+ * Parse Text Function
+ * Returns: { pages: [{ page, title, content }, ...] }
+ */
+const parseText = async (buffer) => {
+    const text = buffer.toString("utf8").replace(/^\uFEFF/, "");   // Drop the BOM
+
+    // Form feeds = real page breaks: keep one page per form feed
+    if (text.includes("\f")) {
+        return sectionsToPages(text.split("\f").map((pageText) => ({ title: null, text: pageText })));
+    }
+
+    return sectionsToPages([{ title: null, text }]);
+};
+
+module.exports = { parseText };
@@ -0,0 +1,85 @@
+/**
+ * Prompt Builder
+ * Builds the grounded prompt sent to the LLM.
+ *
+ * "Grounded" means the model is told to answer ONLY from the given sources
+ * and to cite them as [1], [2], ... so the UI can link answers to pages.
+ */
+
+const SYSTEM_PROMPT = [
+    "You are Doc_Talk, an assistant that answers questions about the user's documents.",
+    "Answer using ONLY the numbered sources provided.",
+    "Cite the sources you used with their numbers in square brackets, e.g. [1] or [2][3].",
+    "When sources come from different documents, say which document each fact is from.",
+    "If the sources do not contain the answer, say you could not find it in the document."
+].join(" ");
+
+/**
+ * Helper Function: formatPages
+ * Example: (3, 3) -> "page 3", (3, 4) -> "pages 3-4"
+ */
+const formatPages = (pageStart, pageEnd) => (
+    pageStart === pageEnd ? `page ${pageStart}` : `pages ${pageStart}-${pageEnd}`
+);
+
+/**
+ * Helper Function: formatAnnotation
+ * Purpose: One of the user's notes or highlights as a line of the prompt
+ * Example: '- (page 3, highlighted "The notice period is three months") Ask legal about this'
+ */
+const formatAnnotation = (annotation, showDocumentNames) => {
+    const where = [
+        showDocumentNames ? annotation.documentName : null,
+        annotation.page ? `page ${annotation.page}` : "whole document",
+        annotation.quote ? `highlighted "${annotation.quote}"` : null
+    ].filter(Boolean).join(", ");
+    return `- (${where}) ${annotation.comment || "(no comment)"}`;
+};
+
+/**
+ * Build Prompt Function
+ * Params:
+ * - question: The user's question
+ * - sources: [{ text, pageStart, pageEnd, section, documentName }, ...] in ranking order
+ * - options.history: Previous turns [{ question, answer }, ...] (conversations)
+ * - options.showDocumentNames: Label each source with its file name (multi-document questions)
+ * - options.annotations: The user's own notes and highlights [{ page, quote, comment, documentName }]
+ *   (context about what the user cares about; they are not sources and are not cited)
+ *
+ * Returns: { system, prompt }
+ */
+const buildPrompt = (question, sources, options = {}) => {
+    const context = sources
+        .map((source, i) => {
+            const pages = formatPages(source.pageStart, source.pageEnd);
+            const where = source.section ? `${pages}, section "${source.section}"` : pages;
+            const label = options.showDocumentNames ? `${source.documentName}, ${where}` : where;
+            return `[${i + 1}] (${label})\n${source.text}`;
+        })
+        .join("\n\n");
+
+    // Earlier turns help the model keep the conversation consistent,
+    // but facts must still come from the sources
+    const history = (options.history || [])
+        .map((turn) => `User: ${turn.question}\nAssistant: ${turn.answer}`)
+        .join("\n\n");
+
+    const notes = (options.annotations || [])
+        .map((annotation) => formatAnnotation(annotation, options.showDocumentNames))
+        .join("\n");
+
+    return {
+        system: SYSTEM_PROMPT,
+        prompt: [
+            history ? `Conversation so far:\n\n${history}\n\n` : "",
+            `Sources:\n\n${context}\n\n`,
+            notes ? `The user's own notes on these documents (not sources: never cite them, take facts only from the sources):\n\n${notes}\n\n` : "",
+            `Question: ${question}\n\nAnswer:`
+        ].join("")
+    };
+};
+
+module.exports = {
+    buildPrompt,
+    formatPages
+};
@@ -0,0 +1,211 @@
+/**
+ * Job Queue Service
+ * A small background job queue backed by MongoDB (see models/Job.js).
+ *
+ * How it works:
+ * 1. Code calls enqueue("ingest-document", { documentId }) and returns immediately
+ * 2. A worker polls MongoDB and atomically claims the next due job
+ * 3. The job's handler runs; while it runs, the worker refreshes `lockedAt` (heartbeat)
+ * 4. Success -> "completed". Error -> retried later with backoff, then "failed"
+ *
+ * Crash recovery:
+ * If a worker dies mid-job, its heartbeat stops. Once `lockedAt` is older than
+ * JOB_LOCK_TIMEOUT_MS, another worker claims the job again - if it has attempts
+ * left. A job that was abandoned on its last attempt is marked "failed" (and its
+ * handler's onAbandoned runs), so a job that crashes the worker can't run forever.
+ *
+ * Configuration (.env):
+ * - JOB_POLL_INTERVAL_MS: How often an idle worker checks for jobs (default 2000)
+ * - JOB_LOCK_TIMEOUT_MS: When a running job counts as abandoned (default 5 minutes)
+ */
+
+const crypto = require("crypto");
+const os = require("os");
+const Job = require("../models/Job");
+
+const POLL_INTERVAL_MS = parseInt(process.env.JOB_POLL_INTERVAL_MS, 10) || 2000;
+const LOCK_TIMEOUT_MS = parseInt(process.env.JOB_LOCK_TIMEOUT_MS, 10) || 5 * 60 * 1000;
+const RETRY_BASE_DELAY_MS = 5000;
+
+// Registry of job handlers: type -> async (job) => {}
+const handlers = {};
+
+// Called when a job of that type is given up after its worker died: type -> async (job) => {}
+const abandonedHandlers = {};
+
+/**
+ * Register Job Handler Function
+ * Purpose: Tell the queue which function runs jobs of a given type
+ *
+ * Options:
+ * - onAbandoned: async (job) => {} - the job failed because the worker stopped
+ *   during its last attempt (crash, out of memory), so the handler never saw an error
+ */
+const registerJobHandler = (type, handler, options = {}) => {
+    handlers[type] = handler;
+    if (options.onAbandoned) abandonedHandlers[type] = options.onAbandoned;
+};
+
+/**
+ * Enqueue Function
+ * Purpose: Save a new job so a worker will run it
+ *
+ * Example: await enqueue("ingest-document", { documentId: doc._id })
+ * Returns: The created Job
+ */
+const enqueue = (type, payload = {}, options = {}) => Job.create({
+    type,
+    payload,
+    maxAttempts: options.maxAttempts || 3,
+    runAt: options.runAt || new Date()
+});
+
+// Message of jobs whose worker stopped during their last attempt
+const ABANDONED_ERROR = "The worker stopped while running the last attempt (crash or out of memory)";
+
+/**
+ * Helper Function: failAbandonedJobs
+ * Purpose: Mark abandoned "running" jobs (stale lock) without attempts left as "failed"
+ * One at a time with findOneAndUpdate, so every job's onAbandoned runs exactly once.
+ */
+const failAbandonedJobs = async () => {
+    for (;;) {
+        const job = await Job.findOneAndUpdate(
+            {
+                type: { $in: Object.keys(handlers) },
+                status: "running",
+                lockedAt: { $lt: new Date(Date.now() - LOCK_TIMEOUT_MS) },
+                $expr: { $gte: ["$attempts", "$maxAttempts"] }
+            },
+            { $set: { status: "failed", lastError: ABANDONED_ERROR }, $unset: { lockedAt: 1, lockedBy: 1 } },
+            { new: true }
+        );
+        if (!job) return;
+
+        console.error(`[QUEUE] Job ${job._id} (${job.type}) failed: ${ABANDONED_ERROR}`);
+        if (abandonedHandlers[job.type]) {
+            await abandonedHandlers[job.type](job)
+                .catch((err) => console.error(`[QUEUE] onAbandoned of job ${job._id} failed:`, err.message));
+        }
+    }
+};
+
+/**
+ * Helper Function: claimNextJob
+ * Purpose: Atomically pick the next due job and mark it as ours
+ *
+ * findOneAndUpdate is atomic, so two workers can never claim the same job.
+ * Abandoned "running" jobs (stale lock) are claimable again while they have attempts left.
+ */
+const claimNextJob = (workerId) => {
+    const now = new Date();
+
+    return Job.findOneAndUpdate(
+        {
+            type: { $in: Object.keys(handlers) },
+            $or: [
+                { status: "pending", runAt: { $lte: now } },
+                {
+                    status: "running",
+                    lockedAt: { $lt: new Date(now - LOCK_TIMEOUT_MS) },
+                    $expr: { $lt: ["$attempts", "$maxAttempts"] }
+                }
+            ]
+        },
+        {
+            $set: { status: "running", lockedAt: now, lockedBy: workerId },
+            $inc: { attempts: 1 }
+        },
+        { sort: { runAt: 1 }, new: true }
+    );
+};
+
+/**
+ * Helper Function: runJob
+ * Purpose: Run one claimed job and record the outcome
+ */
+const runJob = async (job, workerId) => {
+    // Heartbeat: keep the lock fresh so long jobs aren't treated as abandoned
+    const heartbeat = setInterval(() => {
+        Job.updateOne({ _id: job._id, lockedBy: workerId }, { $set: { lockedAt: new Date() } })
+            .catch((err) => console.error("[QUEUE] Heartbeat failed:", err.message));
+    }, LOCK_TIMEOUT_MS / 3);
+
+    try {
+        await handlers[job.type](job);
+
+        // lockedBy: if the lock passed to another worker meanwhile, the job is theirs now
+        const result = await Job.updateOne(
+            { _id: job._id, lockedBy: workerId },
+            { $set: { status: "completed", completedAt: new Date(), lastError: null }, $unset: { lockedAt: 1, lockedBy: 1 } }
+        );
+        if (result.matchedCount === 0) {
+            console.error(`[QUEUE] Job ${job._id} (${job.type}) finished after its lock was taken over; result not recorded`);
+        }
+    } catch (err) {
+        const willRetry = job.attempts < job.maxAttempts;
+        console.error(`[QUEUE] Job ${job._id} (${job.type}) failed on attempt ${job.attempts}:`, err.message);
+
+        await Job.updateOne(
+            { _id: job._id, lockedBy: workerId },
+            {
+                $set: {
+                    status: willRetry ? "pending" : "failed",
+                    lastError: err.message,
+                    // Exponential backoff: 5s, 10s, 20s, ...
+                    runAt: new Date(Date.now() + RETRY_BASE_DELAY_MS * 2 ** (job.attempts - 1))
+                },
+                $unset: { lockedAt: 1, lockedBy: 1 }
+            }
+        );
+    } finally {
+        clearInterval(heartbeat);
+    }
+};
+
+/**
+ * Start Worker Function
+ * Purpose: Poll for jobs and run them one at a time
+ *
+ * Returns: stop() - stops polling after the current job finishes
+ */
+const startWorker = (options = {}) => {
+    const workerId = `${os.hostname()}:${process.pid}:${crypto.randomBytes(4).toString("hex")}`;
+    const pollInterval = options.pollInterval || POLL_INTERVAL_MS;
+    let stopped = false;
+    let timer = null;
+
+    const tick = async () => {
+        if (stopped) return;
+
+        try {
+            await failAbandonedJobs();
+            const job = await claimNextJob(workerId);
+            if (job) {
+                await runJob(job, workerId);
+                // There may be more work: check again right away
+                timer = setImmediate(tick);
+                return;
+            }
+        } catch (err) {
+            console.error("[QUEUE] Worker error:", err.message);
+        }
+
+        timer = setTimeout(tick, pollInterval);
+    };
+
+    console.log(`[QUEUE] Worker ${workerId} started`);
+    tick();
+
+    return () => {
+        stopped = true;
+        clearTimeout(timer);
+        clearImmediate(timer);
+    };
+};
+
+module.exports = {
+    registerJobHandler,
+    enqueue,
+    startWorker
+};
@@ -0,0 +1,205 @@
+/**
+ * Quota Service
+ * Per-user limits on what the app costs to run:
+ * - documents: Documents stored (at any time)
+ * - storageBytes: Total size of stored files
+ * - pagesPerMonth: Pages ingested this month
+ * - llmTokensPerMonth: LLM tokens (prompt + completion) this month
+ *
+ * Stored totals are counted from the Document collection (plus older
+ * revisions kept in DocumentVersion, which use storage too); monthly
+ * numbers come from models/Usage.js (one row per user and month).
+ *
+ * Checks throw an error with code "QUOTA_EXCEEDED", which the
+ * centralized error handler (index.js) turns into a 403 response.
+ *
+ * Configuration (.env), 0 = unlimited:
+ * - QUOTA_MAX_DOCUMENTS (default 500)
+ * - QUOTA_MAX_STORAGE_MB (default 1024)
+ * - QUOTA_MAX_PAGES_PER_MONTH (default 10000)
+ * - QUOTA_MAX_LLM_TOKENS_PER_MONTH (default 2000000)
+ */
+
+const mongoose = require("mongoose");
+const Document = require("../models/Document");
+const DocumentVersion = require("../models/DocumentVersion");
+const Usage = require("../models/Usage");
+
+const limitFromEnv = (name, fallback, multiplier = 1) => {
+    const value = parseInt(process.env[name], 10);
+    return (Number.isNaN(value) ? fallback : value) * multiplier;
+};
+
+const QUOTA_LIMITS = {
+    documents: limitFromEnv("QUOTA_MAX_DOCUMENTS", 500),
+    storageBytes: limitFromEnv("QUOTA_MAX_STORAGE_MB", 1024, 1024 * 1024),
+    pagesPerMonth: limitFromEnv("QUOTA_MAX_PAGES_PER_MONTH", 10000),
+    llmTokensPerMonth: limitFromEnv("QUOTA_MAX_LLM_TOKENS_PER_MONTH", 2000000)
+};
+
+/**
+ * Current Period Function
+ * Returns: The current month as "YYYY-MM" (UTC)
+ */
+const currentPeriod = (date = new Date()) => date.toISOString().slice(0, 7);
+
+/**
+ * Helper Function: quotaError
+ * Purpose: The error every failed check throws (403 via index.js)
+ */
+const quotaError = (quota, message, used, limit) => {
+    const err = new Error(message);
+    err.code = "QUOTA_EXCEEDED";
+    err.quota = quota;
+    err.used = used;
+    err.limit = limit;
+    return err;
+};
+
+/**
+ * Get Usage Function
+ * Purpose: Everything a user has used, next to their limits
+ *
+ * Returns: {
+ *   period: "2026-10",
+ *   documents: { used, limit },
+ *   storageBytes: { used, limit },
+ *   pagesPerMonth: { used, limit },
+ *   llmTokensPerMonth: { used, limit, promptTokens, completionTokens, requests }
+ * }
+ * (limit 0 = unlimited)
+ */
+const getUsage = async (userId) => {
+    const period = currentPeriod();
+
+    const owner = new mongoose.Types.ObjectId(String(userId));
+    const totals = [
+        { $match: { owner } },
+        { $group: { _id: null, documents: { $sum: 1 }, bytes: { $sum: { $ifNull: ["$size", 0] } } } }
+    ];
+    const [stored] = await Document.aggregate(totals);
+    const [versions] = await DocumentVersion.aggregate(totals);
+    const monthly = await Usage.findOne({ user: userId, period }) || {};
+
+    return {
+        period,
+        documents: { used: stored ? stored.documents : 0, limit: QUOTA_LIMITS.documents },
+        storageBytes: {
+            used: (stored ? stored.bytes : 0) + (versions ? versions.bytes : 0),
+            limit: QUOTA_LIMITS.storageBytes
+        },
+        pagesPerMonth: { used: monthly.pagesIngested || 0, limit: QUOTA_LIMITS.pagesPerMonth },
+        llmTokensPerMonth: {
+            used: monthly.llmTokens || 0,
+            limit: QUOTA_LIMITS.llmTokensPerMonth,
+            promptTokens: monthly.promptTokens || 0,
+            completionTokens: monthly.completionTokens || 0,
+            requests: monthly.llmRequests || 0
+        }
+    };
+};
+
+/**
+ * Helper Function: exceeds
+ * Purpose: Would `used + adding` go over `limit`? (limit 0 = unlimited)
+ */
+const exceeds = (used, adding, limit) => limit > 0 && used + adding > limit;
+
+/**
+ * Assert Upload Allowed Function
+ * Purpose: Check the storage quotas BEFORE files are stored
+ *
+ * Params:
+ * - userId: The uploader
+ * - files: The multer files ({ size })
+ * - options.documents: How many new documents this creates
+ *   (default: one per file; 0 for a new revision of an existing document)
+ *
+ * Pages are only known after parsing, so the page quota only blocks
+ * uploads once this month's pages are used up.
+ *
+ * Throws: QUOTA_EXCEEDED error
+ */
+const assertUploadAllowed = async (userId, files, { documents = files.length } = {}) => {
+    const usage = await getUsage(userId);
+    const bytes = files.reduce((sum, file) => sum + (file.size || 0), 0);
+
+    if (exceeds(usage.documents.used, documents, usage.documents.limit)) {
+        throw quotaError("documents",
+            `Document limit reached (${usage.documents.limit} documents). Delete documents to upload new ones.`,
+            usage.documents.used, usage.documents.limit);
+    }
+    if (exceeds(usage.storageBytes.used, bytes, usage.storageBytes.limit)) {
+        throw quotaError("storageBytes",
+            "Storage limit reached. Delete documents to free up space.",
+            usage.storageBytes.used, usage.storageBytes.limit);
+    }
+    if (usage.pagesPerMonth.limit > 0 && usage.pagesPerMonth.used >= usage.pagesPerMonth.limit) {
+        throw quotaError("pagesPerMonth",
+            `Monthly page limit reached (${usage.pagesPerMonth.limit} pages). It resets at the start of next month.`,
+            usage.pagesPerMonth.used, usage.pagesPerMonth.limit);
+    }
+};
+
+/**
+ * Assert LLM Allowed Function
+ * Purpose: Refuse new questions once this month's LLM tokens are used up
+ * Throws: QUOTA_EXCEEDED error
+ */
+const assertLlmAllowed = async (userId) => {
+    const limit = QUOTA_LIMITS.llmTokensPerMonth;
+    if (limit <= 0) return;
+
+    const monthly = await Usage.findOne({ user: userId, period: currentPeriod() }).select("llmTokens");
+    const used = monthly ? monthly.llmTokens : 0;
+
+    if (used >= limit) {
+        throw quotaError("llmTokensPerMonth",
+            `Monthly AI usage limit reached (${limit} tokens). It resets at the start of next month.`,
+            used, limit);
+    }
+};
+
+/**
+ * Helper Function: addUsage
+ * Purpose: Atomically add to this month's row (created on first use)
+ */
+const addUsage = (userId, inc) => Usage.updateOne(
+    { user: userId, period: currentPeriod() },
+    { $inc: inc },
+    { upsert: true }
+);
+
+/**
+ * Record LLM Usage Function
+ * Params: usage - { promptTokens, completionTokens } as returned by services/llm
+ */
+const recordLlmUsage = async (userId, usage = {}) => {
+    const promptTokens = usage.promptTokens || 0;
+    const completionTokens = usage.completionTokens || 0;
+
+    await addUsage(userId, {
+        promptTokens,
+        completionTokens,
+        llmTokens: promptTokens + completionTokens,
+        llmRequests: 1
+    });
+};
+
+/**
+ * Record Pages Function
+ * Purpose: Count the pages of a freshly ingested document
+ */
+const recordPages = async (userId, pages) => {
+    if (pages > 0) await addUsage(userId, { pagesIngested: pages });
+};
+
+module.exports = {
+    QUOTA_LIMITS,
+    currentPeriod,
+    getUsage,
+    assertUploadAllowed,
+    assertLlmAllowed,
+    recordLlmUsage,
+    recordPages
+};
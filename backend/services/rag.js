@@ -0,0 +1,249 @@
+/**
+ * RAG Service (Retrieval-Augmented Generation)
+ * Ties the pieces together to answer a question about a document:
+ *
+ * 1. Embed the question (services/embeddings)
+ * 2. Retrieve the best chunks: vector, keyword or hybrid (services/retriever)
+ * 3. Build a grounded prompt with numbered sources (services/prompt.js)
+ * 4. Ask the LLM (services/llm)
+ *
+ * Works over one document or several (conversations, collections).
+ */
+
+const { getEmbeddingProvider, isEmbeddingOutdated, embedDocumentChunks } = require("./embeddings");
+const { getLlmProvider } = require("./llm");
+const { retrieveChunks, RETRIEVAL_MODES, DEFAULT_MODE } = require("./retriever");
+const { buildPrompt } = require("./prompt");
+const { findContextAnnotations } = require("./annotations");
+
+const DEFAULT_TOP_K = parseInt(process.env.RAG_TOP_K, 10) || 5;
+const MAX_TOP_K = 20;
+const NOT_FOUND_ANSWER = "I could not find the answer in the document.";
+
+/**
+ * Citation Links Function
+ * Purpose: Where a citation opens: the original file at the cited page,
+ * and that page's extracted text
+ *
+ * Params:
+ * - basePath: "/api/documents/<id>" (or "/api/shared/<token>" for share links)
+ * - page: The page the cited chunk starts on
+ * - version: The document version the answer was based on (links keep
+ *   opening that version after newer revisions are uploaded)
+ *
+ * Returns: { file: ".../file?version=2#page=3", page: ".../pages/3?version=2" }
+ * ("#page=N" makes browser PDF viewers open that page)
+ */
+const citationLinks = (basePath, page, version) => {
+    const query = version ? `?version=${version}` : "";
+    return {
+        file: page ? `${basePath}/file${query}#page=${page}` : `${basePath}/file${query}`,
+        page: page ? `${basePath}/pages/${page}${query}` : null
+    };
+};
+
+/**
+ * Helper Function: parseRetrievalOptions
+ * Purpose: Validate the optional per-query retrieval tuning from the request body
+ *
+ * Body example: { retrieval: { mode: "hybrid", vectorWeight: 1, keywordWeight: 2 } }
+ * Returns: { options } or { error: "message" }
+ */
+const parseRetrievalOptions = (retrieval = {}) => {
+    if (retrieval === null || typeof retrieval !== "object" || Array.isArray(retrieval)) {
+        return { error: "retrieval must be an object like { mode, vectorWeight, keywordWeight }" };
+    }
+
+    const options = {};
+
+    if (retrieval.mode !== undefined) {
+        if (!RETRIEVAL_MODES.includes(retrieval.mode)) {
+            return { error: `retrieval.mode must be one of: ${RETRIEVAL_MODES.join(", ")}` };
+        }
+        options.mode = retrieval.mode;
+    }
+
+    for (const key of ["vectorWeight", "keywordWeight"]) {
+        if (retrieval[key] === undefined) continue;
+        const weight = Number(retrieval[key]);
+        if (!Number.isFinite(weight) || weight < 0) {
+            return { error: `retrieval.${key} must be a non-negative number` };
+        }
+        options[key] = weight;
+    }
+
+    // A weight of 0 skips that search: at least one the mode uses must be left
+    // (missing weights default to 1)
+    const mode = options.mode || DEFAULT_MODE;
+    const vectorOff = mode === "keyword" || options.vectorWeight === 0;
+    const keywordOff = mode === "vector" || options.keywordWeight === 0;
+    if (vectorOff && keywordOff) {
+        return {
+            error: mode === "hybrid"
+                ? "retrieval.vectorWeight and retrieval.keywordWeight cannot both be 0"
+                : `retrieval.${mode}Weight cannot be 0 in ${mode} mode`
+        };
+    }
+
+    return { options };
+};
+
+/**
+ * Parse Ask Options Function
+ * Purpose: Validate the body shared by every "ask" endpoint
+ *
+ * Body: { question, topK?, retrieval?: { mode, vectorWeight, keywordWeight }, includeAnnotations? }
+ * (includeAnnotations: true adds the asker's notes and highlights to the context)
+ * Returns: { question, topK, retrieval, includeAnnotations } or { error: "message" }
+ */
+const parseAskOptions = (body = {}) => {
+    if (body.question !== undefined && typeof body.question !== "string") {
+        return { error: "question must be a string" };
+    }
+    const question = (body.question || "").trim();
+    if (!question) {
+        return { error: "Question is required" };
+    }
+
+    // topK is optional; capped so one request can't pull the whole document
+    const topK = body.topK !== undefined ? Number(body.topK) : undefined;
+    if (topK !== undefined && (!Number.isInteger(topK) || topK < 1 || topK > MAX_TOP_K)) {
+        return { error: `topK must be a whole number from 1 to ${MAX_TOP_K}` };
+    }
+
+    const { options: retrieval, error } = parseRetrievalOptions(body.retrieval);
+    if (error) {
+        return { error };
+    }
+
+    if (body.includeAnnotations !== undefined && typeof body.includeAnnotations !== "boolean") {
+        return { error: "includeAnnotations must be true or false" };
+    }
+
+    return { question, topK, retrieval, includeAnnotations: body.includeAnnotations === true };
+};
+
+/**
+ * Helper Function: commonOwner
+ * Purpose: The owner shared by all documents (extra retrieval filter), or undefined
+ */
+const commonOwner = (documents) => {
+    const owners = new Set(documents.map((d) => String(d.owner)));
+    return owners.size === 1 ? documents[0].owner : undefined;
+};
+
+/**
+ * Answer Question Function
+ * Params:
+ * - documents: The Document(s) being asked about (already access-checked)
+ * - question: The user's question (already rewritten to stand alone, if needed)
+ * - history: Previous turns [{ question, answer }, ...] for the prompt (optional)
+ * - topK: How many chunks to use as context
+ * - retrieval: { mode, vectorWeight, keywordWeight } (optional, see services/retriever)
+ * - onToken: (text) => {} (optional) - stream the answer piece by piece as it is generated
+ * - annotationOwner: User id (optional) - add this user's notes and highlights
+ *   to the context (see services/annotations.js)
+ *
+ * Returns: {
+ *   answer,
+ *   sources: [{ chunkId, documentId, documentName, documentVersion, index, pageStart, pageEnd, section, score, similarity, keywordScore, methods, links, text }],
+ *   annotations: [{ annotationId, documentId, type, page }] (only with annotationOwner),
+ *   usage,
+ *   model
+ * }
+ */
+const answerQuestion = async ({ documents, question, history = [], topK = DEFAULT_TOP_K, retrieval = {}, onToken, annotationOwner }) => {
+    const embedder = getEmbeddingProvider();
+    const llm = getLlmProvider();
+
+    // --- Step 1: Make sure chunk vectors match the current embedding model ---
+    for (const document of documents) {
+        if (isEmbeddingOutdated(document, embedder)) {
+            await embedDocumentChunks(document, { provider: embedder });
+        }
+    }
+
+    // --- Step 2 + 3: Embed the Question and Retrieve the Top-k Chunks ---
+    const results = await retrieveChunks({
+        documentIds: documents.map((d) => d._id),
+        owner: commonOwner(documents),
+        query: question,
+        embed: async (text) => (await embedder.embed([text]))[0],
+        topK,
+        ...retrieval
+    });
+
+    // Document names, so answers over several documents can say where a fact came from,
+    // and versions, so citations keep pointing to the pages they were taken from
+    const names = new Map(documents.map((d) => [String(d._id), d.originalName]));
+    const versions = new Map(documents.map((d) => [String(d._id), d.version]));
+
+    const sources = results.map(({ chunk, score, methods, scores }) => ({
+        chunkId: chunk._id,
+        documentId: chunk.documentId,
+        documentName: names.get(String(chunk.documentId)),
+        documentVersion: versions.get(String(chunk.documentId)),
+        index: chunk.index,
+        pageStart: chunk.pageStart,
+        pageEnd: chunk.pageEnd,
+        section: chunk.section,
+        score,
+        similarity: scores.vector !== undefined ? scores.vector : null,
+        keywordScore: scores.keyword !== undefined ? scores.keyword : null,
+        methods,
+        links: citationLinks(`/api/documents/${chunk.documentId}`, chunk.pageStart, versions.get(String(chunk.documentId))),
+        text: chunk.text
+    }));
+
+    const model = { provider: llm.name, model: llm.model };
+
+    // Nothing to ground the answer on: don't let the LLM make something up
+    if (sources.length === 0) {
+        if (onToken) onToken(NOT_FOUND_ANSWER);
+        return {
+            answer: NOT_FOUND_ANSWER,
+            sources,
+            annotations: annotationOwner ? [] : undefined,
+            usage: { promptTokens: 0, completionTokens: 0 },
+            model
+        };
+    }
+
+    // --- Step 4: The Asker's Annotations (optional) ---
+    const annotations = annotationOwner
+        ? (await findContextAnnotations({
+            owner: annotationOwner,
+            documentIds: documents.map((d) => d._id),
+            question,
+            sources
+        })).map((a) => ({ ...a, documentName: names.get(String(a.document)) }))
+        : [];
+
+    // --- Step 5: Build Prompt and Generate Answer ---
+    const { system, prompt } = buildPrompt(question, sources, {
+        history,
+        annotations,
+        // Label sources with their file name when several documents are searched
+        showDocumentNames: documents.length > 1
+    });
+    const input = { system, prompt, question, sources };
+    const completion = onToken
+        ? await llm.stream(input, onToken)
+        : await llm.generate(input);
+
+    return {
+        answer: completion.text,
+        sources,
+        annotations: annotationOwner
+            ? annotations.map((a) => ({ annotationId: a._id, documentId: a.document, type: a.type, page: a.page }))
+            : undefined,
+        usage: completion.usage,
+        model
+    };
+};
+
+module.exports = {
+    citationLinks,
+    parseAskOptions,
+    answerQuestion
+};
@@ -0,0 +1,72 @@
+/**
+ * MongoDB Atlas Vector Search Backend
+ * Uses the `$vectorSearch` aggregation stage, so similarity is computed by Atlas.
+ *
+ * Requires an Atlas Vector Search index on the "chunks" collection, e.g.:
+ * {
+ *   "fields": [
+ *     { "type": "vector", "path": "embedding", "numDimensions": 384, "similarity": "cosine" },
+ *     { "type": "filter", "path": "documentId" },
+ *     { "type": "filter", "path": "owner" }
+ *   ]
+ * }
+ * `numDimensions` must match EMBEDDING_DIMENSION.
+ *
+ * Configuration (.env):
+ * - ATLAS_VECTOR_INDEX: Name of that index (default "chunk_vector_index")
+ * - ATLAS_NUM_CANDIDATES: Candidates scanned per result (default 20 x topK)
+ */
+
+const mongoose = require("mongoose");
+const Chunk = require("../../models/Chunk");
+
+const toObjectId = (id) => new mongoose.Types.ObjectId(String(id));
+
+/**
+ * Create Atlas Backend
+ * Options: { indexName, candidatesPerResult }
+ * Returns: { name, search({ documentIds, owner, vector, topK }) }
+ */
+const createAtlasBackend = (options = {}) => {
+    const indexName = options.indexName || "chunk_vector_index";
+    const candidatesPerResult = options.candidatesPerResult || 20;
+
+    return {
+        name: "atlas",
+        search: async ({ documentIds, owner, vector, topK }) => {
+            // Aggregation pipelines are not cast by Mongoose, so convert ids ourselves
+            const filter = { documentId: { $in: documentIds.map(toObjectId) } };
+            if (owner) filter.owner = toObjectId(owner);
+
+            const results = await Chunk.aggregate([
+                {
+                    $vectorSearch: {
+                        index: indexName,
+                        path: "embedding",
+                        queryVector: vector,
+                        numCandidates: topK * candidatesPerResult,
+                        limit: topK,
+                        filter
+                    }
+                },
+                {
+                    $project: {
+                        documentId: 1,
+                        index: 1,
+                        text: 1,
+                        pageStart: 1,
+                        pageEnd: 1,
+                        section: 1,
+                        score: { $meta: "vectorSearchScore" }
+                    }
+                }
+            ]);
+
+            // Atlas reports cosine scores as (1 + cosine) / 2.
+            // Convert back so scores match the local backend.
+            return results.map(({ score, ...chunk }) => ({ chunk, score: score * 2 - 1 }));
+        }
+    };
+};
+
+module.exports = { createAtlasBackend };
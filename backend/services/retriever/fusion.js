@@ -0,0 +1,39 @@
+/**
+ * Reciprocal Rank Fusion (RRF)
+ * Merges several ranked result lists into one.
+ *
+ * Each list gives a chunk `weight / (k + rank)` points (rank starts at 1).
+ * Only ranks are used, so it doesn't matter that cosine similarity and
+ * BM25 scores live on completely different scales.
+ */
+
+const DEFAULT_K = 60;   // The usual RRF constant: dampens the gap between top ranks
+
+/**
+ * Fuse Function
+ * Params:
+ * - lists: [{ method: "vector", weight: 1, results: [{ chunk, score }, ...] }, ...]
+ * - k: RRF constant
+ *
+ * Returns: [{ chunk, score, methods: ["vector", "keyword"], scores: { vector, keyword } }, ...]
+ * sorted by fused score, highest first
+ */
+const reciprocalRankFusion = (lists, k = DEFAULT_K) => {
+    const fused = new Map();
+
+    for (const { method, weight, results } of lists) {
+        results.forEach(({ chunk, score }, i) => {
+            const id = String(chunk._id);
+            const entry = fused.get(id) || { chunk, score: 0, methods: [], scores: {} };
+
+            entry.score += weight / (k + i + 1);
+            entry.methods.push(method);
+            entry.scores[method] = score;
+            fused.set(id, entry);
+        });
+    }
+
+    return [...fused.values()].sort((a, b) => b.score - a.score);
+};
+
+module.exports = { reciprocalRankFusion };
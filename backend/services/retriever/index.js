@@ -0,0 +1,151 @@
+/**
+ * Retriever Service
+ * Finds the chunks whose embeddings are most similar to a query vector.
+ *
+ * Two interchangeable backends (same input, same output):
+ * - "local": Brute-force cosine similarity in this process (any MongoDB, dev/CI)
+ * - "atlas": MongoDB Atlas `$vectorSearch` aggregation stage
+ *
+ * On top of vector search, `retrieveChunks` supports hybrid retrieval:
+ * BM25 keyword search (keyword.js) fused with vector results using
+ * reciprocal-rank fusion (fusion.js).
+ *
+ * Configuration (.env):
+ * - VECTOR_SEARCH_BACKEND: "local" (default) or "atlas"
+ * - RETRIEVAL_MODE: Default mode, "hybrid" (default), "vector" or "keyword"
+ */
+
+const { createLocalBackend, cosineSimilarity } = require("./local");
+const { createAtlasBackend } = require("./atlas");
+const { createKeywordBackend } = require("./keyword");
+const { reciprocalRankFusion } = require("./fusion");
+
+const RETRIEVAL_MODES = ["hybrid", "vector", "keyword"];
+const DEFAULT_MODE = (process.env.RETRIEVAL_MODE || "hybrid").toLowerCase();
+
+// Each list is searched deeper than topK so fusion has enough candidates
+const CANDIDATE_MULTIPLIER = 4;
+
+const keywordBackend = createKeywordBackend();
+
+// Registry of available backends: name -> factory
+const backends = {
+    local: () => createLocalBackend(),
+    atlas: () => createAtlasBackend({
+        indexName: process.env.ATLAS_VECTOR_INDEX,
+        candidatesPerResult: parseInt(process.env.ATLAS_NUM_CANDIDATES, 10) || undefined
+    })
+};
+
+let cachedBackend = null;
+
+/**
+ * Get Vector Backend Function
+ * Purpose: Return the backend selected by VECTOR_SEARCH_BACKEND
+ */
+const getVectorBackend = () => {
+    if (cachedBackend) return cachedBackend;
+
+    const name = (process.env.VECTOR_SEARCH_BACKEND || "local").toLowerCase();
+    const factory = backends[name];
+    if (!factory) {
+        throw new Error(`Unknown VECTOR_SEARCH_BACKEND "${name}"`);
+    }
+
+    cachedBackend = factory();
+    return cachedBackend;
+};
+
+/**
+ * Search Chunks Function
+ * Purpose: Return the top-k chunks most similar to `vector`
+ *
+ * Params:
+ * - documentIds: Only search chunks of these documents
+ * - owner: Only search chunks owned by this user (optional)
+ * - vector: Query embedding
+ * - topK: How many chunks to return (default 5)
+ * - backend: Override the configured backend (optional, e.g. in tests)
+ *
+ * Returns: [{ chunk: { _id, documentId, index, text, pageStart, pageEnd, section }, score }, ...]
+ * sorted by score (cosine similarity, highest first)
+ */
+const searchChunks = async ({ documentIds, owner, vector, topK = 5, backend }) => {
+    if (!documentIds || documentIds.length === 0) return [];
+    return (backend || getVectorBackend()).search({ documentIds, owner, vector, topK });
+};
+
+/**
+ * Retrieve Chunks Function
+ * Purpose: Find the best chunks for a question using vector, keyword or hybrid search
+ *
+ * Params:
+ * - documentIds, owner: Same filters as searchChunks
+ * - query: The question text (used by keyword search)
+ * - embed: async (text) => vector (only called when vector search is needed)
+ * - topK: How many chunks to return
+ * - mode: "hybrid" | "vector" | "keyword" (default RETRIEVAL_MODE)
+ * - vectorWeight / keywordWeight: RRF weights for hybrid mode (default 1 / 1)
+ *
+ * Returns: [{
+ *   chunk,
+ *   score,                         // Ranking score (cosine, BM25 or fused RRF)
+ *   methods: ["vector", "keyword"], // Which search(es) found this chunk
+ *   scores: { vector, keyword }     // Raw score from each method that found it
+ * }, ...]
+ */
+const retrieveChunks = async ({
+    documentIds,
+    owner,
+    query,
+    embed,
+    topK = 5,
+    mode = DEFAULT_MODE,
+    vectorWeight = 1,
+    keywordWeight = 1
+}) => {
+    if (!RETRIEVAL_MODES.includes(mode)) {
+        throw new Error(`Unknown retrieval mode "${mode}"`);
+    }
+
+    const depth = mode === "hybrid" ? topK * CANDIDATE_MULTIPLIER : topK;
+    const lists = [];
+
+    // --- Vector Search ---
+    if (mode !== "keyword" && vectorWeight > 0) {
+        const vector = await embed(query);
+        const results = await searchChunks({ documentIds, owner, vector, topK: depth });
+        lists.push({ method: "vector", weight: vectorWeight, results });
+    }
+
+    // --- Keyword Search (BM25) ---
+    if (mode !== "vector" && keywordWeight > 0) {
+        const results = documentIds && documentIds.length
+            ? await keywordBackend.search({ documentIds, owner, query, topK: depth })
+            : [];
+        lists.push({ method: "keyword", weight: keywordWeight, results });
+    }
+
+    // A single list keeps its own scores (cosine or BM25)
+    if (lists.length === 1) {
+        const { method, results } = lists[0];
+        return results.slice(0, topK).map(({ chunk, score }) => ({
+            chunk,
+            score,
+            methods: [method],
+            scores: { [method]: score }
+        }));
+    }
+
+    // --- Hybrid: Reciprocal-Rank Fusion ---
+    return reciprocalRankFusion(lists).slice(0, topK);
+};
+
+module.exports = {
+    RETRIEVAL_MODES,
+    DEFAULT_MODE,
+    getVectorBackend,
+    searchChunks,
+    retrieveChunks,
+    cosineSimilarity
+};
@@ -0,0 +1,93 @@
+/**
+ * Keyword Search Backend (BM25)
+ * Scores chunks by exact term matches, the way classic search engines do.
+ *
+ * Why?
+ * Embeddings are good at meaning but often miss exact terms such as
+ * clause numbers ("12.3(b)"), part codes ("XJ-400") or names.
+ * BM25 rewards chunks that contain the rare words of the query.
+ *
+ * The index is built on the fly from the chunks matching the filter,
+ * so it always reflects the current chunks without any extra setup.
+ */
+
+const Chunk = require("../../models/Chunk");
+
+// Standard BM25 tuning values
+const K1 = 1.2;   // How quickly repeated terms stop adding score
+const B = 0.75;   // How much long chunks are penalized
+
+/**
+ * Helper Function: tokenize
+ * Purpose: Lowercase word tokens; keeps codes like "12.3" or "xj-400" together
+ */
+const tokenize = (text) => (
+    (text || "").toLowerCase().match(/[\p{L}\p{N}]+(?:[.\-/][\p{L}\p{N}]+)*/gu) || []
+);
+
+/**
+ * BM25 Score Function
+ * Purpose: Score documents (arrays of tokens) against query tokens (pure function)
+ *
+ * Returns: Array of scores, same order as `docs`
+ */
+const bm25Scores = (queryTokens, docs) => {
+    const avgLength = docs.reduce((sum, d) => sum + d.length, 0) / (docs.length || 1);
+    const terms = [...new Set(queryTokens)];
+
+    // Document frequency: how many chunks contain each query term
+    const docFreq = new Map(terms.map((t) => [t, 0]));
+    const termCounts = docs.map((tokens) => {
+        const counts = new Map();
+        for (const token of tokens) {
+            if (docFreq.has(token)) counts.set(token, (counts.get(token) || 0) + 1);
+        }
+        for (const term of counts.keys()) docFreq.set(term, docFreq.get(term) + 1);
+        return counts;
+    });
+
+    return docs.map((tokens, i) => {
+        let score = 0;
+        for (const term of terms) {
+            const tf = termCounts[i].get(term) || 0;
+            if (tf === 0) continue;
+            const df = docFreq.get(term);
+            const idf = Math.log(1 + (docs.length - df + 0.5) / (df + 0.5));
+            score += idf * (tf * (K1 + 1)) / (tf + K1 * (1 - B + B * tokens.length / avgLength));
+        }
+        return score;
+    });
+};
+
+/**
+ * Create Keyword Backend
+ * Returns: { name, search({ documentIds, owner, query, topK }) }
+ */
+const createKeywordBackend = () => ({
+    name: "keyword",
+    search: async ({ documentIds, owner, query, topK }) => {
+        const queryTokens = tokenize(query);
+        if (queryTokens.length === 0) return [];
+
+        const filter = { documentId: { $in: documentIds } };
+        if (owner) filter.owner = owner;
+
+        const chunks = await Chunk.find(filter)
+            .select("documentId index text pageStart pageEnd section")
+            .lean();
+
+        const scores = bm25Scores(queryTokens, chunks.map((chunk) => tokenize(chunk.text)));
+
+        return chunks
+            .map((chunk, i) => ({ chunk, score: scores[i] }))
+            .filter((result) => result.score > 0)
+            .sort((a, b) => b.score - a.score)
+            .slice(0, topK);
+    }
+});
+
+module.exports = {
+    tokenize,
+    bm25Scores,
+    createKeywordBackend
+};
@@ -0,0 +1,55 @@
+/**
+ * Local Vector Search Backend
+ * Brute-force cosine similarity over `Chunk.embedding`, computed in this process.
+ *
+ * Every embedded chunk matching the filter is loaded and scored.
+ * Works with any MongoDB (local dev, CI) and is fine for a few thousand
+ * chunks per query. Use the Atlas backend for larger libraries.
+ */
+
+const Chunk = require("../../models/Chunk");
+
+/**
+ * Helper Function: cosineSimilarity
+ * Purpose: How similar two vectors are (1 = same direction, 0 = unrelated)
+ */
+const cosineSimilarity = (a, b) => {
+    if (!a || !b || a.length !== b.length) return 0;
+
+    let dot = 0, normA = 0, normB = 0;
+    for (let i = 0; i < a.length; i++) {
+        dot += a[i] * b[i];
+        normA += a[i] * a[i];
+        normB += b[i] * b[i];
+    }
+    return normA && normB ? dot / Math.sqrt(normA * normB) : 0;
+};
+
+/**
+ * Create Local Backend
+ * Returns: { name, search({ documentIds, owner, vector, topK }) }
+ */
+const createLocalBackend = () => ({
+    name: "local",
+    search: async ({ documentIds, owner, vector, topK }) => {
+        const filter = {
+            documentId: { $in: documentIds },
+            "embedding.0": { $exists: true }      // Skip chunks that were never embedded
+        };
+        if (owner) filter.owner = owner;
+
+        const chunks = await Chunk.find(filter)
+            .select("documentId index text pageStart pageEnd section embedding")
+            .lean();
+
+        return chunks
+            .map(({ embedding, ...chunk }) => ({ chunk, score: cosineSimilarity(vector, embedding) }))
+            .sort((a, b) => b.score - a.score)
+            .slice(0, topK);
+    }
+});
+
+module.exports = {
+    cosineSimilarity,
+    createLocalBackend
+};
@@ -0,0 +1,77 @@
+/**
+ * Question Rewriter
+ * Turns a follow-up question into a standalone one, using the conversation history.
+ *
+ * Why?
+ * Retrieval only sees the question text. "What about section 4?" alone
+ * matches nothing useful; "What is the notice period in section 4?" does.
+ *
+ * - With a real LLM: the model rewrites the question
+ * - With the offline "local" LLM: a simple heuristic adds the previous
+ *   question as context when the new one looks like a follow-up
+ */
+
+const { getLlmProvider } = require("./llm");
+
+const HISTORY_TURNS = parseInt(process.env.CONVERSATION_HISTORY_TURNS, 10) || 4;
+
+const REWRITE_PROMPT = [
+    "Rewrite the user's last question so it can be understood without the conversation.",
+    "Replace pronouns and vague references with what they refer to.",
+    "Keep it a question, keep it short, and do not answer it.",
+    "If it is already standalone, repeat it unchanged. Reply with the question only."
+].join(" ");
+
+// Phrases/pronouns that usually mean "this depends on what we said before"
+const FOLLOW_UP = /^(and|but|also|so|then|what about|how about|and what|why|why not)\b|\b(it|its|they|them|their|this|that|these|those|he|she|there)\b/i;
+
+/**
+ * Helper Function: looksLikeFollowUp
+ */
+const looksLikeFollowUp = (question) => FOLLOW_UP.test(question) || question.split(/\s+/).length <= 4;
+
+/**
+ * Rewrite Question Function
+ * Params:
+ * - question: The new question
+ * - history: Previous turns, oldest first [{ question, standaloneQuestion, answer }, ...]
+ *
+ * Returns: { standaloneQuestion, usage }
+ * - standaloneQuestion: The original question if there is no history
+ * - usage: LLM tokens spent on the rewrite ({ promptTokens, completionTokens }, for quotas)
+ */
+const rewriteQuestion = async ({ question, history = [] }) => {
+    const noUsage = { promptTokens: 0, completionTokens: 0 };
+    const recent = history.slice(-HISTORY_TURNS);
+    if (recent.length === 0) return { standaloneQuestion: question, usage: noUsage };
+
+    const llm = getLlmProvider();
+    const previous = recent[recent.length - 1];
+
+    // --- Offline heuristic ---
+    if (llm.name === "local") {
+        if (!looksLikeFollowUp(question)) return { standaloneQuestion: question, usage: noUsage };
+        return { standaloneQuestion: `${previous.standaloneQuestion || previous.question} ${question}`, usage: noUsage };
+    }
+
+    // --- LLM rewrite ---
+    const transcript = recent
+        .map((turn) => `User: ${turn.question}\nAssistant: ${turn.answer}`)
+        .join("\n\n");
+
+    const completion = await llm.generate({
+        system: REWRITE_PROMPT,
+        prompt: `Conversation:\n\n${transcript}\n\nLast question: ${question}\n\nStandalone question:`,
+        question,
+        sources: []
+    });
+
+    // Fall back to the original if the model returned nothing usable
+    const rewritten = (completion.text || "").split("\n")[0].trim();
+    return { standaloneQuestion: rewritten || question, usage: completion.usage || noUsage };
+};
+
+module.exports = {
+    HISTORY_TURNS,
+    rewriteQuestion
+};
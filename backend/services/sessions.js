@@ -0,0 +1,149 @@
+/**
+ * Session Service
+ * Creates, rotates and revokes login sessions (models/Session.js).
+ *
+ * Flow:
+ * 1. Login/register -> createSession() -> refresh token (shown once) + session id
+ * 2. Access token expires -> rotateRefreshToken() -> NEW refresh token, old one is dead
+ * 3. Logout -> revokeSession(); "log out everywhere" -> revokeUserSessions()
+ *
+ * The auth middleware calls isSessionActive() on every request,
+ * so a revoked session stops working right away.
+ */
+
+const Session = require("../models/Session");
+const { generateToken, hashToken } = require("./tokens");
+const { refreshTokenTtlDays } = require("../config/jwt");
+
+const refreshExpiry = () => new Date(Date.now() + refreshTokenTtlDays * 24 * 60 * 60 * 1000);
+
+/**
+ * Create Session Function
+ * Purpose: Start a session for a user who just logged in
+ *
+ * Params:
+ * - user: The User document
+ * - workspace: The active Workspace
+ * - req: The Express request (device information for the session list)
+ *
+ * Returns: { session, refreshToken } - refreshToken is the only plain copy
+ */
+const createSession = async ({ user, workspace, req }) => {
+    const refreshToken = generateToken();
+
+    const session = await Session.create({
+        user: user._id,
+        workspace: workspace ? workspace._id : undefined,
+        refreshTokenHash: hashToken(refreshToken),
+        expiresAt: refreshExpiry(),
+        userAgent: req ? String(req.headers["user-agent"] || "").slice(0, 300) : undefined,
+        ip: req ? req.ip : undefined,
+        lastUsedAt: new Date()
+    });
+
+    return { session, refreshToken };
+};
+
+/**
+ * Rotate Refresh Token Function
+ * Purpose: Exchange a refresh token for a new one (one-time use)
+ *
+ * Steps:
+ * 1. Atomically swap the current token hash for a new one
+ *    (two parallel refreshes with the same token: only one can win)
+ * 2. Not found? If the token is the PREVIOUS token of a session,
+ *    someone is replaying an old token -> revoke that whole session
+ *
+ * Returns: { session, refreshToken } or { error: "..." }
+ */
+const rotateRefreshToken = async (refreshToken) => {
+    const tokenHash = hashToken(refreshToken);
+    const newToken = generateToken();
+
+    // --- Step 1: Rotate ---
+    const session = await Session.findOneAndUpdate(
+        { refreshTokenHash: tokenHash, revokedAt: null, expiresAt: { $gt: new Date() } },
+        {
+            $set: {
+                refreshTokenHash: hashToken(newToken),
+                previousTokenHash: tokenHash,
+                expiresAt: refreshExpiry(),
+                lastUsedAt: new Date()
+            }
+        },
+        { new: true }
+    );
+
+    if (session) {
+        return { session, refreshToken: newToken };
+    }
+
+    // --- Step 2: Reuse Detection ---
+    const reused = await Session.findOneAndUpdate(
+        { previousTokenHash: tokenHash, revokedAt: null },
+        { $set: { revokedAt: new Date(), revokedReason: "refresh-token-reuse" } }
+    );
+    if (reused) {
+        console.warn(`[AUTH] Refresh token reuse detected, session ${reused._id} revoked`);
+    }
+
+    return { error: "Invalid or expired refresh token" };
+};
+
+/**
+ * Find Session By Refresh Token Function
+ * Returns: The active Session for this refresh token, or null
+ */
+const findSessionByRefreshToken = async (refreshToken) => {
+    const session = await Session.findOne({ refreshTokenHash: hashToken(refreshToken) });
+    return session && session.isActive() ? session : null;
+};
+
+/**
+ * Is Session Active Function
+ * Purpose: The per-request check of the auth middleware (one indexed lookup)
+ */
+const isSessionActive = async (sessionId) => {
+    if (!sessionId) return false;
+    const session = await Session.findById(sessionId).select("revokedAt expiresAt");
+    return Boolean(session && session.isActive());
+};
+
+/**
+ * Revoke Session Function
+ * Purpose: Log one device out
+ * Params: filter - e.g. { _id: sessionId, user: userId } (the user part keeps people to their own sessions)
+ * Returns: true if a session was revoked
+ */
+const revokeSession = async (filter, reason = "logout") => {
+    const result = await Session.updateOne(
+        { ...filter, revokedAt: null },
+        { $set: { revokedAt: new Date(), revokedReason: reason } }
+    );
+    return result.modifiedCount > 0;
+};
+
+/**
+ * Revoke User Sessions Function
+ * Purpose: "Log out of all devices" (and after security-relevant changes)
+ * Params: options.except - a session id to keep (e.g. the current device)
+ * Returns: Number of sessions revoked
+ */
+const revokeUserSessions = async (userId, reason = "logout-all", options = {}) => {
+    const filter = { user: userId, revokedAt: null };
+    if (options.except) filter._id = { $ne: options.except };
+
+    const result = await Session.updateMany(filter, {
+        $set: { revokedAt: new Date(), revokedReason: reason }
+    });
+    return result.modifiedCount;
+};
+
+module.exports = {
+    createSession,
+    rotateRefreshToken,
+    findSessionByRefreshToken,
+    isSessionActive,
+    revokeSession,
+    revokeUserSessions
+};
@@ -0,0 +1,62 @@
+/**
+ * Server-Sent Events (SSE) Helper
+ * Turns an Express response into an event stream.
+ *
+ * Wire format (one event):
+ *   event: status
+ *   data: {"status":"chunking"}
+ *
+ * The browser reads it with EventSource (GET) or fetch() + a stream reader (POST).
+ */
+
+const HEARTBEAT_MS = 15000;
+
+/**
+ * Open Event Stream Function
+ * Purpose: Send SSE headers and return helpers to write events
+ *
+ * Returns: { send(event, data), close(), onClose(fn) }
+ */
+const openEventStream = (req, res) => {
+    res.status(200).set({
+        "Content-Type": "text/event-stream",
+        "Cache-Control": "no-cache, no-transform",
+        "Connection": "keep-alive",
+        "X-Accel-Buffering": "no"          // Stop nginx from buffering the stream
+    });
+    res.flushHeaders();
+
+    let closed = false;
+    const closeHandlers = [];
+
+    // Comment lines keep proxies from closing an idle connection
+    const heartbeat = setInterval(() => res.write(": ping\n\n"), HEARTBEAT_MS);
+
+    const cleanup = () => {
+        if (closed) return;
+        closed = true;
+        clearInterval(heartbeat);
+        closeHandlers.forEach((fn) => fn());
+    };
+
+    // Client went away (tab closed, EventSource.close(), network drop).
+    // Listen on the response: req "close" already fires once a POST body has been read.
+    res.on("close", () => {
+        if (!res.writableEnded) cleanup();
+    });
+
+    return {
+        send: (event, data) => {
+            if (closed) return;
+            res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+        },
+        close: () => {
+            cleanup();
+            res.end();
+        },
+        onClose: (fn) => closeHandlers.push(fn),
+        isClosed: () => closed
+    };
+};
+
+module.exports = { openEventStream };
@@ -0,0 +1,68 @@
+/**
+ * Cloudinary Storage Adapter
+ * Stores files as private "raw" assets in Cloudinary (config/cloudinary.js).
+ *
+ * Private assets are not reachable through a public URL: downloads and
+ * signed URLs go through Cloudinary's signed download API, which expires.
+ *
+ * Options:
+ * - folder: Prefix for every key (default "doctalk", so files land in doctalk/documents/...)
+ */
+
+const axios = require("axios");
+const cloudinary = require("../../config/cloudinary");
+
+const RESOURCE = { resource_type: "raw", type: "private" };
+
+/**
+ * Create Cloudinary Storage
+ * Returns: { name, put, get, delete, signedUrl }
+ */
+module.exports = function createCloudinaryStorage(options = {}) {
+    const folder = options.folder || "doctalk";
+    const config = cloudinary.config();
+
+    if (!config.cloud_name || !config.api_key || !config.api_secret) {
+        throw new Error("CLOUDINARY_CLOUD_NAME, CLOUDINARY_API_KEY and CLOUDINARY_API_SECRET are required for the cloudinary storage driver");
+    }
+
+    // Raw assets keep their extension in the public id ("doctalk/documents/.../a1b2.pdf")
+    const publicId = (key) => `${folder}/${key}`;
+
+    const downloadUrl = (key, expiresIn) => cloudinary.utils.private_download_url(publicId(key), "", {
+        ...RESOURCE,
+        expires_at: Math.floor(Date.now() / 1000) + expiresIn
+    });
+
+    return {
+        name: "cloudinary",
+
+        put: (key, buffer) => new Promise((resolve, reject) => {
+            // upload_stream expects a stream, not a buffer: files stay in memory (no disk I/O)
+            const stream = cloudinary.uploader.upload_stream(
+                { ...RESOURCE, public_id: publicId(key), overwrite: false },
+                (error, result) => (result ? resolve({ key }) : reject(error))
+            );
+            stream.end(buffer);
+        }),
+
+        get: async (key, { start, end } = {}) => {
+            const headers = start !== undefined ? { Range: `bytes=${start}-${end !== undefined ? end : ""}` } : {};
+            const response = await axios.get(downloadUrl(key, 60), { headers, responseType: "arraybuffer", timeout: 60000 });
+            const data = Buffer.from(response.data);
+
+            // The download API may ignore Range and send the whole file (200 instead of 206)
+            if (start !== undefined && response.status === 200) {
+                return data.subarray(start, end !== undefined ? end + 1 : undefined);
+            }
+            return data;
+        },
+
+        delete: async (key) => {
+            // "not found" is a normal result, not an error: deleting twice is fine
+            await cloudinary.uploader.destroy(publicId(key), { ...RESOURCE, invalidate: true });
+        },
+
+        signedUrl: async (key, { expiresIn = 3600 } = {}) => downloadUrl(key, expiresIn)
+    };
+};
@@ -0,0 +1,205 @@
+/**
+ * Storage Service
+ * This file picks the file storage backend from config and stores document files.
+ *
+ * Adapter interface (every driver returns this shape):
+ * {
+ *   name: "cloudinary" | "local" | "s3",
+ *   put: async (key, buffer, { contentType }) => ({ key }),
+ *   get: async (key, { start?, end? }) => Buffer,      // optional byte range (inclusive)
+ *   delete: async (key) => {},                          // deleting a missing key is fine
+ *   signedUrl: async (key, { expiresIn, filename?, contentType? }) => "https://..."
+ * }
+ *
+ * Documents store an adapter-neutral KEY (Document.storagePath, e.g.
+ * "documents/<workspaceId>/1767269012-a1b2c3d4.pdf") plus the driver that
+ * holds it (Document.storageDriver). Switching STORAGE_DRIVER only affects
+ * new uploads; older files are still read from where they were stored.
+ *
+ * Configuration (.env):
+ * - STORAGE_DRIVER: "cloudinary", "local" or "s3"
+ *   (default: "cloudinary" when CLOUDINARY_CLOUD_NAME is set, otherwise "local")
+ * - STORAGE_LOCAL_DIR: Folder of the local driver (default backend/storage)
+ * - API_URL: Public URL of this API, used in local signed URLs (default http://localhost:3000)
+ * - STORAGE_SIGNING_SECRET: Secret for local signed URLs (default: JWT_SECRET)
+ * - S3_*: See ./s3.js
+ */
+
+const path = require("path");
+const axios = require("axios");
+const { generateToken } = require("../tokens");
+const cloudinary = require("../../config/cloudinary");
+const createCloudinaryStorage = require("./cloudinary");
+const createLocalStorage = require("./local");
+const createS3Storage = require("./s3");
+
+// Registry of available drivers: name -> factory
+const drivers = {
+    cloudinary: () => createCloudinaryStorage(),
+    local: () => createLocalStorage({
+        dir: process.env.STORAGE_LOCAL_DIR,
+        publicUrl: process.env.API_URL,
+        signingSecret: () => process.env.STORAGE_SIGNING_SECRET || require("../../config/jwt").secret
+    }),
+    s3: () => createS3Storage({
+        bucket: process.env.S3_BUCKET,
+        region: process.env.S3_REGION,
+        endpoint: process.env.S3_ENDPOINT,
+        accessKeyId: process.env.S3_ACCESS_KEY_ID,
+        secretAccessKey: process.env.S3_SECRET_ACCESS_KEY,
+        forcePathStyle: process.env.S3_FORCE_PATH_STYLE !== undefined
+            ? process.env.S3_FORCE_PATH_STYLE === "true"
+            : undefined
+    })
+};
+
+// One adapter per driver, created on first use (files may live in several backends)
+const cache = {};
+
+/**
+ * Default Driver Name Function
+ * Purpose: The driver new uploads go to
+ */
+const defaultDriverName = () =>
+    (process.env.STORAGE_DRIVER || (process.env.CLOUDINARY_CLOUD_NAME ? "cloudinary" : "local")).toLowerCase();
+
+/**
+ * Get Storage Function
+ * Purpose: Return an adapter (the configured one if no name is given)
+ */
+const getStorage = (name = defaultDriverName()) => {
+    if (cache[name]) return cache[name];
+
+    const factory = drivers[name];
+    if (!factory) {
+        throw new Error(`Unknown STORAGE_DRIVER "${name}"`);
+    }
+
+    cache[name] = factory();
+    return cache[name];
+};
+
+/**
+ * Helper Function: isLegacyUrl
+ * Documents uploaded before storage adapters store a full Cloudinary URL
+ * instead of a key. They are read straight from that (public) URL.
+ */
+const isLegacyUrl = (storagePath) => /^https?:\/\//i.test(storagePath || "");
+
+/**
+ * Build Storage Key Function
+ * Purpose: A unique key for a new file
+ * Example: "documents/65f.../1767269012345-q3Xz9aBc.pdf"
+ * The extension is kept (some backends and downloads rely on it).
+ */
+const buildStorageKey = ({ workspace, originalName }) => {
+    const ext = path.extname(originalName || "").toLowerCase().replace(/[^.a-z0-9]/g, "").slice(0, 10);
+    return `documents/${workspace}/${Date.now()}-${generateToken(6)}${ext}`;
+};
+
+/**
+ * Store Document File Function
+ * Purpose: Save an uploaded file with the configured driver
+ *
+ * Params:
+ * - file: The multer file ({ buffer, originalname, mimetype })
+ * - workspace: The workspace id the document is uploaded into
+ *
+ * Returns: { storageDriver, storagePath } - to save on the Document
+ */
+const storeDocumentFile = async (file, { workspace }) => {
+    const storage = getStorage();
+    const key = buildStorageKey({ workspace, originalName: file.originalname });
+
+    await storage.put(key, file.buffer, { contentType: file.mimetype });
+    return { storageDriver: storage.name, storagePath: key };
+};
+
+/**
+ * Helper Function: storageOf
+ * Purpose: The adapter holding a document's file
+ */
+const storageOf = (document) => getStorage(document.storageDriver || defaultDriverName());
+
+/**
+ * Read Document File Function
+ * Purpose: The original file bytes (or a byte range) of a document
+ * Params: range - { start, end } (optional, inclusive)
+ */
+const readDocumentFile = async (document, range = {}) => {
+    if (isLegacyUrl(document.storagePath)) {
+        const headers = range.start !== undefined
+            ? { Range: `bytes=${range.start}-${range.end !== undefined ? range.end : ""}` }
+            : {};
+        const response = await axios.get(document.storagePath, { headers, responseType: "arraybuffer", timeout: 60000 });
+        const data = Buffer.from(response.data);
+
+        // Servers may ignore Range and send the whole file (200 instead of 206)
+        if (range.start !== undefined && response.status === 200) {
+            return data.subarray(range.start, range.end !== undefined ? range.end + 1 : undefined);
+        }
+        return data;
+    }
+
+    return storageOf(document).get(document.storagePath, range);
+};
+
+/**
+ * Legacy Cloudinary Public Id Function
+ * Purpose: The Cloudinary public id inside a legacy document URL
+ * Example: ".../raw/upload/v1767269012/doctalk/documents/abc123.pdf" -> "doctalk/documents/abc123.pdf"
+ * Returns: The public id, or null for URLs that aren't Cloudinary raw uploads
+ */
+const legacyCloudinaryPublicId = (url) => {
+    const match = /^https?:\/\/res\.cloudinary\.com\/[^/]+\/raw\/upload\/(?:v\d+\/)?(.+)$/i.exec(url || "");
+    return match ? decodeURIComponent(match[1]) : null;
+};
+
+/**
+ * Delete Document File Function
+ * Purpose: Remove a document's original file from storage
+ * Params: { storageDriver, storagePath } (taken from the Document, which may already be gone)
+ *
+ * Safe to call again after a failure: a missing file is not an error.
+ */
+const deleteDocumentFile = async ({ storageDriver, storagePath }) => {
+    if (!storagePath) return;
+
+    // Legacy documents: public Cloudinary "upload" assets, addressed by URL
+    if (isLegacyUrl(storagePath)) {
+        const publicId = legacyCloudinaryPublicId(storagePath);
+        if (publicId) {
+            await cloudinary.uploader.destroy(publicId, { resource_type: "raw", type: "upload", invalidate: true });
+        }
+        return;
+    }
+
+    await getStorage(storageDriver || defaultDriverName()).delete(storagePath);
+};
+
+/**
+ * Document File URL Function
+ * Purpose: A temporary link to the original file (e.g. for the browser)
+ * Params: options - { expiresIn (seconds, default 3600), filename?, contentType? }
+ */
+const documentFileUrl = async (document, options = {}) => {
+    if (isLegacyUrl(document.storagePath)) return document.storagePath;
+
+    return storageOf(document).signedUrl(document.storagePath, {
+        filename: document.originalName,
+        contentType: document.mimeType,
+        ...options
+    });
+};
+
+module.exports = {
+    getStorage,
+    defaultDriverName,
+    isLegacyUrl,
+    buildStorageKey,
+    storeDocumentFile,
+    readDocumentFile,
+    legacyCloudinaryPublicId,
+    deleteDocumentFile,
+    documentFileUrl
+};
@@ -0,0 +1,26 @@
+/**
+ * Inline Types
+ * The file types a browser may show instead of downloading ("inline").
+ * Everything else is sent as an attachment: an uploaded HTML file (or a
+ * file the client labelled text/html) must never run on our origin.
+ *
+ * Used by:
+ * - controllers/document.js: GET /api/documents/:id/file
+ * - routes/storage.js: Signed URLs of the local driver
+ * - ./s3.js: Signed S3 URLs
+ */
+
+const INLINE_TYPES = ["application/pdf", "text/plain"];
+
+/**
+ * Is Inline Type Function
+ * Example: isInlineType("application/pdf") -> true, isInlineType("text/html") -> false
+ * Parameters like "; charset=utf-8" are ignored.
+ */
+const isInlineType = (contentType) =>
+    INLINE_TYPES.includes(String(contentType || "").split(";")[0].trim().toLowerCase());
+
+module.exports = {
+    INLINE_TYPES,
+    isInlineType
+};
@@ -0,0 +1,102 @@
+/**
+ * Local Disk Storage Adapter
+ * Stores files in a folder on the server's disk.
+ * No account or network needed: the default for local development.
+ *
+ * Signed URLs point to this server (GET /api/storage/local/...) and carry
+ * an HMAC signature + expiry, checked by verifySignedUrl() in routes/storage.js.
+ *
+ * Options:
+ * - dir: Root folder (default backend/storage)
+ * - publicUrl: Base URL of this API for signed URLs (default "http://localhost:3000")
+ * - signingSecret: () => secret for signed URLs (a function: only needed once a URL is signed)
+ */
+
+const fs = require("fs/promises");
+const path = require("path");
+const crypto = require("crypto");
+
+const DEFAULT_DIR = path.join(__dirname, "..", "..", "storage");
+
+module.exports = function createLocalStorage(options = {}) {
+    const root = path.resolve(options.dir || DEFAULT_DIR);
+    const publicUrl = (options.publicUrl || "http://localhost:3000").replace(/\/+$/, "");
+
+    /**
+     * Helper Function: resolve
+     * Purpose: The file path of a key, never outside `root` ("../" in a key is rejected)
+     */
+    const resolve = (key) => {
+        const file = path.resolve(root, key);
+        if (!file.startsWith(root + path.sep)) {
+            throw new Error(`Invalid storage key "${key}"`);
+        }
+        return file;
+    };
+
+    // Signature over everything the URL grants: which file, until when, and how it is served
+    const sign = (key, expires, filename = "", contentType = "") => crypto
+        .createHmac("sha256", options.signingSecret())
+        .update(["local-storage", key, expires, filename, contentType].join("\n"))
+        .digest("base64url");
+
+    return {
+        name: "local",
+        root,
+
+        put: async (key, buffer) => {
+            const file = resolve(key);
+            await fs.mkdir(path.dirname(file), { recursive: true });
+            await fs.writeFile(file, buffer);
+            return { key };
+        },
+
+        get: async (key, { start, end } = {}) => {
+            const file = resolve(key);
+            if (start === undefined) return fs.readFile(file);
+
+            // Read only the requested byte range
+            const handle = await fs.open(file, "r");
+            try {
+                const { size } = await handle.stat();
+                const last = Math.min(end !== undefined ? end : size - 1, size - 1);
+                const buffer = Buffer.alloc(Math.max(0, last - start + 1));
+                await handle.read(buffer, 0, buffer.length, start);
+                return buffer;
+            } finally {
+                await handle.close();
+            }
+        },
+
+        delete: async (key) => {
+            // force: a missing file is fine (deleting twice is not an error)
+            await fs.rm(resolve(key), { force: true });
+        },
+
+        signedUrl: async (key, { expiresIn = 3600, filename, contentType } = {}) => {
+            const expires = String(Math.floor(Date.now() / 1000) + expiresIn);
+            const query = new URLSearchParams({ expires });
+            if (filename) query.set("filename", filename);
+            if (contentType) query.set("contentType", contentType);
+            query.set("signature", sign(key, expires, filename, contentType));
+
+            return `${publicUrl}/api/storage/local/${Buffer.from(key).toString("base64url")}?${query}`;
+        },
+
+        /**
+         * Verify Signed URL Function
+         * Purpose: Check the parts of a URL made by signedUrl()
+         * Returns: { file, filename, contentType } or null (bad signature / expired)
+         */
+        verifySignedUrl: ({ encodedKey, expires, filename, contentType, signature }) => {
+            const key = Buffer.from(String(encodedKey), "base64url").toString("utf8");
+            if (!expires || Number(expires) < Date.now() / 1000 || !signature) return null;
+
+            const expected = Buffer.from(sign(key, String(expires), filename || "", contentType || ""));
+            const given = Buffer.from(String(signature));
+            if (expected.length !== given.length || !crypto.timingSafeEqual(expected, given)) return null;
+
+            return { file: resolve(key), filename, contentType };
+        }
+    };
+};
@@ -0,0 +1,100 @@
+/**
+ * S3 Storage Adapter
+ * Stores files in an S3 bucket: AWS S3 or any S3-compatible server
+ * (MinIO, Cloudflare R2, ...). Requests are signed with SigV4 (./sigv4.js).
+ *
+ * Configuration (.env):
+ * - S3_BUCKET: Bucket name (required)
+ * - S3_ACCESS_KEY_ID / S3_SECRET_ACCESS_KEY: Credentials (required)
+ * - S3_REGION: Region (default "us-east-1"; MinIO accepts any)
+ * - S3_ENDPOINT: Server URL for S3-compatible servers, e.g. "http://localhost:9000"
+ *   (default: AWS, https://s3.<region>.amazonaws.com)
+ * - S3_FORCE_PATH_STYLE: "true" for http://host/bucket/key URLs (default when S3_ENDPOINT is set),
+ *   "false" for http://bucket.host/key
+ */
+
+const axios = require("axios");
+const { encodePath, signRequest, presignQuery } = require("./sigv4");
+const { isInlineType } = require("./inline");
+
+/**
+ * Create S3 Storage
+ * Options: { bucket, region, endpoint, accessKeyId, secretAccessKey, forcePathStyle }
+ */
+module.exports = function createS3Storage(options = {}) {
+    const { bucket, accessKeyId, secretAccessKey } = options;
+    const region = options.region || "us-east-1";
+
+    if (!bucket || !accessKeyId || !secretAccessKey) {
+        throw new Error("S3_BUCKET, S3_ACCESS_KEY_ID and S3_SECRET_ACCESS_KEY are required for the s3 storage driver");
+    }
+
+    const endpoint = new URL(options.endpoint || `https://s3.${region}.amazonaws.com`);
+    const forcePathStyle = options.forcePathStyle !== undefined ? options.forcePathStyle : Boolean(options.endpoint);
+
+    // Where an object lives: path-style http://host/bucket/key or virtual-hosted http://bucket.host/key
+    const locate = (key) => {
+        const host = forcePathStyle ? endpoint.host : `${bucket}.${endpoint.host}`;
+        const path = forcePathStyle ? `/${encodePath(bucket)}/${encodePath(key)}` : `/${encodePath(key)}`;
+        return { host, path, url: `${endpoint.protocol}//${host}${path}` };
+    };
+
+    const credentials = { region, accessKeyId, secretAccessKey };
+
+    /**
+     * Helper Function: request
+     * Purpose: One signed S3 API call
+     */
+    const request = async (method, key, { headers = {}, body, responseType } = {}) => {
+        const { host, path, url } = locate(key);
+        const signed = signRequest({ method, host, path, headers, body: body || "", ...credentials });
+        delete signed.host; // Set by the HTTP client itself
+
+        return axios({
+            method,
+            url,
+            headers: signed,
+            data: body,
+            responseType,
+            maxBodyLength: Infinity,
+            maxContentLength: Infinity,
+            timeout: 60000
+        });
+    };
+
+    return {
+        name: "s3",
+
+        put: async (key, buffer, { contentType } = {}) => {
+            await request("PUT", key, {
+                headers: { "content-type": contentType || "application/octet-stream" },
+                body: buffer
+            });
+            return { key };
+        },
+
+        get: async (key, { start, end } = {}) => {
+            const headers = start !== undefined ? { range: `bytes=${start}-${end !== undefined ? end : ""}` } : {};
+            const response = await request("GET", key, { headers, responseType: "arraybuffer" });
+            return Buffer.from(response.data);
+        },
+
+        delete: async (key) => {
+            // S3 answers 204 for missing keys too, so deleting twice is fine
+            await request("DELETE", key);
+        },
+
+        signedUrl: async (key, { expiresIn = 3600, filename, contentType } = {}) => {
+            const { host, path, url } = locate(key);
+            const query = {};
+            // Only PDFs and plain text open in the browser; everything else is downloaded
+            const disposition = isInlineType(contentType) ? "inline" : "attachment";
+            query["response-content-disposition"] = filename
+                ? `${disposition}; filename="${filename.replace(/"/g, "")}"`
+                : disposition;
+            if (contentType) query["response-content-type"] = contentType;
+
+            return `${url}?${presignQuery({ host, path, query, expiresIn, ...credentials })}`;
+        }
+    };
+};
@@ -0,0 +1,137 @@
+/**
+ * AWS Signature Version 4 (S3 flavour)
+ * Signs S3 API requests and creates presigned URLs, without the AWS SDK.
+ * Works with AWS S3 and S3-compatible servers (MinIO, Cloudflare R2, ...).
+ *
+ * Spec: https://docs.aws.amazon.com/AmazonS3/latest/API/sig-v4-authenticating-requests.html
+ */
+
+const crypto = require("crypto");
+
+const ALGORITHM = "AWS4-HMAC-SHA256";
+const SERVICE = "s3";
+
+const sha256Hex = (data) => crypto.createHash("sha256").update(data).digest("hex");
+const hmac = (key, data) => crypto.createHmac("sha256", key).update(data).digest();
+
+/**
+ * Helper Function: encodeRfc3986
+ * encodeURIComponent leaves !'()* alone; SigV4 wants them encoded too
+ */
+const encodeRfc3986 = (value) => encodeURIComponent(value)
+    .replace(/[!'()*]/g, (c) => `%${c.charCodeAt(0).toString(16).toUpperCase()}`);
+
+/**
+ * Encode Path Function
+ * Purpose: URI-encode an object path, keeping the "/" separators
+ */
+const encodePath = (path) => path.split("/").map(encodeRfc3986).join("/");
+
+// "20130524T000000Z" and "20130524"
+const amzDates = (date) => {
+    const amzDate = date.toISOString().replace(/[:-]|\.\d{3}/g, "");
+    return { amzDate, shortDate: amzDate.slice(0, 8) };
+};
+
+const canonicalQueryString = (query) => Object.keys(query)
+    .sort()
+    .map((key) => `${encodeRfc3986(key)}=${encodeRfc3986(query[key])}`)
+    .join("&");
+
+/**
+ * Helper Function: signature
+ * Purpose: The last steps shared by header signing and presigning
+ */
+const signature = ({ canonicalRequest, amzDate, scope, shortDate, region, secretAccessKey }) => {
+    const stringToSign = [ALGORITHM, amzDate, scope, sha256Hex(canonicalRequest)].join("\n");
+
+    const signingKey = hmac(hmac(hmac(hmac(`AWS4${secretAccessKey}`, shortDate), region), SERVICE), "aws4_request");
+    return crypto.createHmac("sha256", signingKey).update(stringToSign).digest("hex");
+};
+
+/**
+ * Sign Request Function
+ * Purpose: Headers for an authenticated S3 API call
+ *
+ * Params:
+ * - method: "GET" | "PUT" | "DELETE" | ...
+ * - host: "localhost:9000" or "bucket.s3.eu-central-1.amazonaws.com"
+ * - path: Already encoded path, e.g. "/bucket/documents/a.pdf"
+ * - headers: Extra headers to sign (e.g. content-type, range)
+ * - body: Buffer (or empty) - its SHA-256 is part of the signature
+ * - region, accessKeyId, secretAccessKey
+ *
+ * Returns: The headers to send (including Authorization)
+ */
+const signRequest = ({ method, host, path, query = {}, headers = {}, body = "", region, accessKeyId, secretAccessKey, date = new Date() }) => {
+    const { amzDate, shortDate } = amzDates(date);
+    const payloadHash = sha256Hex(body);
+
+    const allHeaders = {
+        ...Object.fromEntries(Object.entries(headers).map(([k, v]) => [k.toLowerCase(), String(v).trim()])),
+        host,
+        "x-amz-content-sha256": payloadHash,
+        "x-amz-date": amzDate
+    };
+    const signedHeaders = Object.keys(allHeaders).sort();
+
+    const canonicalRequest = [
+        method,
+        path,
+        canonicalQueryString(query),
+        signedHeaders.map((name) => `${name}:${allHeaders[name]}\n`).join(""),
+        signedHeaders.join(";"),
+        payloadHash
+    ].join("\n");
+
+    const scope = `${shortDate}/${region}/${SERVICE}/aws4_request`;
+    const sig = signature({ canonicalRequest, amzDate, scope, shortDate, region, secretAccessKey });
+
+    return {
+        ...allHeaders,
+        authorization: `${ALGORITHM} Credential=${accessKeyId}/${scope}, SignedHeaders=${signedHeaders.join(";")}, Signature=${sig}`
+    };
+};
+
+/**
+ * Presign Query Function
+ * Purpose: A URL anyone can use until it expires (e.g. a GET link for the browser)
+ *
+ * Params: like signRequest, plus:
+ * - expiresIn: Seconds the URL stays valid (max 7 days)
+ * - query: Extra query parameters to sign (e.g. response-content-disposition)
+ *
+ * Returns: The query string (without "?"), signature included
+ */
+const presignQuery = ({ method = "GET", host, path, query = {}, expiresIn, region, accessKeyId, secretAccessKey, date = new Date() }) => {
+    const { amzDate, shortDate } = amzDates(date);
+    const scope = `${shortDate}/${region}/${SERVICE}/aws4_request`;
+
+    const fullQuery = {
+        ...query,
+        "X-Amz-Algorithm": ALGORITHM,
+        "X-Amz-Credential": `${accessKeyId}/${scope}`,
+        "X-Amz-Date": amzDate,
+        "X-Amz-Expires": String(expiresIn),
+        "X-Amz-SignedHeaders": "host"
+    };
+
+    const canonicalRequest = [
+        method,
+        path,
+        canonicalQueryString(fullQuery),
+        `host:${host}\n`,
+        "host",
+        "UNSIGNED-PAYLOAD"
+    ].join("\n");
+
+    const sig = signature({ canonicalRequest, amzDate, scope, shortDate, region, secretAccessKey });
+    return `${canonicalQueryString(fullQuery)}&X-Amz-Signature=${sig}`;
+};
+
+module.exports = {
+    encodePath,
+    canonicalQueryString,
+    signRequest,
+    presignQuery
+};
@@ -0,0 +1,31 @@
+/**
+ * Token Helpers
+ * Random secret tokens (share links, invites, ...) and their hashes.
+ *
+ * Why hash?
+ * Like passwords, secret tokens are stored HASHED. If the database leaks,
+ * the stored hashes can't be used to open anything. The plain token is
+ * shown to the user exactly once, when it is created.
+ *
+ * SHA-256 (not bcrypt) is fine here: tokens are long random strings,
+ * so there is nothing to brute-force, and lookups by hash stay fast.
+ */
+
+const crypto = require("crypto");
+
+/**
+ * Generate Token Function
+ * Example: "Q2hK0Vd6...": 32 random bytes, URL-safe
+ */
+const generateToken = (bytes = 32) => crypto.randomBytes(bytes).toString("base64url");
+
+/**
+ * Hash Token Function
+ * Purpose: The value stored in (and searched for in) MongoDB
+ */
+const hashToken = (token) => crypto.createHash("sha256").update(String(token)).digest("hex");
+
+module.exports = {
+    generateToken,
+    hashToken
+};
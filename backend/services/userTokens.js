@@ -0,0 +1,84 @@
+/**
+ * User Token Service
+ * Issues and consumes the single-use tokens of models/UserToken.js.
+ *
+ * Configuration (.env):
+ * - PASSWORD_RESET_TTL_MINUTES: How long a reset link works (default 60)
+ * - EMAIL_VERIFICATION_TTL_HOURS: How long a verification link works (default 48)
+ */
+
+const UserToken = require("../models/UserToken");
+const { generateToken, hashToken } = require("./tokens");
+
+const PASSWORD_RESET_TTL_MINUTES = parseInt(process.env.PASSWORD_RESET_TTL_MINUTES, 10) || 60;
+const EMAIL_VERIFICATION_TTL_HOURS = parseInt(process.env.EMAIL_VERIFICATION_TTL_HOURS, 10) || 48;
+
+// Lifetime per purpose, in milliseconds
+const TTL_MS = {
+    "password-reset": PASSWORD_RESET_TTL_MINUTES * 60 * 1000,
+    "email-verification": EMAIL_VERIFICATION_TTL_HOURS * 60 * 60 * 1000
+};
+
+/**
+ * Issue User Token Function
+ * Purpose: Create a token for a user (older open tokens of the same purpose stop working)
+ *
+ * Why invalidate older tokens?
+ * Only the most recent email should work - an old reset link lying in
+ * an inbox must not stay usable.
+ *
+ * Returns: The plain token (put it in the email, never store it)
+ */
+const issueUserToken = async (user, purpose) => {
+    const ttl = TTL_MS[purpose];
+    if (!ttl) {
+        throw new Error(`Unknown token purpose "${purpose}"`);
+    }
+
+    await UserToken.updateMany(
+        { user: user._id, purpose, usedAt: null },
+        { $set: { usedAt: new Date() } }
+    );
+
+    const token = generateToken();
+    await UserToken.create({
+        user: user._id,
+        purpose,
+        tokenHash: hashToken(token),
+        email: user.email,
+        expiresAt: new Date(Date.now() + ttl)
+    });
+
+    return token;
+};
+
+/**
+ * Consume User Token Function
+ * Purpose: Use a token exactly once
+ *
+ * The lookup and "mark as used" are ONE atomic update, so two requests
+ * with the same token can't both succeed.
+ *
+ * Returns: The UserToken record (with `user` and `email`), or null if
+ * the token is unknown, expired, already used or for another purpose
+ */
+const consumeUserToken = async (token, purpose) => {
+    if (!token) return null;
+
+    return UserToken.findOneAndUpdate(
+        {
+            tokenHash: hashToken(String(token)),
+            purpose,
+            usedAt: null,
+            expiresAt: { $gt: new Date() }
+        },
+        { $set: { usedAt: new Date() } },
+        { new: true }
+    );
+};
+
+module.exports = {
+    PASSWORD_RESET_TTL_MINUTES,
+    issueUserToken,
+    consumeUserToken
+};
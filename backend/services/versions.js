@@ -0,0 +1,196 @@
+/**
+ * Versions Service
+ * Uploading new revisions of a document, and reading/comparing older ones.
+ *
+ * The Document always holds the current revision. Uploading a new one:
+ * 1. Stores the new file (services/storage)
+ * 2. Saves the current revision as a DocumentVersion (file + extracted text)
+ * 3. Points the Document at the new file and increments Document.version
+ * 4. Queues ingestion: text, chunks and embeddings are rebuilt from the new file
+ *
+ * Older files are kept until the document is deleted (services/deletion.js)
+ * and count against the owner's storage quota (services/quotas.js).
+ */
+
+const Document = require("../models/Document");
+const DocumentVersion = require("../models/DocumentVersion");
+const { storeDocumentFile, deleteDocumentFile } = require("./storage");
+const { enqueueIngestion } = require("./ingest");
+const { diffLines } = require("./diff");
+const { hashContent } = require("./documentInfo");
+
+/**
+ * Helper Function: versionFilter
+ * Documents from before versioning have no `version` in MongoDB
+ * (Mongoose fills in the default 1 when loading them), so "version 1"
+ * has to match a missing field too.
+ */
+const versionFilter = (version) => (version === 1 ? { $in: [1, null] } : version);
+
+/**
+ * Helper Function: fileFields
+ * Purpose: The fields that describe one revision's file
+ */
+const fileFields = (source) => ({
+    originalName: source.originalName,
+    fileType: source.fileType,
+    mimeType: source.mimeType,
+    size: source.size,
+    storageDriver: source.storageDriver,
+    storagePath: source.storagePath,
+    contentHash: source.contentHash
+});
+
+/**
+ * Add Document Version Function
+ * Purpose: Make an uploaded file the new current revision of a document
+ *
+ * Params:
+ * - document: The Document (loaded WITH extractedText: it is copied into the snapshot)
+ * - file: The multer file ({ buffer, originalname, mimetype, size, parserType })
+ *
+ * Returns: The updated Document (status "queued"), or null when another
+ *          revision was uploaded at the same moment (nothing is changed then)
+ */
+const addDocumentVersion = async (document, file) => {
+    // --- Step 1: Store the New File ---
+    const { storageDriver, storagePath } = await storeDocumentFile(file, { workspace: document.workspace });
+
+    // --- Step 2: Keep the Current Revision ---
+    // Upsert: a retry after a failed request doesn't create a second snapshot
+    await DocumentVersion.updateOne(
+        { document: document._id, version: document.version },
+        {
+            $setOnInsert: {
+                owner: document.owner,
+                ...fileFields(document),
+                extractedText: { pages: document.extractedText ? document.extractedText.pages : [] },
+                uploadedAt: document.versionCreatedAt || document.createdAt
+            }
+        },
+        { upsert: true }
+    );
+
+    // --- Step 3: Switch the Document to the New Revision ---
+    // Only if it is still at the version we snapshotted (two uploads at once: one wins)
+    const updated = await Document.findOneAndUpdate(
+        { _id: document._id, version: versionFilter(document.version) },
+        {
+            $set: {
+                originalName: file.originalname,
+                fileType: file.parserType,
+                mimeType: file.mimetype,
+                size: file.size,
+                storageDriver,
+                storagePath,
+                contentHash: hashContent(file.buffer),
+                version: document.version + 1,
+                versionCreatedAt: new Date(),
+                extractedText: { pages: [] }
+            }
+        },
+        { new: true }
+    );
+    if (!updated) {
+        await deleteDocumentFile({ storageDriver, storagePath });
+        return null;
+    }
+
+    // --- Step 4: Rebuild Text, Chunks and Embeddings ---
+    await enqueueIngestion(updated);
+    return updated;
+};
+
+/**
+ * List Document Versions Function
+ * Purpose: Every revision of a document, newest first
+ *
+ * Returns: [{ version, originalName, fileType, mimeType, size, uploadedAt, pageCount, current }]
+ */
+const listDocumentVersions = async (document) => {
+    const older = await DocumentVersion.aggregate([
+        { $match: { document: document._id } },
+        { $sort: { version: -1 } },
+        {
+            $project: {
+                _id: 0,
+                version: 1,
+                originalName: 1,
+                fileType: 1,
+                mimeType: 1,
+                size: 1,
+                uploadedAt: 1,
+                pageCount: { $size: { $ifNull: ["$extractedText.pages", []] } }
+            }
+        }
+    ]);
+
+    const pages = document.extractedText ? document.extractedText.pages : [];
+    const current = {
+        version: document.version,
+        originalName: document.originalName,
+        fileType: document.fileType,
+        mimeType: document.mimeType,
+        size: document.size,
+        uploadedAt: document.versionCreatedAt || document.createdAt,
+        pageCount: pages ? pages.length : 0,
+        current: true
+    };
+
+    return [current, ...older.map((version) => ({ ...version, current: false }))];
+};
+
+/**
+ * Load Document Version Function
+ * Purpose: The file and text of one revision
+ *
+ * Params: version - Revision number (from the URL, so it may be a string)
+ * Returns: The Document itself for the current version, a DocumentVersion
+ *          for older ones (both have the file fields and extractedText),
+ *          or null if the document has no such version
+ */
+const loadDocumentVersion = async (document, version) => {
+    const number = Number(version);
+    if (!Number.isInteger(number) || number < 1) return null;
+
+    if (number === document.version) return document;
+    return DocumentVersion.findOne({ document: document._id, version: number });
+};
+
+/**
+ * Helper Function: plainText
+ * Purpose: A revision's extracted text as one string, page after page
+ */
+const plainText = (source) => {
+    const pages = source.extractedText ? source.extractedText.pages : [];
+    return (pages || []).map((page) => page.content || "").join("\n");
+};
+
+/**
+ * Compare Document Versions Function
+ * Purpose: Line diff between the extracted text of two revisions
+ *
+ * Params: from, to - Revision numbers
+ * Returns: { from: { version, originalName }, to: {...}, stats, hunks, approximate } (see services/diff.js),
+ *          or null if one of the versions doesn't exist
+ */
+const compareDocumentVersions = async (document, from, to) => {
+    const [older, newer] = await Promise.all([
+        loadDocumentVersion(document, from),
+        loadDocumentVersion(document, to)
+    ]);
+    if (!older || !newer) return null;
+
+    return {
+        from: { version: Number(from), originalName: older.originalName },
+        to: { version: Number(to), originalName: newer.originalName },
+        ...diffLines(plainText(older), plainText(newer))
+    };
+};
+
+module.exports = {
+    addDocumentVersion,
+    listDocumentVersions,
+    loadDocumentVersion,
+    compareDocumentVersions
+};
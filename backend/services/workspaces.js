@@ -0,0 +1,105 @@
+/**
+ * Workspace Service
+ * Helpers shared by login, registration and the workspace middleware:
+ * - Every user has a personal workspace (created on demand)
+ * - Records created before workspaces existed are moved into it
+ * - Picking the workspace a new token should be issued for
+ */
+
+const Workspace = require("../models/Workspace");
+const Document = require("../models/Document");
+const Collection = require("../models/Collection");
+const Conversation = require("../models/Conversation");
+const Chat = require("../models/Chat");
+
+const WORKSPACE_ROLE_RANK = { member: 1, admin: 2 };
+
+/**
+ * Has Workspace Role Function
+ * Example: hasWorkspaceRole("admin", "member") -> true
+ */
+const hasWorkspaceRole = (role, minRole) => Boolean(role) && WORKSPACE_ROLE_RANK[role] >= WORKSPACE_ROLE_RANK[minRole];
+
+/**
+ * Find Membership Function
+ * Purpose: Load a workspace if the user is a member of it
+ * Returns: { workspace, role } or null
+ */
+const findMembership = async (workspaceId, userId) => {
+    if (!workspaceId || !userId) return null;
+
+    const workspace = await Workspace.findOne({ _id: workspaceId, "members.user": userId });
+    return workspace ? { workspace, role: workspace.roleOf(userId) } : null;
+};
+
+/**
+ * Helper Function: adoptLegacyRecords
+ * Purpose: Move the user's records without a workspace into `workspaceId`
+ * (documents, collections, conversations and chats created before workspaces)
+ * Safe to run many times: only records without a workspace are touched.
+ */
+const adoptLegacyRecords = async (userId, workspaceId) => {
+    const filter = { owner: userId, workspace: { $exists: false } };
+    const update = { $set: { workspace: workspaceId } };
+
+    await Promise.all([
+        Document.updateMany(filter, update),
+        Collection.updateMany(filter, update),
+        Conversation.updateMany(filter, update),
+        Chat.updateMany(filter, update)
+    ]);
+};
+
+/**
+ * Ensure Personal Workspace Function
+ * Purpose: Return the user's personal workspace, creating it the first time
+ *
+ * Also moves the user's older records into it, so accounts created
+ * before workspaces existed keep seeing all their documents.
+ */
+const ensurePersonalWorkspace = async (user) => {
+    let workspace = await Workspace.findOne({ personal: true, createdBy: user._id });
+
+    if (!workspace) {
+        try {
+            workspace = await Workspace.create({
+                name: `${user.name || "My"}'s workspace`,
+                personal: true,
+                createdBy: user._id,
+                members: [{ user: user._id, role: "admin" }]
+            });
+        } catch (err) {
+            // 11000 = a parallel request created it first (unique index): use that one
+            if (err.code !== 11000) throw err;
+            workspace = await Workspace.findOne({ personal: true, createdBy: user._id });
+        }
+    }
+
+    await adoptLegacyRecords(user._id, workspace._id);
+    return workspace;
+};
+
+/**
+ * Resolve Active Workspace Function
+ * Purpose: The workspace a fresh token should carry
+ *
+ * Steps:
+ * 1. The workspace the user last switched to, if they are still a member
+ * 2. Otherwise their personal workspace (created if needed)
+ *
+ * Returns: The Workspace document
+ */
+const resolveActiveWorkspace = async (user) => {
+    const membership = await findMembership(user.activeWorkspace, user._id);
+    if (membership) return membership.workspace;
+
+    return ensurePersonalWorkspace(user);
+};
+
+module.exports = {
+    WORKSPACE_ROLE_RANK,
+    hasWorkspaceRole,
+    findMembership,
+    ensurePersonalWorkspace,
+    resolveActiveWorkspace
+};
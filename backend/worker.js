@@ -0,0 +1,32 @@
+/**
+ * Standalone Worker Entry Point
+ * Runs background jobs (document ingestion) without the HTTP server.
+ *
+ * Usage: npm run worker
+ * Start the API with RUN_WORKER=false when workers run as separate processes.
+ */
+
+const mongoose = require('mongoose');
+const dotenv = require('dotenv');
+dotenv.config(); // Load .env before any module reads process.env
+const { startWorker } = require('./services/queue');
+require('./services/ingest'); // Registers the "ingest-document" job handler
+require('./services/deletion'); // Registers the "purge-document" job handler
+
+mongoose.connect(process.env.MONGODB_URL)
+    .then(() => {
+        console.log('MongoDB connected');
+        const stop = startWorker();
+
+        // Stop polling and exit. A job interrupted here is picked up again once its lock times out.
+        const shutdown = () => {
+            stop();
+            mongoose.disconnect().finally(() => process.exit(0));
+        };
+        process.on('SIGINT', shutdown);
+        process.on('SIGTERM', shutdown);
+    })
+    .catch(err => {
+        console.log(err);
+        process.exit(1);
+    });